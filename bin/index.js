@@ -21,6 +21,9 @@ const boxen = require('boxen').default;
 const Logger = require('../src/lib/logger');
 const ErrorHandler = require('../src/lib/error-handler');
 const ConfigManager = require('../src/lib/config-manager');
+const AudioFormat = require('../src/lib/audio-format');
+const UsageTracker = require('../src/lib/usage-tracker');
+const CredentialVault = require('../src/lib/credential-vault');
 
 // Setup global error handlers
 ErrorHandler.setupGlobalHandlers();
@@ -57,11 +60,16 @@ program
   .option('-v, --verbose', 'enable verbose output')
   .option('--debug', 'enable debug mode')
   .option('--config <path>', 'specify config file path')
+  .option('--profile <name>', 'use a named configuration profile for this run')
   .option('--silent', 'suppress all output except errors')
-  .option('--log-level <level>', 'set log level (error, warn, info, verbose, debug)', 'info');
+  .option('--log-level <level>', 'set log level (error, warn, info, verbose, debug)', 'info')
+  .option('--record <dir>', 'record API traffic to a cassette directory')
+  .option('--replay <dir>', 'replay API traffic from a cassette directory instead of the network')
+  .option('--output-format <format>', `audio output format (${AudioFormat.OUTPUT_FORMATS.join(', ')})`)
+  .option('--no-cache', 'always synthesize through the API instead of reusing cached audio');
 
 // Global option handler
-program.hook('preAction', (thisCommand, actionCommand) => {
+program.hook('preAction', async (thisCommand, actionCommand) => {
   const options = thisCommand.opts();
   
   // Update logger configuration
@@ -70,6 +78,46 @@ program.hook('preAction', (thisCommand, actionCommand) => {
   logger.silent = options.silent || false;
   logger.logLevel = options.logLevel || 'info';
 
+  if (options.record && options.replay) {
+    ErrorHandler.handle(ErrorHandler.createError('--record and --replay cannot be used together', 'INVALID_OPTION'), 'cassette setup');
+  }
+
+  // Every command module builds its own ConfigManager, so hand the cassette over through the environment
+  if (options.record) process.env.ELEVEN_RECORD_DIR = options.record;
+  if (options.replay) process.env.ELEVEN_REPLAY_DIR = options.replay;
+
+  if (options.cache === false) process.env.ELEVEN_NO_CACHE = 'true';
+
+  // Project config file and profile, read by every ConfigManager this run creates
+  if (options.config) process.env.ELEVEN_CONFIG = path.resolve(options.config);
+  if (options.profile) process.env.ELEVEN_PROFILE = options.profile;
+
+  // Character usage is recorded against the command that spent it
+  UsageTracker.command = actionCommand.name();
+
+  if (options.outputFormat) {
+    try {
+      process.env.ELEVEN_OUTPUT_FORMAT = AudioFormat.output(options.outputFormat).name;
+    } catch (error) {
+      ErrorHandler.handle(ErrorHandler.createError(error.message, 'INVALID_OPTION'), 'output format');
+    }
+  }
+
+  // The mock server, profiles and credentials are what you set up before you have a working configuration
+  if (actionCommand.name() === 'mock' || ['profiles', 'auth'].includes(actionCommand.parent?.name())) {
+    return;
+  }
+
+  // An API key in the credential vault needs its passphrase before the configuration is complete
+  try {
+    const vault = CredentialVault.shared();
+    if (!vault.isUnlocked() && vault.has(configManager.getActiveProfile()?.name) && process.stdin.isTTY) {
+      await require('../src/commands/auth').unlockVault();
+    }
+  } catch (error) {
+    ErrorHandler.handle(error, 'configuration loading');
+  }
+
   // Load configuration
   try {
     configManager.loadConfig();
@@ -102,9 +150,15 @@ program
   .description('Test TTS with a sample prompt')
   .option('-t, --text <text>', 'text to synthesize')
   .option('-v, --voice <voice>', 'voice ID to use')
-  .option('-o, --output <file>', 'output file path')
+  .option('-o, --output <file>', 'output file path (use - for stdout with --stream)')
   .option('--list-voices', 'list available voices')
   .option('--settings <json>', 'voice settings as JSON string')
+  .option('--stream', 'stream audio as it is generated (Ctrl-C cancels)')
+  .option('--lexicon <file>', 'pronunciation lexicon (JSON or PLS), overrides config')
+  .option('--document <file>', 'synthesize a whole text file into one audio file (resumable)')
+  .option('--max-chars <n>', 'character budget per request for --document', '2500')
+  .option('--concurrency <n>', 'parallel requests for --document', '3')
+  .option('--subtitles <format>', 'write srt or vtt captions next to the audio file')
   .action(async (options) => {
     try {
       const testCommand = require('../src/commands/test');
@@ -139,6 +193,12 @@ program
   .option('--similarity <value>', 'similarity boost value (0.0-1.0)')
   .option('--style <value>', 'style exaggeration value (0.0-1.0)')
   .option('--output <file>', 'save settings to file')
+  .option('--optimize', 'search for the best settings automatically')
+  .option('--objective <name>', 'optimizer objective: loudness, wer, rating, or a module path', 'loudness')
+  .option('--strategy <strategy>', 'optimizer search strategy: grid, random or adaptive', 'adaptive')
+  .option('--budget <n>', 'number of settings the optimizer may try', '12')
+  .option('-t, --text <text>', 'text to optimize for')
+  .option('--script <file>', 'texts to optimize for, one per line')
   .action(async (options) => {
     try {
       const tuneCommand = require('../src/commands/tune');
@@ -150,13 +210,23 @@ program
 
 program
   .command('clone')
-  .description('Clone a voice from audio sample')
-  .option('-f, --file <file>', 'audio file path')
+  .description('Clone a voice from audio samples')
+  .option('-f, --file <paths...>', 'audio samples: files, directories or globs (uploaded together)')
   .option('-n, --name <name>', 'voice name')
   .option('-d, --description <desc>', 'voice description')
+  .option('--accent <accent>', 'accent label, e.g. british')
+  .option('--age <age>', 'age label (young, middle_aged, old)')
+  .option('--gender <gender>', 'gender label (female, male, neutral)')
+  .option('--use-case <useCase>', 'use case label, e.g. narration, conversational')
   .option('-q, --quality <quality>', 'voice quality preset', 'standard')
   .option('-t, --test', 'test cloned voice after creation')
   .option('-i, --interactive', 'interactive cloning mode')
+  .option('--preprocess', 'trim silence, split on pauses and normalize WAV/PCM samples before upload')
+  .option('--sample-rate <hz>', 'sample rate of preprocessed samples (default 44100)')
+  .option('--pcm-rate <hz>', 'sample rate of raw .pcm input (default 16000)')
+  .option('--manifest <file>', 'voice manifest recording labels and samples', 'eleven-voices.json')
+  .option('--dry-run', 'check the samples without uploading')
+  .option('-y, --yes', 'clone without asking about sample warnings')
   .option('--list', 'list cloned voices')
   .action(async (options) => {
     try {
@@ -175,6 +245,8 @@ program
   .option('-p, --preset <preset>', 'analysis preset', 'general')
   .option('-s, --save', 'save analysis results to file')
   .option('-i, --interactive', 'interactive analysis mode')
+  .option('-f, --file <path>', 'analyze an existing WAV or MP3 file instead of generating a sample')
+  .option('--round-trip', 'transcribe the audio back and score pronunciation (WER/CER)')
   .action(async (options) => {
     try {
       const analyzeCommand = require('../src/commands/analyze');
@@ -184,13 +256,131 @@ program
     }
   });
 
-// Additional utility commands
 program
+  .command('compare')
+  .description('Blind A/B comparison of voices and settings presets')
+  .option('-v, --voices <voices>', 'comma-separated voice IDs or names')
+  .option('-p, --presets <presets>', 'comma-separated tune presets (e.g. balanced,expressive)')
+  .option('-t, --text <text>', 'text to synthesize for every candidate')
+  .option('-s, --script <file>', 'script file, one line per sample')
+  .option('-i, --interactive', 'pick voices and presets from lists')
+  .option('-o, --output <file>', 'results JSON file')
+  .option('--player <command>', 'audio player command (detected automatically by default)')
+  .action(async (options) => {
+    try {
+      const compareCommand = require('../src/commands/compare');
+      await compareCommand(options);
+    } catch (error) {
+      ErrorHandler.handle(error, 'compare command');
+    }
+  });
+
+program
+  .command('batch')
+  .description('Run a CSV or JSONL manifest of synthesis and transcription jobs (resumable)')
+  .option('-m, --manifest <file>', 'manifest: rows with text (synthesize) or audio (transcribe)')
+  .option('-o, --output-dir <dir>', 'where outputs and progress go (default: output/<manifest file name>-<path hash>)')
+  .option('-c, --concurrency <n>', 'items in flight at once', '3')
+  .option('--retries <n>', 'retries per item for network errors, 429s and 5xx', '2')
+  .option('-v, --voice <voice>', 'voice ID for rows without one')
+  .option('-f, --format <format>', 'transcript format for rows without one (text, json, srt, vtt, md)')
+  .option('--lexicon <file>', 'pronunciation lexicon (JSON or PLS), overrides config')
+  .option('--restart', 'discard saved progress and run every item again')
+  .option('--status', 'show saved progress without running anything')
+  .option('--report <file>', 'write the summary report as JSON')
+  .action(async (options) => {
+    try {
+      const batchCommand = require('../src/commands/batch');
+      await batchCommand(options);
+    } catch (error) {
+      ErrorHandler.handle(error, 'batch command');
+    }
+  });
+
+program
+  .command('mock')
+  .description('Run a local mock ElevenLabs API for offline tests and demos')
+  .option('-p, --port <port>', 'port to listen on (0 picks a free port)', '8787')
+  .option('--host <host>', 'interface to bind', '127.0.0.1')
+  .option('--latency <ms>', 'delay added to every response')
+  .option('--rate-limit <ratio>', 'share of requests answered with 429 (0-1)')
+  .option('--server-errors <ratio>', 'share of requests answered with 500/503 (0-1)')
+  .option('--seed <n>', 'seed for the fault schedule', '1')
+  .action(async (options) => {
+    try {
+      const mockCommand = require('../src/commands/mock');
+      await mockCommand(options);
+    } catch (error) {
+      ErrorHandler.handle(error, 'mock command');
+    }
+  });
+
+const cache = program
+  .command('cache')
+  .description('Inspect and trim the audio cache that answers repeated synthesis requests');
+
+cache
+  .command('stats')
+  .description('Show cache size, hit rate and credits saved')
+  .action(async (options) => {
+    try {
+      const cacheCommand = require('../src/commands/cache');
+      await cacheCommand('stats', options);
+    } catch (error) {
+      ErrorHandler.handle(error, 'cache command');
+    }
+  });
+
+cache
+  .command('prune')
+  .description('Evict least recently used audio down to a size limit')
+  .option('--max-size <mb>', 'size to shrink the cache to, in MB (default: audioCacheMaxSize)')
+  .option('--older-than <days>', 'also remove audio not used for this many days')
+  .action(async (options) => {
+    try {
+      const cacheCommand = require('../src/commands/cache');
+      await cacheCommand('prune', options);
+    } catch (error) {
+      ErrorHandler.handle(error, 'cache command');
+    }
+  });
+
+cache
+  .command('clear')
+  .description('Delete all cached audio')
+  .option('-y, --yes', 'skip the confirmation prompt')
+  .action(async (options) => {
+    try {
+      const cacheCommand = require('../src/commands/cache');
+      await cacheCommand('clear', options);
+    } catch (error) {
+      ErrorHandler.handle(error, 'cache command');
+    }
+  });
+
+program
+  .command('usage')
+  .description('Show character usage by voice, command and day against the quota and budgets')
+  .option('-d, --days <n>', 'days of recorded usage to break down', '30')
+  .option('-o, --output <file>', 'save the report as JSON')
+  .action(async (options) => {
+    try {
+      const usageCommand = require('../src/commands/usage');
+      await usageCommand(options);
+    } catch (error) {
+      ErrorHandler.handle(error, 'usage command');
+    }
+  });
+
+// Additional utility commands
+const config = program
   .command('config')
   .description('Manage configuration settings')
   .option('--show', 'show current configuration')
   .option('--set <key=value>', 'set configuration value')
   .option('--reset', 'reset to default configuration')
+  .option('--describe [key]', 'describe configuration keys: type, allowed values, default and env variable')
+  .option('-i, --interactive', 'set common options through prompts')
   .action(async (options) => {
     try {
       const configCommand = require('../src/commands/config');
@@ -200,11 +390,127 @@ program
     }
   });
 
+const profiles = config
+  .command('profiles')
+  .description('Manage named profiles (API key, base URL and other settings per environment)');
+
+profiles
+  .command('list')
+  .description('List profiles from the user and project config files')
+  .action(async (options) => {
+    try {
+      const { profilesCommand } = require('../src/commands/config');
+      await profilesCommand('list', null, options);
+    } catch (error) {
+      ErrorHandler.handle(error, 'config profiles');
+    }
+  });
+
+profiles
+  .command('use <name>')
+  .description('Make a profile the default')
+  .option('--project', 'pin the profile for this project only')
+  .action(async (name, options) => {
+    try {
+      const { profilesCommand } = require('../src/commands/config');
+      await profilesCommand('use', name, options);
+    } catch (error) {
+      ErrorHandler.handle(error, 'config profiles');
+    }
+  });
+
+profiles
+  .command('create <name>')
+  .description('Create a profile in the user config file')
+  .option('--api-key <key>', 'ElevenLabs API key for the profile')
+  .option('--base-url <url>', 'API base URL for the profile')
+  .option('--voice <voice>', 'default voice ID for the profile')
+  .option('--from <profile>', 'start from a copy of another profile')
+  .action(async (name, options) => {
+    try {
+      const { profilesCommand } = require('../src/commands/config');
+      await profilesCommand('create', name, options);
+    } catch (error) {
+      ErrorHandler.handle(error, 'config profiles');
+    }
+  });
+
+profiles
+  .command('delete <name>')
+  .description('Delete a profile from the user config file')
+  .option('-y, --yes', 'skip the confirmation prompt')
+  .action(async (name, options) => {
+    try {
+      const { profilesCommand } = require('../src/commands/config');
+      await profilesCommand('delete', name, options);
+    } catch (error) {
+      ErrorHandler.handle(error, 'config profiles');
+    }
+  });
+
+const auth = program
+  .command('auth')
+  .description('Keep API keys in an encrypted credential vault (one per profile)');
+
+auth
+  .command('login')
+  .description('Store an API key for the active profile in the vault')
+  .option('--api-key <key>', 'API key (prompted for when omitted)')
+  .option('--no-verify', 'store the key without checking it with the API')
+  .action(async (options) => {
+    try {
+      const authCommand = require('../src/commands/auth');
+      await authCommand('login', options);
+    } catch (error) {
+      ErrorHandler.handle(error, 'auth command');
+    }
+  });
+
+auth
+  .command('logout')
+  .description('Remove the active profile\'s key from the vault')
+  .option('--all', 'delete the whole vault')
+  .option('-y, --yes', 'skip the confirmation prompt for --all')
+  .action(async (options) => {
+    try {
+      const authCommand = require('../src/commands/auth');
+      await authCommand('logout', options);
+    } catch (error) {
+      ErrorHandler.handle(error, 'auth command');
+    }
+  });
+
+auth
+  .command('rotate')
+  .description('Re-encrypt the vault under a new passphrase')
+  .action(async (options) => {
+    try {
+      const authCommand = require('../src/commands/auth');
+      await authCommand('rotate', options);
+    } catch (error) {
+      ErrorHandler.handle(error, 'auth command');
+    }
+  });
+
+auth
+  .command('whoami')
+  .description('Show which API key is in use, where it came from and whose account it is')
+  .option('--offline', 'do not ask the API about the account')
+  .action(async (options) => {
+    try {
+      const authCommand = require('../src/commands/auth');
+      await authCommand('whoami', options);
+    } catch (error) {
+      ErrorHandler.handle(error, 'auth command');
+    }
+  });
+
 program
   .command('status')
   .description('Show application status and health check')
   .option('--api', 'check API connectivity')
   .option('--cursor', 'check Cursor CLI availability')
+  .option('--network', 'show the route (proxy, CA bundle) API and WebSocket traffic takes, and try it')
   .action(async (options) => {
     try {
       const statusCommand = require('../src/commands/status');
@@ -723,6 +723,7 @@ class UniversalElevenCLI {
     console.log(chalk.white('\nVoice Synthesis:'));
     console.log(chalk.gray('  synthesize -t <text> -o <file>  - Synthesize text to speech'));
     console.log(chalk.gray('  transcribe -i <file>             - Transcribe audio to text'));
+    console.log(chalk.gray('  transcribe -i <file> -f md --diarize - Meeting notes with speakers'));
     console.log(chalk.gray('  clone -n <name> -f <files>       - Clone voice from samples'));
     console.log(chalk.gray('  list-voices                       - List available voices'));
     console.log(chalk.gray('  realtime -v <voice> -d <sec>     - Start real-time processing'));
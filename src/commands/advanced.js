@@ -46,14 +46,8 @@ class AdvancedCommand {
       });
 
       // Initialize API client
-      this.apiClient = new APIClient({
-        baseURL: config.elevenApiBaseUrl,
-        apiKey: config.elevenApiKey,
-        timeout: config.requestTimeout,
-        maxRetries: config.maxRetries,
-        maxConcurrent: 10,
-        cacheSize: 50 * 1024 * 1024 // 50MB
-      });
+      // Shared with the other commands so the dashboard reflects real CLI traffic
+      this.apiClient = APIClient.shared(config);
 
       // Initialize plugin manager
       this.pluginManager = new PluginManager({
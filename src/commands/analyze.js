@@ -1,5 +1,3 @@
-const axios = require('axios');
-const fs = require('fs');
 const path = require('path');
 const chalk = require('chalk').default;
 const ora = require('ora').default;
@@ -10,42 +8,89 @@ const Logger = require('../lib/logger');
 const FileManager = require('../lib/file-manager');
 const ConfigManager = require('../lib/config-manager');
 const ErrorHandler = require('../lib/error-handler');
+const APIClient = require('../lib/api-client');
+const AudioCache = require('../lib/audio-cache');
+const UsageTracker = require('../lib/usage-tracker');
+const AudioAnalyzer = require('../voice/audio-analyzer');
+const TranscriptScorer = require('../voice/transcript-scorer');
+const VoiceSynthesis = require('../voice/voice-synthesis');
+const VoiceRecognition = require('../voice/voice-recognition');
 
 const logger = new Logger();
 const fileManager = new FileManager();
 const configManager = new ConfigManager();
 
-// Voice analysis metrics
+// Measured voice metrics; `target` is the range a clean, well-paced speech sample falls in
+// and `tolerance` is how far outside it the score falls from 1 to 0
 const VOICE_METRICS = {
-  clarity: {
-    name: 'Clarity',
-    description: 'How clear and understandable the voice is',
-    range: [0, 1],
-    optimal: 0.8
+  loudness: {
+    name: 'Loudness',
+    description: 'Average (RMS) level of the audio',
+    unit: 'dBFS',
+    target: [-24, -14],
+    tolerance: 10,
+    measure: (audio) => audio.loudness,
+    advice: {
+      low: 'Normalise the output or enable speaker boost.',
+      high: 'Leave more headroom to avoid distortion on playback.'
+    }
   },
-  naturalness: {
-    name: 'Naturalness',
-    description: 'How natural and human-like the voice sounds',
-    range: [0, 1],
-    optimal: 0.85
+  clipping: {
+    name: 'Clipping',
+    description: 'Share of samples at full scale (audible distortion)',
+    unit: '%',
+    target: [0, 0.1],
+    tolerance: 1,
+    measure: (audio) => (audio.signal ? audio.clippingRatio * 100 : null),
+    advice: {
+      high: 'Lower style exaggeration or normalise the audio to leave headroom.'
+    }
   },
-  expressiveness: {
-    name: 'Expressiveness',
-    description: 'How expressive and emotional the voice is',
-    range: [0, 1],
-    optimal: 0.7
+  silence: {
+    name: 'Silence',
+    description: 'Share of the audio below the silence threshold',
+    unit: '%',
+    target: [5, 35],
+    tolerance: 30,
+    measure: (audio) => (audio.signal ? audio.silenceRatio * 100 : null),
+    advice: {
+      low: 'Add punctuation or <break> tags for more natural pauses.',
+      high: 'Trim <break> tags or raise stability for tighter delivery.'
+    }
+  },
+  speakingRate: {
+    name: 'Speaking Rate',
+    description: 'Words per second of speech, against the source text',
+    unit: 'words/s',
+    target: [2, 3.5],
+    tolerance: 1.5,
+    measure: (audio) => audio.speakingRate,
+    advice: {
+      low: 'Shorten pauses or raise style for a livelier pace.',
+      high: 'Add punctuation or <break> tags to slow the delivery down.'
+    }
   },
-  consistency: {
-    name: 'Consistency',
-    description: 'How consistent the voice quality is',
-    range: [0, 1],
-    optimal: 0.9
+  noise: {
+    name: 'Noise',
+    description: 'Spectral flatness of speech (0 = clean tone, 1 = noise)',
+    unit: '',
+    target: [0, 0.3],
+    tolerance: 0.3,
+    measure: (audio) => audio.spectralFlatness,
+    advice: {
+      high: 'Raise stability and similarity, or re-record cloning samples in a quieter room.'
+    }
   },
   pronunciation: {
     name: 'Pronunciation',
-    description: 'How accurate the pronunciation is',
-    range: [0, 1],
-    optimal: 0.9
+    description: 'Word error rate when the audio is transcribed back (--round-trip)',
+    unit: '% WER',
+    target: [0, 5],
+    tolerance: 25,
+    measure: (audio) => (audio.intelligibility ? audio.intelligibility.wer * 100 : null),
+    advice: {
+      high: 'Add misheard words to the pronunciation lexicon or raise stability.'
+    }
   }
 };
 
@@ -55,85 +100,93 @@ const ANALYSIS_PRESETS = {
     name: 'General Purpose',
     description: 'Good for most applications',
     weights: {
-      clarity: 0.3,
-      naturalness: 0.3,
-      expressiveness: 0.2,
-      consistency: 0.2
+      loudness: 0.2,
+      clipping: 0.2,
+      silence: 0.2,
+      speakingRate: 0.2,
+      noise: 0.2,
+      pronunciation: 0.2
     }
   },
   professional: {
     name: 'Professional',
     description: 'Business and professional applications',
     weights: {
-      clarity: 0.4,
-      naturalness: 0.3,
-      expressiveness: 0.1,
-      consistency: 0.2
+      loudness: 0.2,
+      clipping: 0.3,
+      silence: 0.1,
+      speakingRate: 0.15,
+      noise: 0.25,
+      pronunciation: 0.3
     }
   },
   creative: {
     name: 'Creative',
     description: 'Creative and artistic applications',
     weights: {
-      clarity: 0.2,
-      naturalness: 0.2,
-      expressiveness: 0.4,
-      consistency: 0.2
+      loudness: 0.2,
+      clipping: 0.3,
+      silence: 0.1,
+      speakingRate: 0.1,
+      noise: 0.3,
+      pronunciation: 0.1
     }
   },
   educational: {
     name: 'Educational',
     description: 'Educational and instructional content',
     weights: {
-      clarity: 0.4,
-      naturalness: 0.2,
-      expressiveness: 0.1,
-      consistency: 0.3
+      loudness: 0.15,
+      clipping: 0.2,
+      silence: 0.2,
+      speakingRate: 0.3,
+      noise: 0.15,
+      pronunciation: 0.3
     }
   }
 };
 
+// Samples are requested as raw PCM so every signal metric can be measured without a decoder
+const ANALYSIS_SAMPLE_RATE = 22050;
+
+const audioAnalyzer = new AudioAnalyzer();
+const transcriptScorer = new TranscriptScorer();
+
 /**
  * Analyze voice quality using ElevenLabs API
  * @param {string} voiceId - Voice ID to analyze
  * @param {string} text - Sample text for analysis
  * @param {Object} settings - Voice settings to test
+ * @param {Object} options - `preset`, and `roundTrip` to score intelligibility
  * @returns {Promise<Object>} Analysis results
  */
-async function analyzeVoiceQuality(voiceId, text, settings) {
+async function analyzeVoiceQuality(voiceId, text, settings, options = {}) {
   const spinner = ora('Analyzing voice quality...').start();
   
   try {
     const config = configManager.loadConfig();
+    const synthesis = new VoiceSynthesis({
+      client: APIClient.shared(config),
+      voiceId,
+      modelId: 'eleven_monolingual_v1',
+      cache: AudioCache.fromConfig(config),
+      usage: UsageTracker.shared(config)
+    });
     
     // Generate sample audio
-    const response = await axios.post(
-      `${config.elevenApiBaseUrl}/text-to-speech/${voiceId}`,
-      {
-        text: text,
-        model_id: 'eleven_monolingual_v1',
-        voice_settings: settings
-      },
-      {
-        headers: {
-          'xi-api-key': config.elevenApiKey,
-          'Content-Type': 'application/json'
-        },
-        responseType: 'arraybuffer',
-        timeout: config.requestTimeout
-      }
-    );
+    const audioBuffer = await synthesis.synthesize(text, {
+      voiceSettings: settings,
+      outputFormat: `pcm_${ANALYSIS_SAMPLE_RATE}`
+    });
 
-    // Save sample for analysis
-    const sampleFile = path.join(fileManager.getTempDir(), `analysis-sample-${Date.now()}.mp3`);
-    await fileManager.ensureDir(fileManager.getTempDir());
-    await fileManager.writeFile(sampleFile, response.data);
+    const audio = audioAnalyzer.analyzePcm(audioBuffer, { sampleRate: ANALYSIS_SAMPLE_RATE, text });
+    if (options.roundTrip) {
+      spinner.text = 'Transcribing sample to score pronunciation...';
+      const wav = AudioAnalyzer.toWav(audioBuffer, { sampleRate: ANALYSIS_SAMPLE_RATE });
+      audio.intelligibility = await measureIntelligibility(wav, text, config, 'analysis-sample.wav');
+    }
 
-    // Perform analysis (simulated - in real implementation, you'd use audio analysis libraries)
-    const analysis = await performAudioAnalysis(sampleFile, text);
-    
-    // Clean up sample file
-    await fileManager.remove(sampleFile);
+    const analysis = performAudioAnalysis(audio, { preset: options.preset, fileSize: audioBuffer.length });
 
     spinner.succeed('Voice analysis completed');
     
@@ -146,45 +199,97 @@ async function analyzeVoiceQuality(voiceId, text, settings) {
 }
 
 /**
- * Perform audio analysis (simulated)
+ * Analyze an existing WAV or MP3 file
  * @param {string} audioFile - Path to audio file
- * @param {string} text - Original text
+ * @param {string} text - Source text, used for speaking rate and round-trip scoring (optional)
+ * @param {Object} options - `preset`, and `roundTrip` to score intelligibility
  * @returns {Promise<Object>} Analysis results
  */
-async function performAudioAnalysis(audioFile, text) {
-  // In a real implementation, you would use audio analysis libraries like:
-  // - Web Audio API
-  // - FFmpeg
-  // - Audio analysis services
-  // For now, we'll simulate the analysis
-  
-  const stats = await fileManager.stat(audioFile);
-  const duration = estimateAudioDuration(stats.size);
-  
-  // Simulate analysis metrics
+async function analyzeAudioFile(audioFile, text, options = {}) {
+  if (options.roundTrip && !text) {
+    throw ErrorHandler.createError('Round-trip scoring needs the source text: pass --text with the script that was read', 'MISSING_TEXT');
+  }
+
+  const spinner = ora(`Analyzing ${path.basename(audioFile)}...`).start();
+
+  try {
+    const audioBuffer = await fileManager.readFile(audioFile);
+    const audio = audioAnalyzer.analyze(audioBuffer, { text });
+    if (options.roundTrip) {
+      spinner.text = `Transcribing ${path.basename(audioFile)} to score pronunciation...`;
+      audio.intelligibility = await measureIntelligibility(audioBuffer, text, configManager.loadConfig(), path.basename(audioFile));
+    }
+
+    const analysis = performAudioAnalysis(audio, { preset: options.preset, fileSize: audioBuffer.length });
+    analysis.audioFile = audioFile;
+
+    spinner.succeed('Audio analysis completed');
+    return analysis;
+
+  } catch (error) {
+    spinner.fail('Audio analysis failed');
+    throw error;
+  }
+}
+
+/**
+ * Transcribe audio back to text and score it against the text that was synthesized
+ * @param {Buffer} audioBuffer - Encoded audio (WAV or MP3)
+ * @param {string} text - Reference text
+ * @param {Object} config - Loaded configuration
+ * @param {string} fileName - Upload file name, used by the API to detect the format
+ * @returns {Promise<Object>} Transcript with WER, CER and word alignment
+ */
+async function measureIntelligibility(audioBuffer, text, config, fileName) {
+  const recognition = new VoiceRecognition({ client: APIClient.shared(config) });
+  const result = await recognition.transcribeBuffer(audioBuffer, { fileName });
+  const transcript = result.text || '';
+
+  return { transcript, ...transcriptScorer.score(text, transcript) };
+}
+
+/**
+ * Score measured audio against the voice metrics
+ * @param {Object} audio - Measurements from AudioAnalyzer
+ * @param {Object} options - `preset` and `fileSize`
+ * @returns {Object} Analysis results
+ */
+function performAudioAnalysis(audio, options = {}) {
+  const weights = (ANALYSIS_PRESETS[options.preset] || ANALYSIS_PRESETS.general).weights;
+
   const analysis = {
-    audioFile: audioFile,
-    duration: duration,
-    fileSize: stats.size,
+    audio,
+    duration: audio.duration,
+    fileSize: options.fileSize,
     metrics: {},
     recommendations: [],
-    overallScore: 0
+    overallScore: null
   };
 
-  // Simulate metric analysis
   Object.keys(VOICE_METRICS).forEach(metric => {
     const metricConfig = VOICE_METRICS[metric];
-    const value = Math.random() * (metricConfig.range[1] - metricConfig.range[0]) + metricConfig.range[0];
+    const value = metricConfig.measure(audio);
+    if (!Number.isFinite(value)) {
+      return;
+    }
+
+    const score = scoreMetric(value, metricConfig);
     analysis.metrics[metric] = {
       value: parseFloat(value.toFixed(3)),
-      optimal: metricConfig.optimal,
-      status: value >= metricConfig.optimal ? 'good' : value >= metricConfig.optimal * 0.8 ? 'fair' : 'poor'
+      target: metricConfig.target,
+      score,
+      status: score >= 0.8 ? 'good' : score >= 0.5 ? 'fair' : 'poor',
+      direction: value < metricConfig.target[0] ? 'low' : value > metricConfig.target[1] ? 'high' : null
     };
   });
 
-  // Calculate overall score
-  const scores = Object.values(analysis.metrics).map(m => m.value);
-  analysis.overallScore = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+  // Weighted by the preset, over the metrics that could be measured
+  const scored = Object.keys(analysis.metrics);
+  const totalWeight = scored.reduce((sum, metric) => sum + (weights[metric] || 0), 0);
+  if (totalWeight > 0) {
+    const weighted = scored.reduce((sum, metric) => sum + analysis.metrics[metric].score * (weights[metric] || 0), 0);
+    analysis.overallScore = parseFloat((weighted / totalWeight).toFixed(3));
+  }
 
   // Generate recommendations
   generateRecommendations(analysis);
@@ -193,13 +298,15 @@ async function performAudioAnalysis(audioFile, text) {
 }
 
 /**
- * Estimate audio duration from file size
- * @param {number} fileSize - File size in bytes
- * @returns {number} Estimated duration in seconds
+ * Score a measured value: 1 inside the target range, falling linearly to 0 at the tolerance
+ * @param {number} value - Measured value
+ * @param {Object} metricConfig - Metric definition
+ * @returns {number} Score between 0 and 1
  */
-function estimateAudioDuration(fileSize) {
-  // Rough estimation: 1MB ≈ 1 minute for MP3
-  return Math.round((fileSize / 1024 / 1024) * 60);
+function scoreMetric(value, metricConfig) {
+  const [min, max] = metricConfig.target;
+  const distance = value < min ? min - value : value > max ? value - max : 0;
+  return parseFloat(Math.max(0, 1 - distance / metricConfig.tolerance).toFixed(3));
 }
 
 /**
@@ -212,26 +319,39 @@ function generateRecommendations(analysis) {
   Object.keys(analysis.metrics).forEach(metric => {
     const metricData = analysis.metrics[metric];
     const metricConfig = VOICE_METRICS[metric];
-    
-    if (metricData.status === 'poor') {
-      recommendations.push({
-        type: 'improvement',
-        metric: metric,
-        message: `${metricConfig.name} is below optimal. Consider adjusting voice settings.`,
-        priority: 'high'
-      });
-    } else if (metricData.status === 'fair') {
-      recommendations.push({
-        type: 'optimization',
-        metric: metric,
-        message: `${metricConfig.name} could be improved for better results.`,
-        priority: 'medium'
-      });
+    if (metricData.status === 'good' || !metricData.direction) {
+      return;
+    }
+
+    const [min, max] = metricConfig.target;
+    const measured = `${metricData.value}${metricConfig.unit ? ` ${metricConfig.unit}` : ''}`;
+    let advice = metricConfig.advice[metricData.direction] || '';
+    if (metric === 'pronunciation') {
+      const misheard = analysis.audio.intelligibility.alignment
+        .filter(step => step.type !== 'equal')
+        .slice(0, 5)
+        .map(step => step.type === 'insert' ? `+"${step.hypothesis}"` : `"${step.reference}"`);
+      advice = `Misheard: ${misheard.join(', ')}. ${advice}`;
     }
+
+    recommendations.push({
+      type: metricData.status === 'poor' ? 'improvement' : 'optimization',
+      metric: metric,
+      message: `${metricConfig.name} is too ${metricData.direction} (${measured}, target ${min} to ${max}). ${advice}`.trim(),
+      priority: metricData.status === 'poor' ? 'high' : 'medium'
+    });
   });
 
   // Add general recommendations
-  if (analysis.overallScore < 0.7) {
+  if (!analysis.audio.signal) {
+    recommendations.push({
+      type: 'general',
+      message: `Only container stats are available for ${analysis.audio.format.toUpperCase()}. Analyze a WAV file for loudness, clipping, silence, pace and noise.`,
+      priority: 'low'
+    });
+  }
+
+  if (analysis.overallScore !== null && analysis.overallScore < 0.7) {
     recommendations.push({
       type: 'general',
       message: 'Overall voice quality is below average. Consider using a different voice or adjusting settings.',
@@ -256,36 +376,52 @@ function generateRecommendations(analysis) {
  * @param {string} preset - Analysis preset used
  */
 function displayAnalysisResults(analysis, preset = 'general') {
+  const { audio } = analysis;
+
   console.log(chalk.cyan('\n📊 Voice Analysis Results:'));
   console.log(chalk.gray('─'.repeat(60)));
   
   // Overall score
-  const scoreColor = analysis.overallScore >= 0.8 ? chalk.green : 
-                    analysis.overallScore >= 0.6 ? chalk.yellow : chalk.red;
-  console.log(chalk.white(`Overall Score: ${scoreColor(analysis.overallScore.toFixed(3))}`));
+  if (analysis.overallScore !== null) {
+    const scoreColor = analysis.overallScore >= 0.8 ? chalk.green : 
+                      analysis.overallScore >= 0.6 ? chalk.yellow : chalk.red;
+    console.log(chalk.white(`Overall Score: ${scoreColor(analysis.overallScore.toFixed(3))}`));
+  }
   console.log(chalk.gray(`Preset: ${ANALYSIS_PRESETS[preset].name}`));
-  console.log(chalk.gray(`Duration: ${analysis.duration}s`));
+  console.log(chalk.gray(`Format: ${audio.format.toUpperCase()} ${audio.sampleRate} Hz, ${audio.channels === 1 ? 'mono' : `${audio.channels} channels`}`));
+  console.log(chalk.gray(`Duration: ${analysis.duration.toFixed(2)}s`));
+  console.log(chalk.gray(`Bitrate: ${Math.round(audio.bitrate / 1000)} kbps${audio.vbr ? ' (VBR)' : ''}`));
   console.log(chalk.gray(`File Size: ${(analysis.fileSize / 1024).toFixed(2)}KB`));
+  if (audio.signal) {
+    console.log(chalk.gray(`Peak: ${audio.peak} dBFS | Noise Floor: ${audio.noiseFloor} dBFS`));
+  }
   
   // Metrics
-  console.log(chalk.cyan('\n📈 Detailed Metrics:'));
-  console.log(chalk.gray('─'.repeat(60)));
+  if (Object.keys(analysis.metrics).length > 0) {
+    console.log(chalk.cyan('\n📈 Detailed Metrics:'));
+    console.log(chalk.gray('─'.repeat(60)));
+  }
   
   Object.keys(analysis.metrics).forEach(metric => {
     const metricData = analysis.metrics[metric];
     const metricConfig = VOICE_METRICS[metric];
+    const unit = metricConfig.unit ? ` ${metricConfig.unit}` : '';
     
     const statusColor = metricData.status === 'good' ? chalk.green :
                        metricData.status === 'fair' ? chalk.yellow : chalk.red;
     const statusIcon = metricData.status === 'good' ? '✅' :
                       metricData.status === 'fair' ? '⚠️' : '❌';
     
-    console.log(chalk.white(`${statusIcon} ${metricConfig.name}: ${statusColor(metricData.value.toFixed(3))}`));
+    console.log(chalk.white(`${statusIcon} ${metricConfig.name}: ${statusColor(`${metricData.value}${unit}`)}`));
     console.log(chalk.gray(`   ${metricConfig.description}`));
-    console.log(chalk.gray(`   Optimal: ${metricConfig.optimal} | Status: ${metricData.status}`));
+    console.log(chalk.gray(`   Target: ${metricConfig.target[0]} to ${metricConfig.target[1]}${unit} | Score: ${metricData.score.toFixed(2)} | Status: ${metricData.status}`));
     console.log('');
   });
 
+  if (audio.intelligibility) {
+    displayIntelligibility(audio.intelligibility);
+  }
+
   // Recommendations
   if (analysis.recommendations.length > 0) {
     console.log(chalk.yellow('\n💡 Recommendations:'));
@@ -308,6 +444,31 @@ function displayAnalysisResults(analysis, preset = 'general') {
   }
 }
 
+/**
+ * Display the round-trip transcript as a word diff against the source text
+ * @param {Object} intelligibility - Round-trip scoring results
+ */
+function displayIntelligibility(intelligibility) {
+  const { wer, cer, substitutions, deletions, insertions, referenceWords } = intelligibility;
+
+  console.log(chalk.cyan('🗣️  Round-trip Intelligibility:'));
+  console.log(chalk.gray('─'.repeat(60)));
+  console.log(chalk.white(`WER: ${(wer * 100).toFixed(1)}% | CER: ${(cer * 100).toFixed(1)}%`));
+  console.log(chalk.gray(`${substitutions} substituted, ${deletions} missing, ${insertions} extra out of ${referenceWords} words`));
+  console.log(chalk.gray(`Heard: "${intelligibility.transcript}"`));
+
+  // [said → heard] substitutions, [-said] missing words, [+heard] extra words
+  const diff = intelligibility.alignment.map(step => {
+    switch (step.type) {
+      case 'equal': return chalk.white(step.reference);
+      case 'substitute': return chalk.red(`[${step.reference} → ${step.hypothesis}]`);
+      case 'delete': return chalk.red(`[-${step.reference}]`);
+      default: return chalk.yellow(`[+${step.hypothesis}]`);
+    }
+  });
+  console.log(`${diff.join(' ')}\n`);
+}
+
 /**
  * Interactive voice analysis setup
  * @returns {Promise<Object>} Analysis configuration
@@ -321,11 +482,8 @@ async function interactiveAnalysisSetup() {
   // Get available voices
   let voices = [];
   try {
-    const response = await axios.get(`${config.elevenApiBaseUrl}/voices`, {
-      headers: { 'xi-api-key': config.elevenApiKey },
-      timeout: config.requestTimeout
-    });
-    voices = response.data.voices || [];
+    const data = await APIClient.shared(config).get('/voices');
+    voices = data.voices || [];
   } catch (error) {
     logger.warn('Could not fetch voices, using default');
   }
@@ -369,6 +527,12 @@ async function interactiveAnalysisSetup() {
       })),
       default: 'general'
     },
+    {
+      type: 'confirm',
+      name: 'roundTrip',
+      message: 'Transcribe the sample back to score pronunciation?',
+      default: false
+    },
     {
       type: 'confirm',
       name: 'saveResults',
@@ -383,6 +547,7 @@ async function interactiveAnalysisSetup() {
     voiceId: answers.voiceId,
     text: answers.text,
     preset: answers.preset,
+    roundTrip: answers.roundTrip,
     saveResults: answers.saveResults
   };
 }
@@ -402,6 +567,8 @@ async function saveAnalysisResults(analysis, preset) {
     overallScore: analysis.overallScore,
     duration: analysis.duration,
     fileSize: analysis.fileSize,
+    audioFile: analysis.audioFile,
+    audio: analysis.audio,
     metrics: analysis.metrics,
     recommendations: analysis.recommendations
   };
@@ -421,7 +588,22 @@ async function analyzeCommand(options = {}) {
   try {
     logger.info('📊 Analyzing voice quality...');
 
-    // Validate configuration
+    const preset = ANALYSIS_PRESETS[options.preset] ? options.preset : 'general';
+
+    // Existing audio file: analyzed locally, no API access needed
+    if (options.file) {
+      const analysis = await analyzeAudioFile(options.file, options.text, { preset, roundTrip: options.roundTrip });
+      displayAnalysisResults(analysis, preset);
+
+      if (options.save) {
+        const outputFile = await saveAnalysisResults(analysis, preset);
+        logger.success(`Analysis results saved to: ${outputFile}`);
+      }
+      return;
+    }
+
+    // Load and validate configuration
+    configManager.loadConfig();
     if (!configManager.isValid()) {
       throw ErrorHandler.createError(
         'Invalid configuration. Please check your settings.',
@@ -436,12 +618,11 @@ async function analyzeCommand(options = {}) {
       // Command line mode
       const voiceId = options.voice || configManager.get('defaultVoiceId');
       const text = options.text || 'The quick brown fox jumps over the lazy dog. This is a test of voice quality.';
-      const preset = options.preset || 'general';
-      
       config = {
         voiceId,
         text,
         preset,
+        roundTrip: options.roundTrip || false,
         saveResults: options.save || false
       };
     }
@@ -458,7 +639,8 @@ async function analyzeCommand(options = {}) {
     const analysis = await analyzeVoiceQuality(
       config.voiceId,
       config.text,
-      voiceSettings
+      voiceSettings,
+      { preset: config.preset, roundTrip: config.roundTrip }
     );
 
     // Display results
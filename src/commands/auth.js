@@ -0,0 +1,268 @@
+const chalk = require('chalk').default;
+const inquirer = require('inquirer').default;
+const ora = require('ora').default;
+
+// Import utilities
+const Logger = require('../lib/logger');
+const ConfigManager = require('../lib/config-manager');
+const ErrorHandler = require('../lib/error-handler');
+const APIClient = require('../lib/api-client');
+const CredentialVault = require('../lib/credential-vault');
+const UsageTracker = require('../lib/usage-tracker');
+
+const logger = new Logger();
+const configManager = new ConfigManager();
+
+const MIN_PASSPHRASE_LENGTH = 8;
+
+/**
+ * Ask for a passphrase, twice when choosing a new one
+ * @param {string} message - Prompt
+ * @param {boolean} confirm - Ask again and require a match
+ * @returns {Promise<string>} Passphrase
+ */
+async function askPassphrase(message, confirm = false) {
+  if (!process.stdin.isTTY) {
+    throw ErrorHandler.createError('The credential vault needs a passphrase: set ELEVEN_VAULT_PASSPHRASE or run in a terminal', 'VAULT_LOCKED');
+  }
+
+  const { passphrase } = await inquirer.prompt([{
+    type: 'password',
+    name: 'passphrase',
+    mask: '*',
+    message,
+    validate: (input) => !confirm || input.length >= MIN_PASSPHRASE_LENGTH || `Use at least ${MIN_PASSPHRASE_LENGTH} characters`
+  }]);
+
+  if (confirm) {
+    const { again } = await inquirer.prompt([{ type: 'password', name: 'again', mask: '*', message: 'Repeat passphrase:' }]);
+    if (again !== passphrase) {
+      throw ErrorHandler.createError('Passphrases do not match', 'INVALID_OPTION');
+    }
+  }
+
+  return passphrase;
+}
+
+/**
+ * Unlock the shared vault, asking for the passphrase (or a new one when there is no vault yet)
+ * @param {Object} options - `{ create }` to allow starting a new vault
+ * @returns {Promise<CredentialVault>} Unlocked vault
+ */
+async function unlockVault(options = {}) {
+  const vault = CredentialVault.shared();
+  if (vault.isUnlocked()) return vault;
+
+  if (!vault.exists()) {
+    if (!options.create) {
+      throw ErrorHandler.createError(`No credential vault at ${vault.path}. Store a key with: eleven auth login`, 'VAULT_LOCKED');
+    }
+    vault.unlock(process.env.ELEVEN_VAULT_PASSPHRASE || await askPassphrase('Choose a vault passphrase:', true));
+    return vault;
+  }
+
+  vault.unlock(await askPassphrase(`Passphrase for ${vault.path}:`));
+  return vault;
+}
+
+/**
+ * Profile the auth commands act on
+ * @returns {string} Active profile, or the vault's default entry
+ */
+function currentProfile() {
+  return configManager.getActiveProfile()?.name || CredentialVault.DEFAULT_PROFILE;
+}
+
+/**
+ * Ask the API who a key belongs to
+ * @param {Object} config - Configuration with elevenApiKey and elevenApiBaseUrl
+ * @returns {Promise<Object>} `{ userId, name, tier, used, limit }`
+ */
+async function fetchAccount(config) {
+  const client = APIClient.fromConfig(config);
+  try {
+    const user = await client.get('/user', { cache: false });
+    const subscription = await UsageTracker.fetchSubscription(client);
+    return {
+      userId: user.user_id,
+      name: user.first_name || null,
+      tier: subscription.tier,
+      used: subscription.used,
+      limit: subscription.limit
+    };
+  } catch (error) {
+    if (error.response?.status === 401) {
+      throw ErrorHandler.createError('The API rejected this key (401). Check it in your ElevenLabs profile settings', 'INVALID_API_KEY');
+    }
+    throw error;
+  } finally {
+    await client.destroy();
+  }
+}
+
+/**
+ * Store an API key for the active profile in the vault
+ * @param {Object} options - `{ apiKey, verify }`
+ * @returns {Promise<Object>} `{ profile, account }`
+ */
+async function login(options) {
+  const profile = currentProfile();
+  let apiKey = options.apiKey;
+
+  if (!apiKey) {
+    ({ apiKey } = await inquirer.prompt([{
+      type: 'password',
+      name: 'apiKey',
+      mask: '*',
+      message: `ElevenLabs API key for ${profile}:`,
+      validate: (input) => configManager._isValidApiKey(input.trim()) || 'That does not look like an ElevenLabs API key'
+    }]));
+    apiKey = apiKey.trim();
+  }
+
+  if (!configManager._isValidApiKey(apiKey)) {
+    throw ErrorHandler.createError('Invalid ElevenLabs API key format', 'INVALID_OPTION');
+  }
+
+  let account = null;
+  if (options.verify !== false) {
+    const spinner = ora('Checking the key with the API...').start();
+    try {
+      const config = configManager.loadConfig({ validate: false });
+      account = await fetchAccount({ ...config, elevenApiKey: apiKey });
+      spinner.succeed(`Key belongs to ${account.name || account.userId} (${account.tier})`);
+    } catch (error) {
+      spinner.fail('Key check failed');
+      throw error;
+    }
+  }
+
+  const vault = await unlockVault({ create: true });
+  const replaced = vault.has(profile);
+  await vault.set(profile, apiKey);
+  logger.success(`${replaced ? 'Replaced' : 'Stored'} the API key for ${profile} in ${vault.path}`);
+
+  const cleaned = await configManager.removePlaintextKeys(profile === CredentialVault.DEFAULT_PROFILE ? null : profile);
+  cleaned.forEach(filePath => logger.info(`Removed the plaintext API key from ${filePath}`));
+
+  return { profile, account };
+}
+
+/**
+ * Remove the active profile's key, or the whole vault
+ * @param {Object} options - `{ all, yes }`
+ * @returns {Promise<boolean>} Whether anything was removed
+ */
+async function logout(options) {
+  const vault = CredentialVault.shared();
+  if (!vault.exists()) {
+    logger.info('No credential vault; nothing to log out of');
+    return false;
+  }
+
+  if (options.all) {
+    if (!options.yes) {
+      const { confirm } = await inquirer.prompt([{
+        type: 'confirm',
+        name: 'confirm',
+        message: `Delete every key in ${vault.path} (${vault.getProfiles().join(', ')})?`,
+        default: false
+      }]);
+      if (!confirm) {
+        logger.info('Logout cancelled');
+        return false;
+      }
+    }
+    await vault.destroy();
+    logger.success('Deleted the credential vault');
+    return true;
+  }
+
+  const profile = currentProfile();
+  if (!vault.has(profile)) {
+    logger.info(`No key stored for ${profile}`);
+    return false;
+  }
+
+  await unlockVault();
+  await vault.remove(profile);
+  logger.success(`Removed the API key for ${profile}`);
+  return true;
+}
+
+/**
+ * Re-encrypt the vault under a new passphrase
+ * @returns {Promise<void>}
+ */
+async function rotate() {
+  const vault = await unlockVault();
+  await vault.rotate(await askPassphrase('New vault passphrase:', true));
+  logger.success(`Re-encrypted ${vault.getProfiles().length} key(s) under the new passphrase`);
+  if (process.env.ELEVEN_VAULT_PASSPHRASE) {
+    logger.warn('ELEVEN_VAULT_PASSPHRASE still holds the old passphrase; update it');
+  }
+}
+
+/**
+ * Show which key is in use, where it came from and whose account it is
+ * @param {Object} options - `{ offline }` to skip the API call
+ * @returns {Promise<Object>} `{ profile, source, apiKey, baseUrl, account }`
+ */
+async function whoami(options) {
+  const vault = CredentialVault.shared();
+  if (vault.has(configManager.getActiveProfile()?.name) && !vault.isUnlocked()) {
+    await unlockVault();
+  }
+
+  const config = configManager.loadConfig();
+  const profile = configManager.getActiveProfile();
+  const result = {
+    profile: profile ? profile.name : null,
+    source: configManager.getSource('elevenApiKey'),
+    apiKey: ConfigManager.maskApiKey(config.elevenApiKey),
+    baseUrl: config.elevenApiBaseUrl,
+    account: null
+  };
+
+  console.log(chalk.cyan('🔑 Credentials'));
+  console.log(chalk.gray('─'.repeat(50)));
+  console.log(chalk.white(`${'Profile'.padEnd(14)}: ${chalk.gray(result.profile || 'none')}`));
+  console.log(chalk.white(`${'API Key'.padEnd(14)}: ${chalk.gray(result.apiKey)} ${chalk.dim(`[${result.source}]`)}`));
+  console.log(chalk.white(`${'API Base URL'.padEnd(14)}: ${chalk.gray(result.baseUrl)}`));
+
+  if (result.source !== 'vault') {
+    logger.warn('This key is stored in plaintext; move it into the vault with: eleven auth login');
+  }
+
+  if (!options.offline) {
+    result.account = await fetchAccount(config);
+    console.log(chalk.white(`${'Account'.padEnd(14)}: ${chalk.gray(result.account.name ? `${result.account.name} (${result.account.userId})` : result.account.userId)}`));
+    console.log(chalk.white(`${'Plan'.padEnd(14)}: ${chalk.gray(result.account.tier)}`));
+    console.log(chalk.white(`${'Characters'.padEnd(14)}: ${chalk.gray(`${result.account.used} / ${result.account.limit}`)}`));
+  }
+
+  return result;
+}
+
+/**
+ * Main auth command function
+ * @param {string} action - login, logout, rotate or whoami
+ * @param {Object} options - Command options
+ * @returns {Promise<*>} Result of the action
+ */
+async function authCommand(action, options = {}) {
+  try {
+    if (action === 'login') return await login(options);
+    if (action === 'logout') return await logout(options);
+    if (action === 'rotate') return await rotate();
+    if (action === 'whoami') return await whoami(options);
+
+    throw ErrorHandler.createError(`Unknown auth action "${action}". Use login, logout, rotate or whoami`, 'INVALID_OPTION');
+
+  } catch (error) {
+    ErrorHandler.handle(error, 'auth command');
+  }
+}
+
+module.exports = authCommand;
+module.exports.unlockVault = unlockVault;
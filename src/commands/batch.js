@@ -0,0 +1,323 @@
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const chalk = require('chalk').default;
+const ora = require('ora').default;
+
+// Import utilities
+const Logger = require('../lib/logger');
+const FileManager = require('../lib/file-manager');
+const ConfigManager = require('../lib/config-manager');
+const ErrorHandler = require('../lib/error-handler');
+const APIClient = require('../lib/api-client');
+const AudioFormat = require('../lib/audio-format');
+const BatchJob = require('../voice/batch-job');
+const Transcript = require('../voice/transcript');
+const VoiceRecognition = require('../voice/voice-recognition');
+const { createSynthesis, reportCacheSavings } = require('./test');
+
+const logger = new Logger();
+const fileManager = new FileManager();
+const configManager = new ConfigManager();
+
+const STATE_FILE = 'batch-job.json';
+
+const TRANSCRIPT_EXTENSIONS = { text: '.txt', json: '.json', srt: '.srt', vtt: '.vtt', md: '.md' };
+
+/**
+ * Parse a positive integer option
+ * @param {string} value - Option value
+ * @param {string} name - Option name for the error message
+ * @param {number} min - Smallest allowed value
+ * @returns {number} Parsed value
+ */
+function parseCount(value, name, min) {
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < min) {
+    throw ErrorHandler.createError(`--${name} must be a whole number of at least ${min}`, 'INVALID_OPTION');
+  }
+  return parsed;
+}
+
+/**
+ * Read truthy manifest values: true, "true", "yes" or "1"
+ * @param {*} value - Manifest value
+ * @returns {boolean} Flag
+ */
+function parseFlag(value) {
+  return value === true || /^(true|yes|1)$/i.test(String(value ?? ''));
+}
+
+/**
+ * Transcript format for an item: its own `format`, its output extension, then the command default
+ * @param {Object} item - Transcription item
+ * @param {Object} options - Command options
+ * @returns {string|null} Canonical format
+ */
+function transcriptFormat(item, options) {
+  return Transcript.resolveFormat(item.format || (item.output ? path.extname(item.output).slice(1) : options.format || 'text'));
+}
+
+/**
+ * Check every row before any credits are spent
+ * @param {Array<Object>} items - Job items
+ * @param {Object} options - Command options
+ * @param {Object} config - Loaded configuration
+ */
+function validateItems(items, options, config) {
+  for (const item of items) {
+    try {
+      if (item.type === 'synthesize') {
+        AudioFormat.output(item.outputFormat || config.outputFormat);
+      } else if (!transcriptFormat(item, options)) {
+        throw new Error(`Unknown transcript format. Use one of: ${Transcript.FORMATS.join(', ')}`);
+      }
+    } catch (error) {
+      throw ErrorHandler.createError(`Manifest item "${item.id}": ${error.message}`, 'INVALID_MANIFEST');
+    }
+  }
+}
+
+/**
+ * Default output directory for a manifest: its full file name plus a short hash of its resolved path,
+ * so jobs.csv and jobs.jsonl, or two jobs.csv in different folders, never share progress
+ * @param {string} manifestPath - Resolved manifest path
+ * @returns {string} Output directory
+ */
+function defaultOutputDir(manifestPath) {
+  const hash = crypto.createHash('sha256').update(manifestPath).digest('hex').substring(0, 8);
+  return path.join(fileManager.getOutputDir(), `${path.basename(manifestPath)}-${hash}`);
+}
+
+/**
+ * Build the function that runs one manifest item
+ * @param {Object} context - `{ config, options, outputDir, manifestDir, synthesis, recognition }`
+ * @returns {Function} BatchJob worker
+ */
+function createWorker({ config, options, outputDir, manifestDir, synthesis, recognition }) {
+  const outputPath = (item, extension) => path.resolve(outputDir, item.output || `${item.id}${extension}`);
+
+  return async (item, { request }) => {
+    if (item.type === 'synthesize') {
+      const outputFormat = item.outputFormat || synthesis.outputFormat;
+      const outputFile = outputPath(item, AudioFormat.extension(outputFormat));
+
+      await synthesis.synthesizeToFile(item.text, outputFile, {
+        voiceId: item.voice || options.voice || config.defaultVoiceId,
+        modelId: item.model,
+        outputFormat,
+        request
+      });
+      return { output: outputFile, characters: item.text.length };
+    }
+
+    const format = transcriptFormat(item, options);
+    const outputFile = outputPath(item, TRANSCRIPT_EXTENSIONS[format]);
+    const transcript = await recognition.transcribe(path.resolve(manifestDir, item.audio), {
+      language: item.language,
+      diarize: parseFlag(item.diarize) || Boolean(item.speakers),
+      numSpeakers: item.speakers ? Number(item.speakers) : undefined,
+      keywords: item.keywords ? String(item.keywords).split(',').map(term => term.trim()).filter(Boolean) : [],
+      request
+    });
+
+    await fs.outputFile(outputFile, transcript.format(format, { title: path.basename(item.audio) }));
+    return { output: outputFile, duration: transcript.duration };
+  };
+}
+
+/**
+ * Print a job summary
+ * @param {Object} report - BatchJob report
+ * @param {string} outputDir - Job output directory
+ */
+function displayReport(report, outputDir) {
+  const seconds = (report.durationMs / 1000).toFixed(1);
+  const resumed = report.resumed > 0 ? chalk.gray(` (${report.resumed} from an earlier run)`) : '';
+
+  console.log(chalk.cyan('\n📦 Batch Summary'));
+  console.log(chalk.gray('─'.repeat(50)));
+  console.log(chalk.white(`${'Completed'.padEnd(12)}: ${chalk.green(`${report.completed}/${report.total}`)}${resumed}`));
+  console.log(chalk.white(`${'Failed'.padEnd(12)}: ${report.failed > 0 ? chalk.red(report.failed) : chalk.gray(0)}`));
+  console.log(chalk.white(`${'Pending'.padEnd(12)}: ${chalk.gray(report.pending)}`));
+  if (report.durationMs > 0) {
+    console.log(chalk.white(`${'Time'.padEnd(12)}: ${chalk.gray(`${seconds}s`)}`));
+  }
+  console.log(chalk.white(`${'Output'.padEnd(12)}: ${chalk.gray(outputDir)}`));
+
+  if (report.failures.length > 0) {
+    console.log(chalk.red('\nFailures:'));
+    report.failures.forEach(({ id, error, attempts }) => {
+      console.log(chalk.white(`  ${id}`) + chalk.gray(` (${attempts} attempt${attempts === 1 ? '' : 's'}): ${error}`));
+    });
+  }
+}
+
+/**
+ * Show saved progress without running anything
+ * @param {string} statePath - Job state file
+ * @param {string} outputDir - Job output directory
+ * @returns {Promise<void>}
+ */
+async function showStatus(statePath, outputDir) {
+  if (!await fs.pathExists(statePath)) {
+    logger.info(`No saved progress in ${outputDir}`);
+    return;
+  }
+
+  const state = await fs.readJson(statePath);
+  const items = Object.entries(state.items).map(([id, entry]) => ({ id, ...entry }));
+  const count = status => items.filter(item => item.status === status).length;
+
+  displayReport({
+    total: items.length,
+    completed: count('done'),
+    failed: count('failed'),
+    pending: items.length - count('done') - count('failed'),
+    resumed: 0,
+    durationMs: 0,
+    failures: items.filter(item => item.status === 'failed')
+  }, outputDir);
+  logger.info(`Last updated: ${new Date(state.updatedAt).toLocaleString()}`);
+}
+
+/**
+ * Main batch command function
+ * Runs a CSV or JSONL manifest of synthesis and transcription items. Progress is saved after every item,
+ * so rerunning the same command after a failure, crash or Ctrl-C only runs what is left.
+ * @param {Object} options - Command options
+ * @returns {Promise<Object|undefined>} Job report
+ */
+async function batchCommand(options = {}) {
+  try {
+    if (!options.manifest) {
+      throw ErrorHandler.createError('A manifest is required: eleven batch --manifest jobs.csv', 'INVALID_OPTION');
+    }
+
+    const manifestPath = path.resolve(options.manifest);
+    const outputDir = path.resolve(options.outputDir || defaultOutputDir(manifestPath));
+    const statePath = path.join(outputDir, STATE_FILE);
+
+    if (options.status) {
+      await showStatus(statePath, outputDir);
+      return undefined;
+    }
+
+    const concurrency = parseCount(options.concurrency || '3', 'concurrency', 1);
+    const retries = parseCount(options.retries ?? '2', 'retries', 0);
+
+    // Load and validate configuration
+    const config = configManager.loadConfig();
+    if (!configManager.isValid()) {
+      throw ErrorHandler.createError(
+        'Invalid configuration. Please check your settings.',
+        'INVALID_CONFIG'
+      );
+    }
+
+    let items;
+    try {
+      items = await BatchJob.loadManifest(manifestPath);
+    } catch (error) {
+      throw ErrorHandler.createError(error.message, error.code === 'ENOENT' ? 'ENOENT' : 'INVALID_MANIFEST');
+    }
+    if (items.length === 0) {
+      throw ErrorHandler.createError(`Manifest has no items: ${options.manifest}`, 'INVALID_MANIFEST');
+    }
+    validateItems(items, options, config);
+
+    if (options.restart) {
+      await fs.remove(statePath);
+    }
+
+    const client = APIClient.shared(config);
+    const synthesis = await createSynthesis(config, options, config.defaultVoiceId, 'eleven_multilingual_v2');
+    const recognition = new VoiceRecognition({ client });
+
+    const job = new BatchJob({
+      statePath,
+      concurrency,
+      retries,
+      client,
+      // A finished item whose output was deleted runs again
+      verify: (item, entry) => fs.pathExists(entry.result?.output || '')
+    });
+
+    const spinner = ora('Starting batch...').start();
+    const restoreInterrupt = ErrorHandler.interceptInterrupt(() => {
+      spinner.text = 'Cancelling; finished items are saved...';
+      job.cancel();
+    });
+
+    job.on('start', ({ total, resumed }) => {
+      spinner.text = `Running ${total - resumed} items${resumed > 0 ? ` (${resumed} already done)` : ''}...`;
+    });
+    job.on('itemComplete', ({ completed, failed, total }) => {
+      spinner.text = `Processed ${completed + failed}/${total} items`;
+    });
+    // A budget stop ends the run; the remaining items stay pending for a later run
+    let budgetError = null;
+    job.on('itemFailed', ({ item, error }) => {
+      logger.debug(`Item ${item.id} failed: ${error.message}`);
+      const budgetStop = !budgetError && ErrorHandler.findByCode(error, 'BUDGET_EXCEEDED');
+      if (budgetStop) {
+        budgetError = budgetStop;
+        job.cancel();
+      }
+    });
+    job.on('itemRetry', ({ item, attempt, delay }) => {
+      logger.debug(`Retrying ${item.id} in ${delay}ms (attempt ${attempt + 1})`);
+    });
+    job.on('throttled', ({ waitMs }) => {
+      spinner.text = `Rate limited; pausing for ${(waitMs / 1000).toFixed(1)}s...`;
+    });
+
+    let report;
+    try {
+      await fs.ensureDir(outputDir);
+      report = await job.run(items, createWorker({
+        config,
+        options,
+        outputDir,
+        manifestDir: path.dirname(manifestPath),
+        synthesis,
+        recognition
+      }));
+    } finally {
+      restoreInterrupt();
+    }
+
+    if (budgetError) {
+      spinner.fail(`Batch stopped at the character budget after ${report.completed}/${report.total} items`);
+    } else if (report.cancelled) {
+      spinner.warn(`Batch cancelled after ${report.completed}/${report.total} items; rerun the same command to resume`);
+    } else if (report.failed > 0) {
+      spinner.fail(`Batch finished with ${report.failed} failed item${report.failed === 1 ? '' : 's'}`);
+    } else {
+      spinner.succeed(`Batch completed: ${report.completed} items`);
+    }
+
+    displayReport(report, outputDir);
+    reportCacheSavings(synthesis);
+
+    if (options.report) {
+      await fs.outputJson(options.report, report, { spaces: 2 });
+      logger.success(`Report saved to: ${options.report}`);
+    }
+
+    if (budgetError) {
+      throw budgetError;
+    }
+
+    if (report.failed > 0 && !report.cancelled) {
+      throw ErrorHandler.createError(`${report.failed} item(s) failed; rerun the same command to retry them`, 'BATCH_FAILED');
+    }
+
+    return report;
+
+  } catch (error) {
+    ErrorHandler.handle(error, 'batch command');
+  }
+}
+
+module.exports = batchCommand;
@@ -0,0 +1,115 @@
+const chalk = require('chalk').default;
+const inquirer = require('inquirer').default;
+
+// Import utilities
+const Logger = require('../lib/logger');
+const ConfigManager = require('../lib/config-manager');
+const ErrorHandler = require('../lib/error-handler');
+const AudioCache = require('../lib/audio-cache');
+
+const logger = new Logger();
+const configManager = new ConfigManager();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Human readable size
+ */
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Parse a positive number option
+ * @param {string} value - Option value
+ * @param {string} name - Option name for the error message
+ * @returns {number} Parsed value
+ */
+function parsePositive(value, name) {
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed <= 0) {
+    throw ErrorHandler.createError(`--${name} must be a positive number`, 'INVALID_OPTION');
+  }
+  return parsed;
+}
+
+/**
+ * Print cache size and lifetime savings
+ * @param {AudioCache} cache - Audio cache
+ * @returns {Promise<Object>} Cache stats
+ */
+async function showStats(cache) {
+  const stats = await cache.getStats();
+
+  console.log(chalk.cyan('🗄️ Audio Cache'));
+  console.log(chalk.gray('─'.repeat(50)));
+  console.log(chalk.white(`${'Location'.padEnd(16)}: ${chalk.gray(stats.dir)}`));
+  console.log(chalk.white(`${'Entries'.padEnd(16)}: ${chalk.gray(stats.entries)}`));
+  console.log(chalk.white(`${'Size'.padEnd(16)}: ${chalk.gray(`${formatSize(stats.size)} / ${formatSize(stats.maxSize)}`)}`));
+  console.log(chalk.white(`${'Hit Rate'.padEnd(16)}: ${chalk.gray(`${stats.hitRate}% (${stats.hits} hits, ${stats.misses} misses)`)}`));
+  console.log(chalk.white(`${'Credits Saved'.padEnd(16)}: ${chalk.green(stats.charactersSaved)}`));
+  console.log(chalk.white(`${'Audio Reused'.padEnd(16)}: ${chalk.gray(formatSize(stats.bytesSaved))}`));
+
+  return stats;
+}
+
+/**
+ * Main cache command function
+ * @param {string} action - stats, prune or clear
+ * @param {Object} options - Command options
+ * @returns {Promise<Object|undefined>} Stats, or what was removed
+ */
+async function cacheCommand(action, options = {}) {
+  try {
+    const config = configManager.loadConfig();
+    // Managing the cache works even while caching is switched off for synthesis
+    const cache = AudioCache.fromConfig({ ...config, audioCache: true });
+
+    if (action === 'stats') {
+      if (config.audioCache === false) {
+        logger.warn('Audio caching is disabled (audioCache=false); stored audio is not being reused');
+      }
+      return await showStats(cache);
+    }
+
+    if (action === 'prune') {
+      const result = await cache.prune({
+        maxSize: options.maxSize ? parsePositive(options.maxSize, 'max-size') * 1024 * 1024 : undefined,
+        olderThan: options.olderThan ? parsePositive(options.olderThan, 'older-than') * DAY_MS : undefined
+      });
+      logger.success(`Pruned ${result.removed} entr${result.removed === 1 ? 'y' : 'ies'}, freed ${formatSize(result.freed)}`);
+      return result;
+    }
+
+    if (action === 'clear') {
+      if (!options.yes) {
+        const { confirm } = await inquirer.prompt([{
+          type: 'confirm',
+          name: 'confirm',
+          message: `Delete all cached audio in ${cache.dir}?`,
+          default: false
+        }]);
+
+        if (!confirm) {
+          logger.info('Cache clear cancelled');
+          return undefined;
+        }
+      }
+
+      const result = await cache.clear();
+      logger.success(`Cleared ${result.removed} entr${result.removed === 1 ? 'y' : 'ies'} (${formatSize(result.freed)})`);
+      return result;
+    }
+
+    throw ErrorHandler.createError(`Unknown cache action "${action}". Use stats, prune or clear`, 'INVALID_OPTION');
+
+  } catch (error) {
+    ErrorHandler.handle(error, 'cache command');
+  }
+}
+
+module.exports = cacheCommand;
@@ -1,4 +1,3 @@
-const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
 const chalk = require('chalk').default;
@@ -10,20 +9,18 @@ const Logger = require('../lib/logger');
 const FileManager = require('../lib/file-manager');
 const ConfigManager = require('../lib/config-manager');
 const ErrorHandler = require('../lib/error-handler');
+const APIClient = require('../lib/api-client');
+const AudioFormat = require('../lib/audio-format');
+const VoiceCloning = require('../voice/voice-cloning');
+const VoiceSampleSet = require('../voice/voice-sample-set');
+const VoiceManifest = require('../voice/voice-manifest');
+const SamplePreprocessor = require('../voice/sample-preprocessor');
+const { createSynthesis, reportCacheSavings } = require('./test');
 
 const logger = new Logger();
 const fileManager = new FileManager();
 const configManager = new ConfigManager();
 
-// Supported audio formats for voice cloning
-const SUPPORTED_FORMATS = [
-  { ext: '.mp3', mime: 'audio/mpeg', description: 'MP3 Audio' },
-  { ext: '.wav', mime: 'audio/wav', description: 'WAV Audio' },
-  { ext: '.m4a', mime: 'audio/mp4', description: 'M4A Audio' },
-  { ext: '.aac', mime: 'audio/aac', description: 'AAC Audio' },
-  { ext: '.ogg', mime: 'audio/ogg', description: 'OGG Audio' }
-];
-
 // Voice cloning quality presets
 const QUALITY_PRESETS = {
   standard: {
@@ -58,85 +55,252 @@ const QUALITY_PRESETS = {
   }
 };
 
+// Label values the voice library filters on; accent is free text
+const VOICE_LABELS = {
+  age: ['young', 'middle_aged', 'old'],
+  gender: ['female', 'male', 'neutral'],
+  use_case: ['narration', 'conversational', 'characters', 'news', 'social_media', 'meditation']
+};
+
+/**
+ * Collect the voice labels given on the command line
+ * @param {Object} options - Command options (accent, age, gender, useCase)
+ * @returns {Object} Labels keyed as the API expects
+ */
+function labelsFromOptions(options) {
+  const labels = {
+    accent: options.accent,
+    age: options.age,
+    gender: options.gender,
+    use_case: options.useCase
+  };
+
+  ['age', 'gender'].forEach(key => {
+    if (labels[key] && !VOICE_LABELS[key].includes(labels[key])) {
+      throw ErrorHandler.createError(`Invalid ${key} "${labels[key]}". Use: ${VOICE_LABELS[key].join(', ')}`, 'INVALID_OPTION');
+    }
+  });
+
+  return Object.fromEntries(Object.entries(labels).filter(([, value]) => value));
+}
+
+/**
+ * Find and check the samples for a voice
+ * @param {Array<string|Object>} inputs - Files, directories or globs, or `{ file, source }` from preprocessing
+ * @returns {Promise<VoiceSampleSet>} Checked samples
+ */
+async function loadSamples(inputs) {
+  const spinner = ora('Checking voice samples...').start();
+
+  try {
+    const samples = await new VoiceSampleSet().load(inputs);
+    const summary = samples.getSummary();
+    spinner.succeed(`Checked ${summary.samples} sample${summary.samples === 1 ? '' : 's'}`);
+    return samples;
+  } catch (error) {
+    spinner.fail('Could not read the voice samples');
+    throw ErrorHandler.createError(error.message, 'INVALID_OPTION');
+  }
+}
+
+/**
+ * Read a positive whole-number option
+ * @param {string|number} value - Option value
+ * @param {string} flag - Option name for the error
+ * @returns {number|undefined} Parsed value, undefined when not given
+ */
+function parseRate(value, flag) {
+  if (value === undefined) return undefined;
+  const rate = Number(value);
+  if (!Number.isInteger(rate) || rate < 8000 || rate > 192000) {
+    throw ErrorHandler.createError(`${flag} must be a sample rate in Hz between 8000 and 192000`, 'INVALID_OPTION');
+  }
+  return rate;
+}
+
+/**
+ * Clean up WAV and raw PCM recordings before they are checked: trim silence, split on
+ * pauses, drop clipped phrases, resample and normalize; other formats pass through as they are
+ * @param {Array<string>} inputs - Files, directories or globs
+ * @param {Object} options - `sampleRate` and `pcmRate` for SamplePreprocessor
+ * @returns {Promise<Array<Object>>} `{ file, source }` inputs for VoiceSampleSet
+ */
+async function preprocessSamples(inputs, options = {}) {
+  let found;
+  try {
+    found = await VoiceSampleSet.expand(inputs, process.cwd(), file => AudioFormat.input(file) || SamplePreprocessor.accepts(file));
+  } catch (error) {
+    throw ErrorHandler.createError(error.message, 'INVALID_OPTION');
+  }
+
+  const recordings = found.filter(({ file }) => SamplePreprocessor.accepts(file));
+  const passed = found.filter(({ file }) => !SamplePreprocessor.accepts(file));
+  if (recordings.length === 0) {
+    logger.warn('No WAV or PCM samples to preprocess; uploading the samples as they are');
+    return passed;
+  }
+
+  const preprocessor = new SamplePreprocessor({
+    sampleRate: parseRate(options.sampleRate, '--sample-rate'),
+    pcmRate: parseRate(options.pcmRate, '--pcm-rate')
+  });
+  const spinner = ora(`Preprocessing ${recordings.length} recording${recordings.length === 1 ? '' : 's'}...`).start();
+  const reports = await preprocessor.processAll(recordings.map(({ file }) => file));
+  spinner.succeed(`Preprocessed ${recordings.length} recording${recordings.length === 1 ? '' : 's'}`);
+  displayPreprocessing(reports, preprocessor.outputDir);
+
+  // Each segment keeps the recording and time range it came from for the manifest
+  const segments = reports.flatMap(report => report.segments.map(segment => ({
+    file: segment.file,
+    source: `${path.relative(process.cwd(), report.file) || report.file} [${segment.start}s-${segment.end}s]`
+  })));
+  if (segments.length === 0 && passed.length === 0) {
+    throw ErrorHandler.createError('No usable audio left after preprocessing', 'INVALID_OPTION');
+  }
+  return [...passed, ...segments];
+}
+
+/**
+ * Show each recording before and after preprocessing, with its segments and what was dropped
+ * @param {Array<Object>} reports - SamplePreprocessor reports
+ * @param {string} outputDir - Where the processed samples were written
+ */
+function displayPreprocessing(reports, outputDir) {
+  const level = value => `${value.toFixed(1)} dB`;
+
+  console.log(chalk.cyan('\n🎚️ Preprocessing:'));
+  console.log(chalk.gray('─'.repeat(70)));
+
+  reports.forEach(report => {
+    const name = path.relative(process.cwd(), report.file) || report.file;
+    if (report.error) {
+      console.log(chalk.red(`  ✗ ${name}`));
+      console.log(chalk.red(`      ${report.error}`));
+      return;
+    }
+
+    const { before, after } = report;
+    console.log(chalk.white(`  ${name}`));
+    console.log(chalk.gray(`      before: ${formatDuration(before.duration)}  ${before.sampleRate / 1000}kHz  loudness ${level(before.loudness)}  peak ${level(before.peak)}  ${Math.round(before.silenceRatio * 100)}% silence`));
+    console.log(chalk.gray(`      after:  ${formatDuration(after.duration)}  ${after.sampleRate / 1000}kHz  ${after.segments} segment${after.segments === 1 ? '' : 's'}`));
+
+    report.segments.forEach(segment => {
+      const gain = `${segment.gain >= 0 ? '+' : ''}${segment.gain.toFixed(1)} dB${segment.peakLimited ? ' (peak-limited)' : ''}`;
+      console.log(chalk.green(`    ✓ ${path.basename(segment.file).padEnd(28)} ${formatDuration(segment.duration).padStart(6)}  gain ${gain}`));
+    });
+    report.rejected.forEach(rejected => {
+      console.log(chalk.red(`    ✗ ${`${rejected.start}s-${rejected.end}s`.padEnd(28)} ${rejected.reason}`));
+    });
+  });
+
+  console.log(chalk.gray('─'.repeat(70)));
+  console.log(chalk.gray(`Processed samples and report.json: ${path.relative(process.cwd(), outputDir) || outputDir}`));
+}
+
+/**
+ * Format seconds as m:ss
+ * @param {number} seconds - Duration
+ * @returns {string} Formatted duration
+ */
+function formatDuration(seconds) {
+  const whole = Math.round(seconds);
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Show every sample's check and the usable total against the recommended minimum
+ * @param {VoiceSampleSet} samples - Checked samples
+ */
+function displaySamples(samples) {
+  console.log(chalk.cyan('\n🎙️ Voice Samples:'));
+  console.log(chalk.gray('─'.repeat(70)));
+
+  samples.samples.forEach(sample => {
+    const name = path.relative(process.cwd(), sample.file) || sample.file;
+    const duration = sample.duration === null ? '' : `${sample.estimated ? '~' : ''}${formatDuration(sample.duration)}`;
+    const size = `${(sample.bytes / 1024 / 1024).toFixed(1)}MB`;
+    const line = `${name.padEnd(36)} ${duration.padStart(6)} ${size.padStart(7)}`;
+
+    if (!sample.usable) {
+      console.log(chalk.red(`  ✗ ${line}`));
+      sample.issues.forEach(issue => console.log(chalk.red(`      ${issue}`)));
+    } else if (sample.warnings.length > 0) {
+      console.log(chalk.yellow(`  ! ${line}`));
+      sample.warnings.forEach(warning => console.log(chalk.yellow(`      ${warning}`)));
+    } else {
+      console.log(chalk.green(`  ✓ ${line}`));
+    }
+  });
+
+  const summary = samples.getSummary();
+  const minutes = (summary.seconds / 60).toFixed(1);
+  const recommended = summary.recommendedSeconds / 60;
+  const total = `Usable audio: ${summary.estimated ? '~' : ''}${minutes} min of ${recommended} min recommended (${summary.usable} of ${summary.samples} samples)`;
+  console.log(chalk.gray('─'.repeat(70)));
+  console.log(summary.enough ? chalk.green(total) : chalk.yellow(total));
+  if (summary.estimated) {
+    console.log(chalk.gray('~ durations are estimated from file size; WAV and MP3 are measured'));
+  }
+}
+
 /**
- * Upload audio file for voice cloning
- * @param {string} filePath - Path to audio file
- * @param {string} voiceName - Name for the cloned voice
- * @param {string} description - Description of the voice
+ * Upload every usable sample for one voice in a single request
+ * @param {VoiceSampleSet} samples - Checked samples
+ * @param {Object} voice - `{ voiceName, description, labels }`
  * @returns {Promise<Object>} Upload result
  */
-async function uploadVoiceSample(filePath, voiceName, description) {
-  const spinner = ora('Uploading voice sample...').start();
+async function uploadVoiceSamples(samples, voice) {
+  const usable = samples.getUsable();
+  const spinner = ora(`Uploading ${usable.length} voice sample${usable.length === 1 ? '' : 's'}...`).start();
   
   try {
     const config = configManager.loadConfig();
-    
-    // Read audio file
-    const audioBuffer = await fileManager.readFile(filePath);
-    const fileExt = path.extname(filePath).toLowerCase();
-    const format = SUPPORTED_FORMATS.find(f => f.ext === fileExt);
-    
-    if (!format) {
-      throw new Error(`Unsupported audio format: ${fileExt}`);
-    }
+    const cloning = new VoiceCloning({ client: APIClient.shared(config) });
 
-    // Create form data
-    const FormData = require('form-data');
-    const form = new FormData();
-    
-    form.append('name', voiceName);
-    form.append('description', description);
-    form.append('files', audioBuffer, {
-      filename: path.basename(filePath),
-      contentType: format.mime
+    const data = await cloning.cloneVoice({
+      name: voice.voiceName,
+      description: voice.description,
+      audioFiles: usable,
+      labels: voice.labels
     });
 
-    const response = await axios.post(
-      `${config.elevenApiBaseUrl}/voices/add`,
-      form,
-      {
-        headers: {
-          'xi-api-key': config.elevenApiKey,
-          ...form.getHeaders()
-        },
-        timeout: config.requestTimeout * 2 // Longer timeout for uploads
-      }
-    );
-
-    spinner.succeed('Voice sample uploaded successfully');
+    spinner.succeed('Voice samples uploaded successfully');
     
     return {
-      voiceId: response.data.voice_id,
-      name: response.data.name,
-      description: response.data.description,
-      category: response.data.category,
-      settings: response.data.settings
+      voiceId: data.voice_id,
+      name: data.name || voice.voiceName,
+      description: data.description || voice.description,
+      category: data.category,
+      settings: data.settings,
+      labels: voice.labels,
+      samples: usable.length
     };
 
   } catch (error) {
-    spinner.fail('Failed to upload voice sample');
+    spinner.fail('Failed to upload voice samples');
+    const cause = error.cause || error;
     
-    if (error.response) {
-      const status = error.response.status;
-      const data = error.response.data;
-      const message = data?.detail || data?.message || error.response.statusText;
+    if (cause.response) {
+      const status = cause.response.status;
+      const data = cause.response.data;
+      const message = data?.detail?.message || data?.detail || data?.message || cause.response.statusText;
       
       logger.error(`API Error (${status}): ${message}`);
       
       if (status === 400) {
         logger.warn('Invalid audio file format or quality');
       } else if (status === 413) {
-        logger.warn('Audio file too large. Please use a smaller file.');
+        logger.warn('Upload too large. Use fewer or shorter samples.');
       } else if (status === 429) {
         logger.warn('Rate limit exceeded. Please wait before trying again.');
       }
-    } else if (error.request) {
+    } else if (cause.request) {
       logger.error('Network Error: Unable to connect to ElevenLabs API');
     } else {
-      logger.error(`Error: ${error.message}`);
+      logger.error(`Error: ${cause.message}`);
     }
     
-    throw error;
+    throw cause;
   }
 }
 
@@ -152,43 +316,19 @@ async function testClonedVoice(voiceId, text, settings) {
   
   try {
     const config = configManager.loadConfig();
-    const outputFile = path.join(fileManager.getOutputDir(), `cloned-voice-test-${Date.now()}.mp3`);
+    // Same path as eleven test: usage budgets, the audio cache and the pronunciation lexicon apply
+    const synthesis = await createSynthesis(config, {}, voiceId, 'eleven_monolingual_v1');
+    const outputFile = path.join(fileManager.getOutputDir(), `cloned-voice-test-${Date.now()}${AudioFormat.extension(synthesis.outputFormat)}`);
     
     // Ensure output directory exists
     await fileManager.ensureOutputDir();
     
-    const response = await axios.post(
-      `${config.elevenApiBaseUrl}/text-to-speech/${voiceId}`,
-      {
-        text: text,
-        model_id: 'eleven_monolingual_v1',
-        voice_settings: settings
-      },
-      {
-        headers: {
-          'xi-api-key': config.elevenApiKey,
-          'Content-Type': 'application/json'
-        },
-        responseType: 'stream',
-        timeout: config.requestTimeout
-      }
-    );
+    await synthesis.synthesizeToFile(text, outputFile, { voiceSettings: settings });
 
-    const writer = fs.createWriteStream(outputFile);
-    response.data.pipe(writer);
-
-    return new Promise((resolve, reject) => {
-      writer.on('finish', () => {
-        spinner.succeed('Cloned voice test completed');
-        logger.success(`Test audio saved as: ${outputFile}`);
-        resolve(outputFile);
-      });
-
-      writer.on('error', (error) => {
-        spinner.fail('Failed to save test audio');
-        reject(error);
-      });
-    });
+    spinner.succeed('Cloned voice test completed');
+    reportCacheSavings(synthesis);
+    logger.success(`Test audio saved as: ${outputFile}`);
+    return outputFile;
 
   } catch (error) {
     spinner.fail('Cloned voice test failed');
@@ -202,29 +342,38 @@ async function testClonedVoice(voiceId, text, settings) {
  */
 async function interactiveCloneSetup() {
   console.log(chalk.cyan('🎭 Interactive Voice Cloning Setup'));
-  console.log(chalk.gray('Create a custom voice from your audio sample\n'));
+  console.log(chalk.gray('Create a custom voice from your audio samples\n'));
+
+  /**
+   * Optional label picked from a list
+   * @param {string} name - Label key
+   * @param {string} message - Prompt
+   * @returns {Object} Inquirer question
+   */
+  const labelChoice = (name, message) => ({
+    type: 'list',
+    name,
+    message,
+    choices: [{ name: 'Skip', value: null }, ...VOICE_LABELS[name]],
+    default: null
+  });
 
   const questions = [
     {
       type: 'input',
-      name: 'audioFile',
-      message: 'Path to audio file:',
+      name: 'samples',
+      message: 'Audio samples (file, directory or glob; separate several with commas):',
       validate: (input) => {
         if (!input || !input.trim()) {
-          return 'Audio file path is required';
-        }
-        
-        const filePath = path.resolve(input.trim());
-        if (!fs.existsSync(filePath)) {
-          return 'Audio file does not exist';
+          return 'At least one audio sample is required';
         }
-        
-        const ext = path.extname(filePath).toLowerCase();
-        const supportedExts = SUPPORTED_FORMATS.map(f => f.ext);
-        if (!supportedExts.includes(ext)) {
-          return `Unsupported format. Supported: ${supportedExts.join(', ')}`;
+
+        const missing = input.split(',').map(item => item.trim())
+          .find(item => item && !/[*?]/.test(item) && !fs.existsSync(path.resolve(item)));
+        if (missing) {
+          return `${missing} does not exist`;
         }
-        
+
         return true;
       },
       filter: (input) => input.trim()
@@ -260,6 +409,21 @@ async function interactiveCloneSetup() {
       },
       filter: (input) => input.trim()
     },
+    {
+      type: 'input',
+      name: 'accent',
+      message: 'Accent (e.g. british, american; leave empty to skip):',
+      filter: (input) => input.trim()
+    },
+    labelChoice('age', 'Age:'),
+    labelChoice('gender', 'Gender:'),
+    labelChoice('use_case', 'Use case:'),
+    {
+      type: 'confirm',
+      name: 'preprocess',
+      message: 'Clean up WAV/PCM recordings first (trim silence, split on pauses, normalize)?',
+      default: false
+    },
     {
       type: 'list',
       name: 'quality',
@@ -281,74 +445,25 @@ async function interactiveCloneSetup() {
   const answers = await inquirer.prompt(questions);
   
   return {
-    audioFile: path.resolve(answers.audioFile),
+    inputs: answers.samples.split(',').map(item => item.trim()).filter(Boolean),
     voiceName: answers.voiceName,
     description: answers.description,
+    labels: Object.fromEntries(['accent', 'age', 'gender', 'use_case']
+      .filter(key => answers[key])
+      .map(key => [key, answers[key]])),
+    preprocess: answers.preprocess,
     quality: answers.quality,
     testVoice: answers.testVoice
   };
 }
 
-/**
- * Validate audio file for voice cloning
- * @param {string} filePath - Path to audio file
- * @returns {Promise<Object>} Validation result
- */
-async function validateAudioFile(filePath) {
-  const stats = await fileManager.stat(filePath);
-  const ext = path.extname(filePath).toLowerCase();
-  const format = SUPPORTED_FORMATS.find(f => f.ext === ext);
-  
-  const validation = {
-    isValid: true,
-    issues: [],
-    warnings: [],
-    fileSize: stats.size,
-    duration: null,
-    format: format
-  };
-
-  // Check file size (max 10MB)
-  const maxSize = 10 * 1024 * 1024; // 10MB
-  if (stats.size > maxSize) {
-    validation.isValid = false;
-    validation.issues.push(`File too large: ${(stats.size / 1024 / 1024).toFixed(2)}MB (max 10MB)`);
-  }
-
-  // Check minimum file size (at least 1MB)
-  const minSize = 1024 * 1024; // 1MB
-  if (stats.size < minSize) {
-    validation.warnings.push(`File quite small: ${(stats.size / 1024).toFixed(2)}KB (recommended: 1MB+)`);
-  }
-
-  // Check format
-  if (!format) {
-    validation.isValid = false;
-    validation.issues.push(`Unsupported format: ${ext}`);
-  }
-
-  // Estimate duration (rough calculation)
-  if (format) {
-    // Rough estimation: 1MB ≈ 1 minute for MP3
-    const estimatedDuration = (stats.size / 1024 / 1024) * 60; // seconds
-    validation.duration = estimatedDuration;
-    
-    if (estimatedDuration < 30) {
-      validation.warnings.push('Audio duration may be too short (recommended: 30+ seconds)');
-    } else if (estimatedDuration > 300) {
-      validation.warnings.push('Audio duration may be too long (recommended: 5 minutes or less)');
-    }
-  }
-
-  return validation;
-}
-
 /**
  * Display voice cloning results
  * @param {Object} result - Cloning result
  * @param {string} testFile - Test audio file path
+ * @param {string} manifestPath - Voice manifest the clone was recorded in
  */
-function displayCloneResults(result, testFile = null) {
+function displayCloneResults(result, testFile = null, manifestPath = null) {
   console.log(chalk.cyan('\n🎭 Voice Cloning Results:'));
   console.log(chalk.gray('─'.repeat(50)));
   
@@ -356,6 +471,10 @@ function displayCloneResults(result, testFile = null) {
   console.log(chalk.white(`Name: ${result.name}`));
   console.log(chalk.white(`Description: ${result.description}`));
   console.log(chalk.white(`Category: ${result.category || 'Custom'}`));
+  console.log(chalk.white(`Samples: ${result.samples}`));
+  if (result.labels && Object.keys(result.labels).length > 0) {
+    console.log(chalk.white(`Labels: ${Object.entries(result.labels).map(([key, value]) => `${key}=${value}`).join(', ')}`));
+  }
   
   if (result.settings) {
     console.log(chalk.gray('\nVoice Settings:'));
@@ -372,6 +491,10 @@ function displayCloneResults(result, testFile = null) {
   if (testFile) {
     console.log(chalk.green(`\n✅ Test audio: ${testFile}`));
   }
+
+  if (manifestPath) {
+    console.log(chalk.gray(`\nLabels and sample provenance recorded in ${manifestPath}`));
+  }
   
   console.log(chalk.cyan('\n💡 Usage in your code:'));
   console.log(chalk.gray(`const voiceId = '${result.voiceId}';`));
@@ -391,20 +514,15 @@ async function listClonedVoices() {
   try {
     const config = configManager.loadConfig();
     
-    const response = await axios.get(`${config.elevenApiBaseUrl}/voices`, {
-      headers: {
-        'xi-api-key': config.elevenApiKey
-      },
-      timeout: config.requestTimeout
-    });
+    const data = await APIClient.shared(config).get('/voices');
 
     spinner.succeed('Cloned voices:');
     
-    if (response.data.voices && response.data.voices.length > 0) {
+    if (data.voices && data.voices.length > 0) {
       console.log(chalk.cyan('\n🎭 Your Cloned Voices:'));
       console.log(chalk.gray('─'.repeat(80)));
       
-      response.data.voices.forEach((voice, index) => {
+      data.voices.forEach((voice, index) => {
         const isCloned = voice.category === 'cloned' || voice.labels?.cloned;
         if (isCloned) {
           console.log(chalk.white(`${index + 1}. ${voice.name}`));
@@ -444,6 +562,7 @@ async function cloneCommand(options = {}) {
     }
 
     // Validate configuration for operations that require API access
+    configManager.loadConfig();
     if (!configManager.isValid()) {
       throw ErrorHandler.createError(
         'Invalid configuration. Please check your settings.',
@@ -458,32 +577,51 @@ async function cloneCommand(options = {}) {
       // Command line mode
       if (!options.file || !options.name) {
         throw ErrorHandler.createError(
-          'Audio file and voice name are required. Use --interactive for guided setup.',
+          'Audio samples and voice name are required. Use --interactive for guided setup.',
           'MISSING_REQUIRED_ARGS'
         );
       }
       
       config = {
-        audioFile: path.resolve(options.file),
+        inputs: [].concat(options.file),
         voiceName: options.name,
         description: options.description || 'Custom cloned voice',
+        labels: labelsFromOptions(options),
+        preprocess: options.preprocess || false,
         quality: options.quality || 'standard',
         testVoice: options.test || false
       };
     }
 
-    // Validate audio file
-    const validation = await validateAudioFile(config.audioFile);
-    
-    if (!validation.isValid) {
-      console.log(chalk.red('\n❌ Audio file validation failed:'));
-      validation.issues.forEach(issue => console.log(chalk.red(`  • ${issue}`)));
+    if (!QUALITY_PRESETS[config.quality]) {
+      throw ErrorHandler.createError(`Unknown quality preset "${config.quality}". Use: ${Object.keys(QUALITY_PRESETS).join(', ')}`, 'INVALID_OPTION');
+    }
+
+    const inputs = config.preprocess ? await preprocessSamples(config.inputs, options) : config.inputs;
+
+    // Check every sample before anything is uploaded
+    const samples = await loadSamples(inputs);
+    displaySamples(samples);
+
+    const summary = samples.getSummary();
+    if (summary.usable === 0) {
+      throw ErrorHandler.createError('None of the samples can be used for cloning', 'INVALID_OPTION');
+    }
+
+    const concerns = [
+      ...(summary.rejected > 0 ? [`${summary.rejected} sample${summary.rejected === 1 ? ' is' : 's are'} left out`] : []),
+      ...(summary.enough ? [] : [`Less than the recommended ${summary.recommendedSeconds / 60} min of audio`]),
+      ...(samples.getUsable().some(sample => sample.warnings.length > 0) ? ['Some samples have warnings'] : [])
+    ];
+
+    if (options.dryRun) {
+      logger.info('Dry run: nothing uploaded');
       return;
     }
 
-    if (validation.warnings.length > 0) {
-      console.log(chalk.yellow('\n⚠️ Audio file warnings:'));
-      validation.warnings.forEach(warning => console.log(chalk.yellow(`  • ${warning}`)));
+    if (concerns.length > 0 && !options.yes) {
+      console.log(chalk.yellow('\n⚠️ Before cloning:'));
+      concerns.forEach(concern => console.log(chalk.yellow(`  • ${concern}`)));
       
       const { continueAnyway } = await inquirer.prompt([{
         type: 'confirm',
@@ -498,12 +636,25 @@ async function cloneCommand(options = {}) {
       }
     }
 
-    // Upload voice sample
-    const result = await uploadVoiceSample(
-      config.audioFile,
-      config.voiceName,
-      config.description
-    );
+    // Upload every usable sample in one request
+    const result = await uploadVoiceSamples(samples, config);
+
+    // The voice exists now, so a manifest that cannot be written is only worth a warning
+    const manifest = new VoiceManifest({ path: options.manifest });
+    let manifestPath = null;
+    try {
+      await manifest.record({
+        voiceId: result.voiceId,
+        name: config.voiceName,
+        description: config.description,
+        labels: config.labels,
+        quality: config.quality,
+        samples: samples.getUsable()
+      });
+      manifestPath = manifest.path;
+    } catch (error) {
+      logger.warn(`Voice created, but ${manifest.path} could not be updated: ${error.message}`);
+    }
 
     // Test voice if requested
     let testFile = null;
@@ -514,12 +665,12 @@ async function cloneCommand(options = {}) {
       try {
         testFile = await testClonedVoice(result.voiceId, testText, settings);
       } catch (error) {
-        logger.warn('Voice test failed, but cloning was successful');
+        logger.warn(`Voice test failed, but cloning was successful: ${error.message}`);
       }
     }
 
     // Display results
-    displayCloneResults(result, testFile);
+    displayCloneResults(result, testFile, manifestPath);
 
   } catch (error) {
     ErrorHandler.handle(error, 'clone command');
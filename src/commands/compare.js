@@ -0,0 +1,363 @@
+const path = require('path');
+const chalk = require('chalk').default;
+const ora = require('ora').default;
+const inquirer = require('inquirer').default;
+
+// Import utilities
+const Logger = require('../lib/logger');
+const FileManager = require('../lib/file-manager');
+const ConfigManager = require('../lib/config-manager');
+const ErrorHandler = require('../lib/error-handler');
+const APIClient = require('../lib/api-client');
+const AudioCache = require('../lib/audio-cache');
+const AudioFormat = require('../lib/audio-format');
+const UsageTracker = require('../lib/usage-tracker');
+const VoiceSynthesis = require('../voice/voice-synthesis');
+const BlindComparison = require('../voice/blind-comparison');
+const AudioPlayer = require('../voice/audio-player');
+const { VOICE_PRESETS } = require('./tune');
+const { fetchVoices, SAMPLE_TEXTS } = require('./test');
+
+const logger = new Logger();
+const fileManager = new FileManager();
+const configManager = new ConfigManager();
+
+// Rating choices, best first
+const RATING_CHOICES = [
+  { name: '5 - Excellent', value: 5 },
+  { name: '4 - Good', value: 4 },
+  { name: '3 - Acceptable', value: 3 },
+  { name: '2 - Poor', value: 2 },
+  { name: '1 - Unusable', value: 1 }
+];
+
+/**
+ * Load the script set: one item per non-empty line of the script file, or a single text
+ * @param {Object} options - Command options
+ * @returns {Promise<Array<string>>} Script items
+ */
+async function loadScript(options) {
+  if (options.script) {
+    const content = await fileManager.readFile(options.script, 'utf8');
+    const items = content.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    if (items.length === 0) {
+      throw ErrorHandler.createError(`Script file is empty: ${options.script}`, 'EMPTY_SCRIPT');
+    }
+    return items;
+  }
+
+  return options.text ? [options.text] : SAMPLE_TEXTS.slice(0, 2);
+}
+
+/**
+ * Split a comma-separated option value
+ * @param {string} value - Option value
+ * @returns {Array<string>} Non-empty entries
+ */
+function parseList(value) {
+  return (value || '').split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Build every voice/preset combination to compare
+ * @param {Object} options - Command options
+ * @param {Object} config - Loaded configuration
+ * @returns {Promise<Array<Object>>} Candidates
+ */
+async function resolveCandidates(options, config) {
+  let voices = [];
+  try {
+    voices = await fetchVoices(config);
+  } catch (error) {
+    logger.debug(`Could not fetch voices, using IDs as given: ${error.message}`);
+  }
+
+  let voiceRefs = parseList(options.voices);
+  let presetKeys = parseList(options.presets);
+
+  if (options.interactive) {
+    ({ voiceRefs, presetKeys } = await selectCandidates(voices, voiceRefs, presetKeys));
+  }
+
+  if (voiceRefs.length === 0) voiceRefs = [config.defaultVoiceId];
+  if (presetKeys.length === 0) presetKeys = ['balanced'];
+
+  const unknown = presetKeys.filter(key => !VOICE_PRESETS[key]);
+  if (unknown.length > 0) {
+    throw ErrorHandler.createError(
+      `Unknown preset: ${unknown.join(', ')}. Available presets: ${Object.keys(VOICE_PRESETS).join(', ')}`,
+      'INVALID_PRESET'
+    );
+  }
+
+  // Voices may be given by ID or by name
+  const resolved = voiceRefs.map(ref => {
+    const voice = voices.find(v => v.voice_id === ref || v.name.toLowerCase() === ref.toLowerCase());
+    return voice ? { voiceId: voice.voice_id, voiceName: voice.name } : { voiceId: ref, voiceName: ref };
+  });
+
+  return resolved.flatMap(voice => presetKeys.map(preset => ({
+    ...voice,
+    preset,
+    settings: { ...VOICE_PRESETS[preset].settings }
+  })));
+}
+
+/**
+ * Pick voices and presets from the available lists
+ * @param {Array} voices - Available voices
+ * @param {Array<string>} voiceRefs - Voices given on the command line
+ * @param {Array<string>} presetKeys - Presets given on the command line
+ * @returns {Promise<Object>} Selected voice IDs and preset keys
+ */
+async function selectCandidates(voices, voiceRefs, presetKeys) {
+  const answers = await inquirer.prompt([
+    {
+      type: 'checkbox',
+      name: 'voiceRefs',
+      message: 'Choose voices to compare:',
+      choices: voices.map(voice => ({
+        name: `${voice.name} - ${voice.description || 'No description'}`,
+        value: voice.voice_id,
+        checked: voiceRefs.includes(voice.voice_id) || voiceRefs.includes(voice.name)
+      })),
+      pageSize: 10,
+      when: voices.length > 0
+    },
+    {
+      type: 'checkbox',
+      name: 'presetKeys',
+      message: 'Choose settings presets:',
+      choices: Object.keys(VOICE_PRESETS).map(key => ({
+        name: `${VOICE_PRESETS[key].name} - ${VOICE_PRESETS[key].description}`,
+        value: key,
+        checked: presetKeys.length > 0 ? presetKeys.includes(key) : key === 'balanced'
+      }))
+    }
+  ]);
+
+  return {
+    voiceRefs: answers.voiceRefs || voiceRefs,
+    presetKeys: answers.presetKeys
+  };
+}
+
+/**
+ * Synthesize every script item for every candidate into the session directory
+ * Files are named after the blind label only, so the directory listing gives nothing away.
+ * @param {BlindComparison} session - Comparison session
+ * @param {Array<string>} script - Script items
+ * @param {Object} config - Loaded configuration
+ * @param {string} sessionDir - Output directory
+ * @returns {Promise<Object>} File paths by label, one per script item
+ */
+async function synthesizeCandidates(session, script, config, sessionDir) {
+  const synthesis = new VoiceSynthesis({
+    client: APIClient.shared(config),
+    modelId: 'eleven_monolingual_v1',
+    outputFormat: config.outputFormat,
+    cache: AudioCache.fromConfig(config),
+    usage: UsageTracker.shared(config)
+  });
+  const extension = AudioFormat.extension(synthesis.outputFormat);
+  const total = session.candidates.length * script.length;
+  const files = {};
+  let done = 0;
+
+  const spinner = ora(`Generating ${total} samples...`).start();
+
+  try {
+    await fileManager.ensureDir(sessionDir);
+
+    for (const candidate of session.candidates) {
+      files[candidate.label] = [];
+
+      for (let item = 0; item < script.length; item++) {
+        const outputFile = path.join(sessionDir, `${candidate.label}-${item + 1}${extension}`);
+        const audioBuffer = await synthesis.synthesize(script[item], {
+          voiceId: candidate.voiceId,
+          voiceSettings: candidate.settings
+        });
+
+        await fileManager.writeFile(outputFile, AudioFormat.forFile(audioBuffer, synthesis.outputFormat, outputFile));
+        files[candidate.label].push(outputFile);
+        spinner.text = `Generated ${++done}/${total} samples`;
+      }
+    }
+
+    spinner.succeed(`Generated ${total} samples`);
+    return files;
+  } catch (error) {
+    spinner.fail('Failed to generate samples');
+    throw error;
+  }
+}
+
+/**
+ * Play one sample, or point the listener at the file when no player is available
+ * @param {AudioPlayer} player - Audio player
+ * @param {string} label - Blind label
+ * @param {string} filePath - Sample file
+ * @returns {Promise<void>}
+ */
+async function playSample(player, label, filePath) {
+  if (!player.available) {
+    console.log(chalk.white(`  Sample ${label}: ${filePath}`));
+    return;
+  }
+
+  console.log(chalk.gray(`  ▶ Playing sample ${label}...`));
+  try {
+    await player.play(filePath);
+  } catch (error) {
+    logger.warn(`${error.message}. Play it yourself: ${filePath}`);
+  }
+}
+
+/**
+ * Walk the listener through blind playback and ratings
+ * @param {BlindComparison} session - Comparison session
+ * @param {Array<string>} script - Script items
+ * @param {Object} files - File paths by label
+ * @param {AudioPlayer} player - Audio player
+ * @returns {Promise<void>}
+ */
+async function runListeningSession(session, script, files, player) {
+  console.log(chalk.cyan('\n🎧 Blind Listening Session'));
+  console.log(chalk.gray(`${session.candidates.length} candidates are hidden behind the labels ${session.candidates.map(c => c.label).join(', ')}.`));
+  console.log(chalk.gray('Samples play in a different order for every line. Rate each one on its own merits.\n'));
+
+  for (let item = 0; item < script.length; item++) {
+    console.log(chalk.cyan(`Line ${item + 1}/${script.length}: `) + chalk.white(`"${script[item]}"`));
+
+    for (const label of session.playOrder()) {
+      let rating;
+      do {
+        await playSample(player, label, files[label][item]);
+        ({ rating } = await inquirer.prompt([{
+          type: 'list',
+          name: 'rating',
+          message: `Rate sample ${label}:`,
+          choices: [...RATING_CHOICES, new inquirer.Separator(), { name: 'Replay', value: 'replay' }],
+          // Start on the middle rating (by index) so the cursor nudges neither way
+          default: 2
+        }]));
+      } while (rating === 'replay');
+
+      session.rate(item, label, rating);
+    }
+    console.log('');
+  }
+}
+
+/**
+ * Reveal the candidates behind each label with their preference scores
+ * @param {Array<Object>} results - Ranked results
+ */
+function displayResults(results) {
+  console.log(chalk.cyan('\n🏆 Comparison Results'));
+  console.log(chalk.gray('─'.repeat(80)));
+  console.log(chalk.gray(
+    `${'Label'.padEnd(7)}${'Voice'.padEnd(24)}${'Preset'.padEnd(16)}${'Avg'.padEnd(7)}${'Wins'.padEnd(7)}Preference`
+  ));
+
+  results.forEach((result, index) => {
+    const color = index === 0 ? chalk.green : chalk.white;
+    const meanRating = result.meanRating === null ? '-' : result.meanRating.toFixed(2);
+    console.log(color(
+      `${result.label.padEnd(7)}${result.voiceName.slice(0, 22).padEnd(24)}${result.preset.padEnd(16)}` +
+      `${meanRating.padEnd(7)}${String(result.wins).padEnd(7)}${result.preference.toFixed(1)}%`
+    ));
+  });
+
+  const [winner, runnerUp] = results;
+  if (winner.preference === runnerUp.preference && winner.meanRating === runnerUp.meanRating) {
+    console.log(chalk.yellow('\nNo clear winner: the top candidates tied. Try more script lines.'));
+  } else {
+    console.log(chalk.green(`\nPreferred: ${winner.voiceName} with the ${VOICE_PRESETS[winner.preset].name} preset`));
+  }
+}
+
+/**
+ * Save the session, ratings and results as JSON
+ * @param {BlindComparison} session - Comparison session
+ * @param {Array<string>} script - Script items
+ * @param {Object} files - File paths by label
+ * @param {string} outputFile - Output file path
+ * @returns {Promise<string>} Output file path
+ */
+async function saveResults(session, script, files, outputFile) {
+  const data = session.toJSON();
+  const results = {
+    timestamp: new Date().toISOString(),
+    script,
+    scale: data.scale,
+    candidates: data.candidates.map(candidate => ({ ...candidate, files: files[candidate.label] })),
+    ratings: data.ratings,
+    results: data.results
+  };
+
+  await fileManager.writeFile(outputFile, JSON.stringify(results, null, 2));
+  return outputFile;
+}
+
+/**
+ * Main compare command function
+ * @param {Object} options - Command options
+ * @returns {Promise<void>}
+ */
+async function compareCommand(options = {}) {
+  try {
+    logger.info('🎧 Blind voice comparison...');
+
+    // Load and validate configuration
+    const config = configManager.loadConfig();
+    if (!configManager.isValid()) {
+      throw ErrorHandler.createError(
+        'Invalid configuration. Please check your settings.',
+        'INVALID_CONFIG'
+      );
+    }
+
+    // Check before spending credits on samples nobody can rate
+    if (!process.stdin.isTTY) {
+      throw ErrorHandler.createError('Blind listening needs an interactive terminal', 'NOT_INTERACTIVE');
+    }
+
+    const script = await loadScript(options);
+    const candidates = await resolveCandidates(options, config);
+    if (candidates.length < 2) {
+      throw ErrorHandler.createError(
+        'Nothing to compare. Pass at least two voices or presets, e.g. --voices Rachel,Adam or --presets balanced,expressive',
+        'NOT_ENOUGH_CANDIDATES'
+      );
+    }
+
+    let session;
+    try {
+      session = new BlindComparison(candidates);
+    } catch (error) {
+      throw ErrorHandler.createError(error.message, 'TOO_MANY_CANDIDATES');
+    }
+
+    const player = new AudioPlayer({ command: options.player });
+    if (!player.available) {
+      logger.warn('No audio player found (afplay, ffplay, mpv, mpg123 or play). Use --player to set one, or open the listed files yourself.');
+    }
+
+    const sessionDir = path.join(fileManager.getOutputDir(), `compare-${Date.now()}`);
+    const files = await synthesizeCandidates(session, script, config, sessionDir);
+
+    await runListeningSession(session, script, files, player);
+
+    displayResults(session.results());
+
+    const outputFile = await saveResults(session, script, files, options.output || path.join(sessionDir, 'results.json'));
+    logger.success(`Comparison results saved to: ${outputFile}`);
+
+  } catch (error) {
+    ErrorHandler.handle(error, 'compare command');
+  }
+}
+
+module.exports = compareCommand;
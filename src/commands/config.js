@@ -1,10 +1,14 @@
 const chalk = require('chalk').default;
-const inquirer = require('inquirer');
+const inquirer = require('inquirer').default;
 
 // Import utilities
 const Logger = require('../lib/logger');
 const ConfigManager = require('../lib/config-manager');
 const ErrorHandler = require('../lib/error-handler');
+const ConfigSchema = require('../lib/config-schema');
+const CredentialVault = require('../lib/credential-vault');
+const NetworkRoute = require('../lib/network-route');
+const PronunciationLexicon = require('../voice/pronunciation-lexicon');
 
 const logger = new Logger();
 const configManager = new ConfigManager();
@@ -19,26 +23,45 @@ async function showConfig(options = {}) {
     const config = configManager.loadConfig();
     const summary = configManager.getSummary();
 
+    const profile = configManager.getActiveProfile();
+
     console.log(chalk.cyan('🔧 Current Configuration:'));
     console.log(chalk.gray('─'.repeat(50)));
+    if (profile) {
+      console.log(chalk.white(`${'Profile'.padEnd(20)}: ${chalk.green(profile.name)} ${chalk.gray(`(selected by ${PROFILE_SELECTORS[profile.selectedBy]})`)}`));
+    }
 
-    // Display configuration in a table format
+    // Display configuration in a table format, with the layer each value came from
     const configItems = [
-      { key: 'Default Voice ID', value: summary.defaultVoiceId },
-      { key: 'Cursor Agent Path', value: summary.cursorAgentPath },
-      { key: 'Debug Mode', value: summary.debug ? 'Enabled' : 'Disabled' },
-      { key: 'Log Level', value: summary.logLevel },
-      { key: 'Node Environment', value: summary.nodeEnv },
-      { key: 'API Base URL', value: summary.elevenApiBaseUrl },
-      { key: 'Request Timeout', value: `${summary.requestTimeout}ms` },
-      { key: 'Max Retries', value: summary.maxRetries },
-      { key: 'Default Output Dir', value: summary.defaultOutputDir },
-      { key: 'Temp Directory', value: summary.tempDir },
-      { key: 'API Key', value: summary.hasApiKey ? '✅ Set' : '❌ Not Set' }
+      { key: 'Default Voice ID', value: summary.defaultVoiceId, setting: 'defaultVoiceId' },
+      { key: 'Cursor Agent Path', value: summary.cursorAgentPath, setting: 'cursorAgentPath' },
+      { key: 'Debug Mode', value: summary.debug ? 'Enabled' : 'Disabled', setting: 'debug' },
+      { key: 'Log Level', value: summary.logLevel, setting: 'logLevel' },
+      { key: 'Node Environment', value: summary.nodeEnv, setting: 'nodeEnv' },
+      { key: 'API Base URL', value: summary.elevenApiBaseUrl, setting: 'elevenApiBaseUrl' },
+      { key: 'Proxy', value: summary.proxy || 'None (HTTPS_PROXY / ALL_PROXY apply)', setting: 'proxy' },
+      { key: 'No Proxy For', value: summary.noProxy || 'None', setting: 'noProxy' },
+      { key: 'CA Bundle', value: summary.caBundle || 'System certificates', setting: 'caBundle' },
+      { key: 'Request Timeout', value: `${summary.requestTimeout}ms`, setting: 'requestTimeout' },
+      { key: 'Max Retries', value: summary.maxRetries, setting: 'maxRetries' },
+      { key: 'Default Output Dir', value: summary.defaultOutputDir, setting: 'defaultOutputDir' },
+      { key: 'Temp Directory', value: summary.tempDir, setting: 'tempDir' },
+      { key: 'Pronunciation Lexicon', value: summary.pronunciationLexicon || 'None', setting: 'pronunciationLexicon' },
+      { key: 'Output Format', value: summary.outputFormat, setting: 'outputFormat' },
+      { key: 'Budget', value: formatBudget(summary.budget), setting: 'budget' },
+      { key: 'Audio Cache', value: summary.audioCache ? `${summary.audioCacheDir} (max ${summary.audioCacheMaxSize}MB)` : 'Disabled', setting: 'audioCache' },
+      { key: 'API Key', value: summary.hasApiKey ? '✅ Set' : '❌ Not Set', setting: 'elevenApiKey' }
     ];
 
     configItems.forEach(item => {
-      console.log(chalk.white(`${item.key.padEnd(20)}: ${chalk.gray(item.value)}`));
+      const source = configManager.getSource(item.setting);
+      console.log(chalk.white(`${item.key.padEnd(20)}: ${chalk.gray(item.value)}`) + (source ? chalk.dim(`  [${source}]`) : ''));
+    });
+
+    // Which files and layers were read, lowest precedence first
+    console.log(chalk.gray('\nLayers (later ones win):'));
+    configManager.getLayers().forEach(layer => {
+      console.log(chalk.gray(`  ${layer.name.padEnd(24)}${layer.path ? layer.path : `${layer.keys.length} setting${layer.keys.length === 1 ? '' : 's'}`}`));
     });
 
     // Show validation status
@@ -60,6 +83,25 @@ async function showConfig(options = {}) {
   }
 }
 
+// How `config --show` describes what selected the active profile
+const PROFILE_SELECTORS = {
+  flag: '--profile / ELEVEN_PROFILE',
+  project: 'the project config file',
+  global: 'eleven config profiles use'
+};
+
+/**
+ * Describe the character budgets for display
+ * @param {Object|null} budget - `{ daily, monthly }`
+ * @returns {string} Budget summary
+ */
+function formatBudget(budget) {
+  const limits = ['daily', 'monthly']
+    .filter(period => budget?.[period])
+    .map(period => `${budget[period]} chars ${period}`);
+  return limits.length > 0 ? limits.join(', ') : 'None';
+}
+
 /**
  * Set configuration value
  * @param {string} keyValue - Key=value string
@@ -67,52 +109,82 @@ async function showConfig(options = {}) {
  */
 async function setConfig(keyValue) {
   try {
-    const [key, value] = keyValue.split('=', 2);
-    
-    if (!key || value === undefined) {
+    const separator = keyValue.indexOf('=');
+    if (separator < 1) {
       throw new Error('Invalid format. Use: key=value');
     }
+    const key = keyValue.slice(0, separator).trim();
 
-    // Validate key
-    const validKeys = [
-      'defaultVoiceId',
-      'cursorAgentPath',
-      'debug',
-      'logLevel',
-      'nodeEnv',
-      'elevenApiBaseUrl',
-      'requestTimeout',
-      'maxRetries',
-      'defaultOutputDir',
-      'tempDir'
-    ];
+    // Unknown keys, secrets and values of the wrong type or range are rejected here
+    const parsedValue = ConfigSchema.coerce(key, keyValue.slice(separator + 1));
 
-    if (!validKeys.includes(key)) {
-      throw new Error(`Invalid key. Valid keys: ${validKeys.join(', ')}`);
+    // Reject a lexicon now rather than on the next synthesis
+    if (key === 'pronunciationLexicon' && parsedValue) {
+      const lexicon = await PronunciationLexicon.fromFile(parsedValue);
+      logger.info(`Loaded ${lexicon.size} pronunciation rules from ${parsedValue}`);
     }
-
-    // Parse value based on key type
-    let parsedValue = value;
-    if (key === 'debug') {
-      parsedValue = value.toLowerCase() === 'true';
-    } else if (key === 'requestTimeout' || key === 'maxRetries') {
-      parsedValue = parseInt(value, 10);
-      if (isNaN(parsedValue)) {
-        throw new Error(`${key} must be a number`);
-      }
+    if (key === 'caBundle' && parsedValue) {
+      NetworkRoute.readCaBundle(parsedValue);
     }
 
     // Set the value
-    configManager.set(key, parsedValue);
+    if (key.includes('.')) {
+      const [parent, child] = key.split('.');
+      configManager.set(parent, { ...configManager.get(parent, {}), [child]: parsedValue });
+    } else {
+      configManager.set(key, parsedValue);
+    }
     await configManager.saveConfig();
 
-    logger.success(`Configuration updated: ${key} = ${parsedValue}`);
+    const target = configManager.getSaveTarget();
+    const shown = key === 'proxy' && parsedValue ? NetworkRoute.redact(parsedValue) : parsedValue;
+    logger.success(`Configuration updated: ${key} = ${shown}${target.profile ? ` (profile ${target.profile})` : ''}`);
 
   } catch (error) {
     ErrorHandler.handle(error, 'set config');
   }
 }
 
+/**
+ * Show what each configuration key means, its allowed values, default and environment variable
+ * @param {string|boolean} key - One key to describe, or true for all
+ * @returns {Promise<void>}
+ */
+async function describeConfig(key) {
+  try {
+    const keys = typeof key === 'string' ? [key] : ConfigSchema.keys();
+
+    if (!ConfigSchema.get(keys[0])) {
+      throw ErrorHandler.createError(`Unknown key "${key}". Keys: ${ConfigSchema.settableKeys().join(', ')}`, 'INVALID_OPTION');
+    }
+
+    console.log(chalk.cyan('📘 Configuration Keys'));
+    console.log(chalk.gray('─'.repeat(50)));
+
+    keys.forEach(name => {
+      const entry = ConfigSchema.get(name);
+      const [parent] = name.split('.');
+      const details = [ConfigSchema.describeType(entry)];
+      if (entry.default !== undefined && entry.default !== null) details.push(`default ${entry.default}`);
+      if (entry.env) details.push(`env ${entry.env}`);
+
+      console.log(chalk.white(name) + (entry.secret ? chalk.yellow('  (secret)') : '') + chalk.gray(`  ${details.join(', ')}`));
+      console.log(chalk.gray(`    ${entry.description}`));
+      if (entry.enum && entry.enum.length > 6) {
+        console.log(chalk.gray(`    Values: ${entry.enum.join(', ')}`));
+      }
+      if (typeof key === 'string' && !entry.secret) {
+        const value = name.includes('.') ? configManager.get(parent, {})?.[name.split('.')[1]] : configManager.get(name);
+        const shown = name === 'proxy' && value ? NetworkRoute.redact(value) : value;
+        console.log(chalk.gray(`    Current: ${JSON.stringify(shown ?? null)} [${configManager.getSource(parent)}]`));
+      }
+    });
+
+  } catch (error) {
+    ErrorHandler.handle(error, 'describe config');
+  }
+}
+
 /**
  * Reset configuration to defaults
  * @returns {Promise<void>}
@@ -141,6 +213,51 @@ async function resetConfig() {
   }
 }
 
+/**
+ * Prompt for one configuration key, shaped and checked by its schema entry
+ * @param {string} key - Configuration key
+ * @param {Object} entry - Schema entry
+ * @returns {Object} Inquirer question
+ */
+function schemaQuestion(key, entry) {
+  const current = configManager.get(key);
+  const question = {
+    name: key,
+    message: `${entry.description}${entry.unit ? ` (${entry.unit})` : ''}:`,
+    default: current
+  };
+
+  if (entry.type === 'boolean') {
+    return { ...question, type: 'confirm' };
+  }
+  if (entry.enum || entry.choices) {
+    return { ...question, type: 'list', choices: entry.enum || entry.choices };
+  }
+  if (entry.type === 'integer' || entry.type === 'number') {
+    return { ...question, type: 'number', validate: (value) => ConfigSchema.check(key, value) || true };
+  }
+
+  return {
+    ...question,
+    type: 'input',
+    default: current || '',
+    filter: (input) => (entry.nullable ? input.trim() || null : input.trim()),
+    validate: async (input) => {
+      const problem = ConfigSchema.check(key, input);
+      if (problem) return problem;
+      // A lexicon must load, not just be a path
+      if (key === 'pronunciationLexicon' && input) {
+        try {
+          await PronunciationLexicon.fromFile(input);
+        } catch (error) {
+          return error.message;
+        }
+      }
+      return true;
+    }
+  };
+}
+
 /**
  * Interactive configuration mode
  * @returns {Promise<void>}
@@ -149,95 +266,18 @@ async function interactiveConfig() {
   console.log(chalk.cyan('🔧 Interactive Configuration'));
   console.log(chalk.gray('Configure eleven-cursor settings interactively\n'));
 
-  const questions = [
-    {
-      type: 'input',
-      name: 'defaultVoiceId',
-      message: 'Default Voice ID:',
-      default: configManager.get('defaultVoiceId'),
-      validate: (input) => {
-        if (!input || !input.trim()) {
-          return 'Voice ID is required';
-        }
-        return true;
-      }
-    },
-    {
-      type: 'input',
-      name: 'cursorAgentPath',
-      message: 'Cursor Agent Path:',
-      default: configManager.get('cursorAgentPath'),
-      validate: (input) => {
-        if (!input || !input.trim()) {
-          return 'Cursor Agent Path is required';
-        }
-        return true;
-      }
-    },
-    {
-      type: 'list',
-      name: 'logLevel',
-      message: 'Log Level:',
-      choices: ['error', 'warn', 'info', 'verbose', 'debug'],
-      default: configManager.get('logLevel')
-    },
-    {
-      type: 'confirm',
-      name: 'debug',
-      message: 'Enable Debug Mode:',
-      default: configManager.get('debug')
-    },
-    {
-      type: 'list',
-      name: 'nodeEnv',
-      message: 'Node Environment:',
-      choices: ['development', 'production', 'test'],
-      default: configManager.get('nodeEnv')
-    },
-    {
-      type: 'number',
-      name: 'requestTimeout',
-      message: 'Request Timeout (ms):',
-      default: configManager.get('requestTimeout'),
-      validate: (value) => {
-        if (value < 1000 || value > 300000) {
-          return 'Timeout must be between 1000 and 300000 milliseconds';
-        }
-        return true;
-      }
-    },
-    {
-      type: 'number',
-      name: 'maxRetries',
-      message: 'Max Retries:',
-      default: configManager.get('maxRetries'),
-      validate: (value) => {
-        if (value < 0 || value > 10) {
-          return 'Max retries must be between 0 and 10';
-        }
-        return true;
-      }
-    },
-    {
-      type: 'input',
-      name: 'defaultOutputDir',
-      message: 'Default Output Directory:',
-      default: configManager.get('defaultOutputDir'),
-      validate: (input) => {
-        if (!input || !input.trim()) {
-          return 'Output directory is required';
-        }
-        return true;
-      }
-    }
-  ];
+  const questions = Object.entries(ConfigSchema.SCHEMA)
+    .filter(([, entry]) => entry.interactive)
+    .map(([key, entry]) => schemaQuestion(key, entry));
 
   const answers = await inquirer.prompt(questions);
 
-  // Save configuration
-  Object.keys(answers).forEach(key => {
-    configManager.set(key, answers[key]);
-  });
+  // Save what changed, so untouched settings keep coming from their own layer
+  Object.keys(answers)
+    .filter(key => answers[key] !== configManager.get(key))
+    .forEach(key => {
+      configManager.set(key, answers[key]);
+    });
 
   await configManager.saveConfig();
 
@@ -271,6 +311,104 @@ async function validateConfig() {
   }
 }
 
+/**
+ * Print every profile with its key settings
+ * @returns {Promise<Array<Object>>} Profiles
+ */
+async function listProfiles() {
+  const profiles = configManager.listProfiles();
+
+  if (profiles.length === 0) {
+    logger.info('No profiles yet. Create one with: eleven config profiles create <name> --api-key <key>');
+    return profiles;
+  }
+
+  const vaulted = new CredentialVault().getProfiles();
+
+  console.log(chalk.cyan('👤 Configuration Profiles'));
+  console.log(chalk.gray('─'.repeat(50)));
+  profiles.forEach(profile => {
+    const marker = profile.active ? chalk.green('● ') : '  ';
+    console.log(marker + chalk.white(profile.name.padEnd(16)) + chalk.gray(profile.locations.join(', ')));
+    const apiKey = vaulted.includes(profile.name) ? 'in credential vault' : ConfigManager.maskApiKey(profile.settings.elevenApiKey);
+    console.log(chalk.gray(`    API Key: ${apiKey}`));
+    if (profile.settings.elevenApiBaseUrl) {
+      console.log(chalk.gray(`    API Base URL: ${profile.settings.elevenApiBaseUrl}`));
+    }
+    const others = Object.keys(profile.settings).filter(key => key !== 'elevenApiKey' && key !== 'elevenApiBaseUrl');
+    if (others.length > 0) {
+      console.log(chalk.gray(`    Also sets: ${others.join(', ')}`));
+    }
+  });
+
+  return profiles;
+}
+
+/**
+ * Manage named profiles
+ * @param {string} action - list, use, create or delete
+ * @param {string} name - Profile name (not needed for list)
+ * @param {Object} options - Command options
+ * @returns {Promise<*>} Profiles for list, the new profile for create
+ */
+async function profilesCommand(action, name, options = {}) {
+  try {
+    if (action === 'list') {
+      return await listProfiles();
+    }
+
+    if (!name) {
+      throw ErrorHandler.createError(`A profile name is required: eleven config profiles ${action} <name>`, 'INVALID_OPTION');
+    }
+
+    if (action === 'create') {
+      const settings = {};
+      if (options.apiKey) settings.elevenApiKey = options.apiKey;
+      if (options.baseUrl) settings.elevenApiBaseUrl = options.baseUrl;
+      if (options.voice) settings.defaultVoiceId = options.voice;
+
+      const profile = await configManager.createProfile(name, settings, { from: options.from });
+      logger.success(`Created profile ${name} in ${configManager.globalConfigPath}`);
+      logger.info(`Use it once with --profile ${name}, or by default with: eleven config profiles use ${name}`);
+      return profile;
+    }
+
+    if (action === 'use') {
+      await configManager.useProfile(name, { project: options.project });
+      logger.success(`Now using profile ${name}${options.project ? ' in this project' : ''}`);
+      if (process.env.ELEVEN_PROFILE && process.env.ELEVEN_PROFILE !== name) {
+        logger.warn(`ELEVEN_PROFILE=${process.env.ELEVEN_PROFILE} still takes precedence in this shell`);
+      }
+      return undefined;
+    }
+
+    if (action === 'delete') {
+      if (!options.yes) {
+        const { confirm } = await inquirer.prompt([{
+          type: 'confirm',
+          name: 'confirm',
+          message: `Delete profile ${name}?`,
+          default: false
+        }]);
+
+        if (!confirm) {
+          logger.info('Profile delete cancelled');
+          return undefined;
+        }
+      }
+
+      await configManager.deleteProfile(name);
+      logger.success(`Deleted profile ${name}`);
+      return undefined;
+    }
+
+    throw ErrorHandler.createError(`Unknown profiles action "${action}". Use list, use, create or delete`, 'INVALID_OPTION');
+
+  } catch (error) {
+    ErrorHandler.handle(error, 'config profiles');
+  }
+}
+
 /**
  * Main config command function
  * @param {Object} options - Command options
@@ -280,6 +418,8 @@ async function configCommand(options = {}) {
   try {
     if (options.show) {
       await showConfig(options);
+    } else if (options.describe) {
+      await describeConfig(options.describe);
     } else if (options.set) {
       await setConfig(options.set);
     } else if (options.reset) {
@@ -298,4 +438,5 @@ async function configCommand(options = {}) {
   }
 }
 
-module.exports = configCommand;
\ No newline at end of file
+module.exports = configCommand;
+module.exports.profilesCommand = profilesCommand;
\ No newline at end of file
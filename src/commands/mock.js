@@ -0,0 +1,105 @@
+const chalk = require('chalk').default;
+
+// Import utilities
+const Logger = require('../lib/logger');
+const ErrorHandler = require('../lib/error-handler');
+const MockServer = require('../lib/mock-server');
+
+const logger = new Logger();
+
+/**
+ * Parse a ratio option between 0 and 1
+ * @param {string|undefined} value - Option value
+ * @param {string} flag - Option name, for errors
+ * @returns {number} Ratio
+ */
+function parseRatio(value, flag) {
+  if (value === undefined) return 0;
+
+  const ratio = parseFloat(value);
+  if (!Number.isFinite(ratio) || ratio < 0 || ratio > 1) {
+    throw ErrorHandler.createError(`${flag} must be a ratio between 0 and 1`, 'INVALID_OPTION');
+  }
+  return ratio;
+}
+
+/**
+ * Parse a non-negative integer option
+ * @param {string|undefined} value - Option value
+ * @param {string} flag - Option name, for errors
+ * @param {number} fallback - Default value
+ * @returns {number} Parsed value
+ */
+function parseCount(value, flag, fallback) {
+  if (value === undefined) return fallback;
+
+  const count = parseInt(value, 10);
+  if (!Number.isInteger(count) || count < 0) {
+    throw ErrorHandler.createError(`${flag} must be a non-negative number`, 'INVALID_OPTION');
+  }
+  return count;
+}
+
+/**
+ * Print how to point the CLI at the mock server
+ * @param {MockServer} server - Running server
+ */
+function displayServerInfo(server) {
+  console.log(chalk.cyan('\n🧪 Mock ElevenLabs API'));
+  console.log(chalk.gray('─'.repeat(60)));
+  console.log(chalk.white(`HTTP:      ${server.url}`));
+  console.log(chalk.white(`WebSocket: ${server.wsUrl}/text-to-speech/{voice_id}/stream-input`));
+  console.log(chalk.white(`Voices:    ${MockServer.MOCK_VOICES.map(voice => `${voice.name} (${voice.voice_id})`).join(', ')}`));
+
+  const faults = [];
+  if (server.latency) faults.push(`${server.latency}ms latency`);
+  if (server.rateLimit) faults.push(`${Math.round(server.rateLimit * 100)}% 429s`);
+  if (server.serverErrors) faults.push(`${Math.round(server.serverErrors * 100)}% 5xx`);
+  console.log(chalk.white(`Faults:    ${faults.length > 0 ? faults.join(', ') : 'none'}`));
+
+  console.log(chalk.cyan('\nIn another terminal:'));
+  console.log(chalk.gray(`  export ELEVEN_API_BASE_URL=${server.url}`));
+  console.log(chalk.gray('  export ELEVEN_API_KEY=mock_key_0000000000000000000000'));
+  console.log(chalk.gray('  eleven test --text "Hello from the mock server"'));
+  console.log(chalk.gray('\nAny request can force a status with the x-mock-status header. Press Ctrl-C to stop.\n'));
+}
+
+/**
+ * Main mock command function: run the mock server until interrupted
+ * @param {Object} options - Command options
+ * @returns {Promise<void>}
+ */
+async function mockCommand(options = {}) {
+  try {
+    const server = new MockServer({
+      port: parseCount(options.port, '--port', 8787),
+      host: options.host,
+      latency: parseCount(options.latency, '--latency', 0),
+      rateLimit: parseRatio(options.rateLimit, '--rate-limit'),
+      serverErrors: parseRatio(options.serverErrors, '--server-errors'),
+      seed: parseCount(options.seed, '--seed', 1)
+    });
+
+    server.on('request', ({ method, path, status, duration }) => {
+      const color = status >= 500 ? chalk.red : status >= 400 ? chalk.yellow : chalk.green;
+      logger.info(`${method.padEnd(6)} ${path} ${color(status)} ${chalk.gray(`${duration}ms`)}`);
+    });
+
+    await server.start();
+    displayServerInfo(server);
+
+    await new Promise(resolve => {
+      const restoreInterrupt = ErrorHandler.interceptInterrupt(async () => {
+        await server.stop();
+        restoreInterrupt();
+        logger.info('Mock server stopped');
+        resolve();
+      });
+    });
+
+  } catch (error) {
+    ErrorHandler.handle(error, 'mock command');
+  }
+}
+
+module.exports = mockCommand;
@@ -1,4 +1,3 @@
-const axios = require('axios');
 const { exec } = require('child_process');
 const chalk = require('chalk').default;
 const ora = require('ora').default;
@@ -7,6 +6,8 @@ const ora = require('ora').default;
 const Logger = require('../lib/logger');
 const ConfigManager = require('../lib/config-manager');
 const ErrorHandler = require('../lib/error-handler');
+const APIClient = require('../lib/api-client');
+const NetworkRoute = require('../lib/network-route');
 
 const logger = new Logger();
 const configManager = new ConfigManager();
@@ -20,20 +21,17 @@ async function checkApiConnectivity() {
   
   try {
     const config = configManager.loadConfig();
+    const startTime = Date.now();
     
-    const response = await axios.get(`${config.elevenApiBaseUrl}/voices`, {
-      headers: {
-        'xi-api-key': config.elevenApiKey
-      },
-      timeout: config.requestTimeout
-    });
+    // Bypass the cache so the check reflects the live API
+    const data = await APIClient.shared(config).get('/voices', { cache: false, retry: false });
 
     spinner.succeed('ElevenLabs API is accessible');
     
     return {
       status: 'connected',
-      voices: response.data.voices?.length || 0,
-      responseTime: response.headers['x-response-time'] || 'unknown'
+      voices: data.voices?.length || 0,
+      responseTime: `${Date.now() - startTime}ms`
     };
 
   } catch (error) {
@@ -47,7 +45,7 @@ async function checkApiConnectivity() {
       message = `HTTP ${error.response.status}: ${error.response.data?.detail || error.response.statusText}`;
     } else if (error.request) {
       status = 'timeout';
-      message = 'Request timeout - check your internet connection';
+      message = 'Request timeout - check your internet connection, or the proxy with: eleven status --network';
     } else {
       status = 'error';
       message = error.message;
@@ -61,6 +59,142 @@ async function checkApiConnectivity() {
   }
 }
 
+/**
+ * Send one request along a route and time it; any HTTP answer, even an error status, proves the route works
+ * @param {Function} attempt - async () => HTTP status
+ * @returns {Promise<Object>} `{ reachable, status, error, time }`
+ */
+async function probe(attempt) {
+  const startTime = Date.now();
+  try {
+    const status = await attempt();
+    return { reachable: true, status, error: null, time: Date.now() - startTime };
+  } catch (error) {
+    const status = error.response?.status || null;
+    return { reachable: Boolean(status), status, error: status ? null : (error.message || error.code), time: Date.now() - startTime };
+  }
+}
+
+/**
+ * Open the streaming WebSocket and close it again
+ * @param {APIClient} client - API client
+ * @param {string} streamPath - Socket path under the base URL
+ * @param {number} timeout - Milliseconds to wait
+ * @returns {Promise<number>} HTTP status of the upgrade (101 when the socket opened)
+ */
+function openTestSocket(client, streamPath, timeout) {
+  return new Promise((resolve, reject) => {
+    const ws = client.openWebSocket(streamPath);
+    const timer = setTimeout(() => {
+      ws.terminate();
+      reject(Object.assign(new Error('WebSocket handshake timed out'), { code: 'ETIMEDOUT' }));
+    }, timeout);
+
+    ws.on('open', () => {
+      clearTimeout(timer);
+      ws.close();
+      resolve(101);
+    });
+    ws.on('unexpected-response', (request, response) => {
+      clearTimeout(timer);
+      request.destroy();
+      resolve(response.statusCode);
+    });
+    ws.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+  });
+}
+
+/**
+ * Show how API and WebSocket traffic leaves this machine, and try both routes
+ * @returns {Promise<Object>} `{ proxy, noProxy, caBundle, env, routes }`
+ */
+async function checkNetwork() {
+  const config = configManager.loadConfig();
+  const client = APIClient.shared(config);
+  const network = client.network;
+  const streamPath = `/text-to-speech/${config.defaultVoiceId}/stream-input?model_id=eleven_multilingual_v2`;
+  const replaying = client.cassette?.mode === 'replay';
+
+  const targets = [
+    {
+      name: 'API',
+      url: config.elevenApiBaseUrl,
+      attempt: async () => {
+        await client.get('/voices', { cache: false, retry: false });
+        return 200;
+      }
+    },
+    {
+      name: 'WebSocket',
+      url: `${config.elevenApiBaseUrl.replace(/^http/, 'ws')}${streamPath}`,
+      attempt: () => openTestSocket(client, streamPath, config.requestTimeout)
+    }
+  ];
+
+  const routes = [];
+  for (const target of targets) {
+    const spinner = ora(`Reaching ${target.name}...`).start();
+    const route = network.route(target.url);
+    const result = replaying ? { reachable: null, status: null, error: null, time: 0 } : await probe(target.attempt);
+    if (result.reachable === null) spinner.info(`${target.name}: not tried while replaying a cassette`);
+    else if (result.reachable) spinner.succeed(`${target.name} reachable`);
+    else spinner.fail(`${target.name} not reachable`);
+    routes.push({
+      name: target.name,
+      ...route,
+      proxy: route.proxy && NetworkRoute.redact(route.proxy),
+      source: route.source === 'proxy' ? 'proxy setting' : route.source,
+      ...result
+    });
+  }
+
+  const envNames = [...new Set([...NetworkRoute.PROXY_ENV.secure, ...NetworkRoute.PROXY_ENV.plain, 'NO_PROXY', 'no_proxy', 'NODE_EXTRA_CA_CERTS'])];
+  return {
+    proxy: config.proxy ? { value: NetworkRoute.redact(config.proxy), source: configManager.getSource('proxy') } : null,
+    noProxy: network.noProxy,
+    caBundle: config.caBundle ? { path: config.caBundle, certificates: network.getCaCount(), source: configManager.getSource('caBundle') } : null,
+    env: Object.fromEntries(envNames.filter(name => process.env[name]).map(name => [name, NetworkRoute.redact(process.env[name])])),
+    routes
+  };
+}
+
+/**
+ * Display the network report
+ * @param {Object} network - Result of checkNetwork
+ */
+function displayNetwork(network) {
+  const row = (label, value) => console.log(chalk.white(`  ${label.padEnd(20)}: ${value}`));
+
+  console.log(chalk.cyan('\n🌐 Network'));
+  console.log(chalk.gray('─'.repeat(50)));
+  row('Proxy setting', network.proxy ? `${chalk.gray(network.proxy.value)} ${chalk.dim(`[${network.proxy.source}]`)}` : chalk.gray('none'));
+  row('No proxy for', chalk.gray(network.noProxy || 'none'));
+  row('CA bundle', network.caBundle
+    ? `${chalk.gray(`${network.caBundle.path} (${network.caBundle.certificates} certificates)`)} ${chalk.dim(`[${network.caBundle.source}]`)}`
+    : chalk.gray('system certificates'));
+  Object.entries(network.env).forEach(([name, value]) => row(name, chalk.gray(value)));
+
+  network.routes.forEach(route => {
+    console.log(chalk.white(`\n${route.name}: ${route.url}`));
+    if (route.proxy) {
+      row('Route', `via ${route.proxy} ${chalk.dim(`[${route.source}]`)}`);
+    } else {
+      row('Route', `direct${route.bypass ? ` ${chalk.dim(`(${route.bypass})`)}` : ''}`);
+    }
+    row('TLS', route.secure ? 'yes' : 'no');
+    if (route.reachable === null) {
+      row('Result', chalk.gray('not tried while replaying a cassette'));
+    } else if (route.reachable) {
+      row('Result', chalk.green(`reachable, HTTP ${route.status} in ${route.time}ms`));
+    } else {
+      row('Result', chalk.red(`failed after ${route.time}ms: ${route.error}`));
+    }
+  });
+}
+
 /**
  * Check Cursor CLI availability
  * @returns {Promise<Object>} Cursor CLI status
@@ -275,6 +409,12 @@ async function statusCommand(options = {}) {
   try {
     logger.info('Checking application status...');
 
+    if (options.network) {
+      const network = await checkNetwork();
+      displayNetwork(network);
+      return network;
+    }
+
     const status = {
       api: { status: 'skipped' },
       cursor: { status: 'skipped' },
@@ -1,8 +1,6 @@
 // Load environment variables
 require('dotenv').config();
 
-const axios = require('axios');
-const fs = require('fs');
 const path = require('path');
 const chalk = require('chalk').default;
 const ora = require('ora').default;
@@ -13,6 +11,13 @@ const Logger = require('../lib/logger');
 const FileManager = require('../lib/file-manager');
 const ConfigManager = require('../lib/config-manager');
 const ErrorHandler = require('../lib/error-handler');
+const APIClient = require('../lib/api-client');
+const AudioFormat = require('../lib/audio-format');
+const AudioCache = require('../lib/audio-cache');
+const UsageTracker = require('../lib/usage-tracker');
+const VoiceSynthesis = require('../voice/voice-synthesis');
+const SubtitleBuilder = require('../voice/subtitle-builder');
+const BatchJob = require('../voice/batch-job');
 
 const logger = new Logger();
 const fileManager = new FileManager();
@@ -59,6 +64,16 @@ const VOICE_PRESETS = {
   }
 };
 
+/**
+ * Fetch available voices through the shared API client
+ * @param {Object} config - Loaded configuration
+ * @returns {Promise<Array>} Available voices
+ */
+async function fetchVoices(config) {
+  const data = await APIClient.shared(config).get('/voices');
+  return data.voices || [];
+}
+
 /**
  * Test voice synthesis with ElevenLabs API
  * @param {Object} options - Command options
@@ -67,9 +82,201 @@ const VOICE_PRESETS = {
 async function testVoiceSynthesis(options = {}) {
   const config = configManager.loadConfig();
   
+  const { text, voiceId, voiceSettings } = resolveSynthesisOptions(options, config);
+  const outputFile = options.output ||
+    path.join(fileManager.getOutputDir(), `test-${Date.now()}${AudioFormat.extension(config.outputFormat)}`);
+  const synthesis = await createSynthesis(config, options, voiceId, 'eleven_monolingual_v1');
+  // Reject an extension the output format cannot fill before spending credits
+  AudioFormat.forFile(Buffer.alloc(0), synthesis.outputFormat, outputFile);
+
+  const spinner = ora('Generating voice...').start();
+
+  try {
+    // Ensure output directory exists
+    await fileManager.ensureOutputDir();
+
+    const result = options.subtitles
+      ? await synthesis.synthesizeWithTimestamps(text, { voiceSettings })
+      : { audio: await synthesis.synthesize(text, { voiceSettings }) };
+
+    await fileManager.writeFile(outputFile, AudioFormat.forFile(result.audio, synthesis.outputFormat, outputFile));
+
+    spinner.succeed(`Voice generated successfully!`);
+    logger.success(`Audio saved as: ${outputFile}`);
+
+    if (options.subtitles) {
+      const captionFile = path.join(
+        path.dirname(outputFile),
+        `${path.basename(outputFile, path.extname(outputFile))}.${options.subtitles}`
+      );
+      await fileManager.writeFile(captionFile, new SubtitleBuilder().format(result.words, options.subtitles));
+      logger.success(`Subtitles saved as: ${captionFile}`);
+    }
+
+    logger.info(`Text: "${text}"`);
+    logger.info(`Voice ID: ${voiceId}`);
+    logger.info(`Settings: ${JSON.stringify(voiceSettings, null, 2)}`);
+    reportCacheSavings(synthesis);
+    return outputFile;
+
+  } catch (error) {
+    spinner.fail('Failed to generate voice');
+    reportSynthesisError(error);
+    throw error;
+  }
+}
+
+/**
+ * Stream voice synthesis to a file or stdout as audio arrives
+ * @param {Object} options - Command options (`output: '-'` pipes audio to stdout)
+ * @returns {Promise<Object>} Stream stats
+ */
+async function streamVoiceSynthesis(options = {}) {
+  const config = configManager.loadConfig();
+
+  const { text, voiceId, voiceSettings } = resolveSynthesisOptions(options, config);
+  const toStdout = options.output === '-';
+  const outputFile = toStdout
+    ? null
+    : options.output || path.join(fileManager.getOutputDir(), `test-${Date.now()}${AudioFormat.extension(config.outputFormat)}`);
+
+  const synthesis = await createSynthesis(config, options, voiceId, 'eleven_monolingual_v1');
+
+  // Ctrl-C aborts the request instead of killing the process mid-write
+  const controller = new AbortController();
+  const restoreInterrupt = ErrorHandler.interceptInterrupt(() => controller.abort());
+
+  // ora renders on stderr, so progress never mixes with audio piped to stdout
+  const spinner = ora('Streaming voice...').start();
+  synthesis.on('streamFirstByte', ({ timeToFirstByte }) => {
+    spinner.text = `Streaming voice... first audio after ${timeToFirstByte}ms`;
+  });
+  synthesis.on('streamProgress', ({ bytes }) => {
+    spinner.text = `Streaming voice... ${(bytes / 1024).toFixed(1)}KB received`;
+  });
+
+  try {
+    const streamOptions = { voiceSettings, signal: controller.signal };
+    const stats = toStdout
+      ? await synthesis.streamToWritable(text, process.stdout, { ...streamOptions, end: false })
+      : await synthesis.streamToFile(text, outputFile, streamOptions);
+
+    if (stats.aborted) {
+      spinner.warn('Streaming cancelled');
+      return stats;
+    }
+
+    spinner.succeed(`Voice streamed successfully! (first audio after ${stats.timeToFirstByte}ms, ${stats.duration}ms total)`);
+    if (outputFile) {
+      logger.success(`Audio saved as: ${outputFile}`);
+    }
+    logger.info(`Text: "${text}"`);
+    logger.info(`Voice ID: ${voiceId}`);
+    reportCacheSavings(synthesis);
+    return stats;
+
+  } catch (error) {
+    spinner.fail('Failed to stream voice');
+    reportSynthesisError(error);
+    throw error;
+  } finally {
+    restoreInterrupt();
+  }
+}
+
+/**
+ * Synthesize a whole text document into one audio file
+ * Rerunning the same command after a failure resumes from the finished chunks
+ * @param {Object} options - Command options
+ * @returns {Promise<Object>} Document synthesis result
+ */
+async function synthesizeDocumentFile(options = {}) {
+  const config = configManager.loadConfig();
+
+  const text = await fileManager.readFile(options.document, 'utf8');
+  const { voiceId, voiceSettings } = resolveSynthesisOptions(options, config);
+  // A stable default name lets an interrupted run find its finished chunks again
+  const outputFile = options.output ||
+    path.join(fileManager.getOutputDir(), `${path.basename(options.document, path.extname(options.document))}${AudioFormat.extension(config.outputFormat)}`);
+
+  const synthesis = await createSynthesis(config, options, voiceId, 'eleven_multilingual_v2');
+
+  const spinner = ora('Synthesizing document...').start();
+  synthesis.on('documentProgress', ({ completed, resumed, total }) => {
+    const resumedText = resumed > 0 ? ` (${resumed} resumed)` : '';
+    spinner.text = `Synthesizing document... ${completed}/${total} chunks${resumedText}`;
+  });
+
+  try {
+    const result = await synthesis.synthesizeDocument(text, outputFile, {
+      voiceSettings,
+      maxChars: options.maxChars ? parseInt(options.maxChars, 10) : undefined,
+      concurrency: options.concurrency ? parseInt(options.concurrency, 10) : undefined
+    });
+
+    spinner.succeed(`Document synthesized in ${result.chunks} chunks${result.resumed > 0 ? ` (${result.resumed} resumed)` : ''}`);
+    logger.success(`Audio saved as: ${result.outputPath}`);
+    logger.info(`File size: ${(result.size / 1024).toFixed(2)} KB`);
+    reportCacheSavings(synthesis);
+    return result;
+
+  } catch (error) {
+    spinner.fail('Failed to synthesize document');
+    reportSynthesisError(error);
+    logger.info('Finished chunks were kept. Run the same command again to resume.');
+    throw error;
+  }
+}
+
+/**
+ * Create a synthesis module on the shared client with the project's pronunciation lexicon
+ * @param {Object} config - Loaded configuration
+ * @param {Object} options - Command options (`lexicon` overrides the configured file)
+ * @param {string} voiceId - Voice ID
+ * @param {string} modelId - Model ID
+ * @returns {Promise<VoiceSynthesis>} Synthesis module
+ */
+async function createSynthesis(config, options, voiceId, modelId) {
+  const synthesis = new VoiceSynthesis({
+    client: APIClient.shared(config),
+    voiceId,
+    modelId,
+    outputFormat: config.outputFormat,
+    cache: AudioCache.fromConfig(config),
+    usage: UsageTracker.shared(config)
+  });
+
+  const lexiconPath = options.lexicon || config.pronunciationLexicon;
+  if (lexiconPath) {
+    const lexicon = await synthesis.loadLexicon(lexiconPath);
+    logger.debug(`Loaded ${lexicon.size} pronunciation rules from ${lexiconPath}`);
+  }
+
+  synthesis.on('pronunciationWarning', ({ message }) => logger.warn(message));
+  synthesis.on('cacheError', (error) => logger.debug(`Audio cache unavailable: ${error.message}`));
+  return synthesis;
+}
+
+/**
+ * Report requests answered from the audio cache instead of the API
+ * @param {VoiceSynthesis} synthesis - Synthesis module after a run
+ */
+function reportCacheSavings(synthesis) {
+  const { hits, characters } = synthesis.cacheSavings;
+  if (hits > 0) {
+    logger.info(`Served ${hits} request${hits === 1 ? '' : 's'} from the audio cache, saving ${characters} credits`);
+  }
+}
+
+/**
+ * Resolve text, voice and settings for a synthesis test
+ * @param {Object} options - Command options
+ * @param {Object} config - Loaded configuration
+ * @returns {Object} Text, voice ID and voice settings
+ */
+function resolveSynthesisOptions(options, config) {
   const text = options.text || SAMPLE_TEXTS[Math.floor(Math.random() * SAMPLE_TEXTS.length)];
   const voiceId = options.voice || config.defaultVoiceId;
-  const outputFile = options.output || path.join(fileManager.getOutputDir(), `test-${Date.now()}.mp3`);
 
   // Parse voice settings
   let voiceSettings = VOICE_PRESETS.balanced;
@@ -81,73 +288,38 @@ async function testVoiceSynthesis(options = {}) {
     }
   }
 
-  const spinner = ora('Generating voice...').start();
-
-  try {
-    // Ensure output directory exists
-    await fileManager.ensureOutputDir();
-
-    const response = await axios.post(
-      `${config.elevenApiBaseUrl}/text-to-speech/${voiceId}`,
-      {
-        text: text,
-        model_id: 'eleven_monolingual_v1',
-        voice_settings: voiceSettings
-      },
-      {
-        headers: {
-          'xi-api-key': config.elevenApiKey,
-          'Content-Type': 'application/json'
-        },
-        responseType: 'stream',
-        timeout: config.requestTimeout
-      }
-    );
-
-    const writer = fs.createWriteStream(outputFile);
-    response.data.pipe(writer);
-
-    return new Promise((resolve, reject) => {
-      writer.on('finish', () => {
-        spinner.succeed(`Voice generated successfully!`);
-        logger.success(`Audio saved as: ${outputFile}`);
-        logger.info(`Text: "${text}"`);
-        logger.info(`Voice ID: ${voiceId}`);
-        logger.info(`Settings: ${JSON.stringify(voiceSettings, null, 2)}`);
-        resolve(outputFile);
-      });
+  return { text, voiceId, voiceSettings };
+}
 
-      writer.on('error', (error) => {
-        spinner.fail('Failed to save audio file');
-        reject(error);
-      });
-    });
+/**
+ * Log a synthesis failure with API-specific hints
+ * @param {Error} error - Synthesis error
+ */
+function reportSynthesisError(error) {
+  // Voice modules wrap HTTP failures; the response lives further down the cause chain
+  while (error.cause && !error.response && !error.request) {
+    error = error.cause;
+  }
 
-  } catch (error) {
-    spinner.fail('Failed to generate voice');
+  if (error.response) {
+    const status = error.response.status;
+    const data = error.response.data;
+    const message = data?.detail || data?.message || error.response.statusText;
     
-    if (error.response) {
-      const status = error.response.status;
-      const data = error.response.data;
-      const message = data?.detail || data?.message || error.response.statusText;
-      
-      logger.error(`API Error (${status}): ${message}`);
-      
-      if (status === 401) {
-        logger.warn('Please check your ElevenLabs API key in the .env file');
-      } else if (status === 429) {
-        logger.warn('Rate limit exceeded. Please wait before making more requests.');
-      } else if (status === 400) {
-        logger.warn('Bad request. Please check your voice ID and settings.');
-      }
-    } else if (error.request) {
-      logger.error('Network Error: Unable to connect to ElevenLabs API');
-      logger.warn('Please check your internet connection and try again');
-    } else {
-      logger.error(`Error: ${error.message}`);
-    }
+    logger.error(`API Error (${status}): ${message}`);
     
-    throw error;
+    if (status === 401) {
+      logger.warn('Please check your ElevenLabs API key in the .env file');
+    } else if (status === 429) {
+      logger.warn('Rate limit exceeded. Please wait before making more requests.');
+    } else if (status === 400) {
+      logger.warn('Bad request. Please check your voice ID and settings.');
+    }
+  } else if (error.request) {
+    logger.error('Network Error: Unable to connect to ElevenLabs API');
+    logger.warn('Please check your internet connection and try again');
+  } else {
+    logger.error(`Error: ${error.message}`);
   }
 }
 
@@ -160,20 +332,15 @@ async function listAvailableVoices() {
   const spinner = ora('Fetching available voices...').start();
 
   try {
-    const response = await axios.get(`${config.elevenApiBaseUrl}/voices`, {
-      headers: {
-        'xi-api-key': config.elevenApiKey
-      },
-      timeout: config.requestTimeout
-    });
+    const voices = await fetchVoices(config);
 
     spinner.succeed('Available voices:');
     
-    if (response.data.voices && response.data.voices.length > 0) {
+    if (voices.length > 0) {
       console.log(chalk.cyan('\n🎤 ElevenLabs Voices:'));
       console.log(chalk.gray('─'.repeat(80)));
       
-      response.data.voices.forEach((voice, index) => {
+      voices.forEach((voice, index) => {
         console.log(chalk.white(`${index + 1}. ${voice.name}`));
         console.log(chalk.gray(`   ID: ${voice.voice_id}`));
         console.log(chalk.gray(`   Category: ${voice.category || 'Unknown'}`));
@@ -209,11 +376,7 @@ async function interactiveTestMode() {
   // Get available voices
   let voices = [];
   try {
-    const response = await axios.get(`${config.elevenApiBaseUrl}/voices`, {
-      headers: { 'xi-api-key': config.elevenApiKey },
-      timeout: config.requestTimeout
-    });
-    voices = response.data.voices || [];
+    voices = await fetchVoices(config);
   } catch (error) {
     logger.error('Failed to fetch voices for interactive mode');
     return;
@@ -266,7 +429,7 @@ async function interactiveTestMode() {
       type: 'input',
       name: 'output',
       message: 'Output file name (optional):',
-      default: `test-${Date.now()}.mp3`
+      default: `test-${Date.now()}${AudioFormat.extension(config.outputFormat)}`
     }
   ];
 
@@ -289,7 +452,7 @@ async function interactiveTestMode() {
 }
 
 /**
- * Batch test multiple voices
+ * Batch test every available voice, a few at a time
  * @param {Object} options - Command options
  * @returns {Promise<void>}
  */
@@ -299,41 +462,40 @@ async function batchTestVoices(options = {}) {
 
   try {
     // Get available voices
-    const response = await axios.get(`${config.elevenApiBaseUrl}/voices`, {
-      headers: { 'xi-api-key': config.elevenApiKey },
-      timeout: config.requestTimeout
-    });
-
-    const voices = response.data.voices || [];
+    const voices = await fetchVoices(config);
     if (voices.length === 0) {
       throw new Error('No voices available for batch testing');
     }
 
-    // Test first 5 voices with sample text
-    const testVoices = voices.slice(0, 5);
-    const testText = "This is a batch test of multiple voices.";
-    
-    spinner.text = `Testing ${testVoices.length} voices...`;
+    const testText = options.text || "This is a batch test of multiple voices.";
+    const synthesis = await createSynthesis(config, options, config.defaultVoiceId, 'eleven_monolingual_v1');
+    const extension = AudioFormat.extension(synthesis.outputFormat);
+    const outputDir = path.join(fileManager.getOutputDir(), `batch-test-${Date.now()}`);
+    await fileManager.ensureDir(outputDir);
 
-    for (let i = 0; i < testVoices.length; i++) {
-      const voice = testVoices[i];
-      const outputFile = path.join(fileManager.getOutputDir(), `batch-test-${voice.name.toLowerCase().replace(/\s+/g, '-')}-${Date.now()}.mp3`);
-      
-      try {
-        await testVoiceSynthesis({
-          text: testText,
-          voice: voice.voice_id,
-          output: outputFile
-        });
-        
-        spinner.text = `Tested ${i + 1}/${testVoices.length} voices`;
-      } catch (error) {
-        logger.warn(`Failed to test voice ${voice.name}: ${error.message}`);
-      }
-    }
+    const job = new BatchJob({
+      client: synthesis.client,
+      concurrency: options.concurrency ? parseInt(options.concurrency, 10) : undefined
+    });
+    job.on('itemComplete', ({ completed, failed, total }) => {
+      spinner.text = `Tested ${completed + failed}/${total} voices`;
+    });
+    job.on('itemFailed', ({ item, error, completed, failed, total }) => {
+      logger.warn(`Failed to test voice ${item.name}: ${error.message}`);
+      spinner.text = `Tested ${completed + failed}/${total} voices`;
+    });
+
+    spinner.text = `Testing ${voices.length} voices...`;
+    const items = voices.map(voice => ({ id: voice.voice_id, type: 'synthesize', text: testText, name: voice.name }));
+    const report = await job.run(items, async (item, { request }) => {
+      const outputFile = path.join(outputDir, `${item.name.toLowerCase().replace(/\s+/g, '-')}-${item.id}${extension}`);
+      await synthesis.synthesizeToFile(item.text, outputFile, { voiceId: item.id, request });
+      return { output: outputFile };
+    });
 
-    spinner.succeed(`Batch test completed! Tested ${testVoices.length} voices`);
-    logger.info(`Output files saved in: ${fileManager.getOutputDir()}`);
+    spinner.succeed(`Batch test completed! Tested ${report.completed}/${report.total} voices`);
+    logger.info(`Output files saved in: ${outputDir}`);
+    reportCacheSavings(synthesis);
 
   } catch (error) {
     spinner.fail('Batch test failed');
@@ -341,6 +503,26 @@ async function batchTestVoices(options = {}) {
   }
 }
 
+/**
+ * Subtitles come from a single timestamped synthesis, so reject formats and modes that cannot produce them
+ * @param {Object} options - Command options
+ */
+function validateSubtitleOptions(options) {
+  options.subtitles = String(options.subtitles).toLowerCase();
+
+  if (!SubtitleBuilder.FORMATS.includes(options.subtitles)) {
+    throw ErrorHandler.createError(
+      `Unknown subtitle format "${options.subtitles}". Use one of: ${SubtitleBuilder.FORMATS.join(', ')}`,
+      'INVALID_OPTION'
+    );
+  }
+
+  const conflict = ['stream', 'document', 'batch', 'interactive'].find(mode => options[mode]);
+  if (conflict) {
+    throw ErrorHandler.createError(`--subtitles cannot be combined with --${conflict}`, 'INVALID_OPTION');
+  }
+}
+
 /**
  * Main test command function
  * @param {Object} options - Command options
@@ -348,6 +530,11 @@ async function batchTestVoices(options = {}) {
  */
 async function testCommand(options = {}) {
   try {
+    // Audio owns stdout when piping, so only warnings and errors (stderr) may print
+    if (options.stream && options.output === '-') {
+      logger.logLevel = logger._parseLogLevel('warn');
+    }
+
     logger.info('Testing voice synthesis...');
 
     // Load and validate configuration
@@ -359,6 +546,10 @@ async function testCommand(options = {}) {
       );
     }
 
+    if (options.subtitles) {
+      validateSubtitleOptions(options);
+    }
+
     if (options.listVoices) {
       await listAvailableVoices();
       return;
@@ -374,6 +565,16 @@ async function testCommand(options = {}) {
       return;
     }
 
+    if (options.document) {
+      await synthesizeDocumentFile(options);
+      return;
+    }
+
+    if (options.stream) {
+      await streamVoiceSynthesis(options);
+      return;
+    }
+
     // Single voice test
     await testVoiceSynthesis(options);
 
@@ -382,4 +583,8 @@ async function testCommand(options = {}) {
   }
 }
 
-module.exports = testCommand;
\ No newline at end of file
+module.exports = testCommand;
+module.exports.fetchVoices = fetchVoices;
+module.exports.SAMPLE_TEXTS = SAMPLE_TEXTS;
+module.exports.createSynthesis = createSynthesis;
+module.exports.reportCacheSavings = reportCacheSavings;
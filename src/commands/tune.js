@@ -1,7 +1,6 @@
 const inquirer = require('inquirer').default;
 const chalk = require('chalk').default;
-const ora = require('ora');
-const fs = require('fs');
+const ora = require('ora').default;
 const path = require('path');
 
 // Import utilities
@@ -9,10 +8,32 @@ const Logger = require('../lib/logger');
 const FileManager = require('../lib/file-manager');
 const ConfigManager = require('../lib/config-manager');
 const ErrorHandler = require('../lib/error-handler');
+const APIClient = require('../lib/api-client');
+const AudioCache = require('../lib/audio-cache');
+const AudioFormat = require('../lib/audio-format');
+const UsageTracker = require('../lib/usage-tracker');
+const AudioAnalyzer = require('../voice/audio-analyzer');
+const AudioPlayer = require('../voice/audio-player');
+const ParameterSearch = require('../voice/parameter-search');
+const TranscriptScorer = require('../voice/transcript-scorer');
+const VoiceSynthesis = require('../voice/voice-synthesis');
+const VoiceRecognition = require('../voice/voice-recognition');
 
 const logger = new Logger();
 const fileManager = new FileManager();
 const configManager = new ConfigManager();
+const audioAnalyzer = new AudioAnalyzer();
+const transcriptScorer = new TranscriptScorer();
+
+// Optimizer samples are fetched as raw PCM so they can be measured without an MP3 decoder
+const OPTIMIZE_SAMPLE_RATE = 22050;
+
+// Texts scored by --optimize when no --text or --script is given: a statement, a question and an exclamation
+const OPTIMIZE_TEXTS = [
+  'The quarterly report is ready, and the numbers look better than expected.',
+  'Could you tell me how to get to the nearest train station?',
+  'What a fantastic surprise, thank you so much!'
+];
 
 // Voice settings configuration
 const VOICE_SETTINGS = {
@@ -109,6 +130,56 @@ const VOICE_PRESETS = {
   }
 };
 
+// Objectives for --optimize. Each scores one settings candidate from its synthesized samples
+// on a 0-100 scale (higher is better). A custom objective is a module exporting `evaluate`.
+const OPTIMIZE_OBJECTIVES = {
+  loudness: {
+    name: 'Loudness consistency',
+    description: 'Even level across the script, close to -19 dBFS and free of clipping',
+    evaluate: async (samples) => {
+      const levels = samples.map(sample => sample.audio.loudness);
+      const mean = levels.reduce((sum, level) => sum + level, 0) / levels.length;
+      const spread = Math.sqrt(levels.reduce((sum, level) => sum + (level - mean) ** 2, 0) / levels.length);
+      const clippingRatio = Math.max(...samples.map(sample => sample.audio.clippingRatio));
+      const offTarget = Math.max(0, Math.abs(mean + 19) - 5);
+
+      return {
+        score: clampScore(100 - spread * 15 - offTarget * 2 - clippingRatio * 1000),
+        loudness: Number(mean.toFixed(2)),
+        loudnessSpread: Number(spread.toFixed(2)),
+        clippingRatio
+      };
+    }
+  },
+  wer: {
+    name: 'Round-trip intelligibility',
+    description: 'Transcribe every sample and minimize the word error rate',
+    evaluate: async (samples, context) => {
+      let errors = 0;
+      for (const sample of samples) {
+        errors += (await context.transcribe(sample)).wer;
+      }
+      const wer = errors / samples.length;
+
+      return { score: clampScore(100 * (1 - wer)), wer: Number(wer.toFixed(4)) };
+    }
+  },
+  rating: {
+    name: 'Listener ratings',
+    description: 'Play every sample and rate it from 1 to 5',
+    interactive: true,
+    evaluate: async (samples, context) => {
+      let total = 0;
+      for (const sample of samples) {
+        total += await context.rate(sample);
+      }
+      const rating = total / samples.length;
+
+      return { score: clampScore(rating * 20), rating: Number(rating.toFixed(2)) };
+    }
+  }
+};
+
 /**
  * Interactive voice tuning mode
  * @returns {Promise<Object>} Voice settings
@@ -332,15 +403,17 @@ function displayRecommendations(recommendations) {
  * Generate configuration file
  * @param {Object} settings - Voice settings
  * @param {string} outputFile - Output file path
+ * @param {Object} extra - Additional fields to record, e.g. optimizer results
  * @returns {Promise<void>}
  */
-async function generateConfigFile(settings, outputFile) {
+async function generateConfigFile(settings, outputFile, extra = {}) {
   const config = {
     voice_settings: settings,
     generated_at: new Date().toISOString(),
     generated_by: 'eleven-cursor',
     version: '0.1.0',
-    notes: 'Generated by eleven-cursor tune command'
+    notes: 'Generated by eleven-cursor tune command',
+    ...extra
   };
 
   const configContent = `// Voice settings configuration
@@ -381,54 +454,283 @@ async function testVoiceSettings(settings, voiceId) {
   
   try {
     const config = configManager.loadConfig();
-    const axios = require('axios');
     
     const testText = "This is a test of the voice settings. How does it sound?";
-    const outputFile = path.join(fileManager.getOutputDir(), `tune-test-${Date.now()}.mp3`);
+    const format = AudioFormat.output(config.outputFormat);
+    const outputFile = path.join(fileManager.getOutputDir(), `tune-test-${Date.now()}${format.extension}`);
     
     // Ensure output directory exists
     await fileManager.ensureOutputDir();
     
-    const response = await axios.post(
-      `${config.elevenApiBaseUrl}/text-to-speech/${voiceId}`,
+    const audioBuffer = await APIClient.shared(config).postBinary(
+      `/text-to-speech/${voiceId}`,
       {
         text: testText,
         model_id: 'eleven_monolingual_v1',
         voice_settings: settings
       },
-      {
-        headers: {
-          'xi-api-key': config.elevenApiKey,
-          'Content-Type': 'application/json'
-        },
-        responseType: 'stream',
-        timeout: config.requestTimeout
-      }
+      { params: { output_format: format.name }, headers: { 'Accept': format.mime } }
     );
 
-    const writer = fs.createWriteStream(outputFile);
-    response.data.pipe(writer);
+    await fileManager.writeFile(outputFile, AudioFormat.forFile(audioBuffer, format.name, outputFile));
 
-    return new Promise((resolve, reject) => {
-      writer.on('finish', () => {
-        spinner.succeed('Voice test completed!');
-        logger.success(`Test audio saved as: ${outputFile}`);
-        logger.info(`Text: "${testText}"`);
-        resolve();
-      });
+    spinner.succeed('Voice test completed!');
+    logger.success(`Test audio saved as: ${outputFile}`);
+    logger.info(`Text: "${testText}"`);
 
-      writer.on('error', (error) => {
-        spinner.fail('Failed to save test audio');
-        reject(error);
-      });
+  } catch (error) {
+    spinner.fail('Voice test failed');
+    throw error;
+  }
+}
+
+/**
+ * Clamp an objective score to 0-100
+ * @param {number} score - Raw score
+ * @returns {number} Score rounded to one decimal
+ */
+function clampScore(score) {
+  return Number(Math.min(100, Math.max(0, score)).toFixed(1));
+}
+
+/**
+ * Resolve an optimization objective by name or module path
+ * @param {string} name - Built-in objective name, or path to a module exporting `evaluate(samples, context)`
+ * @returns {Object} Objective
+ */
+function loadObjective(name) {
+  if (OPTIMIZE_OBJECTIVES[name]) {
+    return { key: name, ...OPTIMIZE_OBJECTIVES[name] };
+  }
+
+  if (!/[\\/.]/.test(name)) {
+    throw ErrorHandler.createError(
+      `Unknown objective "${name}". Use one of: ${Object.keys(OPTIMIZE_OBJECTIVES).join(', ')}, or a path to a module`,
+      'INVALID_OBJECTIVE'
+    );
+  }
+
+  let objective;
+  try {
+    objective = require(path.resolve(name));
+  } catch (error) {
+    throw ErrorHandler.createError(`Could not load objective ${name}: ${error.message}`, 'INVALID_OBJECTIVE');
+  }
+
+  if (typeof objective === 'function') {
+    objective = { evaluate: objective };
+  }
+  if (!objective || typeof objective.evaluate !== 'function') {
+    throw ErrorHandler.createError(`Objective ${name} must export an evaluate(samples, context) function`, 'INVALID_OBJECTIVE');
+  }
+
+  return { key: name, name: objective.name || path.basename(name), ...objective };
+}
+
+/**
+ * Texts to optimize for: --text, one line per text from --script, or the built-in set
+ * @param {Object} options - Command options
+ * @returns {Promise<Array<string>>} Texts
+ */
+async function loadOptimizeTexts(options) {
+  if (options.script) {
+    const content = await fileManager.readFile(options.script, 'utf8');
+    const texts = content.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    if (texts.length === 0) {
+      throw ErrorHandler.createError(`Script file is empty: ${options.script}`, 'EMPTY_SCRIPT');
+    }
+    return texts;
+  }
+
+  return options.text ? [options.text] : OPTIMIZE_TEXTS;
+}
+
+/**
+ * Helpers handed to objectives: transcription for round-trip scoring and playback for ratings
+ * @param {Object} config - Loaded configuration
+ * @returns {Object} Objective context
+ */
+function createObjectiveContext(config) {
+  const recognition = new VoiceRecognition({ client: APIClient.shared(config) });
+  let player = null;
+
+  return {
+    transcribe: async (sample) => {
+      const result = await recognition.transcribeBuffer(sample.wav, { fileName: 'tune-sample.wav' });
+      return { transcript: result.text || '', ...transcriptScorer.score(sample.text, result.text || '') };
+    },
+    rate: async (sample) => {
+      player = player || new AudioPlayer();
+      const sampleFile = path.join(fileManager.getTempDir(), `tune-sample-${Date.now()}.wav`);
+      await fileManager.writeFile(sampleFile, sample.wav);
+
+      try {
+        let rating;
+        do {
+          if (player.available) {
+            console.log(chalk.gray(`  ▶ "${sample.text}"`));
+            await player.play(sampleFile).catch(error => logger.warn(`${error.message}. Play it yourself: ${sampleFile}`));
+          } else {
+            console.log(chalk.white(`  Play: ${sampleFile}`));
+          }
+
+          ({ rating } = await inquirer.prompt([{
+            type: 'list',
+            name: 'rating',
+            message: 'Rate this sample:',
+            choices: [5, 4, 3, 2, 1].map(value => ({ name: String(value), value })).concat({ name: 'Replay', value: 'replay' }),
+            default: 2
+          }]));
+        } while (rating === 'replay');
+
+        return rating;
+      } finally {
+        await fileManager.remove(sampleFile);
+      }
+    }
+  };
+}
+
+/**
+ * Search the settings space for the values that score best on an objective
+ * @param {Object} options - Command options
+ * @returns {Promise<Object>} Best settings and the search report
+ */
+async function optimizeSettings(options) {
+  const config = configManager.loadConfig();
+  const voiceId = options.voice || config.defaultVoiceId;
+  const objective = loadObjective(options.objective || 'loudness');
+  const texts = await loadOptimizeTexts(options);
+  const budget = parseInt(options.budget, 10);
+
+  if (!Number.isInteger(budget) || budget < 1) {
+    throw ErrorHandler.createError('--budget must be a positive number of trials', 'INVALID_BUDGET');
+  }
+  if (objective.interactive && !process.stdin.isTTY) {
+    throw ErrorHandler.createError(`The ${objective.key} objective needs an interactive terminal`, 'NOT_INTERACTIVE');
+  }
+
+  // use_speaker_boost stays on; only the continuous settings are searched
+  const space = {};
+  ['stability', 'similarity_boost', 'style'].forEach(key => {
+    space[key] = { min: VOICE_SETTINGS[key].min, max: VOICE_SETTINGS[key].max };
+  });
+
+  let search;
+  try {
+    search = new ParameterSearch(space, { strategy: options.strategy, budget });
+  } catch (error) {
+    throw ErrorHandler.createError(error.message, 'INVALID_STRATEGY');
+  }
+
+  const synthesis = new VoiceSynthesis({
+    client: APIClient.shared(config),
+    voiceId,
+    modelId: 'eleven_monolingual_v1',
+    cache: AudioCache.fromConfig(config),
+    usage: UsageTracker.shared(config)
+  });
+  const context = createObjectiveContext(config);
+
+  console.log(chalk.cyan(`\n🔎 Optimizing for ${objective.name} (${search.strategy} search, ${texts.length} text${texts.length === 1 ? '' : 's'})`));
+
+  // A grid can use fewer trials than the budget
+  const plannedTrials = search.plannedTrials();
+
+  // Ratings need the terminal, so the spinner only runs for measured objectives
+  const spinner = objective.interactive ? null : ora('Trial 1...').start();
+  search.on('trial', (trial) => {
+    const outcome = trial.score === null ? chalk.red(`failed: ${trial.error}`) : `score ${trial.score}`;
+    const line = `Trial ${trial.index + 1}/${trial.total}: ${formatPoint(trial.point)} → ${outcome}`;
+    if (spinner) {
+      spinner.text = line;
+    } else {
+      console.log(chalk.gray(line));
+    }
+  });
+
+  try {
+    const result = await search.run(async (point, index) => {
+      const settings = { ...point, use_speaker_boost: true };
+      const samples = [];
+
+      for (const text of texts) {
+        const pcm = await synthesis.synthesize(text, {
+          voiceSettings: settings,
+          outputFormat: `pcm_${OPTIMIZE_SAMPLE_RATE}`
+        });
+        samples.push({
+          text,
+          pcm,
+          wav: AudioAnalyzer.toWav(pcm, { sampleRate: OPTIMIZE_SAMPLE_RATE }),
+          audio: audioAnalyzer.analyzePcm(pcm, { sampleRate: OPTIMIZE_SAMPLE_RATE, text })
+        });
+      }
+
+      if (objective.interactive) {
+        console.log(chalk.cyan(`\nTrial ${index + 1}/${plannedTrials}`));
+      }
+      return objective.evaluate(samples, { ...context, settings, trial: index, voiceId });
     });
 
+    if (spinner) spinner.succeed(`Tried ${result.trials.length} settings`);
+    return { ...result, objective: objective.key, voiceId, texts };
   } catch (error) {
-    spinner.fail('Voice test failed');
+    if (spinner) spinner.fail('Optimization failed');
     throw error;
   }
 }
 
+/**
+ * Format a point in the settings space for display
+ * @param {Object} point - Settings values
+ * @returns {string} Compact description
+ */
+function formatPoint(point) {
+  return `stability ${point.stability.toFixed(2)}, similarity ${point.similarity_boost.toFixed(2)}, style ${point.style.toFixed(2)}`;
+}
+
+/**
+ * Display every tried point, best first
+ * @param {Object} report - Optimization report
+ */
+function displayOptimizationReport(report) {
+  console.log(chalk.cyan('\n📈 Optimization Report:'));
+  console.log(chalk.gray('─'.repeat(60)));
+  console.log(chalk.gray(`${'#'.padEnd(5)}${'Stability'.padEnd(12)}${'Similarity'.padEnd(12)}${'Style'.padEnd(10)}Score`));
+
+  const ranked = [...report.trials].sort((a, b) => (b.score ?? -1) - (a.score ?? -1));
+  ranked.forEach(trial => {
+    const color = trial === report.best ? chalk.green : trial.score === null ? chalk.red : chalk.white;
+    const { stability, similarity_boost: similarity, style } = trial.point;
+    console.log(color(
+      `${String(trial.index + 1).padEnd(5)}${stability.toFixed(2).padEnd(12)}${similarity.toFixed(2).padEnd(12)}` +
+      `${style.toFixed(2).padEnd(10)}${trial.score === null ? `failed: ${trial.error}` : trial.score}`
+    ));
+  });
+}
+
+/**
+ * Save the full optimization report as JSON
+ * @param {Object} report - Optimization report
+ * @param {string} outputFile - Output file path
+ * @returns {Promise<string>} Output file path
+ */
+async function saveOptimizationReport(report, outputFile) {
+  const data = {
+    timestamp: new Date().toISOString(),
+    voiceId: report.voiceId,
+    objective: report.objective,
+    strategy: report.strategy,
+    texts: report.texts,
+    best: report.best,
+    trials: report.trials
+  };
+
+  await fileManager.writeFile(outputFile, JSON.stringify(data, null, 2));
+  return outputFile;
+}
+
 /**
  * Main tune command function
  * @param {Object} options - Command options
@@ -438,6 +740,29 @@ async function tuneCommand(options = {}) {
   try {
     logger.info('🎙️ Voice settings tuning...');
 
+    if (options.optimize) {
+      const report = await optimizeSettings(options);
+      const settings = { ...report.best.point, use_speaker_boost: true };
+      const outputFile = options.output || 'voice-config.js';
+      const reportFile = `${outputFile.replace(/\.js$/, '')}.report.json`;
+
+      displayOptimizationReport(report);
+      displaySettings(settings);
+
+      await saveOptimizationReport(report, reportFile);
+      await generateConfigFile(settings, outputFile, {
+        optimization: {
+          objective: report.objective,
+          strategy: report.strategy,
+          score: report.best.score,
+          trials: report.trials.length,
+          report: reportFile
+        }
+      });
+      logger.success(`Optimization report saved to: ${reportFile}`);
+      return;
+    }
+
     let settings = {};
 
     if (options.interactive) {
@@ -501,4 +826,5 @@ async function tuneCommand(options = {}) {
   }
 }
 
-module.exports = tuneCommand;
\ No newline at end of file
+module.exports = tuneCommand;
+module.exports.VOICE_PRESETS = VOICE_PRESETS;
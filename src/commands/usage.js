@@ -0,0 +1,123 @@
+const fs = require('fs-extra');
+const chalk = require('chalk').default;
+const ora = require('ora').default;
+
+// Import utilities
+const Logger = require('../lib/logger');
+const ConfigManager = require('../lib/config-manager');
+const ErrorHandler = require('../lib/error-handler');
+const APIClient = require('../lib/api-client');
+const UsageTracker = require('../lib/usage-tracker');
+
+const logger = new Logger();
+const configManager = new ConfigManager();
+
+/**
+ * Format a character count with thousands separators
+ * @param {number} value - Character count
+ * @returns {string} Formatted count
+ */
+function formatCount(value) {
+  return Number(value || 0).toLocaleString('en-US');
+}
+
+/**
+ * Describe usage against a limit
+ * @param {number} used - Characters used
+ * @param {number|null} limit - Character limit
+ * @returns {string} Colored summary
+ */
+function formatAgainst(used, limit) {
+  if (!limit) return chalk.gray(`${formatCount(used)} (no budget)`);
+
+  const ratio = used / limit;
+  const color = ratio >= 1 ? chalk.red : ratio >= 0.8 ? chalk.yellow : chalk.green;
+  return color(`${formatCount(used)} / ${formatCount(limit)} (${Math.floor(ratio * 100)}%)`);
+}
+
+/**
+ * Print one breakdown table, largest first
+ * @param {string} title - Table title
+ * @param {Object} rows - Buckets by name
+ * @param {boolean} byDate - Sort by name (dates) instead of billed characters
+ */
+function displayBreakdown(title, rows, byDate = false) {
+  const entries = Object.entries(rows);
+  if (entries.length === 0) return;
+
+  entries.sort(byDate ? ([a], [b]) => a.localeCompare(b) : ([, a], [, b]) => b.billed - a.billed);
+
+  console.log(chalk.cyan(`\n${title}`));
+  console.log(chalk.gray(`  ${''.padEnd(24)}${'Billed'.padStart(12)}${'Requests'.padStart(10)}${'Cached'.padStart(8)}`));
+  entries.forEach(([name, bucket]) => {
+    console.log(chalk.white(`  ${name.padEnd(24)}`) + chalk.gray(
+      `${formatCount(bucket.billed).padStart(12)}${String(bucket.requests).padStart(10)}${String(bucket.cached).padStart(8)}`
+    ));
+  });
+}
+
+/**
+ * Main usage command function
+ * Shows the account quota from the API, the project's budgets, and recorded usage by voice, command and day
+ * @param {Object} options - Command options
+ * @returns {Promise<Object|undefined>} Usage report
+ */
+async function usageCommand(options = {}) {
+  try {
+    const days = Number(options.days || '30');
+    if (!Number.isInteger(days) || days < 1) {
+      throw ErrorHandler.createError('--days must be a whole number of at least 1', 'INVALID_OPTION');
+    }
+
+    const config = configManager.loadConfig();
+    // Not the shared tracker: reporting should not repeat the budget warnings
+    const tracker = new UsageTracker({ budget: config.budget });
+
+    const spinner = ora('Fetching subscription...').start();
+    let subscription = null;
+    try {
+      subscription = await UsageTracker.fetchSubscription(APIClient.shared(config));
+      spinner.stop();
+    } catch (error) {
+      // Recorded usage and budgets are still worth showing offline
+      spinner.warn(`Could not fetch subscription: ${error.message}`);
+    }
+
+    const budget = await tracker.getBudgetStatus();
+    const report = await tracker.getReport({ days });
+
+    console.log(chalk.cyan('\n📊 Character Usage'));
+    console.log(chalk.gray('─'.repeat(54)));
+    if (subscription) {
+      const resets = subscription.resetsAt ? chalk.gray(`, resets ${new Date(subscription.resetsAt).toLocaleDateString()}`) : '';
+      console.log(chalk.white(`${'Plan'.padEnd(14)}: ${chalk.gray(`${subscription.tier} (${subscription.status})`)}`));
+      console.log(chalk.white(`${'Account quota'.padEnd(14)}: ${formatAgainst(subscription.used, subscription.limit)}${resets}`));
+    }
+    console.log(chalk.white(`${'Today'.padEnd(14)}: ${formatAgainst(budget.daily.used, budget.daily.limit)}`));
+    console.log(chalk.white(`${'This month'.padEnd(14)}: ${formatAgainst(budget.monthly.used, budget.monthly.limit)}`));
+
+    console.log(chalk.white(`\nLast ${days} day${days === 1 ? '' : 's'}: ${chalk.green(formatCount(report.total.billed))} characters billed` +
+      chalk.gray(` over ${report.total.requests} requests (${report.total.cached} served from cache)`)));
+
+    if (report.total.requests === 0) {
+      logger.info('No synthesis recorded in this project yet');
+    } else {
+      displayBreakdown('By voice', report.byVoice);
+      displayBreakdown('By command', report.byCommand);
+      displayBreakdown('By day', report.byDay, true);
+    }
+
+    const result = { subscription, budget, ...report };
+    if (options.output) {
+      await fs.outputJson(options.output, result, { spaces: 2 });
+      logger.success(`Usage report saved to: ${options.output}`);
+    }
+
+    return result;
+
+  } catch (error) {
+    ErrorHandler.handle(error, 'usage command');
+  }
+}
+
+module.exports = usageCommand;
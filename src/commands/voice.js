@@ -4,9 +4,17 @@
  */
 
 const { Command } = require('commander');
+const fs = require('fs-extra');
+const path = require('path');
 const VoiceProject = require('../voice');
-const chalk = require('chalk');
-const ora = require('ora');
+const Transcript = require('../voice/transcript');
+const AudioFormat = require('../lib/audio-format');
+const APIClient = require('../lib/api-client');
+const ConfigManager = require('../lib/config-manager');
+const chalk = require('chalk').default;
+const ora = require('ora').default;
+
+const configManager = new ConfigManager();
 
 class VoiceCommand {
   constructor() {
@@ -43,6 +51,7 @@ class VoiceCommand {
       .option('-o, --output <file>', 'Output file path')
       .option('-s, --stability <value>', 'Voice stability (0.0-1.0)', '0.5')
       .option('-b, --similarity-boost <value>', 'Similarity boost (0.0-1.0)', '0.5')
+      .option('--output-format <format>', `Audio format (${AudioFormat.OUTPUT_FORMATS.join(', ')}; defaults to config outputFormat)`)
       .action(async (options) => {
         await this.synthesizeText(options);
       });
@@ -53,7 +62,11 @@ class VoiceCommand {
       .description('Transcribe audio to text')
       .requiredOption('-i, --input <file>', 'Input audio file')
       .option('-l, --language <lang>', 'Audio language', 'en')
-      .option('-f, --format <format>', 'Response format', 'json')
+      .option('-f, --format <format>', 'Output format: text, json, srt, vtt or md (default: from --output, else text)')
+      .option('-o, --output <file>', 'Write the transcript to a file instead of stdout')
+      .option('--diarize', 'Label who is speaking')
+      .option('--speakers <n>', 'Expected number of speakers (implies --diarize)')
+      .option('-k, --keywords <terms>', 'Comma-separated terms to boost (names, jargon)')
       .action(async (options) => {
         await this.transcribeAudio(options);
       });
@@ -92,8 +105,11 @@ class VoiceCommand {
     this.program
       .command('conversation')
       .description('Start voice conversation')
+      .requiredOption('-i, --input <file>', 'Speech to answer (.wav, or 16 kHz 16-bit mono .pcm)')
+      .requiredOption('-r, --responder <responder>', 'Reply source: a script path/command or an http(s) URL')
       .option('-v, --voice <voiceId>', 'Voice ID to use')
       .option('-t, --timeout <seconds>', 'Conversation timeout', '300')
+      .option('-s, --silence <ms>', 'Silence that ends a turn', '1000')
       .action(async (options) => {
         await this.startConversation(options);
       });
@@ -136,8 +152,10 @@ class VoiceCommand {
     const spinner = ora('Initializing voice project...').start();
     
     try {
+      // Same client as every other command; --api-key only replaces the configured key
+      const config = configManager.loadConfig();
       this.voiceProject = new VoiceProject({
-        apiKey: options.apiKey,
+        client: options.apiKey ? APIClient.fromConfig({ ...config, elevenApiKey: options.apiKey }) : APIClient.shared(config),
         outputDir: options.outputDir
       });
       
@@ -168,11 +186,13 @@ class VoiceCommand {
         similarityBoost: parseFloat(options.similarityBoost)
       };
 
-      const outputPath = options.output || `./output/synthesis_${Date.now()}.mp3`;
+      const outputFormat = options.outputFormat || configManager.loadConfig().outputFormat;
+      const outputPath = options.output || `./output/synthesis_${Date.now()}${AudioFormat.extension(outputFormat)}`;
       
       await this.voiceProject.synthesizeToFile(options.text, outputPath, {
         voiceId: options.voice,
-        voiceSettings
+        voiceSettings,
+        outputFormat
       });
       
       spinner.succeed(`Audio saved to: ${outputPath}`);
@@ -193,16 +213,32 @@ class VoiceCommand {
       await this.initVoiceProject({});
     }
 
+    const format = Transcript.resolveFormat(
+      options.format || (options.output ? path.extname(options.output).slice(1) : 'text')
+    );
+    if (!format) {
+      console.error(chalk.red('Error:'), `Unknown transcript format. Use one of: ${Transcript.FORMATS.join(', ')}`);
+      process.exit(1);
+    }
+
     const spinner = ora('Transcribing audio...').start();
     
     try {
-      const result = await this.voiceProject.transcribe(options.input, {
+      const transcript = await this.voiceProject.transcribe(options.input, {
         language: options.language,
-        responseFormat: options.format
+        diarize: Boolean(options.diarize || options.speakers),
+        numSpeakers: options.speakers ? parseInt(options.speakers, 10) : undefined,
+        keywords: options.keywords ? options.keywords.split(',').map(term => term.trim()).filter(Boolean) : []
       });
+      const output = transcript.format(format, { title: path.basename(options.input) });
       
-      spinner.succeed('Transcription complete');
-      console.log(chalk.green('Transcription:'), result.text);
+      if (options.output) {
+        await fs.outputFile(options.output, output);
+        spinner.succeed(`Transcript saved to: ${options.output}`);
+      } else {
+        spinner.succeed('Transcription complete');
+        process.stdout.write(output);
+      }
       
     } catch (error) {
       spinner.fail('Transcription failed');
@@ -314,19 +350,34 @@ class VoiceCommand {
     console.log(chalk.blue('Starting voice conversation...'));
     
     try {
-      await this.voiceProject.startConversation({
-        voiceId: options.voice,
-        maxDuration: parseInt(options.timeout) * 1000
+      const realTime = this.voiceProject.realTime;
+      if (options.voice) {
+        realTime.voiceId = options.voice;
+      }
+
+      realTime.on('userTranscript', ({ turn, text }) => console.log(chalk.cyan(`[${turn}] You: ${text}`)));
+      realTime.on('turnCompleted', ({ turn, reply, latency }) => {
+        console.log(chalk.green(`[${turn}] Agent: ${reply.trim()}`) + chalk.gray(` (first audio ${latency.firstAudio ?? '-'}ms)`));
       });
-      
-      console.log(chalk.green('Conversation started. Press Ctrl+C to stop.'));
-      
+      realTime.on('bargeIn', ({ turn }) => console.log(chalk.yellow(`[${turn}] Interrupted`)));
+      realTime.on('turnError', ({ turn, error }) => console.log(chalk.red(`[${turn}] ${error.message}`)));
+
       // Keep process alive
       process.on('SIGINT', () => {
         this.voiceProject.stopConversation();
         console.log(chalk.yellow('\nConversation stopped.'));
         process.exit(0);
       });
+
+      const summary = await this.voiceProject.startConversation({
+        input: options.input,
+        responder: options.responder,
+        maxDuration: parseInt(options.timeout) * 1000,
+        silenceThreshold: parseInt(options.silence)
+      });
+      this.voiceProject.stopRealTime();
+
+      console.log(chalk.green(`Conversation finished: ${summary.turns.length} turns, ${summary.interruptions} interruptions.`));
       
     } catch (error) {
       console.error(chalk.red('Error:'), error.message);
@@ -23,6 +23,9 @@ class Analytics extends EventEmitter {
     this.retentionDays = options.retentionDays || 30;
     this.batchSize = options.batchSize || 100;
     this.flushInterval = options.flushInterval || 60000; // 1 minute
+    // Write whatever is still queued when the process exits, even through process.exit()
+    this.flushOnExit = options.flushOnExit || false;
+    this.flushCount = 0;
     
     // Metrics storage
     this.metrics = {
@@ -41,7 +44,7 @@ class Analytics extends EventEmitter {
     this.sessionId = this.generateSessionId();
     this.sessionStart = Date.now();
     
-    this.initialize();
+    this.ready = this.initialize();
   }
 
   /**
@@ -58,9 +61,17 @@ class Analytics extends EventEmitter {
       this.flushTimer = setInterval(() => {
         this.flush();
       }, this.flushInterval);
+
+      // Don't keep short-lived CLI processes alive just for flushing
+      this.flushTimer.unref();
+
+      if (this.flushOnExit) {
+        this.exitHandler = () => this.flushSync();
+        process.once('exit', this.exitHandler);
+      }
       
       // Track session start
-      this.trackEvent('session_start', {
+      this.trackSystemEvent('session_start', {
         sessionId: this.sessionId,
         timestamp: this.sessionStart,
         version: process.env.npm_package_version || '1.0.0',
@@ -225,7 +236,7 @@ class Analytics extends EventEmitter {
       const events = [...this.eventQueue];
       this.eventQueue = [];
 
-      const filename = `events_${Date.now()}.json`;
+      const filename = this.nextEventFile();
       const filepath = path.join(this.dataDir, filename);
       
       await fileManager.writeFile(filepath, JSON.stringify(events, null, 0));
@@ -238,6 +249,30 @@ class Analytics extends EventEmitter {
     }
   }
 
+  /**
+   * Flush queued events synchronously, for 'exit' handlers where async work never finishes
+   * @private
+   */
+  flushSync() {
+    if (this.eventQueue.length === 0) return;
+
+    try {
+      const events = this.eventQueue.splice(0);
+      fs.outputFileSync(path.join(this.dataDir, this.nextEventFile()), JSON.stringify(events, null, 0));
+    } catch (error) {
+      logger.error(`Failed to flush analytics events: ${error.message}`);
+    }
+  }
+
+  /**
+   * Name for the next event file; unique across flushes in the same millisecond and across processes
+   * @returns {string} File name
+   * @private
+   */
+  nextEventFile() {
+    return `events_${Date.now()}_${process.pid}_${this.flushCount++}.json`;
+  }
+
   /**
    * Update command metrics
    * @param {string} command - Command name
@@ -654,6 +689,9 @@ class Analytics extends EventEmitter {
       if (this.flushTimer) {
         clearInterval(this.flushTimer);
       }
+      if (this.exitHandler) {
+        process.removeListener('exit', this.exitHandler);
+      }
       
       await this.flush();
       this.removeAllListeners();
@@ -1,14 +1,17 @@
 const axios = require('axios');
 const { EventEmitter } = require('events');
-const { HttpsProxyAgent } = require('https-proxy-agent');
-const { SocksProxyAgent } = require('socks-proxy-agent');
+const WebSocket = require('ws');
 
 // Import utilities
 const Logger = require('./logger');
 const CacheManager = require('./cache-manager');
+const Cassette = require('./cassette');
+const NetworkRoute = require('./network-route');
 
 const logger = new Logger();
 
+let sharedClient = null;
+
 /**
  * High-Performance API Client with Connection Pooling and Retry Logic
  * Optimized for ElevenLabs API with intelligent caching and rate limiting
@@ -20,7 +23,7 @@ class APIClient extends EventEmitter {
     this.baseURL = options.baseURL || 'https://api.elevenlabs.io/v1';
     this.apiKey = options.apiKey;
     this.timeout = options.timeout || 30000;
-    this.maxRetries = options.maxRetries || 3;
+    this.maxRetries = options.maxRetries ?? 3;
     this.retryDelay = options.retryDelay || 1000;
     this.retryMultiplier = options.retryMultiplier || 2;
     this.maxRetryDelay = options.maxRetryDelay || 10000;
@@ -33,6 +36,9 @@ class APIClient extends EventEmitter {
       resetTime: Date.now() + 60000
     };
     
+    // Proxy and CA bundle; without one, HTTPS_PROXY / ALL_PROXY / NO_PROXY from the environment apply
+    this.network = options.network || new NetworkRoute();
+
     // Connection pooling
     this.maxConcurrent = options.maxConcurrent || 10;
     this.activeRequests = 0;
@@ -45,6 +51,11 @@ class APIClient extends EventEmitter {
       persistent: options.persistentCache !== false
     });
     
+    // Record/replay: a Cassette instance or { mode, dir }
+    this.cassette = options.cassette instanceof Cassette || !options.cassette
+      ? options.cassette || null
+      : Cassette.open({ ...options.cassette, secrets: [this.apiKey] });
+    
     // Metrics
     this.metrics = {
       requests: 0,
@@ -76,7 +87,10 @@ class APIClient extends EventEmitter {
       maxRedirects: 3,
       maxContentLength: 50 * 1024 * 1024, // 50MB
       maxBodyLength: 50 * 1024 * 1024,
-      validateStatus: (status) => status < 500, // Don't throw on 4xx
+      // Reject every non-2xx so 429s reach the retry logic and callers see error.response
+      validateStatus: (status) => status >= 200 && status < 300,
+      // Proxies are handled by the agents; axios' own proxy support would route around them
+      proxy: false,
       httpAgent: this.createHttpAgent(),
       httpsAgent: this.createHttpsAgent()
     });
@@ -104,32 +118,36 @@ class APIClient extends EventEmitter {
       this.emit('cacheMiss', data);
     });
 
+    if (this.cassette) {
+      logger.debug(`API client ${this.cassette.mode === 'record' ? 'recording to' : 'replaying from'} ${this.cassette.dir}`);
+    }
+
     logger.debug('API client initialized');
   }
 
   /**
-   * Create HTTP agent for connection pooling
-   * @returns {Object} HTTP agent configuration
+   * Create HTTP agent for connection pooling, through the proxy when one applies
+   * @returns {http.Agent} HTTP agent
    * @private
    */
   createHttpAgent() {
-    return {
+    return this.network.agentFor(this.baseURL.replace(/^https:/, 'http:'), {
       keepAlive: true,
       keepAliveMsecs: 30000,
       maxSockets: this.maxConcurrent,
       maxFreeSockets: 5,
       timeout: this.timeout,
       freeSocketTimeout: 30000
-    };
+    });
   }
 
   /**
-   * Create HTTPS agent for connection pooling
-   * @returns {Object} HTTPS agent configuration
+   * Create HTTPS agent for connection pooling, through the proxy when one applies
+   * @returns {https.Agent} HTTPS agent
    * @private
    */
   createHttpsAgent() {
-    return {
+    return this.network.agentFor(this.baseURL.replace(/^http:/, 'https:'), {
       keepAlive: true,
       keepAliveMsecs: 30000,
       maxSockets: this.maxConcurrent,
@@ -137,7 +155,7 @@ class APIClient extends EventEmitter {
       timeout: this.timeout,
       freeSocketTimeout: 30000,
       rejectUnauthorized: true
-    };
+    });
   }
 
   /**
@@ -152,8 +170,8 @@ class APIClient extends EventEmitter {
       config.headers['xi-api-key'] = this.apiKey;
     }
 
-    // Add request ID for tracking
-    config.metadata = {
+    // Add request ID for tracking (kept across retries of the same request)
+    config.metadata = config.metadata || {
       requestId: this.generateRequestId(),
       startTime: Date.now(),
       retryCount: 0
@@ -162,18 +180,30 @@ class APIClient extends EventEmitter {
     // Check rate limiting
     await this.checkRateLimit();
 
-    // Check cache for GET requests
-    if (config.method === 'get' && config.cache !== false) {
+    // Serve cacheable requests from cache without touching the network
+    if (this.isCacheable(config)) {
       const cacheKey = this.generateCacheKey(config);
       const cached = await this.cache.get(cacheKey);
       
       if (cached) {
         config.cached = true;
-        config.cachedData = cached;
+        config.adapter = async () => ({
+          data: cached,
+          status: 200,
+          statusText: 'OK',
+          headers: {},
+          config,
+          request: {}
+        });
         return config;
       }
     }
 
+    // Record through, or replay from, the cassette instead of the plain network adapter
+    if (this.cassette) {
+      config.adapter = this.cassette.adapter();
+    }
+
     this.metrics.requests++;
     this.activeRequests++;
     
@@ -208,14 +238,16 @@ class APIClient extends EventEmitter {
     const { config, data, status } = response;
     const duration = Date.now() - config.metadata.startTime;
 
-    this.metrics.responses++;
-    this.activeRequests--;
+    if (!config.cached) {
+      this.metrics.responses++;
+      this.activeRequests--;
+    }
 
-    // Cache successful GET responses
-    if (config.method === 'get' && status === 200 && config.cache !== false) {
+    // Cache successful responses
+    if (!config.cached && status === 200 && this.isCacheable(config)) {
       const cacheKey = this.generateCacheKey(config);
       await this.cache.set(cacheKey, data, {
-        ttl: this.getCacheTTL(config.url)
+        ttl: config.cacheTTL || this.getCacheTTL(config.url)
       });
     }
 
@@ -245,9 +277,12 @@ class APIClient extends EventEmitter {
       return Promise.reject(error);
     }
 
+    this.activeRequests--;
+    this.normalizeErrorBody(error);
+
     const { requestId, retryCount } = config.metadata;
     const isRetryable = this.isRetryableError(error);
-    const shouldRetry = retryCount < this.maxRetries && isRetryable;
+    const shouldRetry = retryCount < this.getMaxRetries(config) && isRetryable;
 
     if (shouldRetry) {
       config.metadata.retryCount++;
@@ -267,9 +302,9 @@ class APIClient extends EventEmitter {
     }
 
     this.metrics.errors++;
-    this.activeRequests--;
 
-    this.emit('error', {
+    // Not emitted as 'error': an unhandled 'error' event would throw and mask the axios error
+    this.emit('responseError', {
       requestId,
       retryCount,
       error: error.message,
@@ -279,6 +314,48 @@ class APIClient extends EventEmitter {
     return Promise.reject(error);
   }
 
+  /**
+   * Resolve the retry budget for a request
+   * @param {Object} config - Axios config (supports per-call `retry: false | number`)
+   * @returns {number} Maximum number of retries
+   * @private
+   */
+  getMaxRetries(config) {
+    if (config.retry === false) return 0;
+    if (typeof config.retry === 'number') return config.retry;
+    return this.maxRetries;
+  }
+
+  /**
+   * Check whether a request may be served from / stored in the cache
+   * @param {Object} config - Axios config (supports per-call `cache: boolean`)
+   * @returns {boolean} Is cacheable
+   * @private
+   */
+  isCacheable(config) {
+    // Every request must reach the cassette, so nothing is answered from cache while one is active
+    if (this.cassette) return false;
+    if (config.cache === false) return false;
+    if (config.cache === true) return true;
+    return config.method === 'get' && config.responseType !== 'stream';
+  }
+
+  /**
+   * Decode JSON error bodies returned for binary requests
+   * @param {Error} error - Axios error
+   * @private
+   */
+  normalizeErrorBody(error) {
+    const data = error.response?.data;
+    if (!Buffer.isBuffer(data) && !(data instanceof ArrayBuffer)) return;
+
+    try {
+      error.response.data = JSON.parse(Buffer.from(data).toString('utf8'));
+    } catch (parseError) {
+      // Leave non-JSON bodies untouched
+    }
+  }
+
   /**
    * Check rate limiting
    * @private
@@ -314,6 +391,11 @@ class APIClient extends EventEmitter {
    * @private
    */
   isRetryableError(error) {
+    // The caller aborted it (Ctrl-C, a cancelled job); another attempt would only delay the rejection
+    if (axios.isCancel(error) || error.code === 'ERR_CANCELED') {
+      return false;
+    }
+
     if (!error.response) {
       // Network error - retryable
       return true;
@@ -349,7 +431,7 @@ class APIClient extends EventEmitter {
    * @private
    */
   generateCacheKey(config) {
-    const key = `${config.method}:${config.url}`;
+    const key = `${config.method.toLowerCase()}:${config.url}`;
     const params = config.params ? JSON.stringify(config.params) : '';
     const data = config.data ? JSON.stringify(config.data) : '';
     return `${key}:${params}:${data}`;
@@ -364,7 +446,7 @@ class APIClient extends EventEmitter {
   getCacheTTL(url) {
     // Different TTL for different endpoints
     if (url.includes('/voices')) return 300000; // 5 minutes
-    if (url.includes('/text-to-speech')) return 60000; // 1 minute
+    // Synthesized audio is cached by AudioCache, keyed on content rather than the request string
     return 300000; // Default 5 minutes
   }
 
@@ -389,6 +471,9 @@ class APIClient extends EventEmitter {
 
   /**
    * Make API request with intelligent caching and retry
+   *
+   * Besides the usual axios options, each call may override `cache` (boolean),
+   * `cacheTTL` (ms), `timeout` (ms) and `retry` (false or a retry count).
    * @param {string} method - HTTP method
    * @param {string} url - Request URL
    * @param {Object} options - Request options
@@ -396,29 +481,12 @@ class APIClient extends EventEmitter {
    */
   async request(method, url, options = {}) {
     try {
-      // Check cache first for GET requests
-      if (method.toLowerCase() === 'get' && options.cache !== false) {
-        const cacheKey = this.generateCacheKey({ method, url, params: options.params });
-        const cached = await this.cache.get(cacheKey);
-        
-        if (cached) {
-          this.emit('cacheHit', { url, cacheKey });
-          return cached;
-        }
-      }
-
-      // Make request
       const response = await this.client.request({
         method,
         url,
         ...options
       });
 
-      // Handle cached response
-      if (response.config.cached) {
-        return response.config.cachedData;
-      }
-
       return response.data;
 
     } catch (error) {
@@ -492,6 +560,77 @@ class APIClient extends EventEmitter {
     return response.data;
   }
 
+  /**
+   * Binary request for audio and other non-JSON responses
+   * @param {string} method - HTTP method
+   * @param {string} url - Request URL
+   * @param {Object} options - Request options
+   * @returns {Promise<Buffer>} Response body
+   */
+  async binary(method, url, options = {}) {
+    const data = await this.request(method, url, {
+      ...options,
+      responseType: 'arraybuffer',
+      headers: {
+        'Accept': 'audio/mpeg',
+        ...options.headers
+      }
+    });
+
+    return Buffer.from(data);
+  }
+
+  /**
+   * POST request returning binary audio
+   * @param {string} url - Request URL
+   * @param {Object} data - Request data
+   * @param {Object} options - Request options
+   * @returns {Promise<Buffer>} Audio buffer
+   */
+  async postBinary(url, data, options = {}) {
+    return this.binary('POST', url, { ...options, data });
+  }
+
+  /**
+   * Multipart upload
+   * @param {string} url - Request URL
+   * @param {FormData} formData - Multipart form (native FormData or form-data)
+   * @param {Object} options - Request options
+   * @returns {Promise<Object>} Response data
+   */
+  async upload(url, formData, options = {}) {
+    return this.request('POST', url, {
+      timeout: this.timeout * 2, // Longer timeout for uploads
+      ...options,
+      data: formData,
+      headers: {
+        'Content-Type': 'multipart/form-data',
+        ...options.headers
+      }
+    });
+  }
+
+  /**
+   * Open a WebSocket against the API, recorded or replayed when a cassette is active
+   * @param {string} url - Path relative to the base URL, e.g. /text-to-speech/{id}/stream-input
+   * @param {Object} options - ws options
+   * @returns {WebSocket} Socket (a Cassette.ReplaySocket in replay mode)
+   */
+  openWebSocket(url, options = {}) {
+    const wsUrl = /^wss?:\/\//.test(url) ? url : `${this.baseURL.replace(/^http/, 'ws')}${url}`;
+
+    if (this.cassette && this.cassette.mode === 'replay') {
+      return this.cassette.replaySocket(wsUrl);
+    }
+
+    const ws = new WebSocket(wsUrl, {
+      agent: this.network.agentFor(wsUrl),
+      ...options,
+      headers: { 'xi-api-key': this.apiKey, ...options.headers }
+    });
+    return this.cassette ? this.cassette.recordSocket(wsUrl, ws) : ws;
+  }
+
   /**
    * Get client metrics
    * @returns {Object} Metrics
@@ -508,7 +647,8 @@ class APIClient extends EventEmitter {
         limit: this.rateLimit.requests,
         resetTime: this.rateLimit.resetTime
       },
-      cache: cacheStats
+      cache: cacheStats,
+      cassette: this.cassette ? this.cassette.getStats() : null
     };
   }
 
@@ -530,6 +670,37 @@ class APIClient extends EventEmitter {
     this.emit('rateLimitUpdated', this.rateLimit);
   }
 
+  /**
+   * Create a client from CLI configuration
+   * @param {Object} config - Loaded configuration (see ConfigManager)
+   * @param {Object} options - Additional client options
+   * @returns {APIClient} API client
+   */
+  static fromConfig(config, options = {}) {
+    return new APIClient({
+      baseURL: config.elevenApiBaseUrl,
+      apiKey: config.elevenApiKey,
+      timeout: config.requestTimeout,
+      maxRetries: config.maxRetries,
+      persistentCache: false,
+      cassette: config.cassette,
+      network: NetworkRoute.fromConfig(config),
+      ...options
+    });
+  }
+
+  /**
+   * Get the process-wide client shared by all commands
+   * @param {Object} config - Loaded configuration, used on first call
+   * @returns {APIClient} Shared API client
+   */
+  static shared(config) {
+    if (!sharedClient) {
+      sharedClient = APIClient.fromConfig(config);
+    }
+    return sharedClient;
+  }
+
   /**
    * Destroy client and cleanup resources
    * @returns {Promise<void>}
@@ -538,6 +709,9 @@ class APIClient extends EventEmitter {
     try {
       await this.cache.destroy();
       this.removeAllListeners();
+      if (sharedClient === this) {
+        sharedClient = null;
+      }
       logger.debug('API client destroyed');
     } catch (error) {
       logger.error(`API client destroy error: ${error.message}`);
@@ -0,0 +1,280 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+
+const INDEX_FILE = 'index.json';
+const INDEX_VERSION = 1;
+const DEFAULT_MAX_SIZE = 500 * 1024 * 1024; // 500MB
+
+/**
+ * Content-addressed audio cache
+ * Synthesized audio is stored on disk under a hash of everything that shapes it (text, voice, model,
+ * settings, format), so repeating a request is answered locally without spending credits.
+ * An index next to the blobs tracks size and last use for LRU eviction, plus lifetime hit counts.
+ */
+class AudioCache {
+  /**
+   * @param {Object} options - `{ dir, maxSize }` with maxSize in bytes
+   */
+  constructor(options = {}) {
+    this.dir = path.resolve(options.dir || path.join(process.cwd(), '.cache', 'audio'));
+    this.maxSize = options.maxSize || DEFAULT_MAX_SIZE;
+    this.indexPath = path.join(this.dir, INDEX_FILE);
+    this.index = null;
+    this.loading = null;
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Load the index once; a missing or unreadable index starts an empty cache
+   * @returns {Promise<Object>} Index
+   * @private
+   */
+  async load() {
+    if (this.index) return this.index;
+
+    this.loading = this.loading || (async () => {
+      let index = null;
+      try {
+        index = await fs.readJson(this.indexPath);
+      } catch (error) {
+        // Nothing cached yet, or a damaged index whose blobs prune() will sweep up
+      }
+
+      this.index = index && index.version === INDEX_VERSION ? index : {
+        version: INDEX_VERSION,
+        entries: {},
+        stats: { hits: 0, misses: 0, charactersSaved: 0, bytesSaved: 0 }
+      };
+      return this.index;
+    })();
+
+    return this.loading;
+  }
+
+  /**
+   * Write the index atomically; writes are queued so concurrent updates never interleave
+   * @returns {Promise<void>}
+   * @private
+   */
+  save() {
+    this.writing = this.writing.catch(() => {}).then(async () => {
+      const tmpPath = `${this.indexPath}.${process.pid}.tmp`;
+      await fs.ensureDir(this.dir);
+      await fs.writeJson(tmpPath, this.index);
+      await fs.rename(tmpPath, this.indexPath);
+    });
+    return this.writing;
+  }
+
+  /**
+   * Path of a cached blob
+   * @param {string} key - Cache key
+   * @returns {string} Blob path
+   * @private
+   */
+  blobPath(key) {
+    return path.join(this.dir, key.slice(0, 2), key);
+  }
+
+  /**
+   * Look up cached audio
+   * @param {string} key - Cache key from AudioCache.key()
+   * @returns {Promise<Buffer|null>} Audio, or null on a miss
+   */
+  async get(key) {
+    const index = await this.load();
+    const entry = index.entries[key];
+    let audio = null;
+
+    if (entry) {
+      try {
+        audio = await fs.readFile(this.blobPath(key));
+      } catch (error) {
+        // The blob was removed behind our back; forget it
+        delete index.entries[key];
+      }
+    }
+
+    if (audio) {
+      entry.lastUsed = Date.now();
+      entry.hits++;
+      index.stats.hits++;
+      index.stats.charactersSaved += entry.characters;
+      index.stats.bytesSaved += entry.size;
+    } else {
+      index.stats.misses++;
+    }
+
+    await this.save();
+    return audio;
+  }
+
+  /**
+   * Store audio, evicting the least recently used entries to stay under maxSize
+   * @param {string} key - Cache key from AudioCache.key()
+   * @param {Buffer} audio - Audio exactly as the API returned it
+   * @param {Object} meta - `{ format, characters }` (characters billed for the request)
+   * @returns {Promise<boolean>} Whether the audio was stored
+   */
+  async set(key, audio, meta = {}) {
+    if (audio.length === 0 || audio.length > this.maxSize) return false;
+
+    const index = await this.load();
+    const blobPath = this.blobPath(key);
+    const tmpPath = `${blobPath}.${process.pid}.tmp`;
+
+    await fs.ensureDir(path.dirname(blobPath));
+    await fs.writeFile(tmpPath, audio);
+    await fs.rename(tmpPath, blobPath);
+
+    const now = Date.now();
+    index.entries[key] = {
+      size: audio.length,
+      format: meta.format || null,
+      characters: meta.characters || 0,
+      createdAt: now,
+      lastUsed: now,
+      hits: 0
+    };
+
+    await this.evict(this.maxSize, key);
+    await this.save();
+    return true;
+  }
+
+  /**
+   * Remove least recently used entries until the cache fits
+   * @param {number} maxSize - Size limit in bytes
+   * @param {string} keep - Key that must survive (the one just stored)
+   * @returns {Promise<Object>} `{ removed, freed }`
+   * @private
+   */
+  async evict(maxSize, keep = null) {
+    const entries = Object.entries(this.index.entries).sort(([, a], [, b]) => a.lastUsed - b.lastUsed);
+    let size = entries.reduce((total, [, entry]) => total + entry.size, 0);
+    let removed = 0;
+    let freed = 0;
+
+    for (const [key, entry] of entries) {
+      if (size <= maxSize) break;
+      if (key === keep) continue;
+
+      await this.remove(key);
+      size -= entry.size;
+      freed += entry.size;
+      removed++;
+    }
+
+    return { removed, freed };
+  }
+
+  /**
+   * Drop one entry and its blob
+   * @param {string} key - Cache key
+   * @returns {Promise<void>}
+   * @private
+   */
+  async remove(key) {
+    delete this.index.entries[key];
+    await fs.remove(this.blobPath(key));
+  }
+
+  /**
+   * Trim the cache: entries unused for `olderThan` ms, then LRU down to `maxSize`,
+   * then blobs the index does not know about (left by an interrupted write)
+   * @param {Object} options - `{ maxSize, olderThan }`
+   * @returns {Promise<Object>} `{ removed, freed }`
+   */
+  async prune(options = {}) {
+    const index = await this.load();
+    let removed = 0;
+    let freed = 0;
+
+    if (options.olderThan) {
+      const cutoff = Date.now() - options.olderThan;
+      for (const [key, entry] of Object.entries(index.entries)) {
+        if (entry.lastUsed < cutoff) {
+          await this.remove(key);
+          removed++;
+          freed += entry.size;
+        }
+      }
+    }
+
+    const evicted = await this.evict(options.maxSize ?? this.maxSize);
+    removed += evicted.removed;
+    freed += evicted.freed;
+
+    const shards = (await fs.pathExists(this.dir)) ? await fs.readdir(this.dir, { withFileTypes: true }) : [];
+    for (const shard of shards.filter(dirent => dirent.isDirectory())) {
+      for (const name of await fs.readdir(path.join(this.dir, shard.name))) {
+        if (!index.entries[name]) {
+          const stray = path.join(this.dir, shard.name, name);
+          freed += (await fs.stat(stray)).size;
+          await fs.remove(stray);
+          removed++;
+        }
+      }
+    }
+
+    await this.save();
+    return { removed, freed };
+  }
+
+  /**
+   * Remove every entry and reset the lifetime counters
+   * @returns {Promise<Object>} `{ removed, freed }`
+   */
+  async clear() {
+    const before = await this.getStats();
+    await this.writing.catch(() => {});
+    await fs.remove(this.dir);
+    this.index = null;
+    this.loading = null;
+    return { removed: before.entries, freed: before.size };
+  }
+
+  /**
+   * Cache size and lifetime savings
+   * @returns {Promise<Object>} `{ dir, entries, size, maxSize, hits, misses, hitRate, charactersSaved, bytesSaved }`
+   */
+  async getStats() {
+    const index = await this.load();
+    const entries = Object.values(index.entries);
+    const { hits, misses } = index.stats;
+
+    return {
+      dir: this.dir,
+      entries: entries.length,
+      size: entries.reduce((total, entry) => total + entry.size, 0),
+      maxSize: this.maxSize,
+      ...index.stats,
+      hitRate: hits + misses > 0 ? Math.round((hits / (hits + misses)) * 100) : 0
+    };
+  }
+}
+
+/**
+ * Hash a synthesis request into a cache key
+ * @param {Object} request - Everything that affects the audio, e.g. `{ voiceId, outputFormat, body }`
+ * @returns {string} Hex sha256
+ */
+AudioCache.key = (request) => crypto.createHash('sha256').update(JSON.stringify(request)).digest('hex');
+
+/**
+ * Build the cache described by the loaded configuration
+ * @param {Object} config - Loaded configuration (`audioCache`, `audioCacheDir`, `audioCacheMaxSize` in MB)
+ * @returns {AudioCache|null} Cache, or null when caching is turned off
+ */
+AudioCache.fromConfig = (config = {}) => {
+  if (config.audioCache === false) return null;
+  return new AudioCache({
+    dir: config.audioCacheDir,
+    maxSize: config.audioCacheMaxSize ? config.audioCacheMaxSize * 1024 * 1024 : undefined
+  });
+};
+
+AudioCache.DEFAULT_MAX_SIZE = DEFAULT_MAX_SIZE;
+
+module.exports = AudioCache;
@@ -0,0 +1,273 @@
+/**
+ * Audio Format Module
+ * One registry for the API's output formats and the audio files we accept as input,
+ * plus a pure-JS WAV reader/writer and the G.711 μ-law codec used for telephony output
+ */
+
+const path = require('path');
+
+const DEFAULT_OUTPUT_FORMAT = 'mp3_44100_128';
+
+const WAV_FORMAT_PCM = 1;
+const WAV_FORMAT_FLOAT = 3;
+const WAV_FORMAT_MULAW = 7;
+const WAV_FORMAT_EXTENSIBLE = 0xfffe;
+
+const CODECS = {
+  mp3: { mime: 'audio/mpeg', extension: '.mp3' },
+  // Raw PCM and μ-law are unplayable on their own, so saved files get a WAV header
+  pcm: { mime: 'audio/pcm', extension: '.wav' },
+  ulaw: { mime: 'audio/basic', extension: '.wav' }
+};
+
+// Output formats the text-to-speech endpoints accept as output_format
+const OUTPUT_FORMATS = [
+  'mp3_22050_32', 'mp3_44100_32', 'mp3_44100_64', 'mp3_44100_96', 'mp3_44100_128', 'mp3_44100_192',
+  'pcm_16000', 'pcm_22050', 'pcm_24000', 'pcm_44100',
+  'ulaw_8000'
+];
+
+// Audio files accepted for upload (cloning, recognition); `analyzable` files can be measured locally
+const INPUT_FORMATS = [
+  { ext: '.mp3', mime: 'audio/mpeg', description: 'MP3 Audio', analyzable: true },
+  { ext: '.wav', mime: 'audio/wav', description: 'WAV Audio', analyzable: true },
+  { ext: '.m4a', mime: 'audio/mp4', description: 'M4A Audio', analyzable: false },
+  { ext: '.aac', mime: 'audio/aac', description: 'AAC Audio', analyzable: false },
+  { ext: '.ogg', mime: 'audio/ogg', description: 'OGG Audio', analyzable: false },
+  { ext: '.flac', mime: 'audio/flac', description: 'FLAC Audio', analyzable: false },
+  { ext: '.webm', mime: 'audio/webm', description: 'WebM Audio', analyzable: false }
+];
+
+class AudioFormat {
+  /**
+   * Describe an output format
+   * @param {string} name - e.g. mp3_44100_128, pcm_22050, ulaw_8000 (default: mp3_44100_128)
+   * @returns {Object} `{ name, codec, sampleRate, bitrate, bitsPerSample, mime, extension }`
+   * @throws {Error} When the API does not offer the format
+   */
+  static output(name) {
+    const format = name || DEFAULT_OUTPUT_FORMAT;
+    if (!OUTPUT_FORMATS.includes(format)) {
+      throw new Error(`Unsupported output format "${format}". Use one of: ${OUTPUT_FORMATS.join(', ')}`);
+    }
+
+    const [codec, sampleRate, bitrate] = format.split('_');
+    return {
+      name: format,
+      codec,
+      sampleRate: Number(sampleRate),
+      bitrate: bitrate ? Number(bitrate) : null,
+      bitsPerSample: { pcm: 16, ulaw: 8 }[codec] || null,
+      ...CODECS[codec]
+    };
+  }
+
+  /**
+   * Extension for files saved in an output format
+   * @param {string} name - Output format
+   * @returns {string} `.mp3`, or `.wav` for PCM and μ-law
+   */
+  static extension(name) {
+    return AudioFormat.output(name).extension;
+  }
+
+  /**
+   * Playback length of encoded audio
+   * @param {number} bytes - Audio bytes (without any container header)
+   * @param {string} name - Output format
+   * @returns {number} Milliseconds
+   */
+  static duration(bytes, name) {
+    const format = AudioFormat.output(name);
+    if (format.codec === 'mp3') return bytes * 8 / format.bitrate;
+    return bytes / (format.bitsPerSample / 8) / format.sampleRate * 1000;
+  }
+
+  /**
+   * Prepare API audio for a file: `.wav` targets get a WAV header around PCM or μ-law data
+   * Other extensions (such as `.pcm` or `.raw`) receive the audio unchanged.
+   * @param {Buffer} audio - Audio as returned by the API
+   * @param {string} name - Output format it was requested in
+   * @param {string} filePath - Destination
+   * @returns {Buffer} File contents
+   * @throws {Error} When the extension promises a container the format cannot fill
+   */
+  static forFile(audio, name, filePath) {
+    const format = AudioFormat.output(name);
+    const ext = path.extname(filePath).toLowerCase();
+
+    if (ext === '.mp3' && format.codec !== 'mp3') {
+      throw new Error(`Cannot save ${format.name} audio as MP3; use a .wav file or an mp3_* output format`);
+    }
+    if (ext !== '.wav') return audio;
+
+    if (format.codec === 'mp3') {
+      throw new Error(`Cannot save ${format.name} audio as WAV; choose a pcm_* or ulaw_8000 output format`);
+    }
+    return AudioFormat.writeWav(audio, format);
+  }
+
+  /**
+   * Look up an accepted input file type
+   * @param {string} filePath - File path or extension
+   * @returns {Object|null} `{ ext, mime, description, analyzable }`
+   */
+  static input(filePath) {
+    const ext = (path.extname(filePath) || filePath).toLowerCase();
+    return INPUT_FORMATS.find(format => format.ext === ext) || null;
+  }
+
+  /**
+   * Identify encoded audio from its first bytes
+   * @param {Buffer} buffer - Audio data
+   * @returns {Object|null} Input format, or null when unrecognized
+   */
+  static sniff(buffer) {
+    const ascii = (start, end) => buffer.toString('latin1', start, end);
+    let ext = null;
+
+    if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WAVE') ext = '.wav';
+    else if (ascii(0, 4) === 'fLaC') ext = '.flac';
+    else if (ascii(0, 4) === 'OggS') ext = '.ogg';
+    else if (ascii(4, 8) === 'ftyp') ext = '.m4a';
+    else if (buffer.length >= 4 && buffer.readUInt32BE(0) === 0x1a45dfa3) ext = '.webm';
+    else if (ascii(0, 3) === 'ID3' || (buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0 && (buffer[1] & 0x06) !== 0)) ext = '.mp3';
+    else if (buffer[0] === 0xff && (buffer[1] & 0xf6) === 0xf0) ext = '.aac';
+
+    return ext ? AudioFormat.input(ext) : null;
+  }
+
+  /**
+   * Build a 44-byte WAV header
+   * @param {Object} format - `sampleRate`, `channels`, `bitsPerSample`, and `codec` (`pcm`, `float` or `ulaw`)
+   * @param {number} dataBytes - Size of the audio data that follows
+   * @returns {Buffer} Header
+   */
+  static wavHeader(format = {}, dataBytes = 0) {
+    const sampleRate = format.sampleRate || 22050;
+    const channels = format.channels || 1;
+    const codec = format.codec || 'pcm';
+    const bitsPerSample = format.bitsPerSample || (codec === 'ulaw' ? 8 : 16);
+    const blockAlign = channels * bitsPerSample / 8;
+    const header = Buffer.alloc(44);
+
+    header.write('RIFF', 0, 'ascii');
+    header.writeUInt32LE(36 + dataBytes, 4);
+    header.write('WAVEfmt ', 8, 'ascii');
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE({ pcm: WAV_FORMAT_PCM, float: WAV_FORMAT_FLOAT, ulaw: WAV_FORMAT_MULAW }[codec], 20);
+    header.writeUInt16LE(channels, 22);
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(sampleRate * blockAlign, 28);
+    header.writeUInt16LE(blockAlign, 32);
+    header.writeUInt16LE(bitsPerSample, 34);
+    header.write('data', 36, 'ascii');
+    header.writeUInt32LE(dataBytes, 40);
+
+    return header;
+  }
+
+  /**
+   * Wrap raw audio data in a WAV container
+   * @param {Buffer} data - Little-endian PCM (or μ-law bytes)
+   * @param {Object} format - As for wavHeader()
+   * @returns {Buffer} WAV file
+   */
+  static writeWav(data, format = {}) {
+    return Buffer.concat([AudioFormat.wavHeader(format, data.length), data]);
+  }
+
+  /**
+   * Read a RIFF/WAVE buffer's format and raw data without decoding it
+   * @param {Buffer} buffer - WAV file
+   * @returns {Object} `{ codec, sampleRate, channels, bitsPerSample, data }`
+   * @throws {Error} When the file is not a WAV file, or uses an encoding other than PCM, float or μ-law
+   */
+  static readWav(buffer) {
+    if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+      throw new Error('Invalid WAV file: missing RIFF/WAVE header');
+    }
+
+    let format = null;
+    let data = null;
+    let offset = 12;
+
+    while (offset + 8 <= buffer.length) {
+      const id = buffer.toString('ascii', offset, offset + 4);
+      const size = buffer.readUInt32LE(offset + 4);
+      const body = buffer.subarray(offset + 8, Math.min(buffer.length, offset + 8 + size));
+
+      if (id === 'fmt ') {
+        let audioFormat = body.readUInt16LE(0);
+        // WAVE_FORMAT_EXTENSIBLE stores the real format in the sub-format GUID
+        if (audioFormat === WAV_FORMAT_EXTENSIBLE && body.length >= 26) {
+          audioFormat = body.readUInt16LE(24);
+        }
+        format = {
+          audioFormat,
+          channels: body.readUInt16LE(2),
+          sampleRate: body.readUInt32LE(4),
+          bitsPerSample: body.readUInt16LE(14)
+        };
+      } else if (id === 'data') {
+        data = body;
+      }
+
+      // Chunks are word-aligned
+      offset += 8 + size + (size % 2);
+    }
+
+    if (!format || !data) {
+      throw new Error('Invalid WAV file: missing fmt or data chunk');
+    }
+
+    const codec = { [WAV_FORMAT_PCM]: 'pcm', [WAV_FORMAT_FLOAT]: 'float', [WAV_FORMAT_MULAW]: 'ulaw' }[format.audioFormat];
+    if (!codec) {
+      throw new Error(`Unsupported WAV encoding (format ${format.audioFormat}); only PCM, float and μ-law are supported`);
+    }
+
+    return { codec, sampleRate: format.sampleRate, channels: format.channels, bitsPerSample: format.bitsPerSample, data };
+  }
+
+  /**
+   * Encode 16-bit PCM as G.711 μ-law
+   * @param {Buffer} pcm - 16-bit little-endian PCM
+   * @returns {Buffer} μ-law bytes, one per sample
+   */
+  static encodeUlaw(pcm) {
+    const out = Buffer.alloc(Math.floor(pcm.length / 2));
+    for (let i = 0; i < out.length; i++) {
+      let sample = pcm.readInt16LE(i * 2);
+      const sign = sample < 0 ? 0x80 : 0;
+      sample = Math.min(32635, Math.abs(sample)) + 0x84;
+
+      let exponent = 7;
+      for (let mask = 0x4000; (sample & mask) === 0 && exponent > 0; mask >>= 1) exponent--;
+      const mantissa = (sample >> (exponent + 3)) & 0x0f;
+      out[i] = ~(sign | (exponent << 4) | mantissa) & 0xff;
+    }
+    return out;
+  }
+
+  /**
+   * Decode G.711 μ-law to 16-bit PCM
+   * @param {Buffer} ulaw - μ-law bytes
+   * @returns {Buffer} 16-bit little-endian PCM
+   */
+  static decodeUlaw(ulaw) {
+    const out = Buffer.alloc(ulaw.length * 2);
+    for (let i = 0; i < ulaw.length; i++) {
+      const byte = ~ulaw[i] & 0xff;
+      const exponent = (byte >> 4) & 0x07;
+      const magnitude = ((((byte & 0x0f) << 3) + 0x84) << exponent) - 0x84;
+      out.writeInt16LE(byte & 0x80 ? -magnitude : magnitude, i * 2);
+    }
+    return out;
+  }
+}
+
+AudioFormat.DEFAULT_OUTPUT_FORMAT = DEFAULT_OUTPUT_FORMAT;
+AudioFormat.OUTPUT_FORMATS = OUTPUT_FORMATS;
+AudioFormat.INPUT_FORMATS = INPUT_FORMATS;
+
+module.exports = AudioFormat;
@@ -59,6 +59,9 @@ class CacheManager extends EventEmitter {
         this.cleanup();
       }, 60000); // Cleanup every minute
       
+      // Don't keep short-lived CLI processes alive just for cleanup
+      this.cleanupInterval.unref();
+      
       logger.debug('Cache manager initialized');
     } catch (error) {
       logger.error(`Failed to initialize cache: ${error.message}`);
@@ -83,14 +86,14 @@ class CacheManager extends EventEmitter {
   /**
    * Get value from cache
    * @param {string} key - Cache key
-   * @param {Object} options - Cache options
+   * @param {Object} _options - Cache options (not part of the key)
    * @returns {Promise<*>} Cached value or null
    */
-  async get(key, options = {}) {
+  async get(key, _options = {}) {
     try {
       this.metrics.reads++;
       
-      const cacheKey = this.generateKey(key, options);
+      const cacheKey = this.generateKey(key);
       const item = this.cache.get(cacheKey);
       
       if (!item) {
@@ -153,7 +156,7 @@ class CacheManager extends EventEmitter {
       const persistent = options.persistent !== false && this.persistent;
       const priority = options.priority || 'normal';
       
-      const cacheKey = this.generateKey(key, options);
+      const cacheKey = this.generateKey(key);
       const size = this.calculateSize(value);
       const expires = Date.now() + ttl;
       
@@ -205,12 +208,12 @@ class CacheManager extends EventEmitter {
   /**
    * Delete value from cache
    * @param {string} key - Cache key
-   * @param {Object} options - Cache options
+   * @param {Object} _options - Cache options (not part of the key)
    * @returns {Promise<boolean>} Success status
    */
-  async delete(key, options = {}) {
+  async delete(key, _options = {}) {
     try {
-      const cacheKey = this.generateKey(key, options);
+      const cacheKey = this.generateKey(key);
       const item = this.cache.get(cacheKey);
       
       if (item) {
@@ -239,11 +242,11 @@ class CacheManager extends EventEmitter {
   /**
    * Check if key exists in cache
    * @param {string} key - Cache key
-   * @param {Object} options - Cache options
+   * @param {Object} _options - Cache options (not part of the key)
    * @returns {boolean} Exists status
    */
-  has(key, options = {}) {
-    const cacheKey = this.generateKey(key, options);
+  has(key, _options = {}) {
+    const cacheKey = this.generateKey(key);
     const item = this.cache.get(cacheKey);
     
     if (!item) return false;
@@ -0,0 +1,521 @@
+/**
+ * Cassette Module
+ * Records API traffic to disk and replays it without touching the network
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { PassThrough, Readable } = require('stream');
+
+const CASSETTE_VERSION = 1;
+const CASSETTE_FILE = 'cassette.json';
+const REDACTED = '[REDACTED]';
+const SECRET_HEADERS = ['xi-api-key', 'authorization', 'cookie', 'set-cookie', 'proxy-authorization'];
+const MODES = ['record', 'replay'];
+
+const openCassettes = new Map();
+
+class Cassette {
+  /**
+   * @param {Object} options - Cassette options
+   * @param {string} options.mode - record or replay
+   * @param {string} options.dir - Cassette directory
+   * @param {Array<string>} options.secrets - Strings to redact wherever they appear (API keys)
+   */
+  constructor(options = {}) {
+    if (!MODES.includes(options.mode)) {
+      throw new Error(`Unknown cassette mode "${options.mode}". Use one of: ${MODES.join(', ')}`);
+    }
+    if (!options.dir) {
+      throw new Error('A cassette directory is required');
+    }
+
+    this.mode = options.mode;
+    this.dir = path.resolve(options.dir);
+    this.file = path.join(this.dir, CASSETTE_FILE);
+    this.secrets = (options.secrets || []).filter(secret => secret && secret.length >= 4);
+    this.interactions = [];
+    this.used = new Set();
+
+    if (this.mode === 'replay') {
+      this.load();
+    } else {
+      // Recording always starts from an empty cassette so stale bodies never mix in
+      fs.emptyDirSync(this.dir);
+      this.recordedAt = new Date().toISOString();
+    }
+  }
+
+  /**
+   * Get the cassette for a directory, shared by every client in the process
+   * Two recorders on one directory would otherwise overwrite each other's interactions.
+   * @param {Object} options - Cassette options (see constructor)
+   * @returns {Cassette} Cassette
+   */
+  static open(options = {}) {
+    const key = `${options.mode}:${path.resolve(options.dir || '.')}`;
+    if (!openCassettes.has(key)) {
+      openCassettes.set(key, new Cassette(options));
+    }
+
+    const cassette = openCassettes.get(key);
+    cassette.secrets = [...new Set([...cassette.secrets, ...(options.secrets || []).filter(secret => secret && secret.length >= 4)])];
+    return cassette;
+  }
+
+  /**
+   * Read the cassette file for replay
+   * @private
+   */
+  load() {
+    if (!fs.existsSync(this.file)) {
+      throw new Error(`No cassette found at ${this.file}. Record one first with --record ${this.dir}`);
+    }
+
+    const cassette = fs.readJsonSync(this.file);
+    if (cassette.version !== CASSETTE_VERSION) {
+      throw new Error(`Unsupported cassette version ${cassette.version} in ${this.file}`);
+    }
+
+    this.recordedAt = cassette.recordedAt;
+    this.interactions = cassette.interactions;
+  }
+
+  /**
+   * Write the cassette file
+   * Saved synchronously after every interaction so a session cut short by process.exit still replays.
+   * @private
+   */
+  save() {
+    fs.writeJsonSync(this.file, {
+      version: CASSETTE_VERSION,
+      recordedAt: this.recordedAt,
+      interactions: this.interactions.filter(Boolean)
+    }, { spaces: 2 });
+  }
+
+  /**
+   * Axios adapter that records through the default adapter or answers from the cassette
+   * @returns {Function} Axios adapter
+   */
+  adapter() {
+    return (config) => (this.mode === 'record' ? this.recordRequest(config) : this.replayRequest(config));
+  }
+
+  /**
+   * Send a request over the network and store the exchange
+   * @param {Object} config - Axios config
+   * @returns {Promise<Object>} Axios response
+   * @private
+   */
+  async recordRequest(config) {
+    const index = this.interactions.length;
+    const request = await this.describeRequest(config);
+    const send = axios.getAdapter(axios.defaults.adapter, config);
+    this.interactions.push(null);
+
+    try {
+      const response = await send(config);
+      response.data = await this.storeResponse(index, request, response);
+      return response;
+    } catch (error) {
+      if (error.response) {
+        error.response.data = await this.storeResponse(index, request, error.response);
+      } else {
+        this.interactions[index] = { type: 'http', request, error: { code: error.code, message: this.redact(error.message) } };
+        this.save();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Store a response body and save the interaction once the body is complete
+   * Streams are passed through untouched and saved when they end.
+   * @param {number} index - Interaction slot
+   * @param {Object} request - Request description
+   * @param {Object} response - Raw adapter response
+   * @returns {Promise<*>} Body to hand back to axios
+   * @private
+   */
+  async storeResponse(index, request, response) {
+    const entry = {
+      type: 'http',
+      request,
+      response: {
+        status: response.status,
+        statusText: response.statusText,
+        headers: this.redactHeaders(response.headers)
+      }
+    };
+    const { data } = response;
+
+    const finish = (body) => {
+      if (Buffer.isBuffer(body)) {
+        entry.response.bodyFile = this.writeBody(index, body);
+      } else if (body !== undefined && body !== null && body !== '') {
+        entry.response.body = this.redact(typeof body === 'string' ? body : JSON.stringify(body));
+      }
+      this.interactions[index] = entry;
+      this.save();
+    };
+
+    if (!(data instanceof Readable)) {
+      finish(data instanceof ArrayBuffer ? Buffer.from(data) : data);
+      return data;
+    }
+
+    // Keep the chunk boundaries so replayed streams arrive the way they were recorded
+    const chunks = [];
+    const tee = new PassThrough();
+    data.on('data', chunk => chunks.push(Buffer.from(chunk)));
+    data.on('end', () => {
+      entry.response.chunks = chunks.map(chunk => chunk.length);
+      finish(Buffer.concat(chunks));
+    });
+    data.on('error', error => tee.destroy(error));
+    data.pipe(tee);
+
+    return tee;
+  }
+
+  /**
+   * Answer a request from the cassette
+   * @param {Object} config - Axios config
+   * @returns {Promise<Object>} Axios response
+   * @private
+   */
+  async replayRequest(config) {
+    const request = await this.describeRequest(config);
+    const key = this.requestKey(request);
+    const index = this.interactions.findIndex((entry, i) =>
+      entry.type === 'http' && !this.used.has(i) && this.requestKey(entry.request) === key);
+
+    if (index === -1) {
+      const error = new Error(`No recorded response for ${request.method.toUpperCase()} ${request.url} in ${this.file}`);
+      error.code = 'CASSETTE_MISS';
+      throw error;
+    }
+    this.used.add(index);
+
+    const entry = this.interactions[index];
+    if (entry.error) {
+      throw new axios.AxiosError(entry.error.message, entry.error.code, config, {});
+    }
+
+    const recorded = entry.response;
+    const response = {
+      data: this.readBody(recorded, config.responseType),
+      status: recorded.status,
+      statusText: recorded.statusText,
+      headers: new axios.AxiosHeaders(recorded.headers),
+      config,
+      request: {}
+    };
+
+    if (!config.validateStatus || config.validateStatus(response.status)) {
+      return response;
+    }
+
+    const code = response.status >= 500 ? axios.AxiosError.ERR_BAD_RESPONSE : axios.AxiosError.ERR_BAD_REQUEST;
+    throw new axios.AxiosError(`Request failed with status code ${response.status}`, code, config, {}, response);
+  }
+
+  /**
+   * Rebuild a response body in the shape the default adapter would produce
+   * @param {Object} recorded - Recorded response
+   * @param {string} responseType - Axios responseType
+   * @returns {*} Body
+   * @private
+   */
+  readBody(recorded, responseType) {
+    const buffer = recorded.bodyFile
+      ? fs.readFileSync(path.join(this.dir, recorded.bodyFile))
+      : Buffer.from(recorded.body || '', 'utf8');
+
+    if (responseType === 'stream') {
+      const sizes = recorded.chunks || [buffer.length];
+      let offset = 0;
+      return Readable.from(sizes.map(size => buffer.subarray(offset, (offset += size))));
+    }
+    if (responseType === 'arraybuffer') {
+      return buffer;
+    }
+    return buffer.toString('utf8');
+  }
+
+  /**
+   * Describe a request in redacted, replay-matchable form
+   * @param {Object} config - Axios config
+   * @returns {Promise<Object>} Request description
+   * @private
+   */
+  async describeRequest(config) {
+    const request = {
+      method: (config.method || 'get').toLowerCase(),
+      url: this.redact(config.url || '')
+    };
+
+    if (config.params && Object.keys(config.params).length > 0) {
+      request.params = JSON.parse(this.redact(JSON.stringify(sortKeys(config.params))));
+    }
+
+    const { data } = config;
+    if (typeof FormData !== 'undefined' && data instanceof FormData) {
+      request.form = await this.describeForm(data);
+    } else if (Buffer.isBuffer(data)) {
+      request.bodyHash = hash(data);
+    } else if (data !== undefined && data !== null) {
+      request.body = this.redact(typeof data === 'string' ? data : JSON.stringify(data));
+    }
+
+    return request;
+  }
+
+  /**
+   * Describe multipart fields, with files reduced to name, size and content hash
+   * @param {FormData} form - Multipart form
+   * @returns {Promise<Array<Object>>} Field descriptions
+   * @private
+   */
+  async describeForm(form) {
+    const fields = [];
+    for (const [name, value] of form.entries()) {
+      if (typeof value === 'string') {
+        fields.push({ name, value: this.redact(value) });
+      } else {
+        const content = Buffer.from(await value.arrayBuffer());
+        fields.push({ name, file: value.name, size: content.length, sha1: hash(content) });
+      }
+    }
+    return fields;
+  }
+
+  /**
+   * Key that identifies equivalent requests
+   * @param {Object} request - Request description
+   * @returns {string} Match key
+   * @private
+   */
+  requestKey(request) {
+    const body = request.bodyHash || hash(JSON.stringify(request.form || request.body || ''));
+    return `${request.method} ${request.url} ${JSON.stringify(request.params || {})} ${body}`;
+  }
+
+  /**
+   * Write a binary body next to the cassette file
+   * @param {number} index - Interaction index
+   * @param {Buffer} body - Body bytes
+   * @returns {string} Path relative to the cassette directory
+   * @private
+   */
+  writeBody(index, body) {
+    const file = path.join('bodies', `${String(index).padStart(4, '0')}-response.bin`);
+    fs.outputFileSync(path.join(this.dir, file), body);
+    return file;
+  }
+
+  /**
+   * Record the frames exchanged over a live WebSocket
+   * @param {string} url - Socket URL
+   * @param {WebSocket} ws - Connected or connecting socket
+   * @returns {WebSocket} The same socket
+   */
+  recordSocket(url, ws) {
+    const index = this.interactions.length;
+    const entry = { type: 'websocket', url: this.redact(url), frames: [] };
+    const send = ws.send.bind(ws);
+    this.interactions.push(null);
+
+    ws.send = (data, ...rest) => {
+      entry.frames.push(this.frame('sent', data, typeof data !== 'string'));
+      return send(data, ...rest);
+    };
+    ws.on('message', (data, isBinary) => entry.frames.push(this.frame('received', data, isBinary)));
+    ws.on('close', (code, reason) => {
+      entry.close = { code, reason: reason ? reason.toString() : '' };
+      this.interactions[index] = entry;
+      this.save();
+    });
+
+    return ws;
+  }
+
+  /**
+   * Open a socket that plays back a recorded WebSocket session
+   * @param {string} url - Socket URL
+   * @returns {ReplaySocket} Replay socket
+   */
+  replaySocket(url) {
+    const target = this.redact(url);
+    const index = this.interactions.findIndex((entry, i) =>
+      entry.type === 'websocket' && !this.used.has(i) && entry.url === target);
+
+    if (index === -1) {
+      const error = new Error(`No recorded WebSocket session for ${target} in ${this.file}`);
+      error.code = 'CASSETTE_MISS';
+      throw error;
+    }
+    this.used.add(index);
+
+    return new ReplaySocket(this.interactions[index]);
+  }
+
+  /**
+   * Serialize one WebSocket frame
+   * @param {string} direction - sent or received
+   * @param {*} data - Frame payload
+   * @param {boolean} isBinary - Whether the frame is binary
+   * @returns {Object} Frame
+   * @private
+   */
+  frame(direction, data, isBinary) {
+    if (isBinary) {
+      return { direction, binary: true, data: Buffer.from(data).toString('base64') };
+    }
+    return { direction, data: this.redact(data.toString()) };
+  }
+
+  /**
+   * Redact sensitive headers
+   * @param {Object} headers - Response headers
+   * @returns {Object} Plain, redacted headers
+   * @private
+   */
+  redactHeaders(headers = {}) {
+    const plain = typeof headers.toJSON === 'function' ? headers.toJSON() : { ...headers };
+    return Object.fromEntries(Object.entries(plain).map(([name, value]) => [
+      name,
+      SECRET_HEADERS.includes(name.toLowerCase()) ? REDACTED : JSON.parse(this.redact(JSON.stringify(value)))
+    ]));
+  }
+
+  /**
+   * Replace every known secret in a string
+   * @param {string} text - Text to redact
+   * @returns {string} Redacted text
+   */
+  redact(text) {
+    return this.secrets.reduce((result, secret) => result.split(secret).join(REDACTED), String(text));
+  }
+
+  /**
+   * Summary of the cassette contents
+   * @returns {Object} Interaction counts and how many were replayed
+   */
+  getStats() {
+    const interactions = this.interactions.filter(Boolean);
+    return {
+      mode: this.mode,
+      dir: this.dir,
+      http: interactions.filter(entry => entry.type === 'http').length,
+      websocket: interactions.filter(entry => entry.type === 'websocket').length,
+      replayed: this.used.size
+    };
+  }
+}
+
+/**
+ * WebSocket stand-in that plays recorded frames back
+ * Received frames are emitted after the sent frame they followed when recorded.
+ */
+class ReplaySocket extends EventEmitter {
+  /**
+   * @param {Object} session - Recorded websocket interaction
+   */
+  constructor(session) {
+    super();
+    this.url = session.url;
+    this.frames = session.frames;
+    this.closeInfo = session.close || { code: 1000, reason: '' };
+    this.cursor = 0;
+    this.readyState = ReplaySocket.CONNECTING;
+
+    setImmediate(() => {
+      this.readyState = ReplaySocket.OPEN;
+      this.emit('open');
+      this.flush();
+    });
+  }
+
+  /**
+   * Accept an outgoing frame and play back the replies recorded after it
+   * @param {*} data - Frame payload (ignored)
+   * @param {Function} callback - Optional ws-style send callback
+   */
+  send(data, callback) {
+    if (this.readyState !== ReplaySocket.OPEN) {
+      throw new Error('WebSocket is not open');
+    }
+
+    if (this.frames[this.cursor] && this.frames[this.cursor].direction === 'sent') {
+      this.cursor++;
+    }
+    if (typeof callback === 'function') callback();
+    setImmediate(() => this.flush());
+  }
+
+  /**
+   * Emit received frames up to the next sent frame, closing once the recording runs out
+   * @private
+   */
+  flush() {
+    while (this.readyState === ReplaySocket.OPEN && this.frames[this.cursor] && this.frames[this.cursor].direction === 'received') {
+      const frame = this.frames[this.cursor++];
+      this.emit('message', frame.binary ? Buffer.from(frame.data, 'base64') : Buffer.from(frame.data, 'utf8'), Boolean(frame.binary));
+    }
+
+    if (this.readyState === ReplaySocket.OPEN && this.cursor >= this.frames.length) {
+      this.close(this.closeInfo.code, this.closeInfo.reason);
+    }
+  }
+
+  /**
+   * Close the socket
+   * @param {number} code - Close code
+   * @param {string} reason - Close reason
+   */
+  close(code = 1000, reason = '') {
+    if (this.readyState === ReplaySocket.CLOSED) return;
+
+    this.readyState = ReplaySocket.CLOSED;
+    setImmediate(() => this.emit('close', code, Buffer.from(reason)));
+  }
+
+  /**
+   * Close immediately
+   */
+  terminate() {
+    this.close(1006);
+  }
+}
+
+ReplaySocket.CONNECTING = 0;
+ReplaySocket.OPEN = 1;
+ReplaySocket.CLOSED = 3;
+
+/**
+ * SHA-1 of a string or buffer
+ * @param {string|Buffer} content - Content to hash
+ * @returns {string} Hex digest
+ */
+function hash(content) {
+  return crypto.createHash('sha1').update(content).digest('hex');
+}
+
+/**
+ * Copy an object with its keys sorted, so parameter order does not affect matching
+ * @param {Object} object - Object to sort
+ * @returns {Object} Sorted copy
+ */
+function sortKeys(object) {
+  return Object.fromEntries(Object.keys(object).sort().map(key => [key, object[key]]));
+}
+
+Cassette.MODES = MODES;
+Cassette.ReplaySocket = ReplaySocket;
+
+module.exports = Cassette;
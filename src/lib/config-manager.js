@@ -1,20 +1,41 @@
+const os = require('os');
 const path = require('path');
 const fs = require('fs-extra');
 const Logger = require('./logger');
 const FileManager = require('./file-manager');
+const CredentialVault = require('./credential-vault');
+const ConfigSchema = require('./config-schema');
+const NetworkRoute = require('./network-route');
 
 const logger = new Logger();
 const fileManager = new FileManager();
 
+// Keys in the config files that organize profiles and versions rather than hold settings
+const FILE_KEYS = ['configVersion', 'profile', 'activeProfile', 'profiles'];
+
 /**
  * Configuration Manager for handling application settings
- * Provides centralized configuration management with validation
+ * Provides centralized configuration management with validation.
+ *
+ * Settings resolve through layers, each overriding the ones before it:
+ * built-in defaults, environment variables, the user config file (~/.eleven/config.json),
+ * the project file (eleven-config.json), the active profile from the user file, the project
+ * file's overrides for that profile, the API key from the encrypted credential vault, and
+ * finally global CLI flags for this run.
  */
 class ConfigManager {
   constructor() {
     this.config = null;
-    this.configPath = path.join(process.cwd(), 'eleven-config.json');
+    this.configPath = process.env.ELEVEN_CONFIG
+      ? path.resolve(process.env.ELEVEN_CONFIG)
+      : path.join(process.cwd(), 'eleven-config.json');
+    this.globalConfigPath = ConfigManager.globalConfigPath();
     this.defaultConfig = this._getDefaultConfig();
+    this.sources = {};
+    this.layers = [];
+    this.profile = null;
+    this.changes = {};
+    this.cleared = false;
   }
 
   /**
@@ -23,38 +44,191 @@ class ConfigManager {
    */
   _getDefaultConfig() {
     return {
-      elevenApiKey: process.env.ELEVEN_API_KEY,
-      defaultVoiceId: process.env.DEFAULT_VOICE_ID || 'EXAVITQu4vr4xnSDxMaL',
-      cursorAgentPath: process.env.CURSOR_AGENT_PATH || 'cursor-agent',
-      cursorProjectPath: process.env.CURSOR_PROJECT_PATH || '.',
-      debug: process.env.DEBUG === 'true',
-      logLevel: process.env.LOG_LEVEL || 'info',
-      nodeEnv: process.env.NODE_ENV || 'development',
-      elevenApiBaseUrl: process.env.ELEVEN_API_BASE_URL || 'https://api.elevenlabs.io/v1',
-      requestTimeout: parseInt(process.env.REQUEST_TIMEOUT || '30000', 10),
-      maxRetries: parseInt(process.env.MAX_RETRIES || '3', 10),
-      defaultOutputDir: process.env.DEFAULT_OUTPUT_DIR || './output',
-      tempDir: process.env.TEMP_DIR || './.temp'
+      ...ConfigSchema.defaults(),
+      cassette: this._getCassetteConfig()
     };
   }
 
   /**
-   * Load configuration from environment and file
+   * Settings supplied through environment variables
+   * @returns {Object} Settings that are set in the environment
+   */
+  _getEnvConfig() {
+    return ConfigSchema.fromEnv();
+  }
+
+  /**
+   * Record/replay cassette requested through the environment (set by --record / --replay)
+   * @returns {Object|null} Cassette options for APIClient
+   */
+  _getCassetteConfig() {
+    if (process.env.ELEVEN_REPLAY_DIR) {
+      return { mode: 'replay', dir: process.env.ELEVEN_REPLAY_DIR };
+    }
+    if (process.env.ELEVEN_RECORD_DIR) {
+      return { mode: 'record', dir: process.env.ELEVEN_RECORD_DIR };
+    }
+    return null;
+  }
+
+  /**
+   * Settings chosen by global CLI flags for this run only; they beat the config file and are never saved
+   * @returns {Object} Overridden settings
+   */
+  _getSessionOverrides() {
+    const overrides = {};
+    if (process.env.ELEVEN_OUTPUT_FORMAT) {
+      overrides.outputFormat = process.env.ELEVEN_OUTPUT_FORMAT;
+    }
+    if (process.env.ELEVEN_NO_CACHE === 'true') {
+      overrides.audioCache = false;
+    }
+    return overrides;
+  }
+
+  /**
+   * Read a config file, or an empty object when it does not exist
+   * Files from an older configVersion are migrated in place, keeping a backup of the original.
+   * @param {string} filePath - Config file path
+   * @returns {Object} File contents
+   */
+  _readFile(filePath) {
+    if (!fs.existsSync(filePath)) {
+      return {};
+    }
+
+    let data;
+    try {
+      data = fs.readJsonSync(filePath);
+    } catch (error) {
+      throw new Error(`Cannot read ${filePath}: ${error.message}`);
+    }
+
+    if (data.configVersion === ConfigSchema.CURRENT_VERSION) {
+      return data;
+    }
+
+    const migration = ConfigSchema.migrate(data);
+    const backupPath = `${filePath}.v${migration.from}.bak`;
+    fs.copySync(filePath, backupPath);
+    // Written synchronously: configuration loads synchronously; same temp-and-rename as FileManager
+    const tempFile = `${filePath}.tmp.${Date.now()}`;
+    fs.writeFileSync(tempFile, JSON.stringify(migration.data, null, 2), filePath === this.globalConfigPath ? { mode: 0o600 } : {});
+    fs.renameSync(tempFile, filePath);
+
+    logger.info(`Upgraded ${filePath} from config version ${migration.from} to ${migration.to} (backup: ${backupPath})`);
+    migration.applied.forEach(description => logger.debug(`  ${description}`));
+    return migration.data;
+  }
+
+  /**
+   * Settings held by a config file or profile section, without the profile bookkeeping
+   * @param {Object} data - File contents or profile section
+   * @returns {Object} Settings
+   */
+  _settingsOf(data = {}) {
+    const settings = { ...data };
+    FILE_KEYS.forEach(key => delete settings[key]);
+    delete settings.cassette;
+    return settings;
+  }
+
+  /**
+   * Work out which profile is active and who chose it
+   * `--profile` / ELEVEN_PROFILE beats the project file's `profile`, which beats the user file's `activeProfile`.
+   * @param {Object} globalFile - User config file contents
+   * @param {Object} projectFile - Project config file contents
+   * @returns {Object|null} `{ name, selectedBy }` or null when no profile is active
+   */
+  _selectProfile(globalFile, projectFile) {
+    if (process.env.ELEVEN_PROFILE) {
+      return { name: process.env.ELEVEN_PROFILE, selectedBy: 'flag' };
+    }
+    if (projectFile.profile) {
+      return { name: projectFile.profile, selectedBy: 'project' };
+    }
+    if (globalFile.activeProfile) {
+      return { name: globalFile.activeProfile, selectedBy: 'global' };
+    }
+    return null;
+  }
+
+  /**
+   * Merge every layer into the effective configuration and remember where each value came from
+   * @returns {Object} Configuration object (not validated)
+   */
+  _resolve() {
+    const globalFile = this._readFile(this.globalConfigPath);
+    const projectFile = this._readFile(this.configPath);
+    this.profile = this._selectProfile(globalFile, projectFile);
+
+    this.layers = [
+      { name: 'default', values: this.defaultConfig },
+      { name: 'env', values: this._getEnvConfig() },
+      { name: 'global', path: this.globalConfigPath, values: this._settingsOf(globalFile) },
+      { name: 'project', path: this.configPath, values: this._settingsOf(projectFile) }
+    ];
+
+    if (this.profile) {
+      const { name } = this.profile;
+      const globalProfile = globalFile.profiles?.[name];
+      const projectProfile = projectFile.profiles?.[name];
+      if (!globalProfile && !projectProfile) {
+        throw new Error(`Unknown profile "${name}". Create it with: eleven config profiles create ${name}`);
+      }
+      this.layers.push(
+        { name: `profile:${name}`, path: this.globalConfigPath, values: this._settingsOf(globalProfile) },
+        { name: `profile:${name} (project)`, path: this.configPath, values: this._settingsOf(projectProfile) }
+      );
+    }
+
+    // A key in the vault beats every plaintext one; without the passphrase the vault is skipped
+    const vault = CredentialVault.shared();
+    const vaultProfile = this.profile ? this.profile.name : CredentialVault.DEFAULT_PROFILE;
+    this.vaultLocked = vault.has(vaultProfile) && !vault.isUnlocked();
+    if (vault.has(vaultProfile) && vault.isUnlocked()) {
+      this.layers.push({ name: 'vault', path: vault.path, values: { elevenApiKey: vault.get(vaultProfile) } });
+    } else if (this.vaultLocked) {
+      logger.debug(`Credential vault is locked; not using its key for ${vaultProfile}`);
+    }
+
+    this.layers.push({ name: 'flag', values: this._getSessionOverrides() });
+
+    this.config = {};
+    this.sources = {};
+    this.layers.forEach(layer => {
+      Object.entries(layer.values).forEach(([key, value]) => {
+        if (value === undefined) return;
+        this.config[key] = value;
+        this.sources[key] = layer.name;
+      });
+    });
+
+    // Changes made in this process but not saved yet still apply
+    Object.entries(this.changes).forEach(([key, value]) => {
+      this.config[key] = value;
+    });
+
+    return this.config;
+  }
+
+  /**
+   * Load configuration from every layer
+   * @param {Object} options - `{ validate: false }` to read a configuration that is not complete yet
    * @returns {Object} Configuration object
    */
-  loadConfig() {
+  loadConfig(options = {}) {
     if (this.config) {
       return this.config;
     }
 
     try {
-      // Start with default config
-      this.config = { ...this.defaultConfig };
-
-      // Load from file if exists
-      if (fs.existsSync(this.configPath)) {
-        const fileConfig = fs.readJsonSync(this.configPath);
-        this.config = { ...this.config, ...fileConfig };
+      this._resolve();
+      if (options.validate === false) {
+        // Not kept: the next plain loadConfig() still validates
+        const config = this.config;
+        this.config = null;
+        return config;
       }
 
       // Validate required configuration
@@ -62,7 +236,7 @@ class ConfigManager {
       return this.config;
     } catch (error) {
       logger.error(`Failed to load configuration: ${error.message}`);
-      throw new Error(`Configuration error: ${error.message}`);
+      throw new Error(`Configuration error: ${error.message}`, { cause: error });
     }
   }
 
@@ -71,31 +245,15 @@ class ConfigManager {
    * @throws {Error} If configuration is invalid
    */
   _validateConfig() {
-    const required = ['elevenApiKey'];
-    const missing = required.filter(key => !this.config[key]);
-
-    if (missing.length > 0) {
-      throw new Error(`Missing required configuration: ${missing.join(', ')}`);
-    }
-
-    // Validate API key format (basic check)
-    if (this.config.elevenApiKey && !this._isValidApiKey(this.config.elevenApiKey)) {
-      throw new Error('Invalid ElevenLabs API key format');
+    const [problem] = ConfigSchema.errors(this.config);
+    if (!problem) {
+      return;
     }
 
-    // Validate voice ID format
-    if (this.config.defaultVoiceId && !this._isValidVoiceId(this.config.defaultVoiceId)) {
-      throw new Error('Invalid voice ID format');
-    }
-
-    // Validate numeric values
-    if (this.config.requestTimeout < 1000 || this.config.requestTimeout > 300000) {
-      throw new Error('Request timeout must be between 1000 and 300000 milliseconds');
-    }
-
-    if (this.config.maxRetries < 0 || this.config.maxRetries > 10) {
-      throw new Error('Max retries must be between 0 and 10');
-    }
+    const hint = this.vaultLocked && !this.config.elevenApiKey
+      ? ' (the API key is in the locked credential vault; set ELEVEN_VAULT_PASSPHRASE or run in a terminal)'
+      : '';
+    throw new Error(`${problem}${hint}`);
   }
 
   /**
@@ -104,8 +262,7 @@ class ConfigManager {
    * @returns {boolean}
    */
   _isValidApiKey(apiKey) {
-    // Basic format validation for ElevenLabs API key
-    return typeof apiKey === 'string' && apiKey.length > 20 && /^[a-zA-Z0-9_-]+$/.test(apiKey);
+    return typeof apiKey === 'string' && ConfigSchema.check('elevenApiKey', apiKey) === null;
   }
 
   /**
@@ -114,23 +271,73 @@ class ConfigManager {
    * @returns {boolean}
    */
   _isValidVoiceId(voiceId) {
-    // Basic format validation for ElevenLabs voice ID
-    return typeof voiceId === 'string' && voiceId.length > 10 && /^[a-zA-Z0-9_-]+$/.test(voiceId);
+    return typeof voiceId === 'string' && ConfigSchema.check('defaultVoiceId', voiceId) === null;
+  }
+
+  /**
+   * Where `saveConfig()` writes: the profile chosen with --profile / ELEVEN_PROFILE, otherwise the project file
+   * @returns {Object} `{ path, profile }` with profile null for the project file's top level
+   */
+  getSaveTarget() {
+    if (process.env.ELEVEN_PROFILE) {
+      return { path: this.globalConfigPath, profile: process.env.ELEVEN_PROFILE };
+    }
+    return { path: this.configPath, profile: null };
+  }
+
+  /**
+   * Write a config file; the user file holds API keys, so only its owner may read it
+   * @param {string} filePath - Config file path
+   * @param {Object} data - File contents
+   * @returns {Promise<void>}
+   */
+  async _writeFile(filePath, data) {
+    const versioned = { configVersion: ConfigSchema.CURRENT_VERSION, ...data, configVersion: ConfigSchema.CURRENT_VERSION };
+    const options = filePath === this.globalConfigPath ? { mode: 0o600 } : {};
+    await fileManager.writeFile(filePath, JSON.stringify(versioned, null, 2), options);
   }
 
   /**
    * Save configuration to file
+   * Only settings changed through set(), reset() or the config argument are written, so values
+   * from other layers (environment, profiles, flags) never leak into the file.
    * @param {Object} config - Configuration to save
    * @returns {Promise<void>}
    */
   async saveConfig(config) {
     try {
-      const configToSave = { ...this.config, ...config };
-      await fileManager.writeFile(this.configPath, JSON.stringify(configToSave, null, 2));
-      this.config = configToSave;
+      Object.assign(this.changes, config);
+
+      const target = this.getSaveTarget();
+      const data = this._readFile(target.path);
+      let section = data;
+      if (target.profile) {
+        data.profiles = data.profiles || {};
+        section = data.profiles[target.profile] = data.profiles[target.profile] || {};
+      }
+
+      // Project files get committed; API keys belong in the credential vault
+      if (!target.profile && this.changes.elevenApiKey) {
+        const error = new Error('Refusing to write an API key into the project config file. Store it with: eleven auth login');
+        error.code = 'PLAINTEXT_API_KEY';
+        throw error;
+      }
+
+      if (this.cleared) {
+        Object.keys(this._settingsOf(section)).forEach(key => delete section[key]);
+      }
+      // A record/replay cassette belongs to the session that asked for it, never the config file
+      Object.entries(this._settingsOf(this.changes)).forEach(([key, value]) => {
+        section[key] = value;
+      });
+
+      await this._writeFile(target.path, data);
+      this.changes = {};
+      this.cleared = false;
+      this._resolve();
     } catch (error) {
       logger.error(`Failed to save configuration: ${error.message}`);
-      throw new Error(`Failed to save configuration: ${error.message}`);
+      throw new Error(`Failed to save configuration: ${error.message}`, { cause: error });
     }
   }
 
@@ -157,15 +364,174 @@ class ConfigManager {
       this.loadConfig();
     }
     this.config[key] = value;
+    this.changes[key] = value;
   }
 
   /**
    * Reset configuration to defaults
+   * The next saveConfig() empties the file (or profile) it writes to, so lower layers show through again.
    */
   reset() {
+    this.changes = {};
+    this.cleared = true;
     this.config = { ...this.defaultConfig };
   }
 
+  /**
+   * Layer a configuration value came from
+   * @param {string} key - Configuration key
+   * @returns {string|null} default, env, global, project, profile:<name>, profile:<name> (project) or flag
+   */
+  getSource(key) {
+    if (!this.config) {
+      this.loadConfig();
+    }
+    if (key in this.changes) {
+      return 'unsaved';
+    }
+    return this.sources[key] || null;
+  }
+
+  /**
+   * Layers that contributed to the configuration, lowest precedence first
+   * @returns {Array<Object>} `{ name, path, keys }` for each layer that set something
+   */
+  getLayers() {
+    if (!this.config) {
+      this.loadConfig();
+    }
+    return this.layers
+      .map(layer => ({ name: layer.name, path: layer.path || null, keys: Object.keys(layer.values).filter(key => layer.values[key] !== undefined) }))
+      .filter(layer => layer.keys.length > 0);
+  }
+
+  /**
+   * Active profile and what selected it
+   * @returns {Object|null} `{ name, selectedBy }` where selectedBy is flag, project or global
+   */
+  getActiveProfile() {
+    if (this.config) {
+      return this.profile;
+    }
+    return this._selectProfile(this._readFile(this.globalConfigPath), this._readFile(this.configPath));
+  }
+
+  /**
+   * All profiles from the user and project files
+   * @returns {Array<Object>} `{ name, active, locations, settings }` sorted by name
+   */
+  listProfiles() {
+    const globalFile = this._readFile(this.globalConfigPath);
+    const projectFile = this._readFile(this.configPath);
+    const active = this._selectProfile(globalFile, projectFile);
+    const names = new Set([...Object.keys(globalFile.profiles || {}), ...Object.keys(projectFile.profiles || {})]);
+
+    return [...names].sort().map(name => ({
+      name,
+      active: active?.name === name,
+      locations: [globalFile.profiles?.[name] && 'global', projectFile.profiles?.[name] && 'project'].filter(Boolean),
+      settings: {
+        ...this._settingsOf(globalFile.profiles?.[name]),
+        ...this._settingsOf(projectFile.profiles?.[name])
+      }
+    }));
+  }
+
+  /**
+   * Create a profile in the user config file
+   * @param {string} name - Profile name
+   * @param {Object} settings - Settings for the profile
+   * @param {Object} options - `{ from }` to start from a copy of another profile
+   * @returns {Promise<Object>} The profile's settings
+   */
+  async createProfile(name, settings = {}, options = {}) {
+    if (!ConfigManager.isValidProfileName(name)) {
+      throw new Error(`Invalid profile name "${name}". Use letters, numbers, - and _`);
+    }
+    if (settings.elevenApiKey && !this._isValidApiKey(settings.elevenApiKey)) {
+      throw new Error('Invalid ElevenLabs API key format');
+    }
+
+    const data = this._readFile(this.globalConfigPath);
+    data.profiles = data.profiles || {};
+    if (data.profiles[name]) {
+      throw new Error(`Profile "${name}" already exists`);
+    }
+
+    let base = {};
+    if (options.from) {
+      const source = this.listProfiles().find(profile => profile.name === options.from);
+      if (!source) {
+        throw new Error(`Unknown profile "${options.from}"`);
+      }
+      base = source.settings;
+    }
+
+    data.profiles[name] = { ...base, ...this._settingsOf(settings) };
+    await this._writeFile(this.globalConfigPath, data);
+    return data.profiles[name];
+  }
+
+  /**
+   * Make a profile the default, for this user or (with project) for the current project
+   * @param {string} name - Profile name
+   * @param {Object} options - `{ project }` to pin the profile in the project file instead
+   * @returns {Promise<void>}
+   */
+  async useProfile(name, options = {}) {
+    if (!this.listProfiles().some(profile => profile.name === name)) {
+      throw new Error(`Unknown profile "${name}". Create it with: eleven config profiles create ${name}`);
+    }
+
+    const filePath = options.project ? this.configPath : this.globalConfigPath;
+    const data = this._readFile(filePath);
+    data[options.project ? 'profile' : 'activeProfile'] = name;
+    await this._writeFile(filePath, data);
+    this.config = null;
+  }
+
+  /**
+   * Remove plaintext API keys that the credential vault now holds
+   * Clears the key from the top level of both config files, or from a profile's sections in them.
+   * @param {string|null} profile - Profile whose key moved to the vault, or null for the default
+   * @returns {Promise<Array<string>>} Files that were changed
+   */
+  async removePlaintextKeys(profile = null) {
+    const changed = [];
+
+    for (const filePath of [this.configPath, this.globalConfigPath]) {
+      const data = this._readFile(filePath);
+      const section = profile ? data.profiles?.[profile] : data;
+      if (!section || section.elevenApiKey === undefined) continue;
+
+      delete section.elevenApiKey;
+      await this._writeFile(filePath, data);
+      changed.push(filePath);
+    }
+
+    this.config = null;
+    return changed;
+  }
+
+  /**
+   * Delete a profile from the user config file
+   * @param {string} name - Profile name
+   * @returns {Promise<void>}
+   */
+  async deleteProfile(name) {
+    const data = this._readFile(this.globalConfigPath);
+    if (!data.profiles?.[name]) {
+      throw new Error(`Profile "${name}" not found in ${this.globalConfigPath}`);
+    }
+
+    delete data.profiles[name];
+    if (data.activeProfile === name) {
+      delete data.activeProfile;
+    }
+    await this._writeFile(this.globalConfigPath, data);
+    this.config = null;
+  }
+
   /**
    * Get all configuration
    * @returns {Object} Complete configuration object
@@ -206,13 +572,47 @@ class ConfigManager {
       logLevel: this.config.logLevel,
       nodeEnv: this.config.nodeEnv,
       elevenApiBaseUrl: this.config.elevenApiBaseUrl,
+      proxy: this.config.proxy ? NetworkRoute.redact(this.config.proxy) : null,
+      noProxy: this.config.noProxy,
+      caBundle: this.config.caBundle,
       requestTimeout: this.config.requestTimeout,
       maxRetries: this.config.maxRetries,
       defaultOutputDir: this.config.defaultOutputDir,
       tempDir: this.config.tempDir,
+      pronunciationLexicon: this.config.pronunciationLexicon,
+      outputFormat: this.config.outputFormat,
+      audioCache: this.config.audioCache,
+      audioCacheDir: this.config.audioCacheDir,
+      audioCacheMaxSize: this.config.audioCacheMaxSize,
+      budget: this.config.budget,
+      profile: this.profile ? this.profile.name : null,
+      apiKeySource: this.sources.elevenApiKey || null,
       hasApiKey: !!this.config.elevenApiKey
     };
   }
 }
 
+/**
+ * Path of the user-level config file shared by every project
+ * @returns {string} ELEVEN_CONFIG_HOME/config.json, or ~/.eleven/config.json
+ */
+ConfigManager.globalConfigPath = () => path.join(
+  process.env.ELEVEN_CONFIG_HOME || path.join(os.homedir(), '.eleven'),
+  'config.json'
+);
+
+/**
+ * Hide all but the end of an API key for display
+ * @param {string} apiKey - API key
+ * @returns {string} Masked key
+ */
+ConfigManager.maskApiKey = (apiKey) => (apiKey ? `${'*'.repeat(8)}${apiKey.slice(-4)}` : 'Not Set');
+
+/**
+ * Check a profile name
+ * @param {string} name - Profile name
+ * @returns {boolean}
+ */
+ConfigManager.isValidProfileName = (name) => typeof name === 'string' && /^[a-zA-Z0-9_-]+$/.test(name);
+
 module.exports = ConfigManager;
\ No newline at end of file
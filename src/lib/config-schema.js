@@ -0,0 +1,495 @@
+const AudioFormat = require('./audio-format');
+
+// Version written to config files; files without configVersion are version 1
+const CURRENT_VERSION = 2;
+
+// Booleans accepted from `config --set`
+const TRUE_VALUES = ['true', 'yes', 'on', '1'];
+const FALSE_VALUES = ['false', 'no', 'off', '0'];
+
+/**
+ * Every configuration key
+ * - type: string, integer, number, boolean, url, object or array
+ * - enum / min / max / pattern: allowed values; choices only guide the interactive prompt
+ * - protocols: URL schemes a url accepts (default http and https)
+ * - nullable: null (or an empty --set value) means "none"
+ * - secret: never shown, never set with `config --set`
+ * - env: environment variable that supplies the key
+ * - interactive: asked by `config --interactive`
+ */
+const SCHEMA = {
+  elevenApiKey: {
+    type: 'string',
+    description: 'ElevenLabs API key',
+    required: true,
+    secret: true,
+    env: 'ELEVEN_API_KEY',
+    pattern: /^[a-zA-Z0-9_-]{21,}$/,
+    patternMessage: 'Invalid ElevenLabs API key format'
+  },
+  defaultVoiceId: {
+    type: 'string',
+    description: 'Voice used when a command is not given one',
+    default: 'EXAVITQu4vr4xnSDxMaL',
+    env: 'DEFAULT_VOICE_ID',
+    pattern: /^[a-zA-Z0-9_-]{11,}$/,
+    patternMessage: 'Invalid voice ID format',
+    interactive: true
+  },
+  cursorAgentPath: {
+    type: 'string',
+    description: 'Cursor agent executable used by docs generation',
+    default: 'cursor-agent',
+    env: 'CURSOR_AGENT_PATH',
+    interactive: true
+  },
+  cursorProjectPath: {
+    type: 'string',
+    description: 'Project directory handed to the Cursor agent',
+    default: '.',
+    env: 'CURSOR_PROJECT_PATH'
+  },
+  debug: {
+    type: 'boolean',
+    description: 'Debug output',
+    default: false,
+    env: 'DEBUG',
+    interactive: true
+  },
+  logLevel: {
+    type: 'string',
+    description: 'Log level',
+    default: 'info',
+    env: 'LOG_LEVEL',
+    enum: ['error', 'warn', 'info', 'verbose', 'debug'],
+    interactive: true
+  },
+  nodeEnv: {
+    type: 'string',
+    description: 'Environment the CLI runs in',
+    default: 'development',
+    env: 'NODE_ENV',
+    choices: ['development', 'production', 'test'],
+    interactive: true
+  },
+  elevenApiBaseUrl: {
+    type: 'url',
+    description: 'ElevenLabs API base URL',
+    default: 'https://api.elevenlabs.io/v1',
+    env: 'ELEVEN_API_BASE_URL'
+  },
+  proxy: {
+    type: 'url',
+    description: 'Proxy for API and WebSocket traffic (otherwise HTTPS_PROXY / ALL_PROXY apply)',
+    default: null,
+    nullable: true,
+    env: 'ELEVEN_PROXY',
+    protocols: ['http', 'https', 'socks', 'socks4', 'socks4a', 'socks5', 'socks5h'],
+    interactive: true
+  },
+  noProxy: {
+    type: 'string',
+    description: 'Hosts that bypass the proxy, comma-separated (* for all)',
+    default: null,
+    nullable: true,
+    env: 'NO_PROXY'
+  },
+  caBundle: {
+    type: 'string',
+    description: 'PEM file of extra CA certificates trusted for API and proxy TLS',
+    default: null,
+    nullable: true,
+    env: 'ELEVEN_CA_BUNDLE'
+  },
+  requestTimeout: {
+    type: 'integer',
+    description: 'API request timeout',
+    default: 30000,
+    env: 'REQUEST_TIMEOUT',
+    min: 1000,
+    max: 300000,
+    unit: 'ms',
+    interactive: true
+  },
+  maxRetries: {
+    type: 'integer',
+    description: 'Retries for failed API requests',
+    default: 3,
+    env: 'MAX_RETRIES',
+    min: 0,
+    max: 10,
+    interactive: true
+  },
+  defaultOutputDir: {
+    type: 'string',
+    description: 'Where generated audio and documents go',
+    default: './output',
+    env: 'DEFAULT_OUTPUT_DIR',
+    interactive: true
+  },
+  tempDir: {
+    type: 'string',
+    description: 'Scratch directory',
+    default: './.temp',
+    env: 'TEMP_DIR'
+  },
+  pronunciationLexicon: {
+    type: 'string',
+    description: 'Pronunciation lexicon file (JSON or PLS)',
+    default: null,
+    nullable: true,
+    env: 'PRONUNCIATION_LEXICON',
+    interactive: true
+  },
+  outputFormat: {
+    type: 'string',
+    description: 'Audio output format',
+    default: AudioFormat.DEFAULT_OUTPUT_FORMAT,
+    env: 'OUTPUT_FORMAT',
+    enum: AudioFormat.OUTPUT_FORMATS,
+    interactive: true
+  },
+  audioCache: {
+    type: 'boolean',
+    description: 'Reuse audio from identical synthesis requests',
+    default: true,
+    env: 'AUDIO_CACHE'
+  },
+  audioCacheDir: {
+    type: 'string',
+    description: 'Audio cache directory',
+    default: './.cache/audio',
+    env: 'AUDIO_CACHE_DIR'
+  },
+  audioCacheMaxSize: {
+    type: 'integer',
+    description: 'Audio cache size limit',
+    default: 500,
+    env: 'AUDIO_CACHE_MAX_SIZE',
+    min: 1,
+    unit: 'MB'
+  },
+  budget: {
+    type: 'object',
+    description: 'Character budgets',
+    default: null,
+    nullable: true,
+    properties: {
+      daily: { type: 'integer', description: 'Characters per day', nullable: true, min: 1, zeroMeansNone: true },
+      monthly: { type: 'integer', description: 'Characters per calendar month', nullable: true, min: 1, zeroMeansNone: true },
+      warnAt: {
+        type: 'array',
+        description: 'Usage ratios that trigger a warning (default 0.8, 0.9)',
+        nullable: true,
+        items: { type: 'number', min: 0, max: 1, exclusive: true }
+      }
+    }
+  }
+};
+
+/**
+ * Build a coded configuration error
+ * @param {string} message - Error message
+ * @returns {Error} Error with code INVALID_CONFIG
+ */
+function configError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_CONFIG';
+  return error;
+}
+
+/**
+ * Configuration Schema
+ * One declaration per key drives defaults, environment variables, validation, `config --set`
+ * coercion, `config --describe`, the interactive prompts and config file migrations.
+ */
+class ConfigSchema {
+  /**
+   * Schema entry for a key; nested keys use dots (budget.daily)
+   * @param {string} key - Configuration key
+   * @returns {Object|null} Schema entry
+   */
+  static get(key) {
+    const [parent, child] = key.split('.');
+    const entry = SCHEMA[parent];
+    if (!entry) return null;
+    if (child === undefined) return entry;
+    return entry.properties?.[child] || null;
+  }
+
+  /**
+   * Every key, with nested keys spelled out (budget.daily)
+   * @returns {Array<string>} Keys
+   */
+  static keys() {
+    return Object.entries(SCHEMA)
+      .flatMap(([key, entry]) => (entry.properties ? Object.keys(entry.properties).map(child => `${key}.${child}`) : [key]));
+  }
+
+  /**
+   * Keys `config --set` accepts
+   * @returns {Array<string>} Keys
+   */
+  static settableKeys() {
+    return ConfigSchema.keys().filter(key => !ConfigSchema.get(key).secret);
+  }
+
+  /**
+   * Built-in default for every key
+   * @returns {Object} Defaults
+   */
+  static defaults() {
+    return Object.fromEntries(Object.entries(SCHEMA).map(([key, entry]) => [key, entry.default]));
+  }
+
+  /**
+   * Settings supplied through environment variables; empty variables count as unset
+   * Booleans follow their default: a default-off key needs "true", a default-on key needs "false".
+   * @param {Object} env - Environment (default: process.env)
+   * @returns {Object} Settings that are set
+   */
+  static fromEnv(env = process.env) {
+    const config = {};
+    Object.entries(SCHEMA).forEach(([key, entry]) => {
+      const value = entry.env ? env[entry.env] : undefined;
+      if (value === undefined || value === '') return;
+
+      if (entry.type === 'boolean') {
+        config[key] = entry.default ? value !== 'false' : value === 'true';
+      } else if (entry.type === 'integer') {
+        config[key] = parseInt(value, 10);
+      } else {
+        config[key] = value;
+      }
+    });
+    return config;
+  }
+
+  /**
+   * Problem with one value, if any
+   * @param {string} key - Configuration key (dotted for nested keys)
+   * @param {*} value - Value
+   * @param {Object} entry - Schema entry (default: looked up from key)
+   * @returns {string|null} Error message
+   */
+  static check(key, value, entry = ConfigSchema.get(key)) {
+    if (!entry) return null;
+    if (value === null || value === undefined) {
+      return value === null && !entry.nullable ? `${key} cannot be empty` : null;
+    }
+
+    switch (entry.type) {
+      case 'integer':
+        if (!Number.isInteger(value)) return `${key} must be a whole number${entry.unit ? ` (${entry.unit})` : ''}`;
+        break;
+      case 'number':
+        if (typeof value !== 'number' || !Number.isFinite(value)) return `${key} must be a number`;
+        break;
+      case 'boolean':
+        if (typeof value !== 'boolean') return `${key} must be true or false`;
+        break;
+      case 'url': {
+        const scheme = typeof value === 'string' && (value.match(/^([a-z0-9]+):\/\/[^\s/]+/i) || [])[1];
+        if (!entry.protocols && !['http', 'https'].includes(scheme)) return `${key} must be an http(s) URL`;
+        if (entry.protocols && !entry.protocols.includes(scheme)) return `${key} must be a URL starting with ${entry.protocols.join('://, ')}://`;
+        break;
+      }
+      case 'object':
+        if (typeof value !== 'object' || Array.isArray(value)) return `${key} must be an object`;
+        for (const [child, childEntry] of Object.entries(entry.properties)) {
+          const problem = ConfigSchema.check(`${key}.${child}`, value[child], childEntry);
+          if (problem) return problem;
+        }
+        return null;
+      case 'array':
+        if (!Array.isArray(value)) return `${key} must be a list`;
+        for (const item of value) {
+          const problem = ConfigSchema.check(`${key} entries`, item, entry.items);
+          if (problem) return problem;
+        }
+        return null;
+      default:
+        if (typeof value !== 'string') return `${key} must be text`;
+        if (value === '') return entry.nullable ? null : `${key} cannot be empty`;
+    }
+
+    if (entry.enum && !entry.enum.includes(value)) {
+      return `${key} must be one of: ${entry.enum.join(', ')}`;
+    }
+    if (entry.pattern && !entry.pattern.test(value)) {
+      return entry.patternMessage || `${key} has an invalid format`;
+    }
+    const unit = entry.unit ? ` ${entry.unit}` : '';
+    if (entry.exclusive && (value <= entry.min || value >= entry.max)) {
+      return `${key} must be between ${entry.min} and ${entry.max} (exclusive)`;
+    }
+    if (entry.min !== undefined && entry.max !== undefined && (value < entry.min || value > entry.max)) {
+      return `${key} must be between ${entry.min} and ${entry.max}${unit}`;
+    }
+    if (entry.min !== undefined && value < entry.min) {
+      return `${key} must be at least ${entry.min}${unit}`;
+    }
+    if (entry.max !== undefined && value > entry.max) {
+      return `${key} must be at most ${entry.max}${unit}`;
+    }
+    return null;
+  }
+
+  /**
+   * Every problem in a configuration
+   * @param {Object} config - Merged configuration
+   * @returns {Array<string>} Error messages, empty when valid
+   */
+  static errors(config) {
+    const errors = [];
+    const missing = Object.keys(SCHEMA).filter(key => SCHEMA[key].required && !config[key]);
+    if (missing.length > 0) {
+      errors.push(`Missing required configuration: ${missing.join(', ')}`);
+    }
+
+    Object.keys(SCHEMA).forEach(key => {
+      const problem = ConfigSchema.check(key, config[key]);
+      if (problem) errors.push(problem);
+    });
+    return errors;
+  }
+
+  /**
+   * Turn a `config --set` string into a checked value of the key's type
+   * @param {string} key - Configuration key (dotted for nested keys)
+   * @param {string} input - Value as typed
+   * @returns {*} Typed value
+   * @throws {Error} INVALID_CONFIG when the key is unknown or the value does not fit
+   */
+  static coerce(key, input) {
+    const entry = ConfigSchema.get(key);
+    if (!entry || entry.type === 'object') {
+      throw configError(`Invalid key "${key}". Valid keys: ${ConfigSchema.settableKeys().join(', ')}`);
+    }
+    if (entry.secret) {
+      throw configError(`${key} is secret and cannot be set here. Store API keys with: eleven auth login`);
+    }
+
+    const text = String(input).trim();
+    let value;
+    if (text === '' && entry.nullable) {
+      value = null;
+    } else if (entry.type === 'boolean') {
+      const lower = text.toLowerCase();
+      if (!TRUE_VALUES.includes(lower) && !FALSE_VALUES.includes(lower)) {
+        throw configError(`${key} must be true or false`);
+      }
+      value = TRUE_VALUES.includes(lower);
+    } else if (entry.type === 'integer') {
+      if (!/^-?\d+$/.test(text)) {
+        throw configError(`${key} must be a whole number${entry.unit ? ` (${entry.unit})` : ''}`);
+      }
+      value = parseInt(text, 10);
+      if (value === 0 && entry.zeroMeansNone) value = null;
+    } else if (entry.type === 'number') {
+      value = Number(text);
+    } else if (entry.type === 'array') {
+      value = text.split(',').map(item => (entry.items.type === 'number' ? Number(item.trim()) : item.trim()));
+    } else {
+      value = text;
+    }
+
+    const problem = ConfigSchema.check(key, value, entry);
+    if (problem) {
+      throw configError(problem);
+    }
+    return value;
+  }
+
+  /**
+   * One-line summary of a key's allowed values
+   * @param {Object} entry - Schema entry
+   * @returns {string} e.g. "integer 1000-300000 ms", "one of: error, warn"
+   */
+  static describeType(entry) {
+    if (entry.enum) return entry.enum.length > 6 ? `one of ${entry.enum.length} values` : `one of: ${entry.enum.join(', ')}`;
+
+    let range = '';
+    if (entry.min !== undefined && entry.max !== undefined) range = ` ${entry.min}-${entry.max}`;
+    else if (entry.min !== undefined) range = ` >= ${entry.min}`;
+    return `${entry.type}${range}${entry.unit ? ` ${entry.unit}` : ''}${entry.nullable ? ', optional' : ''}`;
+  }
+
+  /**
+   * Upgrade a config file's contents to the current version
+   * Profile sections are settings too, so they are migrated with the top level.
+   * @param {Object} data - File contents
+   * @returns {Object} `{ data, from, to, applied }` with applied listing the migration descriptions
+   * @throws {Error} INVALID_CONFIG for a file written by a newer version
+   */
+  static migrate(data) {
+    const from = data.configVersion || 1;
+    if (from > CURRENT_VERSION) {
+      throw configError(`This config file is version ${from}, newer than this eleven-cli understands (${CURRENT_VERSION}). Upgrade eleven-cli`);
+    }
+
+    let migrated = JSON.parse(JSON.stringify(data));
+    const applied = [];
+    MIGRATIONS.filter(migration => migration.version > from).forEach(migration => {
+      const upgrade = settings => migration.up(settings);
+      migrated = upgrade(migrated);
+      Object.keys(migrated.profiles || {}).forEach(name => {
+        migrated.profiles[name] = upgrade(migrated.profiles[name]);
+      });
+      applied.push(migration.description);
+    });
+
+    return { data: { configVersion: CURRENT_VERSION, ...migrated, configVersion: CURRENT_VERSION }, from, to: CURRENT_VERSION, applied };
+  }
+}
+
+/**
+ * Upgrades between config file versions, oldest first; each takes and returns one settings object
+ */
+const MIGRATIONS = [
+  {
+    version: 2,
+    description: 'Rename legacy keys (outputDir, api.*) and store typed values instead of strings',
+    up(settings) {
+      const upgraded = { ...settings };
+      // A value already under the new name wins over the legacy one
+      const adopt = (key, value) => {
+        if (value !== undefined && upgraded[key] === undefined) upgraded[key] = value;
+      };
+
+      adopt('defaultOutputDir', upgraded.outputDir);
+      delete upgraded.outputDir;
+
+      if (upgraded.api && typeof upgraded.api === 'object') {
+        const { baseUrl, timeout, maxRetries, ...rest } = upgraded.api;
+        adopt('elevenApiBaseUrl', baseUrl);
+        adopt('requestTimeout', timeout);
+        adopt('maxRetries', maxRetries);
+        if (Object.keys(rest).length > 0) upgraded.api = rest;
+        else delete upgraded.api;
+      }
+
+      // Record/replay belongs to a session and was never meant to be saved
+      delete upgraded.cassette;
+
+      // Older `config --set` stored some values as strings; keep any that do not convert for validation to report
+      Object.entries(upgraded).forEach(([key, value]) => {
+        const entry = SCHEMA[key];
+        if (typeof value !== 'string' || !entry || entry.secret || ['string', 'url'].includes(entry.type)) return;
+        try {
+          upgraded[key] = ConfigSchema.coerce(key, value);
+        } catch (error) {
+          // Left as is
+        }
+      });
+
+      return upgraded;
+    }
+  }
+];
+
+ConfigSchema.SCHEMA = SCHEMA;
+ConfigSchema.CURRENT_VERSION = CURRENT_VERSION;
+ConfigSchema.MIGRATIONS = MIGRATIONS;
+
+module.exports = ConfigSchema;
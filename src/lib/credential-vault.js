@@ -0,0 +1,292 @@
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+
+// Import utilities
+const Logger = require('./logger');
+const FileManager = require('./file-manager');
+
+const logger = new Logger();
+const fileManager = new FileManager();
+
+const VAULT_VERSION = 1;
+const CIPHER = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const SALT_LENGTH = 16;
+// 16 MB of memory per derivation, inside Node's default scrypt limit
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+
+let shared = null;
+
+/**
+ * Build a coded vault error
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error} Error with code
+ */
+function vaultError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Encrypted Credential Vault
+ * Keeps API keys per profile in one file in the user config directory, encrypted with AES-256-GCM
+ * under a key derived from a passphrase with scrypt. Profile names stay readable (and authenticated)
+ * so the CLI knows whether to ask for the passphrase; the keys themselves never touch disk in plaintext.
+ */
+class CredentialVault {
+  /**
+   * @param {Object} options - Vault options
+   * @param {string} options.path - Vault file (default: credentials.enc next to the user config file)
+   */
+  constructor(options = {}) {
+    this.path = options.path || CredentialVault.defaultPath();
+    this.passphrase = null;
+    this.entries = null;
+  }
+
+  /**
+   * Whether a vault file exists
+   * @returns {boolean}
+   */
+  exists() {
+    return fs.existsSync(this.path);
+  }
+
+  /**
+   * Read the vault file
+   * @returns {Object|null} Envelope, or null when there is no vault
+   * @private
+   */
+  readEnvelope() {
+    if (!this.exists()) return null;
+
+    const envelope = fs.readJsonSync(this.path);
+    if (envelope.version !== VAULT_VERSION) {
+      throw vaultError(`Unsupported credential vault version ${envelope.version} in ${this.path}`, 'VAULT_CORRUPT');
+    }
+    return envelope;
+  }
+
+  /**
+   * Profiles with a stored key; readable without the passphrase
+   * @returns {Array<string>} Profile names
+   */
+  getProfiles() {
+    if (this.entries) return Object.keys(this.entries).sort();
+    return this.readEnvelope()?.profiles || [];
+  }
+
+  /**
+   * Whether a profile has a stored key
+   * @param {string} profile - Profile name
+   * @returns {boolean}
+   */
+  has(profile) {
+    return this.getProfiles().includes(profile || CredentialVault.DEFAULT_PROFILE);
+  }
+
+  /**
+   * Whether the keys are decrypted in memory
+   * @returns {boolean}
+   */
+  isUnlocked() {
+    return this.entries !== null;
+  }
+
+  /**
+   * Decrypt the vault; a missing vault unlocks empty, ready for the first key
+   * @param {string} passphrase - Vault passphrase
+   * @throws {Error} INVALID_PASSPHRASE when the passphrase is wrong or the file was tampered with
+   */
+  unlock(passphrase) {
+    if (!passphrase) {
+      throw vaultError('A passphrase is required to unlock the credential vault', 'VAULT_LOCKED');
+    }
+
+    const envelope = this.readEnvelope();
+    if (!envelope) {
+      this.entries = {};
+      this.passphrase = passphrase;
+      return;
+    }
+
+    try {
+      const key = CredentialVault.deriveKey(passphrase, Buffer.from(envelope.kdf.salt, 'base64'), envelope.kdf);
+      const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(envelope.iv, 'base64'));
+      decipher.setAAD(CredentialVault.associatedData(envelope));
+      decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+      const plaintext = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+      this.entries = JSON.parse(plaintext.toString('utf8'));
+    } catch (error) {
+      // GCM cannot tell a wrong passphrase from a modified file, and neither should leak which
+      throw vaultError(`Could not unlock the credential vault at ${this.path}: wrong passphrase or damaged file`, 'INVALID_PASSPHRASE');
+    }
+    this.passphrase = passphrase;
+    logger.debug(`Unlocked credential vault (${Object.keys(this.entries).length} keys)`);
+  }
+
+  /**
+   * Throw unless unlocked
+   * @private
+   */
+  assertUnlocked() {
+    if (!this.isUnlocked()) {
+      throw vaultError('The credential vault is locked', 'VAULT_LOCKED');
+    }
+  }
+
+  /**
+   * Stored API key for a profile
+   * @param {string} profile - Profile name (default profile when empty)
+   * @returns {string|null} API key
+   */
+  get(profile) {
+    this.assertUnlocked();
+    return this.entries[profile || CredentialVault.DEFAULT_PROFILE]?.apiKey || null;
+  }
+
+  /**
+   * When a profile's key was stored
+   * @param {string} profile - Profile name
+   * @returns {string|null} ISO timestamp
+   */
+  getStoredAt(profile) {
+    this.assertUnlocked();
+    return this.entries[profile || CredentialVault.DEFAULT_PROFILE]?.storedAt || null;
+  }
+
+  /**
+   * Store a profile's API key and write the vault
+   * @param {string} profile - Profile name (default profile when empty)
+   * @param {string} apiKey - API key
+   * @returns {Promise<void>}
+   */
+  async set(profile, apiKey) {
+    this.assertUnlocked();
+    this.entries[profile || CredentialVault.DEFAULT_PROFILE] = { apiKey, storedAt: new Date().toISOString() };
+    await this.save();
+  }
+
+  /**
+   * Remove a profile's API key; the vault file goes once it holds no keys
+   * @param {string} profile - Profile name (default profile when empty)
+   * @returns {Promise<boolean>} Whether a key was removed
+   */
+  async remove(profile) {
+    this.assertUnlocked();
+    const name = profile || CredentialVault.DEFAULT_PROFILE;
+    if (!this.entries[name]) return false;
+
+    delete this.entries[name];
+    if (Object.keys(this.entries).length === 0) {
+      await this.destroy();
+    } else {
+      await this.save();
+    }
+    return true;
+  }
+
+  /**
+   * Re-encrypt every key under a new passphrase, with a fresh salt
+   * @param {string} passphrase - New passphrase
+   * @returns {Promise<void>}
+   */
+  async rotate(passphrase) {
+    this.assertUnlocked();
+    if (!passphrase) {
+      throw vaultError('A new passphrase is required', 'VAULT_LOCKED');
+    }
+    this.passphrase = passphrase;
+    await this.save();
+  }
+
+  /**
+   * Delete the vault file and forget its keys
+   * @returns {Promise<void>}
+   */
+  async destroy() {
+    await fs.remove(this.path);
+    this.entries = this.isUnlocked() ? {} : null;
+  }
+
+  /**
+   * Encrypt and write the vault; every write uses a new salt and IV
+   * @returns {Promise<void>}
+   * @private
+   */
+  async save() {
+    const salt = crypto.randomBytes(SALT_LENGTH);
+    const envelope = {
+      version: VAULT_VERSION,
+      kdf: { name: 'scrypt', salt: salt.toString('base64'), ...SCRYPT_PARAMS },
+      cipher: CIPHER,
+      profiles: this.getProfiles()
+    };
+
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(CIPHER, CredentialVault.deriveKey(this.passphrase, salt, SCRYPT_PARAMS), iv);
+    cipher.setAAD(CredentialVault.associatedData(envelope));
+    const data = Buffer.concat([cipher.update(JSON.stringify(this.entries), 'utf8'), cipher.final()]);
+
+    envelope.iv = iv.toString('base64');
+    envelope.tag = cipher.getAuthTag().toString('base64');
+    envelope.data = data.toString('base64');
+
+    await fileManager.writeFile(this.path, JSON.stringify(envelope, null, 2), { mode: 0o600 });
+  }
+}
+
+// Vault entry used when no profile is active
+CredentialVault.DEFAULT_PROFILE = 'default';
+
+/**
+ * Vault file in the user config directory
+ * @returns {string} ELEVEN_CONFIG_HOME/credentials.enc, or ~/.eleven/credentials.enc
+ */
+CredentialVault.defaultPath = () => path.join(
+  process.env.ELEVEN_CONFIG_HOME || path.join(os.homedir(), '.eleven'),
+  'credentials.enc'
+);
+
+/**
+ * Derive the encryption key from a passphrase
+ * @param {string} passphrase - Passphrase
+ * @param {Buffer} salt - Salt
+ * @param {Object} params - scrypt `{ N, r, p }`
+ * @returns {Buffer} 256-bit key
+ */
+CredentialVault.deriveKey = (passphrase, salt, { N, r, p }) => crypto.scryptSync(passphrase, salt, KEY_LENGTH, { N, r, p });
+
+/**
+ * Header fields the ciphertext is bound to, so the readable profile list cannot be edited unnoticed
+ * @param {Object} envelope - Vault envelope
+ * @returns {Buffer} Additional authenticated data
+ */
+CredentialVault.associatedData = (envelope) => Buffer.from(JSON.stringify({
+  version: envelope.version,
+  kdf: envelope.kdf,
+  cipher: envelope.cipher,
+  profiles: envelope.profiles
+}));
+
+/**
+ * One vault per process, so the passphrase is asked for once and every ConfigManager sees the keys
+ * Unlocks from ELEVEN_VAULT_PASSPHRASE when it is set.
+ * @returns {CredentialVault} Shared vault
+ */
+CredentialVault.shared = () => {
+  if (!shared || shared.path !== CredentialVault.defaultPath()) {
+    shared = new CredentialVault();
+  }
+  if (!shared.isUnlocked() && process.env.ELEVEN_VAULT_PASSPHRASE && shared.exists()) {
+    shared.unlock(process.env.ELEVEN_VAULT_PASSPHRASE);
+  }
+  return shared;
+};
+
+module.exports = CredentialVault;
@@ -0,0 +1,898 @@
+const http = require('http');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { WebSocketServer } = require('ws');
+const AudioFormat = require('./audio-format');
+
+/**
+ * Mock ElevenLabs Server
+ * Local stand-in for the ElevenLabs API so every command can run offline.
+ * Audio is generated deterministically from the text: PCM formats get one tone burst per word
+ * (μ-law encodes the same tones), MP3 formats get silent frames of the same duration. Transcription recognizes audio this server
+ * produced and returns the original text, so round trips score perfectly.
+ */
+
+// Premade voices every mock starts with
+const MOCK_VOICES = [
+  { voice_id: '21m00Tcm4TlvDq8ikWAM', name: 'Rachel', category: 'premade', description: 'Calm young female narrator', labels: { accent: 'american', gender: 'female' } },
+  { voice_id: 'EXAVITQu4vr4xnSDxMaL', name: 'Bella', category: 'premade', description: 'Soft young female', labels: { accent: 'american', gender: 'female' } },
+  { voice_id: 'pNInz6obpgDQGcFmaJgB', name: 'Adam', category: 'premade', description: 'Deep middle-aged male', labels: { accent: 'american', gender: 'male' } },
+  { voice_id: 'ErXwobaYiN019PkySvjV', name: 'Antoni', category: 'premade', description: 'Well-rounded young male', labels: { accent: 'american', gender: 'male' } }
+];
+
+const MOCK_MODELS = [
+  { model_id: 'eleven_monolingual_v1', name: 'Eleven English v1', can_do_text_to_speech: true },
+  { model_id: 'eleven_multilingual_v2', name: 'Eleven Multilingual v2', can_do_text_to_speech: true },
+  { model_id: 'eleven_turbo_v2', name: 'Eleven Turbo v2', can_do_text_to_speech: true },
+  { model_id: 'scribe_v1', name: 'Scribe v1', can_do_text_to_speech: false }
+];
+
+// Returned for audio this server did not generate
+const FALLBACK_TRANSCRIPT = 'This is a transcript from the mock ElevenLabs server.';
+
+// MPEG audio layer III tables: kbps by bitrate index, and sample rate indexes
+const MP3_BITRATES = {
+  1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+const MP3_SAMPLE_RATES = {
+  1: [44100, 48000, 32000],
+  2: [22050, 24000, 16000]
+};
+
+// Speech timing: seconds of padding, per-word base, per-character and between words
+const LEAD_TIME = 0.15;
+const WORD_TIME = 0.08;
+const CHAR_TIME = 0.055;
+const GAP_TIME = 0.12;
+
+class MockServer extends EventEmitter {
+  /**
+   * @param {Object} options - Server options
+   * @param {number} options.port - Port to listen on (0 picks a free port)
+   * @param {string} options.host - Interface to bind
+   * @param {number} options.latency - Milliseconds added to every response
+   * @param {number} options.rateLimit - Share of requests answered with 429 (0-1)
+   * @param {number} options.serverErrors - Share of requests answered with a 5xx (0-1)
+   * @param {number} options.seed - Seed for the fault schedule, so runs are repeatable
+   * @param {number} options.chunkDelay - Milliseconds between chunks on streaming endpoints
+   */
+  constructor(options = {}) {
+    super();
+    this.port = options.port !== undefined ? options.port : 8787;
+    this.host = options.host || '127.0.0.1';
+    this.latency = options.latency || 0;
+    this.rateLimit = options.rateLimit || 0;
+    this.serverErrors = options.serverErrors || 0;
+    this.chunkDelay = options.chunkDelay !== undefined ? options.chunkDelay : 20;
+    this.random = seededRandom(options.seed !== undefined ? options.seed : 1);
+
+    this.voices = MOCK_VOICES.map(voice => ({ ...voice }));
+    this.transcripts = new Map();
+    this.characterCount = 0;
+    this.server = null;
+    this.wss = null;
+
+    this.routes = [
+      ['GET', /^\/v1\/voices$/, this.listVoices],
+      ['POST', /^\/v1\/voices\/add$/, this.addVoice],
+      ['GET', /^\/v1\/voices\/([^/]+)$/, this.getVoice],
+      ['DELETE', /^\/v1\/voices\/([^/]+)$/, this.deleteVoice],
+      ['POST', /^\/v1\/text-to-speech\/([^/]+)$/, this.textToSpeech],
+      ['POST', /^\/v1\/text-to-speech\/([^/]+)\/stream$/, this.textToSpeechStream],
+      ['POST', /^\/v1\/text-to-speech\/([^/]+)\/with-timestamps$/, this.textToSpeechWithTimestamps],
+      ['POST', /^\/v1\/speech-to-text$/, this.speechToText],
+      ['GET', /^\/v1\/models$/, this.listModels],
+      ['GET', /^\/v1\/user$/, this.getUser],
+      ['GET', /^\/v1\/user\/subscription$/, this.getSubscription]
+    ];
+  }
+
+  /**
+   * HTTP base URL to use as ELEVEN_API_BASE_URL
+   * @returns {string} Base URL
+   */
+  get url() {
+    return `http://${this.host}:${this.port}/v1`;
+  }
+
+  /**
+   * WebSocket base URL for the stream-input endpoint
+   * @returns {string} Base URL
+   */
+  get wsUrl() {
+    return `ws://${this.host}:${this.port}/v1`;
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<string>} HTTP base URL
+   */
+  start() {
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch(error => {
+        if (!res.headersSent) {
+          sendError(res, 500, 'mock_error', error.message);
+        } else {
+          res.destroy(error);
+        }
+      });
+    });
+
+    this.wss = new WebSocketServer({ noServer: true });
+    this.server.on('upgrade', (req, socket, head) => this.handleUpgrade(req, socket, head));
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.port = this.server.address().port;
+        this.emit('listening', { url: this.url });
+        resolve(this.url);
+      });
+    });
+  }
+
+  /**
+   * Stop listening and drop open connections
+   * @returns {Promise<void>}
+   */
+  stop() {
+    if (!this.server) {
+      return Promise.resolve();
+    }
+
+    this.wss.clients.forEach(client => client.terminate());
+    this.server.closeAllConnections();
+
+    return new Promise(resolve => {
+      this.server.close(() => {
+        this.server = null;
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Authenticate, inject faults and dispatch a request to its route
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @returns {Promise<void>}
+   * @private
+   */
+  async handleRequest(req, res) {
+    const started = Date.now();
+    const url = new URL(req.url, this.url);
+    const body = await readBody(req);
+
+    res.on('finish', () => {
+      this.emit('request', { method: req.method, path: url.pathname, status: res.statusCode, duration: Date.now() - started });
+    });
+
+    await delay(this.latency);
+
+    if (!req.headers['xi-api-key']) {
+      return sendError(res, 401, 'invalid_api_key', 'No API key was provided (xi-api-key header)');
+    }
+
+    const fault = this.pickFault(req.headers['x-mock-status']);
+    if (fault === 429) {
+      res.setHeader('Retry-After', '1');
+      return sendError(res, 429, 'too_many_concurrent_requests', 'Mock rate limit: too many concurrent requests');
+    }
+    if (fault) {
+      return sendError(res, fault, 'internal_error', `Mock server error (${fault})`);
+    }
+
+    for (const [method, pattern, handler] of this.routes) {
+      const match = req.method === method && pattern.exec(url.pathname);
+      if (match) {
+        return handler.call(this, { req, res, url, body, params: match.slice(1) });
+      }
+    }
+
+    return sendError(res, 404, 'not_found', `The mock server does not implement ${req.method} ${url.pathname}`);
+  }
+
+  /**
+   * Decide whether this request fails: an `x-mock-status` header forces a status,
+   * otherwise the seeded schedule applies the configured rates
+   * @param {string} forced - Forced status header
+   * @returns {number|null} Fault status
+   * @private
+   */
+  pickFault(forced) {
+    if (forced) {
+      return parseInt(forced, 10);
+    }
+
+    const roll = this.random();
+    if (roll < this.rateLimit) {
+      return 429;
+    }
+    if (roll < this.rateLimit + this.serverErrors) {
+      return this.random() < 0.5 ? 500 : 503;
+    }
+    return null;
+  }
+
+  /**
+   * GET /voices
+   * @param {Object} context - Request context
+   * @private
+   */
+  listVoices({ res }) {
+    sendJson(res, 200, { voices: this.voices });
+  }
+
+  /**
+   * GET /voices/{voice_id}
+   * @param {Object} context - Request context
+   * @private
+   */
+  getVoice({ res, params }) {
+    const voice = this.findVoice(params[0]);
+    if (!voice) {
+      return sendError(res, 404, 'voice_not_found', `A voice with the voice_id ${params[0]} was not found.`);
+    }
+    sendJson(res, 200, voice);
+  }
+
+  /**
+   * DELETE /voices/{voice_id}; premade voices cannot be deleted
+   * @param {Object} context - Request context
+   * @private
+   */
+  deleteVoice({ res, params }) {
+    const voice = this.findVoice(params[0]);
+    if (!voice) {
+      return sendError(res, 404, 'voice_not_found', `A voice with the voice_id ${params[0]} was not found.`);
+    }
+    if (voice.category === 'premade') {
+      return sendError(res, 400, 'voice_not_deletable', 'Premade voices cannot be deleted.');
+    }
+
+    this.voices = this.voices.filter(v => v !== voice);
+    sendJson(res, 200, { status: 'ok' });
+  }
+
+  /**
+   * POST /voices/add (multipart: name, description, files)
+   * @param {Object} context - Request context
+   * @private
+   */
+  addVoice({ req, res, body }) {
+    const parts = parseMultipart(body, req.headers['content-type']);
+    const name = fieldValue(parts, 'name');
+    const files = parts.filter(part => part.name === 'files' && part.filename);
+
+    if (!name) {
+      return sendError(res, 400, 'missing_name', 'A voice name is required.');
+    }
+    if (files.length === 0) {
+      return sendError(res, 400, 'missing_files', 'At least one audio file is required.');
+    }
+
+    const hash = crypto.createHash('sha1');
+    files.forEach(file => hash.update(file.data));
+    const voice = {
+      voice_id: `mock${hash.digest('hex').slice(0, 16)}`,
+      name,
+      category: 'cloned',
+      description: fieldValue(parts, 'description') || '',
+      labels: parseLabels(fieldValue(parts, 'labels')),
+      samples: files.map((file, index) => ({ sample_id: `sample${index}`, file_name: file.filename, size_bytes: file.data.length }))
+    };
+
+    this.voices = this.voices.filter(v => v.voice_id !== voice.voice_id).concat(voice);
+    sendJson(res, 200, { voice_id: voice.voice_id, requires_verification: false });
+  }
+
+  /**
+   * POST /text-to-speech/{voice_id}
+   * @param {Object} context - Request context
+   * @private
+   */
+  textToSpeech(context) {
+    const audio = this.renderSpeech(context);
+    if (!audio) return;
+
+    context.res.writeHead(200, { 'Content-Type': audio.contentType, 'Content-Length': audio.data.length });
+    context.res.end(audio.data);
+  }
+
+  /**
+   * POST /text-to-speech/{voice_id}/stream: the same audio, sent in timed chunks
+   * @param {Object} context - Request context
+   * @returns {Promise<void>}
+   * @private
+   */
+  async textToSpeechStream(context) {
+    const audio = this.renderSpeech(context);
+    if (!audio) return;
+
+    const { res } = context;
+    res.writeHead(200, { 'Content-Type': audio.contentType, 'Transfer-Encoding': 'chunked' });
+
+    for (let offset = 0; offset < audio.data.length && !res.destroyed; offset += 4096) {
+      res.write(audio.data.subarray(offset, offset + 4096));
+      await delay(this.chunkDelay);
+    }
+    res.end();
+  }
+
+  /**
+   * POST /text-to-speech/{voice_id}/with-timestamps: base64 audio plus character alignment
+   * @param {Object} context - Request context
+   * @private
+   */
+  textToSpeechWithTimestamps(context) {
+    const audio = this.renderSpeech(context);
+    if (!audio) return;
+
+    const { chars, charStartTimesMs, charDurationsMs } = alignCharacters(audio.text);
+    const alignment = {
+      characters: chars,
+      character_start_times_seconds: charStartTimesMs.map(ms => ms / 1000),
+      character_end_times_seconds: charStartTimesMs.map((ms, i) => (ms + charDurationsMs[i]) / 1000)
+    };
+
+    sendJson(context.res, 200, {
+      audio_base64: audio.data.toString('base64'),
+      alignment,
+      normalized_alignment: alignment
+    });
+  }
+
+  /**
+   * Validate a TTS request and generate its audio
+   * @param {Object} context - Request context
+   * @returns {Object|null} Audio data, content type and text, or null when an error was sent
+   * @private
+   */
+  renderSpeech({ req, res, url, body, params }) {
+    if (!this.findVoice(params[0])) {
+      sendError(res, 404, 'voice_not_found', `A voice with the voice_id ${params[0]} was not found.`);
+      return null;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(body.toString('utf8') || '{}');
+    } catch (error) {
+      sendError(res, 400, 'invalid_json', `Request body is not valid JSON (${req.headers['content-type'] || 'no content type'})`);
+      return null;
+    }
+
+    if (typeof payload.text !== 'string' || !payload.text.trim()) {
+      sendError(res, 422, 'invalid_text', 'text is required.');
+      return null;
+    }
+
+    const format = parseOutputFormat(url.searchParams.get('output_format'));
+    if (!format) {
+      sendError(res, 422, 'invalid_output_format', `Unsupported output_format: ${url.searchParams.get('output_format')}`);
+      return null;
+    }
+
+    this.characterCount += payload.text.length;
+    return { ...this.generateAudio(payload.text, format), text: payload.text };
+  }
+
+  /**
+   * POST /speech-to-text (multipart: file, model_id, language_code, diarize, num_speakers, keyterms)
+   * With diarize=true each sentence is handed to the next of num_speakers (default 2) speakers;
+   * words listed in keyterms come back with full confidence.
+   * @param {Object} context - Request context
+   * @private
+   */
+  speechToText({ req, res, body }) {
+    const parts = parseMultipart(body, req.headers['content-type']);
+    const file = parts.find(part => part.name === 'file' && part.filename);
+
+    if (!file) {
+      return sendError(res, 400, 'missing_file', 'An audio file is required.');
+    }
+
+    const text = this.transcripts.get(fingerprint(file.data)) || FALLBACK_TRANSCRIPT;
+    const diarize = fieldValue(parts, 'diarize') === 'true';
+    const speakers = Number(fieldValue(parts, 'num_speakers')) || 2;
+    const keyterms = new Set(parts.filter(part => part.name === 'keyterms').map(part => part.data.toString('utf8').toLowerCase()));
+    const words = [];
+    let sentence = 0;
+
+    layoutSpeech(text).words.forEach((word, index, all) => {
+      const speaker = diarize ? { speaker_id: `speaker_${sentence % speakers}` } : {};
+      const bare = word.text.toLowerCase().replace(/[^\p{L}\p{N}'-]/gu, '');
+      words.push({
+        text: word.text,
+        start: round(word.start),
+        end: round(word.end),
+        type: 'word',
+        logprob: keyterms.has(bare) ? 0 : round(-0.02 * word.text.length),
+        ...speaker
+      });
+
+      if (/[.!?]["')\]]*$/.test(word.text)) sentence++;
+      if (index < all.length - 1) {
+        words.push({ text: ' ', start: round(word.end), end: round(all[index + 1].start), type: 'spacing', ...speaker });
+      }
+    });
+
+    sendJson(res, 200, {
+      language_code: fieldValue(parts, 'language_code') || 'en',
+      language_probability: 1,
+      text,
+      words
+    });
+  }
+
+  /**
+   * GET /models
+   * @param {Object} context - Request context
+   * @private
+   */
+  listModels({ res }) {
+    sendJson(res, 200, MOCK_MODELS);
+  }
+
+  /**
+   * GET /user
+   * @param {Object} context - Request context
+   * @private
+   */
+  getUser({ res }) {
+    sendJson(res, 200, { user_id: 'mock-user', subscription: this.subscription() });
+  }
+
+  /**
+   * GET /user/subscription
+   * @param {Object} context - Request context
+   * @private
+   */
+  getSubscription({ res }) {
+    sendJson(res, 200, this.subscription());
+  }
+
+  /**
+   * Subscription details with the characters used so far
+   * @returns {Object} Subscription
+   * @private
+   */
+  subscription() {
+    const now = new Date();
+    const nextMonth = new Date(now.getFullYear(), now.getMonth() + 1, 1);
+
+    return {
+      tier: 'mock',
+      character_count: this.characterCount,
+      character_limit: 100000,
+      next_character_count_reset_unix: Math.floor(nextMonth.getTime() / 1000),
+      status: 'active'
+    };
+  }
+
+  /**
+   * Accept WebSocket upgrades for /text-to-speech/{voice_id}/stream-input
+   * @param {http.IncomingMessage} req - Upgrade request
+   * @param {net.Socket} socket - Client socket
+   * @param {Buffer} head - First packet of the upgraded stream
+   * @private
+   */
+  handleUpgrade(req, socket, head) {
+    const url = new URL(req.url, this.url);
+    const match = /^\/v1\/text-to-speech\/([^/]+)\/stream-input$/.exec(url.pathname);
+
+    if (!match || !this.findVoice(match[1])) {
+      socket.write('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+
+    this.wss.handleUpgrade(req, socket, head, (ws) => {
+      this.emit('request', { method: 'WS', path: url.pathname, status: 101, duration: 0 });
+      this.handleStreamInput(ws, req, parseOutputFormat(url.searchParams.get('output_format')));
+    });
+  }
+
+  /**
+   * Run the stream-input protocol on one socket
+   * Text is buffered and synthesized at sentence ends, on `flush`, and when the client sends
+   * the empty-text end-of-input message, after which the final message is sent and the socket closes.
+   * @param {WebSocket} ws - Client socket
+   * @param {http.IncomingMessage} req - Upgrade request
+   * @param {Object} format - Output format
+   * @private
+   */
+  handleStreamInput(ws, req, format) {
+    let authenticated = Boolean(req.headers['xi-api-key']);
+    let buffer = '';
+    // Messages are handled in order even though generation waits on the configured latency
+    let queue = Promise.resolve();
+
+    const generate = async (text) => {
+      if (!text.trim()) return;
+      await delay(this.latency);
+
+      const audio = this.generateAudio(text.trim(), format);
+      const alignment = alignCharacters(text.trim());
+      this.characterCount += text.trim().length;
+
+      if (ws.readyState === ws.OPEN) {
+        ws.send(JSON.stringify({
+          audio: audio.data.toString('base64'),
+          isFinal: false,
+          normalizedAlignment: alignment,
+          alignment
+        }));
+      }
+    };
+
+    const handle = async (raw) => {
+      let message;
+      try {
+        message = JSON.parse(raw.toString('utf8'));
+      } catch (error) {
+        ws.send(JSON.stringify({ error: 'invalid_message', message: 'Messages must be JSON' }));
+        return;
+      }
+
+      authenticated = authenticated || Boolean(message.xi_api_key);
+      if (!authenticated) {
+        ws.close(1008, 'Invalid API key');
+        return;
+      }
+
+      if (!format) {
+        ws.close(1008, 'Unsupported output_format');
+        return;
+      }
+
+      if (message.text === '') {
+        await generate(buffer);
+        buffer = '';
+        if (ws.readyState === ws.OPEN) {
+          ws.send(JSON.stringify({ isFinal: true }));
+          ws.close(1000);
+        }
+        return;
+      }
+
+      buffer += message.text || '';
+      if (message.flush || message.try_trigger_generation || /[.!?]["')\]]*\s*$/.test(buffer)) {
+        const text = buffer;
+        buffer = '';
+        await generate(text);
+      }
+    };
+
+    ws.on('message', (raw) => {
+      queue = queue.then(() => handle(raw)).catch(error => {
+        if (ws.readyState === ws.OPEN) ws.close(1011, error.message);
+      });
+    });
+  }
+
+  /**
+   * Generate audio for text and remember its transcript
+   * @param {string} text - Text to speak
+   * @param {Object} format - Output format
+   * @returns {Object} Audio data and content type
+   * @private
+   */
+  generateAudio(text, format) {
+    const layout = layoutSpeech(text);
+    let data;
+    if (format.codec === 'mp3') {
+      data = renderMp3(layout, format.sampleRate, format.bitrate, text);
+    } else {
+      const pcm = renderPcm(layout, format.sampleRate);
+      data = format.codec === 'ulaw' ? AudioFormat.encodeUlaw(pcm) : pcm;
+    }
+
+    this.transcripts.set(fingerprint(data), text);
+    return { data, contentType: { pcm: 'audio/pcm', ulaw: 'audio/basic', mp3: 'audio/mpeg' }[format.codec] };
+  }
+
+  /**
+   * Look up a voice by ID
+   * @param {string} voiceId - Voice ID
+   * @returns {Object|undefined} Voice
+   * @private
+   */
+  findVoice(voiceId) {
+    return this.voices.find(voice => voice.voice_id === voiceId);
+  }
+}
+
+/**
+ * Parse an output_format value such as mp3_44100_128, pcm_16000 or ulaw_8000
+ * @param {string|null} value - Query value
+ * @returns {Object|null} Codec, sample rate and bitrate, or null when unsupported
+ */
+function parseOutputFormat(value) {
+  const match = /^(mp3|pcm|ulaw)_(\d+)(?:_(\d+))?$/.exec(value || 'mp3_44100_128');
+  if (!match) return null;
+
+  const [, codec, sampleRate, bitrate] = match;
+  if (codec === 'ulaw') {
+    return sampleRate === '8000' && !bitrate ? { codec, sampleRate: 8000 } : null;
+  }
+  if (codec === 'pcm') {
+    return bitrate ? null : { codec, sampleRate: Number(sampleRate) };
+  }
+
+  const version = MP3_SAMPLE_RATES[1].includes(Number(sampleRate)) ? 1 : 2;
+  if (!MP3_SAMPLE_RATES[version].includes(Number(sampleRate)) || !MP3_BITRATES[version].includes(Number(bitrate))) {
+    return null;
+  }
+  return { codec, sampleRate: Number(sampleRate), bitrate: Number(bitrate) };
+}
+
+/**
+ * Lay out words in time: a base duration plus time per character, with longer pauses after punctuation
+ * @param {string} text - Text to speak
+ * @returns {Object} Words with start/end seconds and character offsets, and total duration
+ */
+function layoutSpeech(text) {
+  const words = [];
+  let time = LEAD_TIME;
+
+  for (const match of text.matchAll(/\S+/g)) {
+    const duration = WORD_TIME + CHAR_TIME * match[0].length;
+    words.push({ text: match[0], start: time, end: time + duration, offset: match.index });
+
+    const pause = /[.!?]["')\]]*$/.test(match[0]) ? 0.25 : /[,;:]$/.test(match[0]) ? 0.1 : 0;
+    time += duration + GAP_TIME + pause;
+  }
+
+  const duration = words.length > 0 ? words[words.length - 1].end + LEAD_TIME : 0.5;
+  return { words, duration };
+}
+
+/**
+ * Character-level timings in the shape the stream-input endpoint returns
+ * @param {string} text - Text that was spoken
+ * @returns {Object} chars, charStartTimesMs and charDurationsMs
+ */
+function alignCharacters(text) {
+  const { words } = layoutSpeech(text);
+  const chars = [...text];
+  const starts = [];
+  const durations = [];
+  let cursor = 0;
+
+  chars.forEach((char, index) => {
+    const word = words.find(w => index >= w.offset && index < w.offset + w.text.length);
+    if (word) {
+      const step = (word.end - word.start) / word.text.length;
+      starts.push(Math.round((word.start + step * (index - word.offset)) * 1000));
+      durations.push(Math.round(step * 1000));
+      cursor = word.end;
+    } else {
+      // Spaces and other gaps run until the next word starts
+      const next = words.find(w => w.offset > index);
+      starts.push(Math.round(cursor * 1000));
+      durations.push(Math.max(0, Math.round(((next ? next.start : cursor) - cursor) * 1000)));
+    }
+  });
+
+  return { chars, charStartTimesMs: starts, charDurationsMs: durations };
+}
+
+/**
+ * Render 16-bit mono PCM: a short tone burst per word, pitched by the word so output is deterministic
+ * @param {Object} layout - Speech layout
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Buffer} PCM data
+ */
+function renderPcm(layout, sampleRate) {
+  const pcm = Buffer.alloc(Math.ceil(layout.duration * sampleRate) * 2);
+
+  layout.words.forEach(word => {
+    const frequency = 110 + crypto.createHash('md5').update(word.text.toLowerCase()).digest()[0] / 2;
+    const first = Math.floor(word.start * sampleRate);
+    const last = Math.min(pcm.length / 2, Math.floor(word.end * sampleRate));
+    const fade = Math.floor(0.01 * sampleRate);
+
+    for (let i = first; i < last; i++) {
+      const envelope = Math.min(1, (i - first) / fade, (last - i) / fade);
+      const t = i / sampleRate;
+      const sample = 0.3 * envelope * (Math.sin(2 * Math.PI * frequency * t) + 0.3 * Math.sin(4 * Math.PI * frequency * t)) / 1.3;
+      pcm.writeInt16LE(Math.round(sample * 32767), i * 2);
+    }
+  });
+
+  return pcm;
+}
+
+/**
+ * Render mono MPEG layer III frames with empty side information, which decoders play as silence.
+ * The text hash rides in the first frame's ancillary bytes so different texts never share bytes.
+ * @param {Object} layout - Speech layout
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {number} bitrate - Bitrate in kbps
+ * @param {string} text - Spoken text
+ * @returns {Buffer} MP3 data
+ */
+function renderMp3(layout, sampleRate, bitrate, text) {
+  const version = MP3_SAMPLE_RATES[1].includes(sampleRate) ? 1 : 2;
+  const samplesPerFrame = version === 1 ? 1152 : 576;
+  const frameLength = Math.floor(samplesPerFrame / 8 * bitrate * 1000 / sampleRate);
+  const sideInfoLength = version === 1 ? 17 : 9;
+  const frameCount = Math.max(1, Math.ceil(layout.duration * sampleRate / samplesPerFrame));
+
+  const header = Buffer.from([
+    0xff,
+    version === 1 ? 0xfb : 0xf3,
+    (MP3_BITRATES[version].indexOf(bitrate) << 4) | (MP3_SAMPLE_RATES[version].indexOf(sampleRate) << 2),
+    0xc4
+  ]);
+
+  const frames = Buffer.alloc(frameLength * frameCount);
+  for (let i = 0; i < frameCount; i++) {
+    header.copy(frames, i * frameLength);
+  }
+  // Low-bitrate frames may be shorter than the hash; never spill into the next header
+  crypto.createHash('sha1').update(text).digest().copy(frames, 4 + sideInfoLength, 0, Math.max(0, frameLength - 4 - sideInfoLength));
+
+  return frames;
+}
+
+/**
+ * Fingerprint audio for transcript lookup; WAV files are keyed by their sample data
+ * so audio wrapped in a WAV header still matches the PCM it came from
+ * @param {Buffer} data - Audio bytes
+ * @returns {string} Fingerprint
+ */
+function fingerprint(data) {
+  let payload = data;
+
+  if (data.length >= 12 && data.toString('ascii', 0, 4) === 'RIFF' && data.toString('ascii', 8, 12) === 'WAVE') {
+    for (let offset = 12; offset + 8 <= data.length;) {
+      const size = data.readUInt32LE(offset + 4);
+      if (data.toString('ascii', offset, offset + 4) === 'data') {
+        payload = data.subarray(offset + 8, offset + 8 + size);
+        break;
+      }
+      offset += 8 + size + (size % 2);
+    }
+  }
+
+  return crypto.createHash('sha1').update(payload).digest('hex');
+}
+
+/**
+ * Split a multipart/form-data body into parts
+ * @param {Buffer} body - Request body
+ * @param {string} contentType - Content-Type header with the boundary
+ * @returns {Array<Object>} Parts with name, filename and data
+ */
+function parseMultipart(body, contentType) {
+  const boundaryMatch = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType || '');
+  if (!boundaryMatch) return [];
+
+  const delimiter = Buffer.from(`--${boundaryMatch[1] || boundaryMatch[2]}`);
+  const parts = [];
+  let start = body.indexOf(delimiter);
+
+  while (start !== -1) {
+    const headerStart = start + delimiter.length + 2;
+    const next = body.indexOf(delimiter, headerStart);
+    if (next === -1) break;
+
+    const headerEnd = body.indexOf('\r\n\r\n', headerStart);
+    if (headerEnd !== -1 && headerEnd < next) {
+      const headers = body.toString('utf8', headerStart, headerEnd);
+      const name = /name="([^"]*)"/i.exec(headers);
+      const filename = /filename="([^"]*)"/i.exec(headers);
+      parts.push({
+        name: name ? name[1] : null,
+        filename: filename ? filename[1] : null,
+        // Part data ends with the CRLF that precedes the next delimiter
+        data: body.subarray(headerEnd + 4, next - 2)
+      });
+    }
+    start = next;
+  }
+
+  return parts;
+}
+
+/**
+ * Text value of a multipart field
+ * @param {Array<Object>} parts - Multipart parts
+ * @param {string} name - Field name
+ * @returns {string|null} Field value
+ */
+function fieldValue(parts, name) {
+  const part = parts.find(p => p.name === name && !p.filename);
+  return part ? part.data.toString('utf8') : null;
+}
+
+/**
+ * Parse the JSON labels field of /voices/add
+ * @param {string|null} value - Field value
+ * @returns {Object} Labels
+ */
+function parseLabels(value) {
+  try {
+    return value ? JSON.parse(value) : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Read a request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Buffer>} Body
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - Status code
+ * @param {Object} data - Response body
+ */
+function sendJson(res, status, data) {
+  const body = JSON.stringify(data);
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) });
+  res.end(body);
+}
+
+/**
+ * Send an error in the API's `{ detail: { status, message } }` shape
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - Status code
+ * @param {string} code - Error status string
+ * @param {string} message - Error message
+ */
+function sendError(res, status, code, message) {
+  sendJson(res, status, { detail: { status: code, message } });
+}
+
+/**
+ * Seeded pseudo-random generator (mulberry32)
+ * @param {number} seed - Seed
+ * @returns {Function} Random function returning [0, 1)
+ */
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+  return ms > 0 ? new Promise(resolve => setTimeout(resolve, ms)) : Promise.resolve();
+}
+
+/**
+ * Round seconds to milliseconds
+ * @param {number} value - Seconds
+ * @returns {number} Rounded seconds
+ */
+function round(value) {
+  return Number(value.toFixed(3));
+}
+
+MockServer.MOCK_VOICES = MOCK_VOICES;
+
+module.exports = MockServer;
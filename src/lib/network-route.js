@@ -0,0 +1,208 @@
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const tls = require('tls');
+const { HttpsProxyAgent } = require('https-proxy-agent');
+const { SocksProxyAgent } = require('socks-proxy-agent');
+
+// Environment variables consulted when no proxy is configured, in order, by target scheme
+const PROXY_ENV = {
+  secure: ['HTTPS_PROXY', 'https_proxy', 'ALL_PROXY', 'all_proxy'],
+  plain: ['HTTP_PROXY', 'http_proxy', 'ALL_PROXY', 'all_proxy']
+};
+const NO_PROXY_ENV = ['NO_PROXY', 'no_proxy'];
+
+/**
+ * Build a coded configuration error
+ * @param {string} message - Error message
+ * @returns {Error} Error with code INVALID_CONFIG
+ */
+function configError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_CONFIG';
+  return error;
+}
+
+/**
+ * Check whether a host is this machine; local servers (the mock, responders) are never proxied
+ * @param {string} host - Lower-case host name or address
+ * @returns {boolean} Is loopback
+ */
+function isLoopback(host) {
+  return host === 'localhost' || host.endsWith('.localhost') || host === '::1' || /^127\.\d+\.\d+\.\d+$/.test(host);
+}
+
+/**
+ * Network Route
+ * Decides how a URL is reached: directly or through an HTTP(S)/SOCKS proxy, and which CAs
+ * verify TLS. The proxy setting applies to every target; without it the usual HTTPS_PROXY,
+ * HTTP_PROXY and ALL_PROXY variables apply by scheme. NO_PROXY (or noProxy) lists hosts,
+ * domain suffixes and host:port pairs that bypass the proxy, or * for all of them.
+ */
+class NetworkRoute {
+  /**
+   * @param {Object} options - Route options
+   * @param {string} options.proxy - Proxy URL for every target (http, https, socks4, socks5...)
+   * @param {string} options.noProxy - Comma-separated bypass list (default: NO_PROXY)
+   * @param {string} options.caBundle - PEM file of CA certificates trusted besides the system ones
+   * @param {Object} options.env - Environment (default: process.env)
+   */
+  constructor(options = {}) {
+    this.env = options.env || process.env;
+    this.proxy = options.proxy || null;
+    this.noProxy = options.noProxy ?? NO_PROXY_ENV.map(name => this.env[name]).find(Boolean) ?? null;
+    this.noProxyRules = String(this.noProxy || '')
+      .split(/[\s,]+/)
+      .map(rule => rule.trim().toLowerCase())
+      .filter(Boolean);
+    this.caBundle = options.caBundle || null;
+    this.ca = this.caBundle ? NetworkRoute.readCaBundle(this.caBundle, this.env) : null;
+
+    if (this.proxy) {
+      NetworkRoute.parseProxy(this.proxy);
+    }
+  }
+
+  /**
+   * Work out how a URL is reached
+   * @param {string} url - Target URL (http, https, ws or wss)
+   * @returns {Object} `{ url, host, port, secure, proxy, source, bypass }`; proxy is null for a direct route
+   */
+  route(url) {
+    const target = new URL(url);
+    const secure = target.protocol === 'https:' || target.protocol === 'wss:';
+    const host = target.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    const port = Number(target.port) || (secure ? 443 : 80);
+    const direct = { url: target.href, host, port, secure, proxy: null, source: null, bypass: null };
+
+    const candidate = this.proxy
+      ? { proxy: this.proxy, source: 'proxy' }
+      : PROXY_ENV[secure ? 'secure' : 'plain']
+        .filter(name => this.env[name])
+        .map(name => ({ proxy: this.env[name], source: name }))[0];
+    if (!candidate) return direct;
+
+    if (isLoopback(host)) return { ...direct, bypass: 'loopback' };
+    const rule = this.matchNoProxy(host, port);
+    if (rule) return { ...direct, bypass: `NO_PROXY ${rule}` };
+
+    NetworkRoute.parseProxy(candidate.proxy);
+    return { ...direct, ...candidate };
+  }
+
+  /**
+   * First bypass rule that covers a host
+   * @param {string} host - Lower-case host
+   * @param {number} port - Port
+   * @returns {string|null} Matching rule
+   * @private
+   */
+  matchNoProxy(host, port) {
+    return this.noProxyRules.find(rule => {
+      if (rule === '*') return true;
+      const [, ruleHost, rulePort] = rule.match(/^(.*?)(?::(\d+))?$/);
+      if (rulePort && Number(rulePort) !== port) return false;
+      const domain = ruleHost.replace(/^\*?\./, '');
+      return host === domain || host.endsWith(`.${domain}`);
+    }) || null;
+  }
+
+  /**
+   * HTTP agent for a URL: a proxy tunnel, or a plain agent that still carries the CA bundle
+   * @param {string} url - Target URL
+   * @param {Object} options - Agent options (keepAlive, maxSockets, timeout...)
+   * @returns {http.Agent} Agent for axios (httpAgent / httpsAgent) or ws (agent)
+   */
+  agentFor(url, options = {}) {
+    const { proxy, secure } = this.route(url);
+    const agentOptions = this.ca ? { ...options, ca: this.ca } : options;
+
+    if (!proxy) {
+      return secure ? new https.Agent(agentOptions) : new http.Agent(options);
+    }
+    return NetworkRoute.parseProxy(proxy).protocol.startsWith('socks')
+      ? new SocksProxyAgent(proxy, agentOptions)
+      : new HttpsProxyAgent(proxy, agentOptions);
+  }
+
+  /**
+   * Number of certificates in the CA bundle
+   * @returns {number} Certificates, 0 without a bundle
+   */
+  getCaCount() {
+    if (!this.caBundle) return 0;
+    return (fs.readFileSync(this.caBundle, 'utf8').match(/-----BEGIN CERTIFICATE-----/g) || []).length;
+  }
+
+  /**
+   * Check a proxy URL
+   * @param {string} proxy - Proxy URL
+   * @returns {URL} Parsed URL
+   * @throws {Error} INVALID_CONFIG for anything but http(s) and socks proxies
+   */
+  static parseProxy(proxy) {
+    let parsed;
+    try {
+      parsed = new URL(proxy);
+    } catch (error) {
+      throw configError(`Invalid proxy URL "${NetworkRoute.redact(proxy)}"`);
+    }
+    if (!NetworkRoute.PROXY_PROTOCOLS.includes(parsed.protocol.slice(0, -1))) {
+      throw configError(`Unsupported proxy "${NetworkRoute.redact(proxy)}": use ${NetworkRoute.PROXY_PROTOCOLS.join(', ')}`);
+    }
+    return parsed;
+  }
+
+  /**
+   * Read a CA bundle; Node ignores its built-in roots and NODE_EXTRA_CA_CERTS once `ca` is set, so both are kept
+   * @param {string} file - PEM file
+   * @param {Object} env - Environment (for NODE_EXTRA_CA_CERTS)
+   * @returns {Array<string>} Certificates for the `ca` TLS option
+   * @throws {Error} INVALID_CONFIG when the file is missing or holds no certificates
+   */
+  static readCaBundle(file, env = process.env) {
+    let pem;
+    try {
+      pem = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+      throw configError(`Cannot read CA bundle ${file}: ${error.message}`);
+    }
+    if (!pem.includes('-----BEGIN CERTIFICATE-----')) {
+      throw configError(`CA bundle ${file} holds no PEM certificates`);
+    }
+
+    const extra = env.NODE_EXTRA_CA_CERTS && fs.existsSync(env.NODE_EXTRA_CA_CERTS)
+      ? [fs.readFileSync(env.NODE_EXTRA_CA_CERTS, 'utf8')]
+      : [];
+    return [...tls.rootCertificates, ...extra, pem];
+  }
+
+  /**
+   * Hide the password in a proxy URL
+   * @param {string} proxy - Proxy URL
+   * @returns {string} URL safe to print
+   */
+  static redact(proxy) {
+    return String(proxy).replace(/^([a-z0-9+.-]+:\/\/[^:@/]*:)[^@/]*@/i, '$1****@');
+  }
+
+  /**
+   * Create a route from CLI configuration (proxy, noProxy, caBundle)
+   * @param {Object} config - Loaded configuration
+   * @param {Object} env - Environment (default: process.env)
+   * @returns {NetworkRoute} Route
+   */
+  static fromConfig(config = {}, env = process.env) {
+    return new NetworkRoute({
+      proxy: config.proxy,
+      noProxy: config.noProxy,
+      caBundle: config.caBundle,
+      env
+    });
+  }
+}
+
+NetworkRoute.PROXY_PROTOCOLS = ['http', 'https', 'socks', 'socks4', 'socks4a', 'socks5', 'socks5h'];
+NetworkRoute.PROXY_ENV = PROXY_ENV;
+
+module.exports = NetworkRoute;
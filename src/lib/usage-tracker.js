@@ -0,0 +1,265 @@
+const path = require('path');
+const { EventEmitter } = require('events');
+
+// Import utilities
+const Logger = require('./logger');
+const Analytics = require('./analytics');
+
+const logger = new Logger();
+
+const USAGE_FEATURE = 'synthesis';
+const DEFAULT_WARN_AT = [0.8, 0.9];
+const PERIODS = ['daily', 'monthly'];
+
+let shared = null;
+
+/**
+ * Local calendar day of a timestamp
+ * @param {number} timestamp - Milliseconds since the epoch
+ * @returns {string} YYYY-MM-DD
+ */
+function dayKey(timestamp) {
+  const date = new Date(timestamp);
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Start of the current budget period in local time
+ * @param {string} period - daily or monthly
+ * @param {number} now - Current time
+ * @returns {number} Period start timestamp
+ */
+function periodStart(period, now = Date.now()) {
+  const date = new Date(now);
+  return period === 'daily'
+    ? new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime()
+    : new Date(date.getFullYear(), date.getMonth(), 1).getTime();
+}
+
+/**
+ * Character Usage Tracker
+ * Counts the characters each synthesis call bills, records them per project in the Analytics store,
+ * and enforces the project's daily and monthly budgets: warnings as usage crosses `warnAt` ratios,
+ * then a BUDGET_EXCEEDED error before any request that would go over.
+ */
+class UsageTracker extends EventEmitter {
+  /**
+   * @param {Object} options - Tracker options
+   * @param {Analytics} options.analytics - Store for usage events (default: `.analytics` in the project)
+   * @param {Object} options.budget - `{ daily, monthly, warnAt }` character limits; unset periods are unlimited
+   * @param {string} options.command - CLI command recorded with each call
+   */
+  constructor(options = {}) {
+    super();
+    this.analytics = options.analytics || new Analytics({
+      dataDir: path.join(process.cwd(), '.analytics'),
+      flushOnExit: true
+    });
+    this.budget = {
+      daily: options.budget?.daily || null,
+      monthly: options.budget?.monthly || null,
+      warnAt: [...(options.budget?.warnAt || DEFAULT_WARN_AT)].sort((a, b) => a - b)
+    };
+    this.command = options.command || UsageTracker.command;
+
+    this.used = null;
+    this.loading = null;
+    this.pending = 0;
+    this.warned = new Set();
+  }
+
+  /**
+   * Sum this period's billed characters from earlier runs, once
+   * @returns {Promise<Object>} `{ daily, monthly }` characters used
+   * @private
+   */
+  async load() {
+    if (this.used) return this.used;
+
+    this.loading = this.loading || (async () => {
+      const since = Math.min(periodStart('daily'), periodStart('monthly'));
+      const events = await this.getUsageEvents(since);
+      const dayStart = periodStart('daily');
+
+      this.used = { daily: 0, monthly: 0 };
+      events.forEach(event => {
+        this.used.monthly += event.data.billed;
+        if (event.timestamp >= dayStart) this.used.daily += event.data.billed;
+      });
+      // Starting a run already past a threshold deserves the warning too
+      this.checkThresholds();
+      return this.used;
+    })();
+
+    return this.loading;
+  }
+
+  /**
+   * Usage events from the store and from this process's unflushed queue
+   * @param {number} since - Earliest timestamp
+   * @returns {Promise<Array<Object>>} Usage events
+   * @private
+   */
+  async getUsageEvents(since) {
+    await this.analytics.ready;
+    const stored = await this.analytics.getEvents(since);
+    const queued = this.analytics.eventQueue.filter(event => event.timestamp >= since);
+
+    return [...stored, ...queued].filter(event => event.type === 'usage' && event.feature === USAGE_FEATURE);
+  }
+
+  /**
+   * Claim characters for a request before it is sent
+   * Concurrent requests count against the budget while in flight, so a batch cannot overshoot it.
+   * @param {number} characters - Characters the request will bill
+   * @returns {Promise<void>}
+   * @throws {Error} BUDGET_EXCEEDED when the request would go over a budget
+   */
+  async reserve(characters) {
+    const used = await this.load();
+
+    for (const period of PERIODS) {
+      const limit = this.budget[period];
+      if (limit && used[period] + this.pending + characters > limit) {
+        const error = new Error(
+          `${period === 'daily' ? 'Daily' : 'Monthly'} character budget reached: ` +
+          `${used[period] + this.pending}/${limit} used, this request needs ${characters}`
+        );
+        error.code = 'BUDGET_EXCEEDED';
+        error.context = { period, used: used[period], limit, characters };
+        throw error;
+      }
+    }
+
+    this.pending += characters;
+  }
+
+  /**
+   * Give back a reservation whose request failed
+   * @param {number} characters - Characters reserved
+   */
+  release(characters) {
+    this.pending = Math.max(0, this.pending - characters);
+  }
+
+  /**
+   * Record a finished synthesis call; cache hits are recorded as free
+   * @param {Object} call - `{ characters, voiceId, modelId, cached }`
+   */
+  record({ characters, voiceId, modelId, cached = false }) {
+    const billed = cached ? 0 : characters;
+
+    this.analytics.trackUsage(USAGE_FEATURE, {
+      characters,
+      billed,
+      cached,
+      voiceId,
+      modelId,
+      command: this.command || 'unknown'
+    });
+
+    if (!billed) return;
+
+    this.release(characters);
+    if (this.used) {
+      this.used.daily += billed;
+      this.used.monthly += billed;
+      this.checkThresholds();
+    }
+  }
+
+  /**
+   * Warn once per run for each threshold a budget has crossed
+   * @private
+   */
+  checkThresholds() {
+    for (const period of PERIODS) {
+      const limit = this.budget[period];
+      if (!limit) continue;
+
+      const ratio = this.used[period] / limit;
+      const crossed = this.budget.warnAt.filter(threshold => ratio >= threshold).pop();
+      const key = `${period}:${crossed}`;
+
+      if (crossed !== undefined && !this.warned.has(key)) {
+        this.warned.add(key);
+        this.emit('budgetWarning', { period, used: this.used[period], limit, threshold: crossed });
+      }
+    }
+  }
+
+  /**
+   * Characters used and allowed in the current periods
+   * @returns {Promise<Object>} `{ daily: { used, limit }, monthly: { used, limit } }`
+   */
+  async getBudgetStatus() {
+    const used = await this.load();
+    return Object.fromEntries(PERIODS.map(period => [period, { used: used[period], limit: this.budget[period] }]));
+  }
+
+  /**
+   * Break recorded usage down by voice, command and day
+   * @param {Object} options - `{ days }` to look back (default 30)
+   * @returns {Promise<Object>} `{ since, total, byVoice, byCommand, byDay }`; each entry has characters, billed, requests and cached counts
+   */
+  async getReport(options = {}) {
+    const since = periodStart('daily') - ((options.days || 30) - 1) * 24 * 60 * 60 * 1000;
+    const events = await this.getUsageEvents(since);
+    const empty = () => ({ characters: 0, billed: 0, requests: 0, cached: 0 });
+    const report = { since, total: empty(), byVoice: {}, byCommand: {}, byDay: {} };
+
+    const add = (bucket, data) => {
+      bucket.characters += data.characters;
+      bucket.billed += data.billed;
+      bucket.requests++;
+      if (data.cached) bucket.cached++;
+    };
+
+    events.forEach(({ timestamp, data }) => {
+      add(report.total, data);
+      add(report.byVoice[data.voiceId] = report.byVoice[data.voiceId] || empty(), data);
+      add(report.byCommand[data.command] = report.byCommand[data.command] || empty(), data);
+      const day = dayKey(timestamp);
+      add(report.byDay[day] = report.byDay[day] || empty(), data);
+    });
+
+    return report;
+  }
+}
+
+/**
+ * Subscription and quota from the API's user/subscription endpoint
+ * @param {APIClient} client - API client
+ * @returns {Promise<Object>} `{ tier, status, used, limit, resetsAt }` with resetsAt in ms (or null)
+ */
+UsageTracker.fetchSubscription = async (client) => {
+  const data = await client.get('/user/subscription', { cache: false });
+  return {
+    tier: data.tier,
+    status: data.status,
+    used: data.character_count,
+    limit: data.character_limit,
+    resetsAt: data.next_character_count_reset_unix ? data.next_character_count_reset_unix * 1000 : null
+  };
+};
+
+/**
+ * One tracker per process, so every synthesis module counts against the same budget
+ * @param {Object} config - Loaded configuration (`budget`)
+ * @returns {UsageTracker} Shared tracker, reporting budget warnings through the logger
+ */
+UsageTracker.shared = (config = {}) => {
+  if (!shared) {
+    shared = new UsageTracker({ budget: config.budget });
+    shared.on('budgetWarning', ({ period, used, limit }) => {
+      logger.warn(`${period === 'daily' ? 'Daily' : 'Monthly'} character budget at ${Math.floor((used / limit) * 100)}% (${used}/${limit})`);
+    });
+  }
+  return shared;
+};
+
+// Command name recorded with usage; set by the CLI before a command runs
+UsageTracker.command = null;
+
+module.exports = UsageTracker;
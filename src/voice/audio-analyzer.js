@@ -0,0 +1,460 @@
+/**
+ * Audio Analyzer Module
+ * Dependency-free analysis of WAV, raw PCM and MP3 audio: container stats from
+ * headers and signal metrics (loudness, clipping, silence, pace, noise) from samples
+ */
+
+const fs = require('fs-extra');
+const AudioFormat = require('../lib/audio-format');
+
+// MPEG audio tables, indexed by [version][layer] where version is 1 (MPEG-1) or 2 (MPEG-2/2.5)
+const MP3_BITRATES = {
+  1: {
+    1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+    2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+    3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320]
+  },
+  2: {
+    1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+    2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+    3: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+  }
+};
+
+// Sample rates by the header's two version bits: 0 = MPEG-2.5, 2 = MPEG-2, 3 = MPEG-1
+const MP3_SAMPLE_RATES = {
+  0: [11025, 12000, 8000],
+  2: [22050, 24000, 16000],
+  3: [44100, 48000, 32000]
+};
+
+
+class AudioAnalyzer {
+  constructor(options = {}) {
+    this.frameMs = options.frameMs || 20;
+    this.silenceThreshold = options.silenceThreshold ?? -45; // dBFS
+    this.clipThreshold = options.clipThreshold || 0.999;
+    this.fftSize = options.fftSize || 512;
+  }
+
+  /**
+   * Analyze an audio file (WAV or MP3)
+   * @param {string} filePath - Audio file path
+   * @param {Object} options - Analysis options (`text` enables speaking rate)
+   * @returns {Promise<Object>} Analysis results
+   */
+  async analyzeFile(filePath, options = {}) {
+    const buffer = await fs.readFile(filePath);
+    return this.analyze(buffer, options);
+  }
+
+  /**
+   * Analyze an encoded audio buffer, detecting its format from the header
+   * @param {Buffer} buffer - WAV or MP3 data
+   * @param {Object} options - Analysis options (`text` enables speaking rate)
+   * @returns {Object} Analysis results
+   */
+  analyze(buffer, options = {}) {
+    if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WAVE') {
+      const wav = AudioAnalyzer.parseWav(buffer);
+      return { ...wav.info, ...this.analyzeSignal(wav.samples, wav.info.sampleRate, options) };
+    }
+
+    const mp3 = AudioAnalyzer.parseMp3(buffer);
+    if (mp3) {
+      // Signal metrics need decoded samples; MP3 is measured from its frame headers only
+      return { ...mp3, signal: false };
+    }
+
+    throw unsupportedFormat(buffer);
+  }
+
+  /**
+   * Read format and duration from the headers alone, without decoding or measuring the signal
+   * @param {Buffer} buffer - WAV or MP3 data
+   * @returns {Object} `{ format, sampleRate, channels, duration, ... }`
+   */
+  probe(buffer) {
+    if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WAVE') {
+      const wav = AudioFormat.readWav(buffer);
+      const bytesPerFrame = wav.channels * (wav.codec === 'ulaw' ? 1 : wav.bitsPerSample / 8);
+      return {
+        format: 'wav',
+        sampleRate: wav.sampleRate,
+        channels: wav.channels,
+        bitsPerSample: wav.bitsPerSample,
+        duration: round(Math.floor(wav.data.length / bytesPerFrame) / wav.sampleRate)
+      };
+    }
+
+    const mp3 = AudioAnalyzer.parseMp3(buffer);
+    if (mp3) {
+      return mp3;
+    }
+
+    throw unsupportedFormat(buffer);
+  }
+
+  /**
+   * Analyze raw little-endian PCM, e.g. the API's `pcm_22050` output format
+   * @param {Buffer} buffer - PCM data
+   * @param {Object} options - `sampleRate`, `channels`, `bitsPerSample` and analysis options
+   * @returns {Object} Analysis results
+   */
+  analyzePcm(buffer, options = {}) {
+    const sampleRate = options.sampleRate || 22050;
+    const channels = options.channels || 1;
+    const bitsPerSample = options.bitsPerSample || 16;
+    const samples = decodePcm(buffer, { channels, bitsPerSample, float: false });
+
+    return {
+      format: 'pcm',
+      sampleRate,
+      channels,
+      bitsPerSample,
+      duration: round(samples.length / sampleRate),
+      bitrate: sampleRate * channels * bitsPerSample,
+      ...this.analyzeSignal(samples, sampleRate, options)
+    };
+  }
+
+  /**
+   * Compute signal metrics from mono samples in [-1, 1]
+   * @param {Float32Array} samples - Mono samples
+   * @param {number} sampleRate - Sample rate in Hz
+   * @param {Object} options - Analysis options (`text` enables speaking rate)
+   * @returns {Object} Signal metrics
+   */
+  analyzeSignal(samples, sampleRate, options = {}) {
+    const frameSize = Math.max(1, Math.round(sampleRate * this.frameMs / 1000));
+    const frameLevels = [];
+    let sumSquares = 0;
+    let peak = 0;
+    let clipped = 0;
+
+    for (let i = 0; i < samples.length; i++) {
+      const magnitude = Math.abs(samples[i]);
+      sumSquares += samples[i] * samples[i];
+      if (magnitude > peak) peak = magnitude;
+      if (magnitude >= this.clipThreshold) clipped++;
+    }
+
+    for (let start = 0; start + frameSize <= samples.length; start += frameSize) {
+      let frameSquares = 0;
+      for (let i = start; i < start + frameSize; i++) {
+        frameSquares += samples[i] * samples[i];
+      }
+      frameLevels.push(toDecibels(Math.sqrt(frameSquares / frameSize)));
+    }
+
+    const voicedFrames = frameLevels.map(level => level > this.silenceThreshold);
+    const voicedCount = voicedFrames.filter(Boolean).length;
+    const firstVoiced = voicedFrames.indexOf(true);
+    const lastVoiced = voicedFrames.lastIndexOf(true);
+    // Pace is measured over the span of speech so leading and trailing padding don't skew it
+    const speechDuration = firstVoiced === -1 ? 0 : (lastVoiced - firstVoiced + 1) * frameSize / sampleRate;
+    const wordCount = options.text ? countWords(options.text) : null;
+
+    const quietest = [...frameLevels].sort((a, b) => a - b).slice(0, Math.max(1, Math.ceil(frameLevels.length * 0.1)));
+
+    return {
+      signal: true,
+      loudness: round(toDecibels(Math.sqrt(sumSquares / Math.max(1, samples.length)))),
+      peak: round(toDecibels(peak)),
+      clippingRatio: round(clipped / Math.max(1, samples.length), 5),
+      silenceRatio: round(frameLevels.length ? 1 - voicedCount / frameLevels.length : 1),
+      speechDuration: round(speechDuration),
+      wordCount,
+      speakingRate: wordCount && speechDuration > 0 ? round(wordCount / speechDuration) : null,
+      noiseFloor: frameLevels.length ? round(quietest.reduce((sum, level) => sum + level, 0) / quietest.length) : null,
+      spectralFlatness: this.measureSpectralFlatness(samples, frameLevels, frameSize)
+    };
+  }
+
+  /**
+   * Mean spectral flatness of voiced audio: near 0 for clean tonal speech, near 1 for noise
+   * @param {Float32Array} samples - Mono samples
+   * @param {Array<number>} frameLevels - Per-frame levels in dBFS
+   * @param {number} frameSize - Samples per level frame
+   * @returns {number|null} Spectral flatness, or null when there is no speech
+   * @private
+   */
+  measureSpectralFlatness(samples, frameLevels, frameSize) {
+    const size = this.fftSize;
+    const window = Float64Array.from({ length: size }, (_, i) => 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (size - 1)));
+    const flatness = [];
+
+    for (let start = 0; start + size <= samples.length; start += size) {
+      const level = frameLevels[Math.floor((start + size / 2) / frameSize)];
+      if (level === undefined || level <= this.silenceThreshold) continue;
+
+      const real = new Float64Array(size);
+      const imag = new Float64Array(size);
+      for (let i = 0; i < size; i++) {
+        real[i] = samples[start + i] * window[i];
+      }
+      fft(real, imag);
+
+      let logSum = 0;
+      let sum = 0;
+      // Skip DC; power is floored so a single empty bin doesn't zero the geometric mean
+      for (let bin = 1; bin <= size / 2; bin++) {
+        const power = real[bin] * real[bin] + imag[bin] * imag[bin] + 1e-12;
+        logSum += Math.log(power);
+        sum += power;
+      }
+      const bins = size / 2;
+      flatness.push(Math.exp(logSum / bins) / (sum / bins));
+    }
+
+    return flatness.length ? round(flatness.reduce((total, value) => total + value, 0) / flatness.length) : null;
+  }
+
+  /**
+   * Wrap raw little-endian PCM in a WAV header so it can be saved or uploaded
+   * @param {Buffer} pcm - PCM data
+   * @param {Object} format - `sampleRate`, `channels` and `bitsPerSample`
+   * @returns {Buffer} WAV data
+   */
+  static toWav(pcm, format = {}) {
+    return AudioFormat.writeWav(pcm, { ...format, codec: 'pcm' });
+  }
+
+  /**
+   * Parse a RIFF/WAVE buffer into format info and mono samples
+   * @param {Buffer} buffer - WAV data (PCM, float or μ-law)
+   * @returns {Object} `{ info, samples }`
+   */
+  static parseWav(buffer) {
+    const wav = AudioFormat.readWav(buffer);
+    const samples = wav.codec === 'ulaw'
+      ? decodePcm(AudioFormat.decodeUlaw(wav.data), { channels: wav.channels, bitsPerSample: 16 })
+      : decodePcm(wav.data, { ...wav, float: wav.codec === 'float' });
+
+    return {
+      info: {
+        format: 'wav',
+        sampleRate: wav.sampleRate,
+        channels: wav.channels,
+        bitsPerSample: wav.bitsPerSample,
+        duration: round(samples.length / wav.sampleRate),
+        bitrate: wav.sampleRate * wav.channels * wav.bitsPerSample
+      },
+      samples
+    };
+  }
+
+  /**
+   * Walk MP3 frame headers for true duration and bitrate
+   * @param {Buffer} buffer - MP3 data
+   * @returns {Object|null} Stream info, or null when no MPEG frames are found
+   */
+  static parseMp3(buffer) {
+    let offset = 0;
+
+    // Skip an ID3v2 tag: 10-byte header with a syncsafe size
+    if (buffer.length >= 10 && buffer.toString('latin1', 0, 3) === 'ID3') {
+      const size = ((buffer[6] & 0x7f) << 21) | ((buffer[7] & 0x7f) << 14) | ((buffer[8] & 0x7f) << 7) | (buffer[9] & 0x7f);
+      offset = 10 + size + (buffer[5] & 0x10 ? 10 : 0);
+    }
+
+    let frames = 0;
+    let samples = 0;
+    let audioBytes = 0;
+    let first = null;
+    const bitrates = new Set();
+
+    while (offset + 4 <= buffer.length) {
+      const header = readMp3FrameHeader(buffer, offset);
+      if (!header) {
+        // Resynchronise only until the first frame; afterwards garbage ends the stream
+        if (first || buffer.toString('latin1', offset, offset + 3) === 'TAG') break;
+        offset++;
+        continue;
+      }
+      if (offset + header.length > buffer.length) break; // Truncated final frame
+
+      const frame = buffer.subarray(offset, offset + header.length);
+      // A Xing/Info/VBRI frame carries metadata, not audio
+      const isInfoFrame = frames === 0 && /Xing|Info|VBRI/.test(frame.toString('latin1', 0, Math.min(frame.length, 64)));
+
+      if (!isInfoFrame) {
+        frames++;
+        samples += header.samplesPerFrame;
+        audioBytes += header.length;
+        bitrates.add(header.bitrate);
+      }
+      first = first || header;
+      offset += header.length;
+    }
+
+    if (!first || frames === 0) {
+      return null;
+    }
+
+    const duration = samples / first.sampleRate;
+    return {
+      format: 'mp3',
+      sampleRate: first.sampleRate,
+      channels: first.channels,
+      frames,
+      duration: round(duration),
+      bitrate: Math.round(audioBytes * 8 / duration),
+      vbr: bitrates.size > 1
+    };
+  }
+}
+
+/**
+ * Error for audio that cannot be analyzed locally, naming the format when it is recognised
+ * @param {Buffer} buffer - Audio data
+ * @returns {Error} Error
+ */
+function unsupportedFormat(buffer) {
+  const detected = AudioFormat.sniff(buffer);
+  const analyzable = AudioFormat.INPUT_FORMATS.filter(format => format.analyzable).map(format => format.ext);
+  return new Error(detected
+    ? `${detected.description} cannot be analyzed locally; supported: ${analyzable.join(', ')}`
+    : `Unsupported audio format: expected ${analyzable.join(' or ')}`);
+}
+
+/**
+ * Decode one MPEG audio frame header
+ * @param {Buffer} buffer - MP3 data
+ * @param {number} offset - Header offset
+ * @returns {Object|null} Frame header, or null if the bytes are not a valid header
+ */
+function readMp3FrameHeader(buffer, offset) {
+  if (buffer[offset] !== 0xff || (buffer[offset + 1] & 0xe0) !== 0xe0) return null;
+
+  const versionBits = (buffer[offset + 1] >> 3) & 0x03;
+  const layerBits = (buffer[offset + 1] >> 1) & 0x03;
+  const bitrateIndex = (buffer[offset + 2] >> 4) & 0x0f;
+  const sampleRateIndex = (buffer[offset + 2] >> 2) & 0x03;
+  const padding = (buffer[offset + 2] >> 1) & 0x01;
+  const channelMode = (buffer[offset + 3] >> 6) & 0x03;
+
+  if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+    return null;
+  }
+
+  const version = versionBits === 3 ? 1 : 2;
+  const layer = 4 - layerBits;
+  const bitrate = MP3_BITRATES[version][layer][bitrateIndex] * 1000;
+  const sampleRate = MP3_SAMPLE_RATES[versionBits][sampleRateIndex];
+
+  let samplesPerFrame;
+  let length;
+  if (layer === 1) {
+    samplesPerFrame = 384;
+    length = (Math.floor(12 * bitrate / sampleRate) + padding) * 4;
+  } else {
+    samplesPerFrame = layer === 3 && version === 2 ? 576 : 1152;
+    length = Math.floor(samplesPerFrame / 8 * bitrate / sampleRate) + padding;
+  }
+
+  return { bitrate, sampleRate, samplesPerFrame, length, channels: channelMode === 3 ? 1 : 2 };
+}
+
+/**
+ * Decode interleaved little-endian PCM into mono float samples
+ * @param {Buffer} data - PCM bytes
+ * @param {Object} format - `channels`, `bitsPerSample` and `float`
+ * @returns {Float32Array} Mono samples in [-1, 1]
+ */
+function decodePcm(data, format) {
+  const bytesPerSample = format.bitsPerSample / 8;
+  const frameBytes = bytesPerSample * format.channels;
+  const frameCount = Math.floor(data.length / frameBytes);
+  const samples = new Float32Array(frameCount);
+
+  const read = (offset) => {
+    if (format.float) {
+      return bytesPerSample === 8 ? data.readDoubleLE(offset) : data.readFloatLE(offset);
+    }
+    switch (format.bitsPerSample) {
+      case 8: return (data[offset] - 128) / 128;
+      case 16: return data.readInt16LE(offset) / 32768;
+      case 24: return data.readIntLE(offset, 3) / 8388608;
+      case 32: return data.readInt32LE(offset) / 2147483648;
+      default: throw new Error(`Unsupported PCM bit depth: ${format.bitsPerSample}`);
+    }
+  };
+
+  for (let frame = 0; frame < frameCount; frame++) {
+    let sum = 0;
+    for (let channel = 0; channel < format.channels; channel++) {
+      sum += read(frame * frameBytes + channel * bytesPerSample);
+    }
+    samples[frame] = sum / format.channels;
+  }
+
+  return samples;
+}
+
+/**
+ * In-place iterative radix-2 FFT
+ * @param {Float64Array} real - Real parts
+ * @param {Float64Array} imag - Imaginary parts
+ */
+function fft(real, imag) {
+  const n = real.length;
+
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [real[i], real[j]] = [real[j], real[i]];
+      [imag[i], imag[j]] = [imag[j], imag[i]];
+    }
+  }
+
+  for (let length = 2; length <= n; length <<= 1) {
+    const angle = -2 * Math.PI / length;
+    for (let start = 0; start < n; start += length) {
+      for (let k = 0; k < length / 2; k++) {
+        const cos = Math.cos(angle * k);
+        const sin = Math.sin(angle * k);
+        const evenIndex = start + k;
+        const oddIndex = evenIndex + length / 2;
+        const oddReal = real[oddIndex] * cos - imag[oddIndex] * sin;
+        const oddImag = real[oddIndex] * sin + imag[oddIndex] * cos;
+        real[oddIndex] = real[evenIndex] - oddReal;
+        imag[oddIndex] = imag[evenIndex] - oddImag;
+        real[evenIndex] += oddReal;
+        imag[evenIndex] += oddImag;
+      }
+    }
+  }
+}
+
+/**
+ * Convert a linear amplitude to dBFS, floored at -120
+ * @param {number} amplitude - Linear amplitude
+ * @returns {number} Level in dBFS
+ */
+function toDecibels(amplitude) {
+  return amplitude > 1e-6 ? 20 * Math.log10(amplitude) : -120;
+}
+
+/**
+ * Count spoken words in source text, ignoring markup
+ * @param {string} text - Source text
+ * @returns {number} Word count
+ */
+function countWords(text) {
+  return String(text).replace(/<[^>]*>/g, ' ').split(/\s+/).filter(word => /[\p{L}\p{N}]/u.test(word)).length;
+}
+
+/**
+ * Round to a fixed number of decimals
+ * @param {number} value - Value
+ * @param {number} decimals - Decimal places
+ * @returns {number} Rounded value
+ */
+function round(value, decimals = 3) {
+  return Number(value.toFixed(decimals));
+}
+
+module.exports = AudioAnalyzer;
@@ -0,0 +1,138 @@
+/**
+ * Audio Player Module
+ * Plays audio files through whichever command-line player the system has installed
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+
+// Players tried in order; each must block until playback ends and then exit
+const PLAYERS = [
+  { command: 'afplay', args: [], platforms: ['darwin'] },
+  { command: 'ffplay', args: ['-nodisp', '-autoexit', '-loglevel', 'quiet'] },
+  { command: 'mpv', args: ['--no-video', '--really-quiet'] },
+  { command: 'mpg123', args: ['-q'] },
+  { command: 'play', args: ['-q'], platforms: ['darwin', 'linux'] }
+];
+
+class AudioPlayer {
+  /**
+   * @param {Object} options - Player options
+   * @param {string} options.command - Explicit player command line, e.g. "vlc --play-and-exit"
+   * @param {string} options.platform - Platform to detect players for
+   */
+  constructor(options = {}) {
+    this.platform = options.platform || process.platform;
+    this.player = options.command ? parseCommand(options.command) : this.detect();
+    this.current = null;
+  }
+
+  /**
+   * Whether a player is available
+   * @returns {boolean} True when files can be played
+   */
+  get available() {
+    return this.player !== null;
+  }
+
+  /**
+   * Player command name, for display
+   * @returns {string|null} Command name
+   */
+  get name() {
+    return this.player ? this.player.command : null;
+  }
+
+  /**
+   * Find the first known player on PATH
+   * @returns {Object|null} Command and arguments
+   * @private
+   */
+  detect() {
+    const player = PLAYERS
+      .filter(candidate => !candidate.platforms || candidate.platforms.includes(this.platform))
+      .find(candidate => findExecutable(candidate.command, this.platform));
+
+    return player ? { command: player.command, args: player.args } : null;
+  }
+
+  /**
+   * Play a file and wait for playback to finish
+   * @param {string} filePath - Audio file
+   * @returns {Promise<void>}
+   */
+  play(filePath) {
+    if (!this.player) {
+      return Promise.reject(new Error('No audio player found'));
+    }
+
+    this.stop();
+
+    return new Promise((resolve, reject) => {
+      const child = spawn(this.player.command, [...this.player.args, filePath], { stdio: 'ignore' });
+      this.current = child;
+
+      child.on('error', (error) => {
+        this.current = null;
+        reject(new Error(`Could not start ${this.player.command}: ${error.message}`));
+      });
+      child.on('exit', (code, signal) => {
+        if (this.current === child) {
+          this.current = null;
+        }
+        // A stopped player is not a failure
+        if (code === 0 || signal) {
+          resolve();
+        } else {
+          reject(new Error(`${this.player.command} exited with code ${code}`));
+        }
+      });
+    });
+  }
+
+  /**
+   * Stop the current playback, if any
+   */
+  stop() {
+    if (this.current) {
+      this.current.kill();
+      this.current = null;
+    }
+  }
+}
+
+/**
+ * Split a player command line into command and arguments
+ * @param {string} commandLine - Command line
+ * @returns {Object} Command and arguments
+ */
+function parseCommand(commandLine) {
+  const [command, ...args] = commandLine.trim().split(/\s+/);
+  return { command, args };
+}
+
+/**
+ * Check whether an executable exists on PATH
+ * @param {string} command - Executable name
+ * @param {string} platform - Platform, for Windows extensions
+ * @returns {boolean} True when found
+ */
+function findExecutable(command, platform) {
+  const extensions = platform === 'win32'
+    ? (process.env.PATHEXT || '.EXE;.CMD;.BAT').split(';')
+    : [''];
+
+  return (process.env.PATH || '').split(path.delimiter).filter(Boolean).some(dir =>
+    extensions.some(extension => {
+      try {
+        fs.accessSync(path.join(dir, command + extension), fs.constants.X_OK);
+        return true;
+      } catch (error) {
+        return false;
+      }
+    })
+  );
+}
+
+module.exports = AudioPlayer;
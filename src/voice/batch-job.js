@@ -0,0 +1,452 @@
+/**
+ * Batch Job Module
+ * Runs synthesis and transcription items with bounded concurrency and per-item retries,
+ * persisting progress to a state file so an interrupted job resumes where it stopped
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const STATE_VERSION = 1;
+const ITEM_TYPES = ['synthesize', 'transcribe'];
+const MANIFEST_FORMATS = { '.csv': 'csv', '.jsonl': 'jsonl', '.ndjson': 'jsonl' };
+
+class BatchJob extends EventEmitter {
+  /**
+   * @param {Object} options - Job options
+   * @param {string} options.statePath - JSON file holding progress; omit to keep it in memory
+   * @param {number} options.concurrency - Items in flight at once (default 3, capped by the client's maxConcurrent)
+   * @param {number} options.retries - Extra attempts for retryable failures (default 2)
+   * @param {number} options.retryDelay - Backoff before the first retry in ms, doubled per attempt (default 1000)
+   * @param {APIClient} options.client - Client the items use; its limits bound the job
+   * @param {Function} options.verify - `async (item, entry) => boolean`; finished items that fail it run again
+   */
+  constructor(options = {}) {
+    super();
+    this.statePath = options.statePath || null;
+    this.retries = options.retries ?? 2;
+    this.retryDelay = options.retryDelay ?? 1000;
+    this.client = options.client || null;
+    this.verify = options.verify || null;
+    this.concurrency = Math.max(1, Math.min(options.concurrency || 3, this.client?.maxConcurrent || Infinity));
+
+    this.state = null;
+    this.controller = null;
+    this.cancelled = false;
+    this.pausedUntil = 0;
+    this.saving = Promise.resolve();
+  }
+
+  /**
+   * Read a CSV or JSONL manifest
+   * @param {string} filePath - Manifest path
+   * @returns {Promise<Array<Object>>} Items, as for parseManifest()
+   */
+  static async loadManifest(filePath) {
+    return BatchJob.parseManifest(await fs.readFile(filePath, 'utf8'), filePath);
+  }
+
+  /**
+   * Parse manifest rows into job items
+   * A row with `text` is synthesized and a row with `audio` is transcribed (or set `type`).
+   * Rows without an `id` are numbered item-0001, item-0002, ...
+   * @param {string} content - CSV with a header row, or one JSON object per line
+   * @param {string} fileName - Manifest name; its extension picks the parser
+   * @returns {Array<Object>} `{ id, type, ...fields }`
+   * @throws {Error} For unknown manifest types, malformed rows and duplicate IDs
+   */
+  static parseManifest(content, fileName) {
+    const format = MANIFEST_FORMATS[path.extname(fileName).toLowerCase()];
+    if (!format) {
+      throw new Error(`Unsupported manifest "${fileName}": use a .csv or .jsonl file`);
+    }
+
+    const rows = format === 'csv' ? parseCsv(content.replace(/^\uFEFF/, '')) : parseJsonLines(content);
+    const seen = new Set();
+
+    return rows.map(({ row, line }) => {
+      const type = row.type || (row.text ? 'synthesize' : row.audio ? 'transcribe' : null);
+      if (!ITEM_TYPES.includes(type)) {
+        throw new Error(`Manifest line ${line}: set "text" to synthesize or "audio" to transcribe`);
+      }
+      if (type === 'synthesize' ? !row.text : !row.audio) {
+        throw new Error(`Manifest line ${line}: ${type} items need "${type === 'synthesize' ? 'text' : 'audio'}"`);
+      }
+
+      const id = String(row.id || `item-${String(seen.size + 1).padStart(4, '0')}`);
+      if (seen.has(id)) {
+        throw new Error(`Manifest line ${line}: duplicate id "${id}"`);
+      }
+      seen.add(id);
+
+      return { ...row, id, type };
+    });
+  }
+
+  /**
+   * Fingerprint of an item's content, so edited rows run again on resume
+   * @param {Object} item - Job item
+   * @returns {string} Short hash
+   */
+  static itemKey(item) {
+    return crypto.createHash('sha1').update(JSON.stringify(item)).digest('hex').slice(0, 16);
+  }
+
+  /**
+   * Run every item that is not already finished
+   * @param {Array<Object>} items - Job items (see parseManifest)
+   * @param {Function} worker - `async (item, { signal, attempt, request }) => result`; the result is saved with the item.
+   *   `request` is APIClient per-call options for the worker's calls: the job's signal, and no client retries,
+   *   since the job already retries the whole item
+   * @returns {Promise<Object>} Report, as for getReport()
+   */
+  async run(items, worker) {
+    this.state = await this.loadState(items);
+    this.controller = new AbortController();
+    this.cancelled = false;
+    this.startedAt = Date.now();
+
+    const queue = items.filter(item => this.state.items[item.id].status !== 'done');
+    this.resumed = items.length - queue.length;
+    let next = 0;
+
+    const onRateLimited = ({ waitTime }) => this.emit('throttled', { waitMs: waitTime, reason: 'client' });
+    this.client?.on('rateLimited', onRateLimited);
+    this.emit('start', { total: items.length, resumed: this.resumed, pending: queue.length });
+
+    const runWorker = async () => {
+      while (!this.cancelled && next < queue.length) {
+        await this.waitForThrottle();
+        if (this.cancelled || next >= queue.length) return;
+        await this.runItem(queue[next++], worker);
+      }
+    };
+
+    try {
+      await this.saveState();
+      await Promise.all(Array.from({ length: Math.min(this.concurrency, queue.length) }, runWorker));
+    } finally {
+      this.client?.removeListener('rateLimited', onRateLimited);
+    }
+
+    const report = this.getReport();
+    this.state.lastRun = { ...report, items: undefined };
+    await this.saveState();
+    this.emit('complete', report);
+    return report;
+  }
+
+  /**
+   * Stop dispatching items and abort the ones in flight; they stay pending for the next run
+   */
+  cancel() {
+    this.cancelled = true;
+    this.controller?.abort();
+  }
+
+  /**
+   * Run one item, retrying retryable failures with exponential backoff
+   * @param {Object} item - Job item
+   * @param {Function} worker - Item worker
+   * @returns {Promise<void>}
+   * @private
+   */
+  async runItem(item, worker) {
+    const entry = this.state.items[item.id];
+
+    for (;;) {
+      entry.status = 'running';
+      entry.attempts++;
+      this.emit('itemStart', { item, attempt: entry.attempts });
+      const startedAt = Date.now();
+
+      try {
+        const { signal } = this.controller;
+        const result = await worker(item, { signal, attempt: entry.attempts, request: { signal, retry: false } });
+        Object.assign(entry, {
+          status: 'done',
+          result: result ?? null,
+          error: null,
+          durationMs: Date.now() - startedAt,
+          completedAt: new Date().toISOString()
+        });
+        await this.saveState();
+        this.emit('itemComplete', { item, result, attempts: entry.attempts, ...this.progress() });
+        return;
+      } catch (error) {
+        if (this.cancelled) {
+          entry.status = 'pending';
+          return;
+        }
+
+        const root = transportError(error);
+        const delay = retryAfter(root) ?? this.retryDelay * 2 ** (entry.attempts - 1);
+        // A 429 means every worker is over the limit, not just this one
+        if (root.response?.status === 429) {
+          this.throttle(delay);
+        }
+
+        if (!isRetryable(root) || entry.attempts > this.retries) {
+          Object.assign(entry, { status: 'failed', error: error.message, durationMs: Date.now() - startedAt });
+          await this.saveState();
+          this.emit('itemFailed', { item, error, attempts: entry.attempts, ...this.progress() });
+          return;
+        }
+
+        this.emit('itemRetry', { item, error, attempt: entry.attempts, delay });
+        await this.sleep(delay);
+        if (this.cancelled) {
+          entry.status = 'pending';
+          return;
+        }
+      }
+    }
+  }
+
+  /**
+   * Merge saved progress with the manifest: finished items whose content is unchanged are kept
+   * @param {Array<Object>} items - Job items
+   * @returns {Promise<Object>} Job state
+   * @private
+   */
+  async loadState(items) {
+    const saved = this.statePath && await fs.pathExists(this.statePath) ? await fs.readJson(this.statePath) : null;
+    if (saved && saved.version !== STATE_VERSION) {
+      throw new Error(`Unsupported batch state version ${saved.version} in ${this.statePath}`);
+    }
+
+    const now = new Date().toISOString();
+    const state = { version: STATE_VERSION, createdAt: saved?.createdAt || now, updatedAt: now, items: {} };
+
+    for (const item of items) {
+      const key = BatchJob.itemKey(item);
+      const previous = saved?.items?.[item.id];
+      const finished = previous && previous.key === key && previous.status === 'done' &&
+        (!this.verify || await this.verify(item, previous));
+
+      state.items[item.id] = finished
+        ? previous
+        : { type: item.type, key, status: 'pending', attempts: 0, result: null, error: null };
+    }
+
+    return state;
+  }
+
+  /**
+   * Write the state file atomically; writes are queued so they never interleave
+   * @returns {Promise<void>}
+   * @private
+   */
+  saveState() {
+    if (!this.statePath) return Promise.resolve();
+
+    this.state.updatedAt = new Date().toISOString();
+    const snapshot = JSON.stringify(this.state, null, 2);
+    const tempPath = `${this.statePath}.tmp`;
+
+    this.saving = this.saving.catch(() => {}).then(async () => {
+      await fs.outputFile(tempPath, snapshot);
+      await fs.rename(tempPath, this.statePath);
+    });
+    return this.saving;
+  }
+
+  /**
+   * Counts of settled items
+   * @returns {Object} `{ completed, failed, total }`
+   * @private
+   */
+  progress() {
+    const entries = Object.values(this.state.items);
+    return {
+      completed: entries.filter(entry => entry.status === 'done').length,
+      failed: entries.filter(entry => entry.status === 'failed').length,
+      total: entries.length
+    };
+  }
+
+  /**
+   * Summary of the job so far
+   * @returns {Object} `{ total, completed, failed, pending, resumed, cancelled, durationMs, failures, items }`
+   */
+  getReport() {
+    const items = Object.entries(this.state.items).map(([id, entry]) => ({ id, ...entry }));
+    const { completed, failed, total } = this.progress();
+
+    return {
+      total,
+      completed,
+      failed,
+      pending: total - completed - failed,
+      resumed: this.resumed || 0,
+      cancelled: this.cancelled,
+      durationMs: this.startedAt ? Date.now() - this.startedAt : 0,
+      failures: items.filter(item => item.status === 'failed').map(({ id, error, attempts }) => ({ id, error, attempts })),
+      items
+    };
+  }
+
+  /**
+   * Hold every worker back for a while
+   * @param {number} ms - Pause length
+   * @private
+   */
+  throttle(ms) {
+    const until = Date.now() + ms;
+    if (until > this.pausedUntil) {
+      this.pausedUntil = until;
+      this.emit('throttled', { waitMs: ms, reason: 'rate-limit' });
+    }
+  }
+
+  /**
+   * Wait out a pause set by throttle()
+   * @returns {Promise<void>}
+   * @private
+   */
+  async waitForThrottle() {
+    const wait = this.pausedUntil - Date.now();
+    if (wait > 0) await this.sleep(wait);
+  }
+
+  /**
+   * Sleep that ends early when the job is cancelled
+   * @param {number} ms - Milliseconds
+   * @returns {Promise<void>}
+   * @private
+   */
+  sleep(ms) {
+    const signal = this.controller.signal;
+    return new Promise(resolve => {
+      let timer = null;
+      const done = () => {
+        clearTimeout(timer);
+        signal.removeEventListener('abort', done);
+        resolve();
+      };
+      timer = setTimeout(done, ms);
+      signal.addEventListener('abort', done, { once: true });
+    });
+  }
+}
+
+/**
+ * Parse CSV with a header row (RFC 4180 quoting)
+ * @param {string} content - CSV text
+ * @returns {Array<Object>} `{ row, line }` with empty cells left out
+ */
+function parseCsv(content) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      record.push(field);
+      records.push({ cells: record, line: recordLine });
+      record = [];
+      field = '';
+      recordLine = ++line;
+    } else {
+      field += char;
+    }
+  }
+  if (field || record.length > 0) {
+    record.push(field);
+    records.push({ cells: record, line: recordLine });
+  }
+
+  const [header, ...body] = records.filter(({ cells }) => cells.some(cell => cell.trim()));
+  if (!header) return [];
+
+  const columns = header.cells.map(cell => cell.trim());
+  return body.map(({ cells, line: rowLine }) => ({
+    row: Object.fromEntries(columns
+      .map((column, i) => [column, (cells[i] || '').trim()])
+      .filter(([column, value]) => column && value !== '')),
+    line: rowLine
+  }));
+}
+
+/**
+ * Parse one JSON object per line; blank lines are skipped
+ * @param {string} content - JSONL text
+ * @returns {Array<Object>} `{ row, line }`
+ */
+function parseJsonLines(content) {
+  return content.split(/\r?\n/)
+    .map((text, index) => ({ text: text.trim(), line: index + 1 }))
+    .filter(({ text }) => text)
+    .map(({ text, line }) => {
+      let row;
+      try {
+        row = JSON.parse(text);
+      } catch (error) {
+        throw new Error(`Manifest line ${line}: ${error.message}`);
+      }
+      if (!row || typeof row !== 'object' || Array.isArray(row)) {
+        throw new Error(`Manifest line ${line}: expected a JSON object`);
+      }
+      return { row, line };
+    });
+}
+
+/**
+ * Transport error in a `cause` chain: the voice modules wrap the AxiosError, which in turn
+ * carries the bare socket error as its own cause, so stop at the first one that knows the request
+ * @param {Error} error - Error
+ * @returns {Error} HTTP error, or the innermost error when there is none
+ */
+function transportError(error) {
+  let current = error;
+  while (!current.isAxiosError && !current.response && current.cause instanceof Error) current = current.cause;
+  return current;
+}
+
+/**
+ * Whether another attempt could succeed: network errors, timeouts, 429 and 5xx
+ * @param {Error} error - Transport error
+ * @returns {boolean} Retryable
+ */
+function isRetryable(error) {
+  const status = error.response?.status;
+  if (status) return status >= 500 || status === 408 || status === 429;
+  return Boolean(error.isAxiosError) && error.code !== 'ERR_CANCELED';
+}
+
+/**
+ * Server-requested delay from a Retry-After header
+ * @param {Error} error - Transport error
+ * @returns {number|null} Milliseconds
+ */
+function retryAfter(error) {
+  const seconds = Number(error.response?.headers?.['retry-after']);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : null;
+}
+
+BatchJob.ITEM_TYPES = ITEM_TYPES;
+
+module.exports = BatchJob;
@@ -0,0 +1,130 @@
+/**
+ * Blind Comparison Module
+ * Hides voice candidates behind random labels, collects listener ratings and reveals preference scores
+ */
+
+const LABELS = 'ABCDEFGH';
+
+class BlindComparison {
+  /**
+   * @param {Array<Object>} candidates - Voice/setting combinations to compare
+   * @param {Object} options - Session options
+   * @param {Function} options.random - Random source in [0, 1), injectable for repeatable sessions
+   * @param {number} options.scale - Highest rating a listener can give
+   */
+  constructor(candidates, options = {}) {
+    if (candidates.length < 2) {
+      throw new Error('A comparison needs at least two candidates');
+    }
+    if (candidates.length > LABELS.length) {
+      throw new Error(`A comparison supports at most ${LABELS.length} candidates`);
+    }
+
+    this.random = options.random || Math.random;
+    this.scale = options.scale || 5;
+    this.candidates = this.shuffle(candidates).map((candidate, index) => ({ ...candidate, label: LABELS[index] }));
+    this.ratings = [];
+  }
+
+  /**
+   * Labels in a fresh random order, so position in the playlist gives nothing away
+   * @returns {Array<string>} Candidate labels
+   */
+  playOrder() {
+    return this.shuffle(this.candidates.map(candidate => candidate.label));
+  }
+
+  /**
+   * Record a rating for one candidate on one script item
+   * @param {number} item - Script item index
+   * @param {string} label - Candidate label
+   * @param {number} rating - Rating from 1 to the scale maximum
+   */
+  rate(item, label, rating) {
+    if (!this.candidates.some(candidate => candidate.label === label)) {
+      throw new Error(`Unknown candidate label: ${label}`);
+    }
+    if (!Number.isInteger(rating) || rating < 1 || rating > this.scale) {
+      throw new Error(`Rating must be a whole number from 1 to ${this.scale}`);
+    }
+
+    // A second rating for the same sample replaces the first
+    this.ratings = this.ratings.filter(entry => entry.item !== item || entry.label !== label);
+    this.ratings.push({ item, label, rating });
+  }
+
+  /**
+   * Reveal candidates with their ratings, ranked by preference
+   * Each script item awards one win to its top-rated candidate, split evenly on ties;
+   * preference is the share of items won
+   * @returns {Array<Object>} Candidates with meanRating, wins and preference (%)
+   */
+  results() {
+    const items = [...new Set(this.ratings.map(entry => entry.item))];
+    const wins = Object.fromEntries(this.candidates.map(candidate => [candidate.label, 0]));
+
+    items.forEach(item => {
+      const itemRatings = this.ratings.filter(entry => entry.item === item);
+      const best = Math.max(...itemRatings.map(entry => entry.rating));
+      const winners = itemRatings.filter(entry => entry.rating === best);
+      winners.forEach(entry => {
+        wins[entry.label] += 1 / winners.length;
+      });
+    });
+
+    return this.candidates
+      .map(candidate => {
+        const ratings = this.ratings.filter(entry => entry.label === candidate.label).map(entry => entry.rating);
+        const meanRating = ratings.length > 0 ? ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length : null;
+
+        return {
+          ...candidate,
+          ratings,
+          meanRating: meanRating === null ? null : round(meanRating, 2),
+          wins: round(wins[candidate.label], 2),
+          preference: items.length > 0 ? round(wins[candidate.label] / items.length * 100, 1) : 0
+        };
+      })
+      .sort((a, b) => b.preference - a.preference || (b.meanRating || 0) - (a.meanRating || 0));
+  }
+
+  /**
+   * Session data for saving
+   * @returns {Object} Candidates, raw ratings and ranked results
+   */
+  toJSON() {
+    return {
+      scale: this.scale,
+      candidates: this.candidates,
+      ratings: this.ratings,
+      results: this.results()
+    };
+  }
+
+  /**
+   * Fisher-Yates shuffle into a new array
+   * @param {Array} items - Items to shuffle
+   * @returns {Array} Shuffled copy
+   * @private
+   */
+  shuffle(items) {
+    const shuffled = [...items];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(this.random() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+  }
+}
+
+/**
+ * Round to a fixed number of decimals
+ * @param {number} value - Value to round
+ * @param {number} decimals - Decimal places
+ * @returns {number} Rounded value
+ */
+function round(value, decimals) {
+  return Number(value.toFixed(decimals));
+}
+
+module.exports = BlindComparison;
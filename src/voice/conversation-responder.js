@@ -0,0 +1,192 @@
+/**
+ * Conversation Responder Module
+ * Turns a user's transcribed turn into reply text, from a function, a local script or an HTTP endpoint
+ */
+
+const axios = require('axios');
+const path = require('path');
+const { spawn } = require('child_process');
+const NetworkRoute = require('../lib/network-route');
+
+class ConversationResponder {
+  /**
+   * @param {Object} options - Responder options (exactly one of handler, command or url)
+   * @param {Function} options.handler - async (turn, { signal }) => string | { text } | (async) iterable of strings
+   * @param {string} options.command - Shell command; receives the turn as JSON on stdin and replies on stdout
+   * @param {string} options.url - Endpoint that receives the turn as a JSON POST
+   * @param {number} options.timeout - Milliseconds before a script or HTTP reply is abandoned
+   * @param {NetworkRoute} options.network - Proxy and CA bundle for the URL (default: from the environment)
+   */
+  constructor(options = {}) {
+    this.handler = options.handler || null;
+    this.command = options.command || null;
+    this.url = options.url || null;
+    this.headers = options.headers || {};
+    this.timeout = options.timeout || 30000;
+    this.network = options.network || null;
+    this.agent = null;
+
+    if ([this.handler, this.command, this.url].filter(Boolean).length !== 1) {
+      throw new Error('A responder needs exactly one of a function, a script command or an http(s) URL');
+    }
+  }
+
+  /**
+   * Build a responder from a function, URL, script path or options object
+   * A bare .js path runs with the current Node binary.
+   * @param {Function|string|Object|ConversationResponder} spec - Responder spec
+   * @param {Object} defaults - Options the spec does not set itself, e.g. `{ network }`
+   * @returns {ConversationResponder} Responder
+   */
+  static from(spec, defaults = {}) {
+    if (spec instanceof ConversationResponder) return spec;
+    if (typeof spec === 'function') return new ConversationResponder({ ...defaults, handler: spec });
+
+    if (typeof spec === 'string') {
+      if (/^https?:\/\//i.test(spec)) {
+        return new ConversationResponder({ ...defaults, url: spec });
+      }
+      const command = /^[^\s]+\.[cm]?js$/i.test(spec)
+        ? `"${process.execPath}" "${path.resolve(spec)}"`
+        : spec;
+      return new ConversationResponder({ ...defaults, command });
+    }
+
+    if (spec && typeof spec === 'object') return new ConversationResponder({ ...defaults, ...spec });
+
+    throw new Error('A conversation responder is required (function, script path or http(s) URL)');
+  }
+
+  /**
+   * Describe where replies come from
+   * @returns {string} Kind of responder
+   */
+  get kind() {
+    if (this.handler) return 'function';
+    return this.url ? 'http' : 'script';
+  }
+
+  /**
+   * Produce the reply to a turn as it becomes available
+   * @param {Object} turn - `{ text, turn, history }`
+   * @param {Object} options - `signal` to abandon the reply (barge-in)
+   * @returns {AsyncGenerator<string>} Reply text pieces
+   */
+  async *respond(turn, options = {}) {
+    const { signal } = options;
+
+    if (this.handler) {
+      yield* this.respondWithHandler(turn, signal);
+    } else if (this.url) {
+      yield* this.respondWithHttp(turn, signal);
+    } else {
+      yield* this.respondWithScript(turn, signal);
+    }
+  }
+
+  /**
+   * Call the handler function
+   * @param {Object} turn - Turn payload
+   * @param {AbortSignal} signal - Abort signal
+   * @returns {AsyncGenerator<string>} Reply text pieces
+   * @private
+   */
+  async *respondWithHandler(turn, signal) {
+    const result = await this.handler(turn, { signal });
+
+    if (result === null || result === undefined) return;
+    if (typeof result === 'string') {
+      yield result;
+    } else if (result[Symbol.asyncIterator] || result[Symbol.iterator]) {
+      for await (const piece of result) {
+        yield String(piece);
+      }
+    } else {
+      yield replyText(result);
+    }
+  }
+
+  /**
+   * Run the script with the turn on stdin, streaming its stdout
+   * @param {Object} turn - Turn payload
+   * @param {AbortSignal} signal - Abort signal
+   * @returns {AsyncGenerator<string>} Reply text pieces
+   * @private
+   */
+  async *respondWithScript(turn, signal) {
+    const child = spawn(this.command, { shell: true, stdio: ['pipe', 'pipe', 'pipe'], signal, timeout: this.timeout });
+    const stderr = [];
+    const exited = new Promise((resolve) => {
+      child.on('close', code => resolve(code));
+      child.on('error', () => resolve(null));
+    });
+
+    child.stderr.on('data', chunk => stderr.push(chunk));
+    child.stdin.on('error', () => {});
+    child.stdin.end(`${JSON.stringify(turn)}\n`);
+
+    for await (const chunk of child.stdout) {
+      yield chunk.toString('utf8');
+    }
+
+    const code = await exited;
+    if (code !== 0 && !(signal && signal.aborted)) {
+      const detail = Buffer.concat(stderr).toString('utf8').trim();
+      throw new Error(`Responder script exited with code ${code}${detail ? `: ${detail}` : ''}`);
+    }
+  }
+
+  /**
+   * POST the turn and stream a text reply or read a JSON one
+   * @param {Object} turn - Turn payload
+   * @param {AbortSignal} signal - Abort signal
+   * @returns {AsyncGenerator<string>} Reply text pieces
+   * @private
+   */
+  async *respondWithHttp(turn, signal) {
+    // One agent per responder keeps the connection (and any proxy tunnel) open between turns
+    if (!this.agent) {
+      this.agent = (this.network || new NetworkRoute()).agentFor(this.url, { keepAlive: true });
+    }
+
+    const response = await axios.post(this.url, turn, {
+      headers: { 'Accept': 'application/json, text/plain', ...this.headers },
+      responseType: 'stream',
+      timeout: this.timeout,
+      proxy: false,
+      httpAgent: this.agent,
+      httpsAgent: this.agent,
+      signal
+    });
+
+    const contentType = String(response.headers['content-type'] || '');
+    if (contentType.includes('json')) {
+      const chunks = [];
+      for await (const chunk of response.data) {
+        chunks.push(chunk);
+      }
+      yield replyText(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      return;
+    }
+
+    const decoder = new TextDecoder();
+    for await (const chunk of response.data) {
+      yield decoder.decode(chunk, { stream: true });
+    }
+  }
+}
+
+/**
+ * Pull reply text out of a structured response
+ * @param {Object} result - `{ text }`, `{ reply }` or `{ response }`
+ * @returns {string} Reply text
+ */
+function replyText(result) {
+  const text = result.text ?? result.reply ?? result.response;
+  if (typeof text !== 'string') {
+    throw new Error('Responder result must be a string or have a text field');
+  }
+  return text;
+}
+
+module.exports = ConversationResponder;
@@ -3,28 +3,40 @@
  * Comprehensive voice processing and AI integration
  */
 
+const fs = require('fs-extra');
+const path = require('path');
 const VoiceSynthesis = require('./voice-synthesis');
 const VoiceRecognition = require('./voice-recognition');
 const VoiceCloning = require('./voice-cloning');
 const RealTimeVoice = require('./real-time-voice');
 const VoiceUI = require('./voice-ui');
+const APIClient = require('../lib/api-client');
+const ConfigManager = require('../lib/config-manager');
+const AudioFormat = require('../lib/audio-format');
+const BatchJob = require('./batch-job');
 const { EventEmitter } = require('events');
 
+const configManager = new ConfigManager();
+
 class VoiceProject extends EventEmitter {
   constructor(options = {}) {
     super();
     
+    // One transport for every HTTP module so retries, rate limits and metrics are shared;
+    // the CLI's configuration (key, base URL, profile, cassette, proxy) decides how it connects
+    this.client = options.client || APIClient.shared(configManager.loadConfig());
+    
     // Initialize modules
-    this.synthesis = new VoiceSynthesis(options);
-    this.recognition = new VoiceRecognition(options);
-    this.cloning = new VoiceCloning(options);
-    this.realTime = new RealTimeVoice(options);
+    this.synthesis = new VoiceSynthesis({ ...options, client: this.client });
+    this.recognition = new VoiceRecognition({ ...options, client: this.client });
+    this.cloning = new VoiceCloning({ ...options, client: this.client });
+    this.realTime = new RealTimeVoice({ ...options, client: this.client });
     this.ui = new VoiceUI(options);
     
     // Configuration
     this.config = {
-      apiKey: options.apiKey || process.env.ELEVENLABS_API_KEY,
-      baseUrl: options.baseUrl || 'https://api.elevenlabs.io/v1',
+      apiKey: this.client.apiKey,
+      baseUrl: this.client.baseURL,
       outputDir: options.outputDir || './output',
       tempDir: options.tempDir || './temp',
       maxConcurrency: options.maxConcurrency || 3,
@@ -236,7 +248,7 @@ class VoiceProject extends EventEmitter {
     const voice = await this.selectVoice();
     const settings = await this.ui.configureVoiceSettings();
     
-    const outputPath = `./output/synthesis_${Date.now()}.mp3`;
+    const outputPath = `./output/synthesis_${Date.now()}${AudioFormat.extension(this.synthesis.outputFormat)}`;
     return await this.synthesizeToFile(text, outputPath, {
       voiceId: voice.voice_id,
       voiceSettings: settings
@@ -245,42 +257,51 @@ class VoiceProject extends EventEmitter {
 
   /**
    * Batch process multiple texts
+   * Up to `maxConcurrency` texts are synthesized at once and failed requests are retried. Progress is kept
+   * in `<outputDir>/batch-job.json` until every text succeeds, so rerunning after a failure only redoes what is missing.
    * @param {Array} texts - Array of texts
-   * @param {Object} options - Processing options
+   * @param {Object} options - Synthesis options plus `voiceId` (or a `voice` object), `outputDir` and `retries`
    * @returns {Promise<Array>} Array of output file paths
    */
   async batchProcess(texts, options = {}) {
-    const results = [];
-    const voice = options.voice || await this.selectVoice();
-    
-    for (let i = 0; i < texts.length; i++) {
-      this.ui.showSynthesisProgress({ 
-        current: i + 1, 
-        total: texts.length, 
-        text: texts[i] 
-      });
-      
-      const outputPath = `./output/batch_${i + 1}_${Date.now()}.mp3`;
-      const result = await this.synthesizeToFile(texts[i], outputPath, {
-        voiceId: voice.voice_id,
-        ...options
+    const { voice, outputDir = this.config.outputDir, retries, ...synthesisOptions } = options;
+    const voiceId = options.voiceId || (voice || await this.selectVoice()).voice_id;
+    const extension = AudioFormat.extension(options.outputFormat || this.synthesis.outputFormat);
+    const statePath = path.join(outputDir, 'batch-job.json');
+
+    const job = new BatchJob({ client: this.client, concurrency: this.config.maxConcurrency, retries, statePath });
+    job.on('itemComplete', ({ item, completed, total }) => {
+      this.ui.showSynthesisProgress({ current: completed, total, text: item.text });
+    });
+
+    const items = texts.map((text, index) => ({ id: `batch_${index + 1}`, type: 'synthesize', text, voiceId }));
+    const report = await job.run(items, async (item, { request }) => {
+      const outputPath = path.join(outputDir, `${item.id}${extension}`);
+      await this.synthesizeToFile(item.text, outputPath, {
+        ...synthesisOptions,
+        voiceId,
+        request
       });
-      
-      results.push(result);
+      return { output: outputPath };
+    });
+
+    if (report.failed > 0) {
+      throw new Error(`Batch failed for ${report.failed}/${report.total} texts (rerun to retry them): ${report.failures[0].error}`);
     }
-    
-    return results;
+
+    await fs.remove(statePath);
+    return report.items.map(item => item.result.output);
   }
 
   /**
-   * Create voice conversation
+   * Run a voice conversation (see RealTimeVoice#startConversation)
    * @param {Object} config - Conversation configuration
-   * @returns {Promise<void>}
+   * @returns {Promise<Object>} Conversation summary, once it ends
    */
   async startConversation(config = {}) {
     await this.startRealTime();
-    this.realTime.startConversation(config);
     this.emit('conversationStarted', config);
+    return this.realTime.startConversation(config);
   }
 
   /**
@@ -0,0 +1,192 @@
+/**
+ * Parameter Search Module
+ * Searches a numeric settings space for the point that maximizes an objective score
+ */
+
+const { EventEmitter } = require('events');
+
+const STRATEGIES = ['grid', 'random', 'adaptive'];
+
+class ParameterSearch extends EventEmitter {
+  /**
+   * @param {Object} space - Dimensions to search, e.g. `{ stability: { min: 0, max: 1 } }`
+   * @param {Object} options - Search options
+   * @param {string} options.strategy - grid, random or adaptive
+   * @param {number} options.budget - Maximum number of points to evaluate (the grid may use fewer)
+   * @param {number} options.precision - Step values are rounded to
+   * @param {Function} options.random - Random source in [0, 1), injectable for repeatable searches
+   */
+  constructor(space, options = {}) {
+    super();
+
+    if (!STRATEGIES.includes(options.strategy || 'adaptive')) {
+      throw new Error(`Unknown search strategy "${options.strategy}". Use one of: ${STRATEGIES.join(', ')}`);
+    }
+
+    this.space = space;
+    this.dimensions = Object.keys(space);
+    this.strategy = options.strategy || 'adaptive';
+    this.budget = Math.max(1, options.budget || 12);
+    this.precision = options.precision || 0.05;
+    this.random = options.random || Math.random;
+    this.trials = [];
+  }
+
+  /**
+   * Evaluate points until the budget is spent
+   * A failing evaluation is recorded with a null score and the search continues.
+   * @param {Function} evaluate - async (point) => { score, ...details }, higher is better
+   * @returns {Promise<Object>} Best trial and every trial in evaluation order
+   */
+  async run(evaluate) {
+    const points = this.strategy === 'grid' ? this.gridPoints() : null;
+    const total = points ? points.length : this.budget;
+
+    for (let index = 0; index < total; index++) {
+      const point = points ? points[index] : this.nextPoint(index);
+      let trial;
+
+      try {
+        const { score, ...details } = await evaluate(point, index);
+        if (!Number.isFinite(score)) {
+          throw new Error('Objective did not return a numeric score');
+        }
+        trial = { index, point, score, ...details };
+      } catch (error) {
+        trial = { index, point, score: null, error: error.message };
+      }
+
+      this.trials.push(trial);
+      this.emit('trial', { ...trial, total });
+    }
+
+    const best = this.best();
+    if (!best) {
+      throw new Error(`Every trial failed: ${this.trials[0].error}`);
+    }
+
+    return { strategy: this.strategy, best, trials: this.trials };
+  }
+
+  /**
+   * Highest-scoring trial so far
+   * @returns {Object|null} Best trial
+   */
+  best() {
+    return this.trials
+      .filter(trial => trial.score !== null)
+      .reduce((best, trial) => (!best || trial.score > best.score ? trial : best), null);
+  }
+
+  /**
+   * Number of trials run() evaluates: the grid's size, or the budget for the sampled strategies
+   * @returns {number} Planned trials
+   */
+  plannedTrials() {
+    return this.strategy === 'grid' ? this.gridPoints().length : this.budget;
+  }
+
+  /**
+   * Evenly spaced grid with as many points as the budget allows
+   * A dimension with a single step is held at the middle of its range.
+   * @returns {Array<Object>} Grid points
+   * @private
+   */
+  gridPoints() {
+    const steps = this.gridSteps();
+
+    return this.dimensions.reduce((points, key, dimension) => {
+      const { min, max } = this.space[key];
+      const count = steps[dimension];
+      const values = count === 1
+        ? [this.snap(key, (min + max) / 2)]
+        : Array.from({ length: count }, (_, i) => this.snap(key, min + (max - min) * i / (count - 1)));
+      return points.flatMap(point => values.map(value => ({ ...point, [key]: value })));
+    }, [{}]);
+  }
+
+  /**
+   * Steps per dimension, as even as possible, whose product stays within the budget
+   * @returns {Array<number>} Step counts in dimension order
+   * @private
+   */
+  gridSteps() {
+    const steps = this.dimensions.map(() => 1);
+    const size = () => steps.reduce((product, count) => product * count, 1);
+
+    for (;;) {
+      // Refine the coarsest dimension that still fits; ties go to the earlier dimension
+      const order = steps.map((_, dimension) => dimension).sort((a, b) => steps[a] - steps[b]);
+      const next = order.find(dimension => size() / steps[dimension] * (steps[dimension] + 1) <= this.budget);
+      if (next === undefined) {
+        return steps;
+      }
+      steps[next]++;
+    }
+  }
+
+  /**
+   * Next point for the random and adaptive strategies
+   * Adaptive search explores uniformly for the first third of the budget, then samples
+   * around the best points found so far with a radius that shrinks as the budget runs out.
+   * @param {number} index - Trial index
+   * @returns {Object} Point to evaluate
+   * @private
+   */
+  nextPoint(index) {
+    const exploring = this.strategy === 'random' || index < Math.max(2, Math.ceil(this.budget / 3));
+    const scored = this.trials.filter(trial => trial.score !== null).sort((a, b) => b.score - a.score);
+    let point;
+
+    // Retry a few times so repeated points are not evaluated twice
+    for (let attempt = 0; attempt < 10; attempt++) {
+      if (exploring || scored.length === 0) {
+        point = this.samplePoint(() => this.random());
+      } else {
+        const parent = scored[Math.floor(this.random() * Math.min(3, scored.length))].point;
+        const radius = 0.05 + 0.45 * (1 - index / this.budget);
+        point = this.samplePoint(key => {
+          const { min, max } = this.space[key];
+          const offset = ((parent[key] - min) / (max - min || 1)) + (this.random() * 2 - 1) * radius;
+          return Math.min(1, Math.max(0, offset));
+        });
+      }
+
+      if (!this.trials.some(trial => this.dimensions.every(key => trial.point[key] === point[key]))) {
+        break;
+      }
+    }
+
+    return point;
+  }
+
+  /**
+   * Build a point from per-dimension positions in [0, 1]
+   * @param {Function} position - (key) => position within the dimension's range
+   * @returns {Object} Point
+   * @private
+   */
+  samplePoint(position) {
+    return Object.fromEntries(this.dimensions.map(key => {
+      const { min, max } = this.space[key];
+      return [key, this.snap(key, min + (max - min) * position(key))];
+    }));
+  }
+
+  /**
+   * Round a value to the search precision and clamp it to its dimension
+   * @param {string} key - Dimension
+   * @param {number} value - Raw value
+   * @returns {number} Snapped value
+   * @private
+   */
+  snap(key, value) {
+    const { min, max } = this.space[key];
+    const snapped = Math.round(value / this.precision) * this.precision;
+    return Number(Math.min(max, Math.max(min, snapped)).toFixed(4));
+  }
+}
+
+ParameterSearch.STRATEGIES = STRATEGIES;
+
+module.exports = ParameterSearch;
@@ -0,0 +1,212 @@
+/**
+ * Pronunciation Lexicon Module
+ * Loads project-level pronunciation rules from JSON or W3C PLS files
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+const SUPPORTED_ALPHABETS = ['ipa', 'cmu-arpabet'];
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+class PronunciationLexicon {
+  constructor(rules = [], options = {}) {
+    this.alphabet = options.alphabet || 'ipa';
+    this.caseSensitive = options.caseSensitive !== false;
+    this.source = options.source || null;
+    this.rules = rules.map((rule, index) => this.normalizeRule(rule, index));
+    this.pattern = this.buildPattern();
+  }
+
+  /**
+   * Load a lexicon from a .json or .pls file
+   * @param {string} filePath - Lexicon file path
+   * @returns {Promise<PronunciationLexicon>} Loaded lexicon
+   */
+  static async fromFile(filePath) {
+    let content;
+    try {
+      content = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      throw new Error(`Failed to read pronunciation lexicon ${filePath}: ${error.message}`);
+    }
+
+    try {
+      return path.extname(filePath).toLowerCase() === '.pls'
+        ? PronunciationLexicon.fromPLS(content, { source: filePath })
+        : PronunciationLexicon.fromJSON(JSON.parse(content), { source: filePath });
+    } catch (error) {
+      throw new Error(`Invalid pronunciation lexicon ${filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build a lexicon from JSON data
+   * Accepts `{ alphabet, lexemes: [{ grapheme, phoneme | alias }] }` or a plain
+   * `{ grapheme: alias }` / `{ grapheme: { phoneme } }` map
+   * @param {Object} data - Parsed JSON
+   * @param {Object} options - Lexicon options
+   * @returns {PronunciationLexicon} Lexicon
+   */
+  static fromJSON(data, options = {}) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('expected an object');
+    }
+
+    if (Array.isArray(data.lexemes)) {
+      return new PronunciationLexicon(data.lexemes, {
+        ...options,
+        alphabet: data.alphabet,
+        caseSensitive: data.caseSensitive
+      });
+    }
+
+    const rules = Object.entries(data).map(([grapheme, value]) =>
+      typeof value === 'string' ? { grapheme, alias: value } : { grapheme, ...value }
+    );
+    return new PronunciationLexicon(rules, options);
+  }
+
+  /**
+   * Build a lexicon from a W3C Pronunciation Lexicon Specification document
+   * @param {string} xml - PLS document
+   * @param {Object} options - Lexicon options
+   * @returns {PronunciationLexicon} Lexicon
+   */
+  static fromPLS(xml, options = {}) {
+    const root = xml.match(/<lexicon\b([^>]*)>/);
+    if (!root) {
+      throw new Error('missing <lexicon> root element');
+    }
+
+    const alphabet = readAttribute(root[1], 'alphabet') || 'ipa';
+    const rules = [];
+
+    for (const [, lexeme] of xml.matchAll(/<lexeme\b[^>]*>([\s\S]*?)<\/lexeme>/g)) {
+      const graphemes = [...lexeme.matchAll(/<grapheme\b[^>]*>([\s\S]*?)<\/grapheme>/g)].map(match => decodeXml(match[1].trim()));
+      const phoneme = lexeme.match(/<phoneme\b([^>]*)>([\s\S]*?)<\/phoneme>/);
+      const alias = lexeme.match(/<alias\b[^>]*>([\s\S]*?)<\/alias>/);
+
+      graphemes.forEach(grapheme => {
+        rules.push({
+          grapheme,
+          alias: alias ? decodeXml(alias[1].trim()) : undefined,
+          phoneme: phoneme ? decodeXml(phoneme[2].trim()) : undefined,
+          alphabet: phoneme ? readAttribute(phoneme[1], 'alphabet') : undefined
+        });
+      });
+    }
+
+    return new PronunciationLexicon(rules, { ...options, alphabet });
+  }
+
+  /**
+   * Validate a rule and fill in defaults
+   * @param {Object} rule - Raw rule
+   * @param {number} index - Rule position, for error messages
+   * @returns {Object} Normalized rule
+   * @private
+   */
+  normalizeRule(rule, index) {
+    const grapheme = typeof rule.grapheme === 'string' ? rule.grapheme.trim() : '';
+    if (!grapheme) {
+      throw new Error(`lexeme ${index + 1} has no grapheme`);
+    }
+
+    if (rule.alias) {
+      return { grapheme, alias: String(rule.alias).trim() };
+    }
+
+    if (!rule.phoneme) {
+      throw new Error(`lexeme "${grapheme}" needs a phoneme or an alias`);
+    }
+
+    const alphabet = (rule.alphabet || this.alphabet).toLowerCase();
+    if (!SUPPORTED_ALPHABETS.includes(alphabet)) {
+      throw new Error(`lexeme "${grapheme}" uses unsupported alphabet "${alphabet}" (use ${SUPPORTED_ALPHABETS.join(' or ')})`);
+    }
+
+    return { grapheme, phoneme: String(rule.phoneme).trim(), alphabet };
+  }
+
+  /**
+   * Build one pattern matching every grapheme as a whole word, longest first
+   * @returns {RegExp|null} Pattern
+   * @private
+   */
+  buildPattern() {
+    if (this.rules.length === 0) {
+      return null;
+    }
+
+    const alternatives = [...new Set(this.rules.map(rule => rule.grapheme))]
+      .sort((a, b) => b.length - a.length)
+      .map(grapheme => grapheme.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+
+    return new RegExp(`(?<![\\p{L}\\p{N}_])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}_])`, this.caseSensitive ? 'gu' : 'giu');
+  }
+
+  /**
+   * Find the rule for a matched grapheme
+   * @param {string} match - Matched text
+   * @returns {Object|undefined} Rule
+   */
+  lookup(match) {
+    return this.rules.find(rule => this.caseSensitive
+      ? rule.grapheme === match
+      : rule.grapheme.toLowerCase() === match.toLowerCase());
+  }
+
+  /**
+   * Replace every grapheme in plain text using a formatter
+   * @param {string} text - Plain text
+   * @param {Function} format - Receives (rule, match) and returns the replacement
+   * @returns {string} Text with replacements
+   */
+  apply(text, format) {
+    if (!this.pattern) {
+      return text;
+    }
+    return text.replace(this.pattern, match => format(this.lookup(match), match));
+  }
+
+  /**
+   * Number of rules in the lexicon
+   * @returns {number} Rule count
+   */
+  get size() {
+    return this.rules.length;
+  }
+}
+
+/**
+ * Read an attribute value from an XML attribute string
+ * @param {string} attributes - Raw attribute string
+ * @param {string} name - Attribute name
+ * @returns {string|undefined} Attribute value
+ */
+function readAttribute(attributes, name) {
+  const match = attributes.match(new RegExp(`\\b${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`));
+  return match ? decodeXml(match[1] ?? match[2]) : undefined;
+}
+
+/**
+ * Decode the predefined XML entities and numeric character references
+ * @param {string} value - Encoded text
+ * @returns {string} Decoded text
+ */
+function decodeXml(value) {
+  return value.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return XML_ENTITIES[name.toLowerCase()] ?? entity;
+  });
+}
+
+PronunciationLexicon.SUPPORTED_ALPHABETS = SUPPORTED_ALPHABETS;
+PronunciationLexicon.decodeXml = decodeXml;
+
+module.exports = PronunciationLexicon;
@@ -4,16 +4,31 @@
  */
 
 const WebSocket = require('ws');
+const fs = require('fs-extra');
+const path = require('path');
 const { EventEmitter } = require('events');
-const axios = require('axios');
+const { PassThrough } = require('stream');
+const { pipeline } = require('stream/promises');
+const AudioAnalyzer = require('./audio-analyzer');
+const AudioFormat = require('../lib/audio-format');
+const NetworkRoute = require('../lib/network-route');
+const VoiceActivityDetector = require('./voice-activity-detector');
+const ConversationResponder = require('./conversation-responder');
+const SubtitleBuilder = require('./subtitle-builder');
 
 class RealTimeVoice extends EventEmitter {
   constructor(options = {}) {
     super();
     this.apiKey = options.apiKey || process.env.ELEVENLABS_API_KEY;
     this.baseUrl = options.baseUrl || 'wss://api.elevenlabs.io/v1';
+    // Optional APIClient: sockets then share its base URL, key and record/replay cassette
+    this.client = options.client || null;
+    // Proxy and CA bundle for sockets opened here and for HTTP responders
+    this.network = options.network || this.client?.network || new NetworkRoute();
     this.voiceId = options.voiceId || 'pNInz6obpgDQGcFmaJgB';
     this.modelId = options.modelId || 'eleven_multilingual_v2';
+    // Unset keeps the API default (mp3_44100_128) without adding a query parameter
+    this.outputFormat = options.outputFormat ? AudioFormat.output(options.outputFormat).name : null;
     this.voiceSettings = {
       stability: options.stability || 0.5,
       similarityBoost: options.similarityBoost || 0.5,
@@ -24,6 +39,38 @@ class RealTimeVoice extends EventEmitter {
     this.isConnected = false;
     this.audioQueue = [];
     this.isProcessing = false;
+    this.conversation = null;
+
+    // Reconnection and heartbeat
+    this.autoReconnect = options.autoReconnect !== false;
+    this.maxReconnectAttempts = options.maxReconnectAttempts ?? 5;
+    this.reconnectDelay = options.reconnectDelay || 500;
+    this.maxReconnectDelay = options.maxReconnectDelay || 10000;
+    this.heartbeatInterval = options.heartbeatInterval ?? 15000;
+    this.reconnecting = null;
+    this.heartbeat = null;
+    this.sessionActive = false;
+
+    // Text sent (or queued while offline) that no audio has been received for yet
+    this.pendingText = [];
+
+    // Decoded audio consumers and the session's character timeline
+    this.audioStreams = new Set();
+    this.timeline = { offsetMs: 0, characters: [], chunkStarts: new Set() };
+
+    this.metrics = {
+      connectedAt: null,
+      uptime: 0,
+      messagesSent: 0,
+      messagesReceived: 0,
+      audioChunksProcessed: 0,
+      audioBytes: 0,
+      latencyTotal: 0,
+      latencySamples: 0,
+      reconnects: 0,
+      errors: 0,
+      lastPingRtt: null
+    };
   }
 
   /**
@@ -33,37 +80,61 @@ class RealTimeVoice extends EventEmitter {
   async connect() {
     return new Promise((resolve, reject) => {
       try {
-        const wsUrl = `${this.baseUrl}/text-to-speech/${this.voiceId}/stream-input?model_id=${this.modelId}`;
+        const format = this.outputFormat ? `&output_format=${this.outputFormat}` : '';
+        const streamPath = `/text-to-speech/${this.voiceId}/stream-input?model_id=${this.modelId}${format}`;
         
-        this.ws = new WebSocket(wsUrl, {
-          headers: {
-            'xi-api-key': this.apiKey
-          }
-        });
+        const ws = this.client
+          ? this.client.openWebSocket(streamPath)
+          : new WebSocket(`${this.baseUrl}${streamPath}`, {
+            agent: this.network.agentFor(`${this.baseUrl}${streamPath}`),
+            headers: {
+              'xi-api-key': this.apiKey
+            }
+          });
+        this.ws = ws;
+        this.inputEnded = false;
 
-        this.ws.on('open', () => {
+        ws.on('open', () => {
+          // A reconnect continues the session; anything else starts a fresh timeline
+          if (!this.sessionActive) {
+            this.timeline = { offsetMs: 0, characters: [], chunkStarts: new Set() };
+          }
           this.isConnected = true;
+          this.sessionActive = true;
+          this.metrics.connectedAt = Date.now();
+          this.startHeartbeat();
           this.emit('connected');
           resolve();
         });
 
-        this.ws.on('message', (data) => {
+        ws.on('message', (data) => {
+          this.metrics.messagesReceived++;
           try {
             const message = JSON.parse(data.toString());
             this.handleMessage(message);
           } catch (error) {
+            this.metrics.errors++;
             this.emit('messageError', error);
           }
         });
 
-        this.ws.on('error', (error) => {
+        ws.on('pong', () => {
+          if (ws.pingSentAt) {
+            this.metrics.lastPingRtt = Date.now() - ws.pingSentAt;
+            ws.pingSentAt = null;
+          }
+        });
+
+        ws.on('error', (error) => {
+          this.metrics.errors++;
           this.emit('connectionError', error);
           reject(error);
         });
 
-        this.ws.on('close', () => {
-          this.isConnected = false;
-          this.emit('disconnected');
+        ws.on('close', (code, reason) => {
+          // A socket replaced by reconnect() may close late; only the current one counts
+          if (ws !== this.ws) return;
+          this.handleClose(code, reason ? reason.toString() : '');
         });
 
       } catch (error) {
@@ -72,19 +143,68 @@ class RealTimeVoice extends EventEmitter {
     });
   }
 
+  /**
+   * Socket closed: end the session if that was expected, otherwise reconnect
+   * @param {number} code - Close code
+   * @param {string} reason - Close reason
+   * @private
+   */
+  handleClose(code, reason) {
+    const wasConnected = this.isConnected;
+    this.markDisconnected();
+    this.ws = null;
+
+    if (wasConnected) {
+      this.emit('disconnected', { code, reason });
+    }
+
+    // The server closes normally after end of input; anything else while a session is open is a blip
+    if (this.inputEnded || !this.sessionActive || !this.autoReconnect) {
+      this.sessionActive = false;
+      this.endAudioStreams();
+      return;
+    }
+    // A failed attempt inside reconnect(); the loop carries on by itself
+    if (this.reconnecting) return;
+
+    this.emit('connectionLost', { code, reason, pending: this.pendingText.length });
+    this.reconnect().catch(() => {});
+  }
+
+  /**
+   * Stop the heartbeat and bank connected time
+   * @private
+   */
+  markDisconnected() {
+    if (this.metrics.connectedAt) {
+      this.metrics.uptime += Date.now() - this.metrics.connectedAt;
+      this.metrics.connectedAt = null;
+    }
+    this.isConnected = false;
+    this.stopHeartbeat();
+  }
+
   /**
    * Handle incoming WebSocket messages
    * @param {Object} message - WebSocket message
    */
   handleMessage(message) {
+    // stream-input sends untyped { audio, isFinal, alignment } messages; a final one may still carry audio
+    if (!message.type && (message.audio || message.isFinal)) {
+      if (message.audio) this.handleAudio(message);
+      if (message.isFinal) this.completeGeneration(message);
+      return;
+    }
+
     switch (message.type) {
       case 'audio':
-        this.emit('audioChunk', message.audio);
+        this.handleAudio(message);
         break;
       case 'audio_generation_complete':
-        this.emit('generationComplete', message);
+        this.completeGeneration(message);
         break;
       case 'error':
+        this.metrics.errors++;
         this.emit('generationError', message);
         break;
       default:
@@ -92,13 +212,162 @@ class RealTimeVoice extends EventEmitter {
     }
   }
 
+  /**
+   * Decode an audio message, place its alignment on the session timeline and fan the audio out
+   * @param {Object} message - Message with base64 `audio` and optional `alignment`
+   * @private
+   */
+  handleAudio(message) {
+    const audio = Buffer.from(message.audio, 'base64');
+    const offsetMs = this.timeline.offsetMs;
+
+    this.metrics.audioChunksProcessed++;
+    this.metrics.audioBytes += audio.length;
+    this.timeline.offsetMs += AudioFormat.duration(audio.length, this.outputFormat);
+    this.acknowledgeText(message);
+
+    const characters = SubtitleBuilder.fromAlignment(message.alignment || message.normalizedAlignment, offsetMs);
+    if (characters.length > 0) {
+      this.timeline.chunkStarts.add(this.timeline.characters.length);
+      this.timeline.characters.push(...characters);
+      this.emit('alignment', { offsetMs: Math.round(offsetMs), characters });
+    }
+
+    this.audioStreams.forEach(stream => stream.write(audio));
+    this.emit('audioChunk', audio);
+  }
+
+  /**
+   * The server finished speaking everything it was sent
+   * @param {Object} message - Final message
+   * @private
+   */
+  completeGeneration(message) {
+    this.pendingText = [];
+    this.endAudioStreams();
+    this.emit('generationComplete', {
+      ...message,
+      duration: Math.round(this.timeline.offsetMs),
+      characters: this.timeline.characters.length
+    });
+  }
+
+  /**
+   * Readable stream of decoded audio, in the connection's output format
+   * It ends when the generation completes or the session is closed.
+   * @returns {Readable} Audio stream
+   */
+  createAudioStream() {
+    const stream = new PassThrough();
+    this.audioStreams.add(stream);
+    stream.on('close', () => this.audioStreams.delete(stream));
+    return stream;
+  }
+
+  /**
+   * Write the session's audio to one continuous file
+   * Chunks are appended as they arrive; a .wav path wraps PCM or μ-law output in a WAV header.
+   * @param {string} filePath - Output file
+   * @returns {Promise<Object>} `{ file, bytes, format }` once the audio stream ends
+   */
+  async saveAudio(filePath) {
+    const format = AudioFormat.output(this.outputFormat);
+    // Throws for MP3 output to a .wav path; otherwise an empty WAV header, or nothing
+    const header = AudioFormat.forFile(Buffer.alloc(0), format.name, filePath);
+
+    // Subscribe before the first await so chunks that arrive meanwhile are not missed
+    const stream = this.createAudioStream();
+    await fs.ensureDir(path.dirname(path.resolve(filePath)));
+    const output = fs.createWriteStream(filePath);
+    let bytes = 0;
+    stream.on('data', chunk => { bytes += chunk.length; });
+
+    // The header is written up front and patched with the real sizes once the stream ends
+    if (header.length > 0) output.write(header);
+    await pipeline(stream, output);
+
+    if (header.length > 0) {
+      const fd = await fs.open(filePath, 'r+');
+      try {
+        await fs.write(fd, AudioFormat.wavHeader(format, bytes), 0, header.length, 0);
+      } finally {
+        await fs.close(fd);
+      }
+    }
+
+    return { file: filePath, bytes, format: format.name };
+  }
+
+  /**
+   * End every open audio stream
+   * @private
+   */
+  endAudioStreams() {
+    this.audioStreams.forEach(stream => stream.end());
+    this.audioStreams.clear();
+  }
+
+  /**
+   * Character timings received so far in this session
+   * @returns {Array<Object>} `{ char, startMs, endMs }` from the start of the session's audio
+   */
+  getAlignment() {
+    return this.timeline.characters.slice();
+  }
+
+  /**
+   * Word timings for captions and lip-sync, grouped from the character timeline
+   * Words break at whitespace and where one audio chunk ends and the next begins.
+   * @returns {Array<Object>} `{ word, startMs, endMs }`
+   */
+  getWordTimings() {
+    return SubtitleBuilder.groupWords(this.timeline.characters, this.timeline.chunkStarts);
+  }
+
+  /**
+   * Caption file for the audio received so far
+   * @param {string} format - srt or vtt
+   * @param {Object} options - SubtitleBuilder cue options
+   * @returns {string} Caption file contents
+   */
+  getSubtitles(format = 'srt', options = {}) {
+    return new SubtitleBuilder(options).format(this.getWordTimings(), format);
+  }
+
+  /**
+   * Retire pending text covered by an audio message's alignment and record its latency
+   * @param {Object} message - Audio message
+   * @private
+   */
+  acknowledgeText(message) {
+    const head = this.pendingText[0];
+    if (head && head.sentAt && !head.firstAudioAt) {
+      head.firstAudioAt = Date.now();
+      this.metrics.latencyTotal += head.firstAudioAt - head.sentAt;
+      this.metrics.latencySamples++;
+    }
+
+    const alignment = message.normalizedAlignment || message.alignment;
+    if (!alignment || !Array.isArray(alignment.chars)) return;
+
+    // Whitespace is compared loosely: the API normalizes it in alignments
+    let spoken = countSpoken(alignment.chars.join(''));
+    while (this.pendingText.length > 0 && spoken >= this.pendingText[0].remaining) {
+      spoken -= this.pendingText.shift().remaining;
+    }
+    if (spoken > 0 && this.pendingText.length > 0) {
+      this.pendingText[0].remaining -= spoken;
+    }
+  }
+
   /**
    * Send text for real-time synthesis
+   * While an interrupted session is reconnecting, text is queued and sent once the socket is back.
    * @param {string} text - Text to synthesize
    * @param {Object} options - Synthesis options
    */
   sendText(text, options = {}) {
-    if (!this.isConnected) {
+    if (!this.isConnected && !this.reconnecting) {
       throw new Error('Not connected to real-time voice API');
     }
 
@@ -109,9 +378,51 @@ class RealTimeVoice extends EventEmitter {
         chunk_length_schedule: options.chunkLength || [120, 160, 250, 290]
       }
     };
+    if (options.flush) {
+      message.flush = true;
+    }
+
+    const entry = { message, remaining: countSpoken(text), sentAt: null };
+    this.pendingText.push(entry);
+
+    if (this.isConnected) {
+      this.transmit(entry);
+    }
+    this.emit('textSent', { text, options, queued: !this.isConnected });
+  }
+
+  /**
+   * Put a pending message on the wire
+   * @param {Object} entry - Pending text entry
+   * @private
+   */
+  transmit(entry) {
+    entry.sentAt = Date.now();
+    this.metrics.messagesSent++;
+    this.ws.send(JSON.stringify(entry.message));
+  }
+
+  /**
+   * Resend text that was never answered with audio, skipping what was already spoken
+   * The last message is flushed so text buffered before the drop is spoken without waiting for more.
+   * @returns {number} Messages resent
+   * @private
+   */
+  replayPendingText() {
+    const pending = this.pendingText.filter(entry => entry.remaining > 0 || entry.message.flush);
+
+    pending.forEach((entry, i) => {
+      const spoken = countSpoken(entry.message.text) - entry.remaining;
+      entry.message = { ...entry.message, text: dropSpoken(entry.message.text, spoken) };
+      if (i === pending.length - 1) {
+        entry.message.flush = true;
+      }
+      entry.firstAudioAt = null;
+      this.transmit(entry);
+    });
 
-    this.ws.send(JSON.stringify(message));
-    this.emit('textSent', { text, options });
+    this.pendingText = pending;
+    return pending.length;
   }
 
   /**
@@ -122,10 +433,22 @@ class RealTimeVoice extends EventEmitter {
       throw new Error('Not connected to real-time voice API');
     }
 
+    this.inputEnded = true;
+    this.metrics.messagesSent++;
     this.ws.send(JSON.stringify({ text: '' }));
     this.emit('inputEnded');
   }
 
+  /**
+   * Connect unless already connected, waiting for a reconnect in progress
+   * @returns {Promise<void>}
+   */
+  async ensureConnected() {
+    if (this.isConnected) return;
+    if (this.reconnecting) return this.reconnecting;
+    return this.connect();
+  }
+
   /**
    * Process audio stream in real-time
    * @param {ReadableStream} audioStream - Audio input stream
@@ -164,25 +487,312 @@ class RealTimeVoice extends EventEmitter {
   }
 
   /**
-   * Start voice conversation
+   * Run a turn-taking conversation until the input ends, maxDuration passes or stopConversation is called
+   *
+   * Input audio is split into utterances by energy-based VAD. Each utterance is transcribed, handed to
+   * the responder and the reply is streamed back through sendText. Speech that starts while a turn is
+   * still being answered or spoken interrupts it (barge-in).
    * @param {Object} conversationConfig - Conversation settings
+   * @param {Readable|string} conversationConfig.input - 16-bit mono PCM stream, or a .wav / raw .pcm file
+   * @param {Function|string|Object} conversationConfig.responder - See ConversationResponder.from
+   * @param {Function} conversationConfig.transcribe - async (wav, { signal }) => text; defaults to VoiceRecognition
+   * @param {number} conversationConfig.sampleRate - Sample rate of raw PCM input
+   * @param {boolean} conversationConfig.realtime - Pace file input at real time (default true for files)
+   * @param {number} conversationConfig.maxDuration - Conversation limit (ms)
+   * @param {number} conversationConfig.silenceThreshold - Silence (ms) that ends a turn
+   * @param {number} conversationConfig.responseDelay - Pause (ms) before replying
+   * @param {number} conversationConfig.energyThreshold - Minimum speech level (dBFS)
+   * @returns {Promise<Object>} Summary: turns, interruptions and duration
    */
-  startConversation(conversationConfig = {}) {
+  async startConversation(conversationConfig = {}) {
     const {
       maxDuration = 300000, // 5 minutes
       silenceThreshold = 1000, // 1 second
       responseDelay = 500 // 500ms
     } = conversationConfig;
 
+    if (this.conversation) {
+      throw new Error('A conversation is already running');
+    }
+    if (!conversationConfig.input) {
+      throw new Error('A conversation needs an input audio stream or file');
+    }
+
+    const responder = ConversationResponder.from(conversationConfig.responder, { network: this.network });
+    const transcribe = conversationConfig.transcribe || this.createTranscriber();
+    const source = await openConversationInput(conversationConfig.input, conversationConfig);
+
+    await this.ensureConnected();
+
+    const conversation = {
+      config: conversationConfig,
+      responder,
+      transcribe,
+      responseDelay,
+      sampleRate: source.sampleRate,
+      history: [],
+      turns: [],
+      interruptions: 0,
+      activeTurn: null,
+      pending: Promise.resolve(),
+      startTime: Date.now(),
+      stopped: false
+    };
+    const vad = new VoiceActivityDetector({
+      sampleRate: source.sampleRate,
+      silenceThreshold,
+      threshold: conversationConfig.energyThreshold
+    });
+    const onAudio = (audio) => this.trackTurnAudio(conversation, audio);
+
+    this.conversation = conversation;
     this.conversationConfig = conversationConfig;
+    this.on('audioChunk', onAudio);
+    vad.on('speechStart', (event) => this.handleSpeechStart(conversation, event));
+    vad.on('speechEnd', (utterance) => {
+      conversation.pending = this.runTurn(conversation, utterance);
+    });
+
+    const timer = setTimeout(() => this.stopConversation(), maxDuration);
     this.emit('conversationStarted', conversationConfig);
+
+    try {
+      for await (const samples of source.chunks) {
+        if (conversation.stopped) break;
+        vad.push(samples);
+      }
+      if (!conversation.stopped) {
+        vad.end();
+      }
+      await conversation.pending;
+    } finally {
+      clearTimeout(timer);
+      this.off('audioChunk', onAudio);
+      source.close();
+      if (!conversation.stopped) {
+        this.stopConversation();
+      }
+    }
+
+    return conversation.summary;
+  }
+
+  /**
+   * Handle the user starting to speak, interrupting the turn in progress
+   * @param {Object} conversation - Conversation state
+   * @param {Object} event - `{ startMs }` from the VAD
+   * @private
+   */
+  handleSpeechStart(conversation, event) {
+    const turn = conversation.activeTurn;
+    this.emit('speechStarted', event);
+
+    if (!turn || turn.interrupted || !this.isTurnActive(turn)) return;
+
+    turn.interrupted = true;
+    turn.record.interrupted = true;
+    turn.abort.abort();
+    conversation.interruptions++;
+    this.emit('bargeIn', { turn: turn.index, state: turn.state, atMs: event.startMs });
+
+    // The socket may still hold queued audio for the old reply; a fresh socket drops it
+    if (turn.replyStarted) {
+      conversation.pending = conversation.pending.then(() => this.interruptPlayback());
+    }
+  }
+
+  /**
+   * Whether a turn is still being answered or its reply is still playing
+   * @param {Object} turn - Turn state
+   * @returns {boolean} Active
+   * @private
+   */
+  isTurnActive(turn) {
+    if (turn.state !== 'speaking') return turn.state !== 'done';
+    if (!turn.firstAudioAt) return true;
+    return Date.now() < turn.firstAudioAt + turn.audioMs;
+  }
+
+  /**
+   * Drop reply audio that is still queued by reopening the socket
+   * @returns {Promise<void>}
+   * @private
+   */
+  async interruptPlayback() {
+    this.emit('playbackInterrupted');
+    this.disconnect();
+    await this.connect();
+  }
+
+  /**
+   * Transcribe one utterance, ask the responder and stream the reply
+   * @param {Object} conversation - Conversation state
+   * @param {Object} utterance - Utterance from the VAD
+   * @returns {Promise<void>}
+   * @private
+   */
+  async runTurn(conversation, utterance) {
+    // Let an interrupted turn hand the socket back before this one uses it
+    await conversation.pending;
+
+    const turn = {
+      index: conversation.turns.length + 1,
+      state: 'transcribing',
+      abort: new AbortController(),
+      speechEndedAt: Date.now(),
+      audioBytes: 0,
+      audioMs: 0
+    };
+    const { signal } = turn.abort;
+    const record = { turn: turn.index, startMs: utterance.startMs, endMs: utterance.endMs, transcript: '', reply: '', latency: {} };
+    turn.record = record;
+
+    conversation.activeTurn = turn;
+    conversation.turns.push(record);
+    this.emit('turnStarted', { turn: turn.index, startMs: utterance.startMs, endMs: utterance.endMs });
+
+    try {
+      const wav = AudioAnalyzer.toWav(utterance.audio, { sampleRate: conversation.sampleRate });
+      const heard = await conversation.transcribe(wav, { signal, turn: turn.index });
+      record.transcript = (typeof heard === 'string' ? heard : (heard && heard.text) || '').trim();
+      record.latency.transcription = Date.now() - turn.speechEndedAt;
+      if (turn.interrupted) return this.finishTurn(conversation, turn, record);
+
+      if (!record.transcript) {
+        record.skipped = true;
+        return this.finishTurn(conversation, turn, record);
+      }
+      this.emit('userTranscript', { turn: turn.index, text: record.transcript });
+
+      turn.state = 'responding';
+      await sleep(conversation.responseDelay);
+      if (turn.interrupted) return this.finishTurn(conversation, turn, record);
+
+      const payload = { text: record.transcript, turn: turn.index, history: conversation.history.slice() };
+      const responseStarted = Date.now();
+
+      for await (const piece of conversation.responder.respond(payload, { signal })) {
+        if (turn.interrupted) break;
+        if (!piece) continue;
+        if (!turn.replyStarted) {
+          record.latency.responder = Date.now() - responseStarted;
+          await this.ensureConnected();
+          turn.replyStarted = true;
+        }
+        record.reply += piece;
+        this.sendText(piece);
+        this.emit('replyText', { turn: turn.index, text: piece });
+      }
+      if (turn.interrupted || !turn.replyStarted) return this.finishTurn(conversation, turn, record);
+
+      this.sendText(' ', { flush: true });
+      turn.state = 'speaking';
+      conversation.history.push({ role: 'user', text: record.transcript }, { role: 'assistant', text: record.reply.trim() });
+
+      await this.waitForFirstAudio(turn);
+      if (turn.firstAudioAt) {
+        record.latency.firstAudio = turn.firstAudioAt - turn.speechEndedAt;
+      }
+    } catch (error) {
+      if (!turn.interrupted) {
+        record.error = error.message;
+        this.emit('turnError', { turn: turn.index, error });
+      }
+    }
+
+    return this.finishTurn(conversation, turn, record);
+  }
+
+  /**
+   * Record a finished turn and report its latency
+   * @param {Object} conversation - Conversation state
+   * @param {Object} turn - Turn state
+   * @param {Object} record - Turn record
+   * @private
+   */
+  finishTurn(conversation, turn, record) {
+    if (turn.state !== 'speaking') {
+      turn.state = 'done';
+    }
+    record.interrupted = Boolean(turn.interrupted);
+    record.latency.total = Date.now() - turn.speechEndedAt;
+
+    this.emit(turn.interrupted ? 'turnInterrupted' : 'turnCompleted', record);
+    this.emit('turnLatency', { turn: record.turn, ...record.latency });
+  }
+
+  /**
+   * Count reply audio against the turn being spoken
+   * @param {Object} conversation - Conversation state
+   * @param {string} audio - Base64 audio chunk
+   * @private
+   */
+  trackTurnAudio(conversation, audio) {
+    const turn = conversation.activeTurn;
+    if (!turn || turn.state !== 'speaking' || turn.interrupted || !audio) return;
+
+    turn.firstAudioAt = turn.firstAudioAt || Date.now();
+    turn.audioBytes += audio.length;
+    turn.audioMs = AudioFormat.duration(turn.audioBytes, this.outputFormat);
+    if (turn.onFirstAudio) turn.onFirstAudio();
+  }
+
+  /**
+   * Wait until the first reply audio arrives, the turn is interrupted or 10 seconds pass
+   * @param {Object} turn - Turn state
+   * @returns {Promise<void>}
+   * @private
+   */
+  waitForFirstAudio(turn) {
+    if (turn.firstAudioAt) return Promise.resolve();
+
+    return new Promise(resolve => {
+      const timer = setTimeout(resolve, 10000);
+      const done = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+      turn.onFirstAudio = done;
+      turn.abort.signal.addEventListener('abort', done, { once: true });
+    });
+  }
+
+  /**
+   * Default transcriber: the speech-to-text API through this module's client
+   * @returns {Function} async (wav) => text
+   * @private
+   */
+  createTranscriber() {
+    // Required lazily: voice-recognition pulls in the API client
+    const VoiceRecognition = require('./voice-recognition');
+    const recognition = new VoiceRecognition({ client: this.client || undefined, apiKey: this.apiKey });
+
+    return async (wav) => (await recognition.transcribeBuffer(wav, { fileName: 'turn.wav' })).text;
   }
 
   /**
    * Stop voice conversation
+   * @returns {Object|null} Summary of the conversation that was stopped
    */
   stopConversation() {
-    this.emit('conversationStopped');
+    const conversation = this.conversation;
+    if (conversation) {
+      conversation.stopped = true;
+      // A reply that is already being spoken is left to finish; anything earlier is abandoned
+      if (conversation.activeTurn && !['speaking', 'done'].includes(conversation.activeTurn.state)) {
+        conversation.activeTurn.interrupted = true;
+        conversation.activeTurn.abort.abort();
+      }
+      conversation.summary = {
+        turns: conversation.turns,
+        interruptions: conversation.interruptions,
+        duration: Date.now() - conversation.startTime
+      };
+      this.conversation = null;
+    }
+
+    this.emit('conversationStopped', conversation ? conversation.summary : null);
+    return conversation ? conversation.summary : null;
   }
 
   /**
@@ -210,33 +820,124 @@ class RealTimeVoice extends EventEmitter {
 
   /**
    * Disconnect from real-time voice API
+   * Ends the session: queued text is dropped and no reconnect is attempted.
    */
   disconnect() {
+    this.sessionActive = false;
+    this.pendingText = [];
+    this.endAudioStreams();
     if (this.ws) {
-      this.ws.close();
+      const ws = this.ws;
       this.ws = null;
+      ws.close();
     }
-    this.isConnected = false;
+    this.markDisconnected();
     this.emit('disconnected');
   }
 
   /**
-   * Reconnect to real-time voice API
+   * Reconnect with exponential backoff, then resend unacknowledged text
+   * Concurrent calls share one attempt.
    * @returns {Promise<void>}
    */
   async reconnect() {
-    this.disconnect();
-    await new Promise(resolve => setTimeout(resolve, 1000)); // Wait 1 second
-    return this.connect();
+    if (!this.reconnecting) {
+      this.reconnecting = this.runReconnect().finally(() => {
+        this.reconnecting = null;
+      });
+    }
+    return this.reconnecting;
+  }
+
+  /**
+   * Reconnect loop behind reconnect()
+   * @returns {Promise<void>}
+   * @private
+   */
+  async runReconnect() {
+    if (this.ws) {
+      const ws = this.ws;
+      this.ws = null;
+      ws.terminate();
+    }
+    this.markDisconnected();
+
+    let lastError = null;
+    for (let attempt = 1; attempt <= this.maxReconnectAttempts; attempt++) {
+      const delay = this.getReconnectDelay(attempt);
+      this.emit('reconnecting', { attempt, delay });
+      await new Promise(resolve => setTimeout(resolve, delay));
+
+      try {
+        await this.connect();
+        this.metrics.reconnects++;
+        const replayed = this.replayPendingText();
+        this.emit('reconnected', { attempt, replayed });
+        return;
+      } catch (error) {
+        lastError = error;
+      }
+    }
+
+    // Cleared before emitting so listeners already see the session as offline
+    this.sessionActive = false;
+    this.reconnecting = null;
+    this.endAudioStreams();
+    this.emit('reconnectFailed', { attempts: this.maxReconnectAttempts, error: lastError, pending: this.pendingText.length });
+    throw new Error(`Could not reconnect to real-time voice API: ${lastError ? lastError.message : 'no attempts allowed'}`);
+  }
+
+  /**
+   * Backoff delay for a reconnect attempt, with 10% jitter
+   * @param {number} attempt - Attempt number, from 1
+   * @returns {number} Delay in milliseconds
+   * @private
+   */
+  getReconnectDelay(attempt) {
+    const delay = Math.min(this.reconnectDelay * Math.pow(2, attempt - 1), this.maxReconnectDelay);
+    return Math.round(delay + Math.random() * 0.1 * delay);
   }
 
   /**
    * Send keep-alive ping
+   * A ping still unanswered at the next heartbeat means the link is dead, so the socket is dropped
+   * and the close handler reconnects.
    */
   ping() {
-    if (this.isConnected && this.ws) {
-      this.ws.ping();
-      this.emit('pingSent');
+    if (!this.isConnected || !this.ws || typeof this.ws.ping !== 'function') return;
+
+    if (this.ws.pingSentAt) {
+      this.emit('heartbeatTimeout', { waited: Date.now() - this.ws.pingSentAt });
+      this.ws.terminate();
+      return;
+    }
+
+    this.ws.pingSentAt = Date.now();
+    this.ws.ping();
+    this.emit('pingSent');
+  }
+
+  /**
+   * Start the periodic ping
+   * @private
+   */
+  startHeartbeat() {
+    this.stopHeartbeat();
+    if (!this.heartbeatInterval) return;
+
+    this.heartbeat = setInterval(() => this.ping(), this.heartbeatInterval);
+    // The heartbeat alone should not keep the process alive
+    this.heartbeat.unref();
+  }
+
+  /**
+   * Stop the periodic ping
+   * @private
+   */
+  stopHeartbeat() {
+    if (this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
     }
   }
 
@@ -245,14 +946,106 @@ class RealTimeVoice extends EventEmitter {
    * @returns {Object} Quality metrics
    */
   getQualityMetrics() {
+    const { metrics } = this;
+    const current = metrics.connectedAt ? Date.now() - metrics.connectedAt : 0;
+
     return {
-      connectionUptime: this.connectionUptime || 0,
-      messagesReceived: this.messagesReceived || 0,
-      audioChunksProcessed: this.audioChunksProcessed || 0,
-      averageLatency: this.averageLatency || 0,
-      errorCount: this.errorCount || 0
+      connectionUptime: metrics.uptime + current,
+      messagesSent: metrics.messagesSent,
+      messagesReceived: metrics.messagesReceived,
+      audioChunksProcessed: metrics.audioChunksProcessed,
+      audioBytes: metrics.audioBytes,
+      averageLatency: metrics.latencySamples ? Math.round(metrics.latencyTotal / metrics.latencySamples) : 0,
+      reconnects: metrics.reconnects,
+      pendingMessages: this.pendingText.length,
+      lastPingRtt: metrics.lastPingRtt,
+      errorCount: metrics.errors
     };
   }
 }
 
+/**
+ * Open conversation input as paced chunks of mono samples
+ * @param {Readable|string} input - 16-bit mono PCM stream, or a .wav / raw .pcm file
+ * @param {Object} options - `sampleRate` for raw PCM, `realtime` pacing
+ * @returns {Promise<Object>} `{ sampleRate, chunks, close }`
+ */
+async function openConversationInput(input, options = {}) {
+  if (typeof input !== 'string') {
+    return {
+      sampleRate: options.sampleRate || 16000,
+      chunks: decodePcmStream(input),
+      close: () => input.destroy && input.destroy()
+    };
+  }
+
+  const data = await fs.readFile(input);
+  const wav = path.extname(input).toLowerCase() === '.wav' ? AudioAnalyzer.parseWav(data) : null;
+  const sampleRate = wav ? wav.info.sampleRate : options.sampleRate || 16000;
+  const samples = wav ? wav.samples : VoiceActivityDetector.fromPcm16(data);
+  let closed = false;
+
+  // A file stands in for a microphone, so by default it is played at the speed it was recorded
+  async function* chunks() {
+    const size = Math.round(sampleRate / 10);
+    for (let offset = 0; offset < samples.length && !closed; offset += size) {
+      yield samples.subarray(offset, offset + size);
+      if (options.realtime !== false) await sleep(100);
+    }
+  }
+
+  return { sampleRate, chunks: chunks(), close: () => { closed = true; } };
+}
+
+/**
+ * Decode a 16-bit PCM byte stream, carrying odd bytes between chunks
+ * @param {Readable} stream - PCM stream
+ * @returns {AsyncGenerator<Float32Array>} Samples
+ */
+async function* decodePcmStream(stream) {
+  let carry = Buffer.alloc(0);
+  for await (const chunk of stream) {
+    const data = Buffer.concat([carry, Buffer.from(chunk)]);
+    const even = data.length - (data.length % 2);
+    carry = data.subarray(even);
+    yield VoiceActivityDetector.fromPcm16(data.subarray(0, even));
+  }
+}
+
+/**
+ * Number of characters in text that alignments count
+ * @param {string} text - Text
+ * @returns {number} Non-whitespace characters
+ */
+function countSpoken(text) {
+  return text.replace(/\s/g, '').length;
+}
+
+/**
+ * Remove the first already-spoken characters from text
+ * @param {string} text - Text that was sent
+ * @param {number} spoken - Non-whitespace characters already spoken
+ * @returns {string} The unspoken remainder
+ */
+function dropSpoken(text, spoken) {
+  if (spoken <= 0) return text;
+
+  let seen = 0;
+  for (let i = 0; i < text.length; i++) {
+    if (!/\s/.test(text[i]) && ++seen === spoken) {
+      return text.slice(i + 1);
+    }
+  }
+  return '';
+}
+
+/**
+ * Sleep for specified duration
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
 module.exports = RealTimeVoice;
\ No newline at end of file
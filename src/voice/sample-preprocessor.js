@@ -0,0 +1,433 @@
+/**
+ * Sample Preprocessor Module
+ * Dependency-free clean-up of WAV and raw PCM recordings before cloning: trims silence,
+ * splits long takes on pauses, rejects clipped segments, resamples and normalizes
+ */
+
+const path = require('path');
+const AudioFormat = require('../lib/audio-format');
+const FileManager = require('../lib/file-manager');
+const AudioAnalyzer = require('./audio-analyzer');
+const VoiceActivityDetector = require('./voice-activity-detector');
+
+const fileManager = new FileManager();
+
+// Files the preprocessor can decode; raw PCM is 16-bit little-endian mono at `pcmRate`
+const PREPROCESS_EXTENSIONS = ['.wav', '.pcm', '.raw'];
+
+// Speech shorter than this between silences is a click or bump, not a word
+const MIN_SPEECH_MS = 150;
+
+// Magnitude counted as clipped, as in AudioAnalyzer
+const CLIP_LEVEL = 0.999;
+
+// Half-width of the resampling filter, in zero crossings
+const SINC_ZEROS = 16;
+
+/**
+ * Convert a linear amplitude to dBFS, floored at -120
+ * @param {number} amplitude - Linear amplitude
+ * @returns {number} Level in dBFS
+ */
+function toDecibels(amplitude) {
+  return amplitude > 1e-6 ? 20 * Math.log10(amplitude) : -120;
+}
+
+/**
+ * Round to one decimal place
+ * @param {number} value - Value
+ * @returns {number} Rounded value
+ */
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * RMS level of each frame in dBFS
+ * @param {Float32Array} samples - Mono samples
+ * @param {number} frameSize - Samples per frame
+ * @returns {Array<number>} Frame levels (a trailing partial frame included)
+ */
+function frameLevels(samples, frameSize) {
+  const levels = [];
+  for (let start = 0; start < samples.length; start += frameSize) {
+    const end = Math.min(samples.length, start + frameSize);
+    let sum = 0;
+    for (let i = start; i < end; i++) sum += samples[i] * samples[i];
+    levels.push(toDecibels(Math.sqrt(sum / (end - start))));
+  }
+  return levels;
+}
+
+/**
+ * Overall level, peak and share of full-scale samples
+ * @param {Float32Array} samples - Mono samples
+ * @returns {Object} `{ loudness, peak, clippingRatio }` with levels in dBFS
+ */
+function measure(samples) {
+  let sumSquares = 0;
+  let peak = 0;
+  let clipped = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const magnitude = samples[i] < 0 ? -samples[i] : samples[i];
+    sumSquares += samples[i] * samples[i];
+    if (magnitude > peak) peak = magnitude;
+    if (magnitude >= CLIP_LEVEL) clipped++;
+  }
+  return {
+    loudness: round1(toDecibels(Math.sqrt(sumSquares / Math.max(1, samples.length)))),
+    peak: round1(toDecibels(peak)),
+    clippingRatio: clipped / Math.max(1, samples.length)
+  };
+}
+
+/**
+ * Resample with a Hann-windowed sinc filter, low-passed below the lower Nyquist rate
+ * @param {Float32Array} samples - Mono samples
+ * @param {number} from - Source rate in Hz
+ * @param {number} to - Target rate in Hz
+ * @returns {Float32Array} Resampled samples
+ */
+function resample(samples, from, to) {
+  if (from === to) return samples.slice();
+
+  const ratio = to / from;
+  const cutoff = Math.min(1, ratio);
+  const half = Math.ceil(SINC_ZEROS / cutoff);
+  const out = new Float32Array(Math.floor(samples.length * ratio));
+
+  // Each tap moves both angles by a fixed step, so they are rotated rather than recomputed
+  const sincCos = Math.cos(Math.PI * cutoff);
+  const sincSin = Math.sin(Math.PI * cutoff);
+  const windowCos = Math.cos(Math.PI / half);
+  const windowSin = Math.sin(Math.PI / half);
+  const phaseStep = Math.PI * cutoff;
+
+  for (let i = 0; i < out.length; i++) {
+    const center = i / ratio;
+    const whole = Math.floor(center);
+    const first = Math.max(0, whole - half + 1);
+    const last = Math.min(samples.length - 1, whole + half);
+    let x = center - first;
+    let sin = Math.sin(Math.PI * x * cutoff);
+    let cos = Math.cos(Math.PI * x * cutoff);
+    let windowAngleSin = Math.sin(Math.PI * x / half);
+    let windowAngleCos = Math.cos(Math.PI * x / half);
+    let sum = 0;
+
+    for (let k = first; k <= last; k++) {
+      // Math calls are kept out of this loop; it runs taps times per output sample
+      const phase = phaseStep * x;
+      const sinc = phase > -1e-9 && phase < 1e-9 ? 1 : sin / phase;
+      sum += samples[k] * sinc * cutoff * (0.5 + 0.5 * windowAngleCos);
+
+      x -= 1;
+      const nextSin = sin * sincCos - cos * sincSin;
+      cos = cos * sincCos + sin * sincSin;
+      sin = nextSin;
+      const nextWindowSin = windowAngleSin * windowCos - windowAngleCos * windowSin;
+      windowAngleCos = windowAngleCos * windowCos + windowAngleSin * windowSin;
+      windowAngleSin = nextWindowSin;
+    }
+    out[i] = sum;
+  }
+  return out;
+}
+
+class SamplePreprocessor {
+  /**
+   * @param {Object} options - Pipeline options
+   * @param {number} options.sampleRate - Output rate in Hz (default 44100)
+   * @param {number} options.pcmRate - Rate of raw PCM input in Hz (default 16000)
+   * @param {number} options.silenceThreshold - Level in dBFS below which audio is silence; raised in a noisy room (default -45)
+   * @param {number} options.minPause - Silence (ms) long enough to split on (default 500)
+   * @param {number} options.padding - Audio (ms) kept around speech (default 150)
+   * @param {number} options.maxSegment - Longest segment in seconds (default 60)
+   * @param {number} options.minSegment - Shortest segment kept in seconds (default 2)
+   * @param {number} options.targetLoudness - Speech loudness in dBFS RMS (default -20)
+   * @param {number} options.peakCeiling - Highest peak in dBFS after gain (default -1)
+   * @param {number} options.maxClipping - Share of full-scale samples that rejects a segment (default 0.001)
+   * @param {string} options.outputDir - Where processed samples go (default: a new directory in FileManager's temp dir)
+   */
+  constructor(options = {}) {
+    this.sampleRate = options.sampleRate || 44100;
+    this.pcmRate = options.pcmRate || 16000;
+    this.silenceThreshold = options.silenceThreshold ?? -45;
+    this.minPause = options.minPause ?? 500;
+    this.padding = options.padding ?? 150;
+    this.maxSegment = options.maxSegment || 60;
+    this.minSegment = options.minSegment ?? 2;
+    this.targetLoudness = options.targetLoudness ?? -20;
+    this.peakCeiling = options.peakCeiling ?? -1;
+    this.maxClipping = options.maxClipping ?? 0.001;
+    this.outputDir = options.outputDir || path.join(fileManager.getTempDir(), `clone-samples-${Date.now()}`);
+    this.frameMs = 20;
+    this.names = new Set();
+  }
+
+  /**
+   * Decode a WAV or raw PCM file to mono samples
+   * @param {string} file - Input file
+   * @returns {Promise<Object>} `{ samples, sampleRate, channels }`
+   */
+  async decode(file) {
+    const buffer = await fileManager.readFile(file);
+    if (AudioFormat.sniff(buffer)?.ext === '.wav') {
+      const { info, samples } = AudioAnalyzer.parseWav(buffer);
+      return { samples, sampleRate: info.sampleRate, channels: info.channels };
+    }
+    if (path.extname(file).toLowerCase() === '.wav') {
+      throw new Error('Invalid WAV file: missing RIFF/WAVE header');
+    }
+    return { samples: VoiceActivityDetector.fromPcm16(buffer), sampleRate: this.pcmRate, channels: 1 };
+  }
+
+  /**
+   * Process one recording into clean segments
+   * @param {string} file - WAV or raw PCM file
+   * @returns {Promise<Object>} Report: `{ file, before, after, segments, rejected, error }`
+   */
+  async process(file) {
+    const report = { file, before: null, after: null, segments: [], rejected: [], error: null };
+
+    let input;
+    try {
+      input = await this.decode(file);
+    } catch (error) {
+      report.error = error.message;
+      return report;
+    }
+
+    const { samples, sampleRate } = input;
+    const frameSize = Math.max(1, Math.round(sampleRate * this.frameMs / 1000));
+    const levels = frameLevels(samples, frameSize);
+    const { threshold, noiseFloor } = this.speechThreshold(levels);
+    const measured = measure(samples);
+    report.before = {
+      duration: round1(samples.length / sampleRate),
+      sampleRate,
+      channels: input.channels,
+      loudness: measured.loudness,
+      peak: measured.peak,
+      noiseFloor,
+      silenceRatio: Math.round(levels.filter(level => level <= threshold).length / Math.max(1, levels.length) * 1000) / 1000,
+      clippingRatio: Math.round(measured.clippingRatio * 100000) / 100000
+    };
+
+    const base = path.basename(file, path.extname(file));
+    const padding = Math.round(this.padding / this.frameMs);
+    const toTime = frames => round1(frames * frameSize / sampleRate);
+
+    // Clipping is judged per phrase on the recording itself, so one overloaded phrase
+    // costs only itself; gain afterwards cannot repair it
+    const pieces = this.findSpeech(levels, threshold).filter(piece => {
+      const clipping = measure(samples.subarray(piece.start * frameSize, piece.end * frameSize)).clippingRatio;
+      if (clipping <= this.maxClipping) return true;
+      report.rejected.push({ start: toTime(piece.start), end: toTime(piece.end), reason: `Clipped: ${(clipping * 100).toFixed(2)}% of samples at full scale` });
+      return false;
+    });
+
+    let previousEnd = 0;
+    for (const [index, range] of this.pack(pieces).entries()) {
+      // Padding never reaches back into the previous segment, where a long take was cut
+      const start = Math.max(previousEnd, Math.max(0, range.start - padding) * frameSize);
+      const end = Math.min(samples.length, (range.end + padding) * frameSize);
+      previousEnd = end;
+      const segment = samples.subarray(start, end);
+      const where = { start: round1(start / sampleRate), end: round1(end / sampleRate) };
+
+      const duration = segment.length / sampleRate;
+      if (duration < this.minSegment) {
+        report.rejected.push({ ...where, reason: `Too short: ${duration.toFixed(1)}s (min ${this.minSegment}s)` });
+        continue;
+      }
+
+      const output = this.normalize(resample(segment, sampleRate, this.sampleRate), threshold);
+      const after = measure(output.samples);
+      const outFile = this.nameFor(base, index + 1);
+      await fileManager.writeFile(outFile, AudioFormat.writeWav(VoiceActivityDetector.toPcm16(output.samples), {
+        sampleRate: this.sampleRate,
+        channels: 1,
+        bitsPerSample: 16
+      }));
+
+      report.segments.push({
+        file: outFile,
+        ...where,
+        duration: round1(output.samples.length / this.sampleRate),
+        loudness: after.loudness,
+        peak: after.peak,
+        gain: round1(output.gain),
+        peakLimited: output.peakLimited
+      });
+    }
+
+    report.rejected.sort((x, y) => x.start - y.start);
+    report.after = {
+      duration: round1(report.segments.reduce((sum, segment) => sum + segment.duration, 0)),
+      sampleRate: this.sampleRate,
+      segments: report.segments.length
+    };
+    return report;
+  }
+
+  /**
+   * Process several recordings and save the reports next to the output
+   * @param {Array<string>} files - WAV or raw PCM files
+   * @returns {Promise<Array<Object>>} One report per file
+   */
+  async processAll(files) {
+    const reports = [];
+    for (const file of files) {
+      reports.push(await this.process(file));
+    }
+    await fileManager.writeFile(path.join(this.outputDir, 'report.json'), JSON.stringify(reports, null, 2));
+    return reports;
+  }
+
+  /**
+   * Level that separates speech from silence
+   * A noisy room's floor would pass a fixed threshold, so when speech clearly stands out from
+   * the background the threshold sits 10 dB above the floor instead.
+   * @param {Array<number>} levels - Frame levels in dBFS
+   * @returns {Object} `{ threshold, noiseFloor }` in dBFS; noiseFloor is null without frames
+   * @private
+   */
+  speechThreshold(levels) {
+    if (levels.length === 0) return { threshold: this.silenceThreshold, noiseFloor: null };
+    const sorted = [...levels].sort((a, b) => a - b);
+    const floor = sorted[Math.floor(sorted.length * 0.1)];
+    const speech = sorted[Math.floor(sorted.length * 0.95)];
+    return {
+      threshold: speech - floor > 20 ? Math.max(this.silenceThreshold, floor + 10) : this.silenceThreshold,
+      noiseFloor: round1(floor)
+    };
+  }
+
+  /**
+   * Phrases of speech with silence trimmed from both ends, separated by pauses of at least
+   * minPause; a phrase longer than maxSegment is cut at its quietest frame
+   * @param {Array<number>} levels - Frame levels in dBFS
+   * @param {number} threshold - Speech level in dBFS
+   * @returns {Array<Object>} `{ start, end, index }` frame ranges, end exclusive
+   * @private
+   */
+  findSpeech(levels, threshold) {
+    const pauseFrames = Math.max(1, Math.round(this.minPause / this.frameMs));
+    const maxFrames = Math.round(this.maxSegment * 1000 / this.frameMs);
+
+    // Runs of speech, joined across gaps too short to split on
+    const runs = [];
+    levels.forEach((level, frame) => {
+      if (level <= threshold) return;
+      const last = runs[runs.length - 1];
+      if (last && frame - last[1] < pauseFrames) last[1] = frame + 1;
+      else runs.push([frame, frame + 1]);
+    });
+
+    const pieces = [];
+    for (const [first, end] of runs.filter(([from, to]) => (to - from) * this.frameMs >= MIN_SPEECH_MS)) {
+      let start = first;
+      while (end - start > maxFrames) {
+        let cut = start + Math.floor(maxFrames / 2);
+        for (let frame = cut; frame < start + maxFrames; frame++) {
+          if (levels[frame] < levels[cut]) cut = frame;
+        }
+        pieces.push({ start, end: cut, index: pieces.length });
+        start = cut;
+      }
+      pieces.push({ start, end, index: pieces.length });
+    }
+    return pieces;
+  }
+
+  /**
+   * Join neighbouring phrases into segments up to maxSegment long
+   * Phrases on either side of a rejected one are never joined across it.
+   * @param {Array<Object>} pieces - Phrases from findSpeech()
+   * @returns {Array<Object>} `{ start, end }` frame ranges
+   * @private
+   */
+  pack(pieces) {
+    const maxFrames = Math.round(this.maxSegment * 1000 / this.frameMs);
+    const segments = [];
+    let lastIndex = -2;
+    pieces.forEach(({ start, end, index }) => {
+      const last = segments[segments.length - 1];
+      if (last && index === lastIndex + 1 && end - last.start <= maxFrames) last.end = end;
+      else segments.push({ start, end });
+      lastIndex = index;
+    });
+    return segments;
+  }
+
+  /**
+   * Bring speech to the target loudness without pushing peaks past the ceiling
+   * @param {Float32Array} samples - Mono samples at the output rate
+   * @param {number} threshold - Speech level in dBFS
+   * @returns {Object} `{ samples, gain, peakLimited }` with gain in dB
+   * @private
+   */
+  normalize(samples, threshold) {
+    const frameSize = Math.max(1, Math.round(this.sampleRate * this.frameMs / 1000));
+    let speechSquares = 0;
+    let speechCount = 0;
+    let peak = 0;
+    for (let start = 0; start < samples.length; start += frameSize) {
+      const end = Math.min(samples.length, start + frameSize);
+      let sum = 0;
+      for (let i = start; i < end; i++) {
+        sum += samples[i] * samples[i];
+        const magnitude = samples[i] < 0 ? -samples[i] : samples[i];
+        if (magnitude > peak) peak = magnitude;
+      }
+      // Loudness is measured over speech only, so pauses inside a segment do not inflate the gain
+      if (toDecibels(Math.sqrt(sum / (end - start))) > threshold) {
+        speechSquares += sum;
+        speechCount += end - start;
+      }
+    }
+
+    const loudness = toDecibels(Math.sqrt(speechSquares / Math.max(1, speechCount)));
+    const wanted = this.targetLoudness - loudness;
+    const allowed = this.peakCeiling - toDecibels(peak);
+    const gain = Math.min(wanted, allowed);
+    const factor = Math.pow(10, gain / 20);
+
+    return {
+      samples: samples.map(sample => sample * factor),
+      gain,
+      peakLimited: allowed < wanted
+    };
+  }
+
+  /**
+   * Unique output path for a segment
+   * @param {string} base - Input name without extension
+   * @param {number} index - Segment number
+   * @returns {string} Output file
+   * @private
+   */
+  nameFor(base, index) {
+    let name = `${base}-${String(index).padStart(2, '0')}`;
+    for (let n = 2; this.names.has(name); n++) {
+      name = `${base}-${String(index).padStart(2, '0')}-${n}`;
+    }
+    this.names.add(name);
+    return path.join(this.outputDir, `${name}.wav`);
+  }
+
+  /**
+   * Whether a file is one the preprocessor can decode
+   * @param {string} file - File path
+   * @returns {boolean} WAV or raw PCM
+   */
+  static accepts(file) {
+    return PREPROCESS_EXTENSIONS.includes(path.extname(file).toLowerCase());
+  }
+}
+
+SamplePreprocessor.PREPROCESS_EXTENSIONS = PREPROCESS_EXTENSIONS;
+SamplePreprocessor.resample = resample;
+
+module.exports = SamplePreprocessor;
@@ -0,0 +1,240 @@
+/**
+ * SSML Processor Module
+ * Validates the supported SSML subset and converts it into text the ElevenLabs API accepts
+ */
+
+const { decodeXml, SUPPORTED_ALPHABETS } = require('./pronunciation-lexicon');
+
+// Models that honour inline <phoneme> tags; other models only receive the plain text
+const PHONEME_MODELS = ['eleven_flash_v2', 'eleven_turbo_v2', 'eleven_monolingual_v1'];
+
+// The API ignores anything longer than this in a single <break>
+const MAX_BREAK_SECONDS = 3;
+
+const BREAK_STRENGTHS = { none: 0, 'x-weak': 0.2, weak: 0.35, medium: 0.5, strong: 0.75, 'x-strong': 1 };
+
+const SUPPORTED_TAGS = ['speak', 'break', 'phoneme', 'sub'];
+
+const TAG_PATTERN = /<(\/?)([a-zA-Z][\w:-]*)((?:\s+[\w:-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+const ATTRIBUTE_PATTERN = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+// Only text that opens with <speak> is SSML; other text may mention tags ("Compare <b> and <i>")
+const SSML_START = /^\s*<speak\b/i;
+
+class SSMLProcessor {
+  constructor(options = {}) {
+    this.lexicon = options.lexicon || null;
+    this.modelId = options.modelId || null;
+  }
+
+  /**
+   * Validate SSML, apply the pronunciation lexicon and convert to API-ready text
+   * Plain text passes through as written with only the lexicon applied
+   * @param {string} text - Plain text or an SSML `<speak>` document
+   * @param {Object} options - Processing options (`modelId` overrides the processor's model)
+   * @returns {Object} Converted text and any warnings
+   */
+  process(text, options = {}) {
+    const source = String(text);
+    const modelId = options.modelId || this.modelId;
+    const context = { supportsPhonemes: PHONEME_MODELS.includes(modelId), modelId, warnings: [] };
+
+    if (!SSMLProcessor.isSsml(source)) {
+      return { text: this.processPlainText(source, context), warnings: [...new Set(context.warnings)] };
+    }
+
+    const stack = [];
+    let output = '';
+    let lastIndex = 0;
+
+    const appendText = (raw) => {
+      const element = stack[stack.length - 1];
+      if (element && element.name !== 'speak') {
+        element.content += raw;
+      } else {
+        output += this.applyLexicon(decodeXml(raw), context);
+      }
+    };
+
+    for (const match of source.matchAll(TAG_PATTERN)) {
+      const [tag, closing, rawName, rawAttributes, selfClosing] = match;
+      const name = rawName.toLowerCase();
+      appendText(source.slice(lastIndex, match.index));
+      lastIndex = match.index + tag.length;
+
+      if (!SUPPORTED_TAGS.includes(name)) {
+        throw new Error(`Invalid SSML: <${rawName}> is not supported (use ${SUPPORTED_TAGS.map(t => `<${t}>`).join(', ')})`);
+      }
+
+      const parent = stack[stack.length - 1];
+      if (!closing && parent && parent.name !== 'speak') {
+        throw new Error(`Invalid SSML: <${parent.name}> may only contain text`);
+      }
+
+      if (name === 'break') {
+        if (closing || !selfClosing) {
+          throw new Error('Invalid SSML: <break> must be self-closing, e.g. <break time="1s" />');
+        }
+        output += this.convertBreak(parseAttributes(rawAttributes), context);
+      } else if (closing) {
+        const element = stack.pop();
+        if (!element || element.name !== name) {
+          throw new Error(`Invalid SSML: unexpected </${rawName}>`);
+        }
+        output += this.convertElement(element, context);
+      } else if (selfClosing) {
+        throw new Error(`Invalid SSML: <${name}> needs text content`);
+      } else {
+        stack.push({ name, attributes: parseAttributes(rawAttributes), content: '' });
+      }
+    }
+
+    appendText(source.slice(lastIndex));
+    if (stack.length > 0) {
+      throw new Error(`Invalid SSML: <${stack[stack.length - 1].name}> is never closed`);
+    }
+
+    return { text: output, warnings: [...new Set(context.warnings)] };
+  }
+
+  /**
+   * Apply the lexicon to plain text, leaving anything that looks like a tag exactly as written
+   * @param {string} source - Plain text
+   * @param {Object} context - Processing context
+   * @returns {string} Text with aliases and phonemes applied
+   * @private
+   */
+  processPlainText(source, context) {
+    let output = '';
+    let lastIndex = 0;
+
+    for (const match of source.matchAll(TAG_PATTERN)) {
+      output += this.applyLexicon(source.slice(lastIndex, match.index), context) + match[0];
+      lastIndex = match.index + match[0].length;
+    }
+
+    return output + this.applyLexicon(source.slice(lastIndex), context);
+  }
+
+  /**
+   * Convert a <break> into the API's seconds-based form
+   * @param {Object} attributes - Tag attributes
+   * @param {Object} context - Processing context
+   * @returns {string} API break tag, or nothing for zero-length breaks
+   * @private
+   */
+  convertBreak(attributes, context) {
+    let seconds = BREAK_STRENGTHS.medium;
+
+    if (attributes.time !== undefined) {
+      const match = attributes.time.trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s)$/i);
+      if (!match) {
+        throw new Error(`Invalid SSML: <break time="${attributes.time}"> must look like "500ms" or "1.5s"`);
+      }
+      seconds = parseFloat(match[1]) / (match[2].toLowerCase() === 'ms' ? 1000 : 1);
+    } else if (attributes.strength !== undefined) {
+      if (!(attributes.strength in BREAK_STRENGTHS)) {
+        throw new Error(`Invalid SSML: <break strength="${attributes.strength}"> must be one of ${Object.keys(BREAK_STRENGTHS).join(', ')}`);
+      }
+      seconds = BREAK_STRENGTHS[attributes.strength];
+    }
+
+    if (seconds > MAX_BREAK_SECONDS) {
+      context.warnings.push(`<break> of ${seconds}s shortened to the ${MAX_BREAK_SECONDS}s maximum`);
+      seconds = MAX_BREAK_SECONDS;
+    }
+
+    return seconds > 0 ? `<break time="${Number(seconds.toFixed(2))}s" />` : '';
+  }
+
+  /**
+   * Convert a closed <phoneme>, <sub> or <speak> element
+   * @param {Object} element - Element with name, attributes and text content
+   * @param {Object} context - Processing context
+   * @returns {string} Converted text
+   * @private
+   */
+  convertElement(element, context) {
+    const content = decodeXml(element.content).trim();
+
+    if (element.name === 'sub') {
+      if (!element.attributes.alias) {
+        throw new Error('Invalid SSML: <sub> requires an alias attribute');
+      }
+      return element.attributes.alias;
+    }
+
+    if (element.name === 'phoneme') {
+      const { alphabet = 'ipa', ph } = element.attributes;
+      if (!ph) {
+        throw new Error('Invalid SSML: <phoneme> requires a ph attribute');
+      }
+      return this.formatPhoneme(alphabet.toLowerCase(), ph, content, context);
+    }
+
+    return '';
+  }
+
+  /**
+   * Replace lexicon graphemes in plain text
+   * @param {string} text - Plain text
+   * @param {Object} context - Processing context
+   * @returns {string} Text with aliases and phonemes applied
+   * @private
+   */
+  applyLexicon(text, context) {
+    if (!this.lexicon) {
+      return text;
+    }
+
+    return this.lexicon.apply(text, (rule, match) => rule.alias
+      ? rule.alias
+      : this.formatPhoneme(rule.alphabet, rule.phoneme, match, context));
+  }
+
+  /**
+   * Render a phoneme tag, or fall back to the written word on models without phoneme support
+   * @param {string} alphabet - Phonetic alphabet
+   * @param {string} phoneme - Pronunciation
+   * @param {string} word - Written word
+   * @param {Object} context - Processing context
+   * @returns {string} Phoneme tag or plain word
+   * @private
+   */
+  formatPhoneme(alphabet, phoneme, word, context) {
+    if (!SUPPORTED_ALPHABETS.includes(alphabet)) {
+      throw new Error(`Invalid SSML: phoneme alphabet "${alphabet}" is not supported (use ${SUPPORTED_ALPHABETS.join(' or ')})`);
+    }
+
+    if (!context.supportsPhonemes) {
+      context.warnings.push(`Pronunciation for "${word}" ignored: ${context.modelId || 'this model'} does not support phonemes (use ${PHONEME_MODELS.join(', ')} or an alias)`);
+      return word;
+    }
+
+    return `<phoneme alphabet="${alphabet}" ph="${phoneme.replace(/"/g, '&quot;')}">${word}</phoneme>`;
+  }
+}
+
+/**
+ * Parse a raw attribute string into an object
+ * @param {string} rawAttributes - Attribute string from a tag
+ * @returns {Object} Attribute values keyed by lowercase name
+ */
+function parseAttributes(rawAttributes) {
+  const attributes = {};
+  for (const [, name, doubleQuoted, singleQuoted] of rawAttributes.matchAll(ATTRIBUTE_PATTERN)) {
+    attributes[name.toLowerCase()] = decodeXml(doubleQuoted ?? singleQuoted);
+  }
+  return attributes;
+}
+
+SSMLProcessor.PHONEME_MODELS = PHONEME_MODELS;
+
+/**
+ * Whether text is SSML, i.e. opens with <speak>
+ * @param {string} text - Text
+ * @returns {boolean} Is SSML
+ */
+SSMLProcessor.isSsml = (text) => SSML_START.test(String(text));
+
+module.exports = SSMLProcessor;
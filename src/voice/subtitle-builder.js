@@ -0,0 +1,211 @@
+/**
+ * Subtitle Builder Module
+ * Groups word timings from synthesis alignment into readable SRT and WebVTT cues
+ */
+
+const FORMATS = ['srt', 'vtt'];
+
+class SubtitleBuilder {
+  /**
+   * @param {Object} options - Cue layout options
+   * @param {number} options.maxChars - Characters per caption line
+   * @param {number} options.maxLines - Lines per cue
+   * @param {number} options.maxDuration - Longest a cue may stay on screen (ms)
+   * @param {number} options.minDuration - Shortest a cue may stay on screen, if the next cue allows (ms)
+   * @param {number} options.maxGap - A pause longer than this starts a new cue (ms)
+   */
+  constructor(options = {}) {
+    this.maxChars = options.maxChars || 42;
+    this.maxLines = options.maxLines || 2;
+    this.maxDuration = options.maxDuration || 6000;
+    this.minDuration = options.minDuration ?? 1000;
+    this.maxGap = options.maxGap ?? 800;
+  }
+
+  /**
+   * Normalize an alignment from the HTTP or WebSocket API into character timings
+   * @param {Object} alignment - `{ characters, character_start_times_seconds, character_end_times_seconds }`
+   *   (with-timestamps) or `{ chars, charStartTimesMs, charDurationsMs }` (stream-input)
+   * @param {number} offsetMs - Added to every time
+   * @returns {Array<Object>} `{ char, startMs, endMs }`
+   */
+  static fromAlignment(alignment, offsetMs = 0) {
+    if (!alignment) return [];
+
+    if (Array.isArray(alignment.characters)) {
+      return alignment.characters.map((char, i) => ({
+        char,
+        startMs: Math.round(offsetMs + alignment.character_start_times_seconds[i] * 1000),
+        endMs: Math.round(offsetMs + alignment.character_end_times_seconds[i] * 1000)
+      }));
+    }
+
+    if (Array.isArray(alignment.chars)) {
+      return alignment.chars.map((char, i) => {
+        const startMs = Math.round(offsetMs + (alignment.charStartTimesMs[i] || 0));
+        return { char, startMs, endMs: startMs + Math.round(alignment.charDurationsMs[i] || 0) };
+      });
+    }
+
+    return [];
+  }
+
+  /**
+   * Group character timings into words
+   * @param {Array<Object>} characters - `{ char, startMs, endMs }`
+   * @param {Set<number>} breaks - Character indexes that always start a new word (e.g. chunk boundaries)
+   * @returns {Array<Object>} `{ word, startMs, endMs }`
+   */
+  static groupWords(characters, breaks = new Set()) {
+    const words = [];
+    let current = null;
+
+    characters.forEach(({ char, startMs, endMs }, index) => {
+      if (breaks.has(index)) {
+        current = null;
+      }
+      if (/\s/.test(char)) {
+        current = null;
+        return;
+      }
+      if (!current) {
+        current = { word: '', startMs, endMs };
+        words.push(current);
+      }
+      current.word += char;
+      current.endMs = endMs;
+    });
+
+    return words;
+  }
+
+  /**
+   * Group words into cues that respect the line, length and pause limits
+   * A cue also ends after a word that finishes a sentence, and whenever the speaker changes.
+   * @param {Array<Object>} words - `{ word, startMs, endMs, speaker? }`
+   * @returns {Array<Object>} `{ index, startMs, endMs, lines, speaker }`
+   */
+  buildCues(words) {
+    const cues = [];
+    let current = [];
+
+    const flush = () => {
+      if (current.length === 0) return;
+      cues.push({
+        index: cues.length + 1,
+        startMs: current[0].startMs,
+        endMs: current[current.length - 1].endMs,
+        lines: this.wrap(current.map(word => word.word)),
+        speaker: current[0].speaker || null
+      });
+      current = [];
+    };
+
+    words.forEach((word) => {
+      if (current.length > 0) {
+        const last = current[current.length - 1];
+        const text = [...current, word].map(w => w.word).join(' ');
+        const tooLong = this.wrap(text.split(' ')).length > this.maxLines;
+        const tooSlow = word.endMs - current[0].startMs > this.maxDuration;
+        const paused = word.startMs - last.endMs > this.maxGap;
+        const handedOver = (word.speaker || null) !== (last.speaker || null);
+
+        if (tooLong || tooSlow || paused || handedOver || /[.!?]["')\]]*$/.test(last.word)) {
+          flush();
+        }
+      }
+      current.push(word);
+    });
+    flush();
+
+    // Give short cues time to be read without running into the next one
+    cues.forEach((cue, i) => {
+      const next = cues[i + 1];
+      const latest = next ? next.startMs : Infinity;
+      cue.endMs = Math.max(cue.endMs, Math.min(cue.startMs + this.minDuration, latest));
+    });
+
+    return cues;
+  }
+
+  /**
+   * Greedy line wrap
+   * @param {Array<string>} words - Words
+   * @returns {Array<string>} Lines of at most maxChars (a longer single word gets its own line)
+   * @private
+   */
+  wrap(words) {
+    return words.reduce((lines, word) => {
+      const last = lines[lines.length - 1];
+      if (last !== undefined && `${last} ${word}`.length <= this.maxChars) {
+        lines[lines.length - 1] = `${last} ${word}`;
+      } else {
+        lines.push(word);
+      }
+      return lines;
+    }, []);
+  }
+
+  /**
+   * Render word timings as a caption file
+   * @param {Array<Object>} words - `{ word, startMs, endMs }`
+   * @param {string} format - srt or vtt
+   * @returns {string} Caption file contents
+   */
+  format(words, format = 'srt') {
+    if (!FORMATS.includes(format)) {
+      throw new Error(`Unknown subtitle format "${format}". Use one of: ${FORMATS.join(', ')}`);
+    }
+
+    const cues = this.buildCues(words);
+    return format === 'srt' ? this.toSrt(cues) : this.toVtt(cues);
+  }
+
+  /**
+   * SubRip output; speakers are named in brackets at the start of their cue
+   * @param {Array<Object>} cues - Cues
+   * @returns {string} SRT contents
+   */
+  toSrt(cues) {
+    return cues
+      .map(cue => {
+        const text = cue.speaker ? `[${cue.speaker}] ${cue.lines.join('\n')}` : cue.lines.join('\n');
+        return `${cue.index}\n${timestamp(cue.startMs, ',')} --> ${timestamp(cue.endMs, ',')}\n${text}\n`;
+      })
+      .join('\n');
+  }
+
+  /**
+   * WebVTT output; speakers become voice spans
+   * @param {Array<Object>} cues - Cues
+   * @returns {string} VTT contents
+   */
+  toVtt(cues) {
+    const body = cues
+      .map(cue => {
+        const text = cue.speaker ? `<v ${cue.speaker}>${cue.lines.join('\n')}` : cue.lines.join('\n');
+        return `${timestamp(cue.startMs, '.')} --> ${timestamp(cue.endMs, '.')}\n${text}\n`;
+      })
+      .join('\n');
+    return `WEBVTT\n\n${body}`;
+  }
+}
+
+/**
+ * Format milliseconds as HH:MM:SS plus milliseconds
+ * @param {number} ms - Time
+ * @param {string} separator - `,` for SRT, `.` for WebVTT
+ * @returns {string} Timestamp
+ */
+function timestamp(ms, separator) {
+  const total = Math.max(0, Math.round(ms));
+  const pad = (value, width = 2) => String(value).padStart(width, '0');
+  const hours = Math.floor(total / 3600000);
+  const minutes = Math.floor(total / 60000) % 60;
+  const seconds = Math.floor(total / 1000) % 60;
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(total % 1000, 3)}`;
+}
+
+SubtitleBuilder.FORMATS = FORMATS;
+
+module.exports = SubtitleBuilder;
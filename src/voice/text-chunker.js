@@ -0,0 +1,150 @@
+/**
+ * Text Chunker Module
+ * Splits long documents into synthesis-sized chunks on paragraph and sentence boundaries
+ */
+
+const SSMLProcessor = require('./ssml-processor');
+
+// Sentences end at terminal punctuation (plus closing quotes or brackets) followed by whitespace,
+// so decimals and SSML attributes such as time="1.5s" stay intact
+const SENTENCE_BOUNDARY = /(?<=[.!?…]["'”’)\]]*)\s+/;
+
+// An SSML document's opening tag, body and closing tag
+const SSML_DOCUMENT = /^\s*(<speak\b[^>]*>)([\s\S]*)<\/speak\s*>\s*$/i;
+
+// An element with its content, or a lone tag such as <break />
+const SSML_MARKUP = /<([a-zA-Z][\w:-]*)\b[^>]*>[\s\S]*?<\/\1\s*>|<[^>]*>/g;
+
+// Stands in for whitespace inside markup, so no split point falls within an element
+const GLUE = '\u0001';
+
+class TextChunker {
+  constructor(options = {}) {
+    this.maxChars = options.maxChars || 2500;
+  }
+
+  /**
+   * Split text into chunks no longer than maxChars
+   * Paragraphs are kept whole when they fit, then sentences, and words only as a last resort.
+   * An SSML document is split between elements only, and each chunk is wrapped in its own
+   * copy of the opening <speak> tag so it validates alone; maxChars counts the content inside.
+   * @param {string} text - Text to split
+   * @returns {Array<string>} Chunks in reading order
+   */
+  chunk(text) {
+    const document = SSMLProcessor.isSsml(text) && String(text).match(SSML_DOCUMENT);
+    if (!document) {
+      return this.chunkText(text);
+    }
+
+    const [, speak, body] = document;
+    const glued = body.replace(SSML_MARKUP, markup => markup.replace(/\s/g, GLUE));
+    return this.chunkText(glued).map(chunk => `${speak}${chunk.split(GLUE).join(' ')}</speak>`);
+  }
+
+  /**
+   * Split plain text into chunks no longer than maxChars
+   * @param {string} text - Text to split
+   * @returns {Array<string>} Chunks in reading order
+   * @private
+   */
+  chunkText(text) {
+    const chunks = [];
+    let current = '';
+
+    for (const unit of this.splitUnits(text)) {
+      const candidate = current ? `${current}${unit.separator}${unit.text}` : unit.text;
+
+      if (candidate.length <= this.maxChars) {
+        current = candidate;
+      } else {
+        chunks.push(current);
+        current = unit.text;
+      }
+    }
+
+    if (current) {
+      chunks.push(current);
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Break text into units that each fit within maxChars
+   * @param {string} text - Text to split
+   * @returns {Array<Object>} Units with the separator that joins them to the previous unit
+   * @private
+   */
+  splitUnits(text) {
+    const units = [];
+    const paragraphs = String(text)
+      .split(/\r?\n\s*\n/)
+      .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+      .filter(Boolean);
+
+    paragraphs.forEach(paragraph => {
+      const pieces = paragraph.length <= this.maxChars
+        ? [paragraph]
+        : this.splitSentences(paragraph).flatMap(sentence =>
+          sentence.length <= this.maxChars ? [sentence] : this.splitWords(sentence)
+        );
+
+      pieces.forEach((piece, index) => {
+        units.push({ text: piece, separator: index === 0 ? '\n\n' : ' ' });
+      });
+    });
+
+    return units;
+  }
+
+  /**
+   * Split a paragraph into sentences
+   * @param {string} paragraph - Paragraph text
+   * @returns {Array<string>} Sentences
+   * @private
+   */
+  splitSentences(paragraph) {
+    return paragraph.split(SENTENCE_BOUNDARY).map(sentence => sentence.trim()).filter(Boolean);
+  }
+
+  /**
+   * Split an overlong sentence on word boundaries
+   * @param {string} sentence - Sentence text
+   * @returns {Array<string>} Pieces no longer than maxChars
+   * @private
+   */
+  splitWords(sentence) {
+    const pieces = [];
+    let current = '';
+
+    sentence.split(' ').forEach(word => {
+      // A single word longer than the budget can only be cut mid-word; SSML markup is never cut
+      while (word.length > this.maxChars && !/<[^>]*>/.test(word)) {
+        if (current) {
+          pieces.push(current);
+          current = '';
+        }
+        pieces.push(word.slice(0, this.maxChars));
+        word = word.slice(this.maxChars);
+      }
+      if (!word) return;
+
+      const candidate = current ? `${current} ${word}` : word;
+      if (candidate.length <= this.maxChars) {
+        current = candidate;
+      } else {
+        pieces.push(current);
+        current = word;
+      }
+    });
+
+    if (current) {
+      pieces.push(current);
+    }
+
+    return pieces;
+  }
+}
+
+module.exports = TextChunker;
@@ -0,0 +1,170 @@
+/**
+ * Transcript Scorer Module
+ * Word and character error rates between a reference text and a transcript, with word alignment
+ */
+
+class TranscriptScorer {
+  /**
+   * Normalize text for comparison: drop markup, case and punctuation
+   * @param {string} text - Raw text
+   * @returns {string} Normalized text
+   */
+  normalize(text) {
+    return String(text || '')
+      .normalize('NFKC')
+      .replace(/<[^>]*>/g, ' ')
+      .toLowerCase()
+      .replace(/[‘’`]/g, "'")
+      // Keep apostrophes inside words ("don't"), drop every other symbol
+      .replace(/[^\p{L}\p{N}'\s]|'(?!\p{L})|(?<!\p{L})'/gu, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Score a transcript against the reference text
+   * @param {string} reference - Text that was spoken
+   * @param {string} hypothesis - Text that was heard
+   * @returns {Object} WER, CER, error counts and the word alignment
+   */
+  score(reference, hypothesis) {
+    const referenceText = this.normalize(reference);
+    const hypothesisText = this.normalize(hypothesis);
+    const referenceWords = referenceText ? referenceText.split(' ') : [];
+    const hypothesisWords = hypothesisText ? hypothesisText.split(' ') : [];
+
+    const alignment = this.align(referenceWords, hypothesisWords);
+    const counts = { substitutions: 0, deletions: 0, insertions: 0 };
+    alignment.forEach(step => {
+      if (step.type === 'substitute') counts.substitutions++;
+      else if (step.type === 'delete') counts.deletions++;
+      else if (step.type === 'insert') counts.insertions++;
+    });
+
+    const wordErrors = counts.substitutions + counts.deletions + counts.insertions;
+    const characterErrors = this.editDistance([...referenceText], [...hypothesisText]);
+
+    return {
+      wer: errorRate(wordErrors, referenceWords.length),
+      cer: errorRate(characterErrors, [...referenceText].length),
+      ...counts,
+      referenceWords: referenceWords.length,
+      hypothesisWords: hypothesisWords.length,
+      alignment
+    };
+  }
+
+  /**
+   * Align two word sequences with minimum edit distance
+   * @param {Array<string>} reference - Reference words
+   * @param {Array<string>} hypothesis - Hypothesis words
+   * @returns {Array<Object>} Steps of type equal, substitute, delete or insert
+   */
+  align(reference, hypothesis) {
+    // Substitutions cost slightly more the less alike two words are, so among equally short
+    // alignments the one pairing similar words wins; the bonus never adds up to a whole edit
+    const epsilon = 1 / (2 * (reference.length + hypothesis.length + 1));
+    const substitutionCost = (a, b) => (a === b ? 0 : 1 + epsilon * this.wordDistance(a, b));
+    const costs = this.buildCostMatrix(reference, hypothesis, substitutionCost);
+    const steps = [];
+    let i = reference.length;
+    let j = hypothesis.length;
+
+    // Walk back from the end, preferring diagonal moves so substitutions pair up words
+    while (i > 0 || j > 0) {
+      if (i > 0 && j > 0 && nearlyEqual(costs[i][j], costs[i - 1][j - 1] + substitutionCost(reference[i - 1], hypothesis[j - 1]))) {
+        const type = reference[i - 1] === hypothesis[j - 1] ? 'equal' : 'substitute';
+        steps.push({ type, reference: reference[i - 1], hypothesis: hypothesis[j - 1] });
+        i--;
+        j--;
+      } else if (i > 0 && nearlyEqual(costs[i][j], costs[i - 1][j] + 1)) {
+        steps.push({ type: 'delete', reference: reference[i - 1], hypothesis: null });
+        i--;
+      } else {
+        steps.push({ type: 'insert', reference: null, hypothesis: hypothesis[j - 1] });
+        j--;
+      }
+    }
+
+    return steps.reverse();
+  }
+
+  /**
+   * Levenshtein distance between two sequences
+   * @param {Array} reference - Reference sequence
+   * @param {Array} hypothesis - Hypothesis sequence
+   * @returns {number} Edit distance
+   */
+  editDistance(reference, hypothesis) {
+    let previous = Array.from({ length: hypothesis.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= reference.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= hypothesis.length; j++) {
+        const substitution = previous[j - 1] + (reference[i - 1] === hypothesis[j - 1] ? 0 : 1);
+        current[j] = Math.min(substitution, previous[j] + 1, current[j - 1] + 1);
+      }
+      previous = current;
+    }
+
+    return previous[hypothesis.length];
+  }
+
+  /**
+   * Character edit distance between two words, scaled to 0..1
+   * @param {string} a - First word
+   * @param {string} b - Second word
+   * @returns {number} Normalized distance
+   * @private
+   */
+  wordDistance(a, b) {
+    return this.editDistance([...a], [...b]) / Math.max(a.length, b.length, 1);
+  }
+
+  /**
+   * Full edit-distance matrix, needed for the alignment backtrace
+   * @param {Array} reference - Reference sequence
+   * @param {Array} hypothesis - Hypothesis sequence
+   * @param {Function} substitutionCost - Cost of replacing one item with another
+   * @returns {Array<Array<number>>} Cost matrix
+   * @private
+   */
+  buildCostMatrix(reference, hypothesis, substitutionCost) {
+    const costs = [Array.from({ length: hypothesis.length + 1 }, (_, j) => j)];
+
+    for (let i = 1; i <= reference.length; i++) {
+      costs[i] = [i];
+      for (let j = 1; j <= hypothesis.length; j++) {
+        const substitution = costs[i - 1][j - 1] + substitutionCost(reference[i - 1], hypothesis[j - 1]);
+        costs[i][j] = Math.min(substitution, costs[i - 1][j] + 1, costs[i][j - 1] + 1);
+      }
+    }
+
+    return costs;
+  }
+}
+
+/**
+ * Compare accumulated floating-point costs
+ * @param {number} a - First cost
+ * @param {number} b - Second cost
+ * @returns {boolean} Whether the costs are equal
+ */
+function nearlyEqual(a, b) {
+  return Math.abs(a - b) < 1e-9;
+}
+
+/**
+ * Error count over reference length, rounded; an empty reference scores 0 only when nothing was heard
+ * @param {number} errors - Edit count
+ * @param {number} length - Reference length
+ * @returns {number} Error rate
+ */
+function errorRate(errors, length) {
+  if (length === 0) {
+    return errors === 0 ? 0 : 1;
+  }
+  return Number((errors / length).toFixed(4));
+}
+
+module.exports = TranscriptScorer;
@@ -0,0 +1,253 @@
+/**
+ * Transcript Module
+ * Normalized speech-to-text result (segments, words, speakers, confidences) with export formats
+ */
+
+const SubtitleBuilder = require('./subtitle-builder');
+
+const FORMATS = ['text', 'json', 'srt', 'vtt', 'md'];
+const FORMAT_ALIASES = { txt: 'text', markdown: 'md' };
+
+class Transcript {
+  /**
+   * @param {Object} data - Normalized transcript fields (see fromResponse)
+   */
+  constructor(data = {}) {
+    this.text = data.text || '';
+    this.language = data.language || null;
+    this.languageProbability = data.languageProbability ?? null;
+    this.words = data.words || [];
+    this.segments = data.segments || [];
+    this.speakers = data.speakers || [];
+    this.duration = data.duration ?? (this.words.length ? this.words[this.words.length - 1].end : 0);
+    this.raw = data.raw || null;
+  }
+
+  /**
+   * Normalize a speech-to-text API response
+   * Spacing entries are dropped; words keep their speaker and a 0-1 confidence derived from logprob.
+   * @param {Object} data - `{ text, language_code, language_probability, words: [{ text, start, end, type, speaker_id, logprob }] }`
+   * @param {Object} options - Segmentation options
+   * @param {number} options.maxPause - Silence (s) that starts a new segment within one speaker's turn
+   * @returns {Transcript} Transcript
+   */
+  static fromResponse(data = {}, options = {}) {
+    const maxPause = options.maxPause ?? 1.5;
+    const labels = new Map();
+
+    const words = (data.words || [])
+      .filter(word => word.type !== 'spacing' && String(word.text || '').trim())
+      .map(word => {
+        const speaker = word.speaker_id ?? null;
+        if (speaker !== null && !labels.has(speaker)) {
+          labels.set(speaker, `Speaker ${labels.size + 1}`);
+        }
+        return {
+          text: word.text.trim(),
+          start: word.start ?? 0,
+          end: word.end ?? word.start ?? 0,
+          type: word.type || 'word',
+          speaker,
+          confidence: typeof word.logprob === 'number' ? round(Math.exp(word.logprob)) : null
+        };
+      });
+
+    const segments = [];
+    words.forEach(word => {
+      const current = segments[segments.length - 1];
+      const last = current && current.words[current.words.length - 1];
+
+      if (!current || word.speaker !== current.speaker || word.start - last.end > maxPause) {
+        segments.push({ id: segments.length, speaker: word.speaker, start: word.start, end: word.end, words: [word] });
+      } else {
+        current.words.push(word);
+        current.end = word.end;
+      }
+    });
+
+    segments.forEach(segment => {
+      segment.text = segment.words.map(word => word.text).join(' ');
+      segment.confidence = averageConfidence(segment.words);
+    });
+
+    const speakers = [...labels].map(([id, label]) => {
+      const own = segments.filter(segment => segment.speaker === id);
+      return {
+        id,
+        label,
+        segments: own.length,
+        words: own.reduce((sum, segment) => sum + segment.words.length, 0),
+        duration: round(own.reduce((sum, segment) => sum + segment.end - segment.start, 0))
+      };
+    });
+
+    return new Transcript({
+      text: (data.text || words.map(word => word.text).join(' ')).trim(),
+      language: data.language_code || null,
+      languageProbability: data.language_probability ?? null,
+      words,
+      segments,
+      speakers,
+      raw: data
+    });
+  }
+
+  /**
+   * Resolve a format name or alias
+   * @param {string} format - text, json, srt, vtt, md (or txt / markdown)
+   * @returns {string|null} Canonical format, or null when unknown
+   */
+  static resolveFormat(format) {
+    const name = String(format || '').toLowerCase();
+    const resolved = FORMAT_ALIASES[name] || name;
+    return FORMATS.includes(resolved) ? resolved : null;
+  }
+
+  /**
+   * Display label for a speaker ID
+   * @param {string|null} speaker - Speaker ID
+   * @returns {string|null} Label such as "Speaker 1"
+   */
+  speakerLabel(speaker) {
+    const found = this.speakers.find(entry => entry.id === speaker);
+    return found ? found.label : null;
+  }
+
+  /**
+   * Average word confidence across the transcript
+   * @returns {number|null} 0-1 confidence, or null when the API sent none
+   */
+  get confidence() {
+    return averageConfidence(this.words);
+  }
+
+  /**
+   * Export the transcript
+   * @param {string} format - text, json, srt, vtt or md
+   * @param {Object} options - Format options (`title` for md; SubtitleBuilder options for srt/vtt)
+   * @returns {string} Exported transcript
+   */
+  format(format, options = {}) {
+    switch (Transcript.resolveFormat(format)) {
+      case 'text': return this.toText();
+      case 'json': return `${JSON.stringify(this, null, 2)}\n`;
+      case 'srt': return this.toSubtitles('srt', options);
+      case 'vtt': return this.toSubtitles('vtt', options);
+      case 'md': return this.toMarkdown(options);
+      default:
+        throw new Error(`Unknown transcript format "${format}". Use one of: ${FORMATS.join(', ')}`);
+    }
+  }
+
+  /**
+   * Plain text; one paragraph per segment, prefixed with the speaker when diarized
+   * @returns {string} Text
+   */
+  toText() {
+    if (this.speakers.length === 0) {
+      return `${this.text}\n`;
+    }
+    return `${this.segments.map(segment => `${this.speakerLabel(segment.speaker)}: ${segment.text}`).join('\n\n')}\n`;
+  }
+
+  /**
+   * SRT or WebVTT captions built from the word timings
+   * @param {string} format - srt or vtt
+   * @param {Object} options - SubtitleBuilder options
+   * @returns {string} Caption file contents
+   */
+  toSubtitles(format, options = {}) {
+    const words = this.words.map(word => ({
+      word: word.text,
+      startMs: Math.round(word.start * 1000),
+      endMs: Math.round(word.end * 1000),
+      speaker: this.speakerLabel(word.speaker)
+    }));
+    return new SubtitleBuilder(options).format(words, format);
+  }
+
+  /**
+   * Meeting notes: a summary table of speakers followed by timestamped turns
+   * @param {Object} options - `title` for the heading
+   * @returns {string} Markdown
+   */
+  toMarkdown(options = {}) {
+    const lines = [`# ${options.title || 'Transcript'}`, ''];
+
+    lines.push(`- **Duration:** ${clock(this.duration)}`);
+    if (this.language) lines.push(`- **Language:** ${this.language}`);
+    if (this.confidence !== null) lines.push(`- **Confidence:** ${Math.round(this.confidence * 100)}%`);
+    lines.push('');
+
+    if (this.speakers.length > 0) {
+      const total = this.speakers.reduce((sum, speaker) => sum + speaker.duration, 0) || 1;
+      lines.push('## Speakers', '', '| Speaker | Talk time | Share | Words |', '| --- | --- | --- | --- |');
+      this.speakers.forEach(speaker => {
+        lines.push(`| ${speaker.label} | ${clock(speaker.duration)} | ${Math.round(speaker.duration / total * 100)}% | ${speaker.words} |`);
+      });
+      lines.push('');
+    }
+
+    lines.push('## Transcript', '');
+    this.segments.forEach(segment => {
+      const speaker = this.speakerLabel(segment.speaker);
+      lines.push(`**[${clock(segment.start)}]${speaker ? ` ${speaker}:` : ''}** ${segment.text}`, '');
+    });
+
+    return `${lines.join('\n').trimEnd()}\n`;
+  }
+
+  /**
+   * Normalized fields for JSON export (the raw API response is left out)
+   * @returns {Object} Transcript data
+   */
+  toJSON() {
+    return {
+      text: this.text,
+      language: this.language,
+      languageProbability: this.languageProbability,
+      duration: this.duration,
+      confidence: this.confidence,
+      speakers: this.speakers,
+      segments: this.segments.map(({ words, ...segment }) => ({ ...segment, wordCount: words.length })),
+      words: this.words
+    };
+  }
+}
+
+/**
+ * Mean confidence of the words that have one
+ * @param {Array<Object>} words - Words
+ * @returns {number|null} Confidence
+ */
+function averageConfidence(words) {
+  const scored = words.filter(word => word.confidence !== null);
+  if (scored.length === 0) return null;
+  return round(scored.reduce((sum, word) => sum + word.confidence, 0) / scored.length);
+}
+
+/**
+ * Format seconds as M:SS, or H:MM:SS past an hour
+ * @param {number} seconds - Time
+ * @returns {string} Clock time
+ */
+function clock(seconds) {
+  const total = Math.max(0, Math.floor(seconds));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor(total / 60) % 60;
+  const rest = String(total % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}` : `${minutes}:${rest}`;
+}
+
+/**
+ * Round to a fixed number of decimals
+ * @param {number} value - Value
+ * @returns {number} Rounded value
+ */
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+Transcript.FORMATS = FORMATS;
+
+module.exports = Transcript;
@@ -0,0 +1,197 @@
+/**
+ * Voice Activity Detector Module
+ * Energy-based speech detection over mono PCM, used to find where each utterance ends
+ */
+
+const { EventEmitter } = require('events');
+
+class VoiceActivityDetector extends EventEmitter {
+  /**
+   * @param {Object} options - Detector options
+   * @param {number} options.sampleRate - Input sample rate
+   * @param {number} options.frameMs - Analysis frame length
+   * @param {number} options.threshold - Minimum speech level in dBFS
+   * @param {number} options.margin - dB above the running noise floor a frame must reach to count as speech
+   * @param {number} options.minSpeech - Speech (ms) needed before an utterance starts
+   * @param {number} options.silenceThreshold - Silence (ms) that ends an utterance
+   * @param {number} options.padding - Audio (ms) kept after the last speech frame
+   */
+  constructor(options = {}) {
+    super();
+    this.sampleRate = options.sampleRate || 16000;
+    this.frameSize = Math.round(this.sampleRate * (options.frameMs || 20) / 1000);
+    this.threshold = options.threshold ?? -45;
+    this.margin = options.margin ?? 10;
+    this.minSpeechFrames = Math.max(1, Math.round((options.minSpeech ?? 100) / this.frameMs));
+    this.hangFrames = Math.max(1, Math.round((options.silenceThreshold ?? 1000) / this.frameMs));
+    this.paddingFrames = Math.round((options.padding ?? 100) / this.frameMs);
+
+    this.noiseFloor = -90;
+    this.pending = new Float32Array(0);
+    this.position = 0;
+    this.reset();
+  }
+
+  /**
+   * Frame length in milliseconds
+   * @returns {number} Frame length
+   */
+  get frameMs() {
+    return this.frameSize * 1000 / this.sampleRate;
+  }
+
+  /**
+   * Whether an utterance is in progress
+   * @returns {boolean} Speaking
+   */
+  get speaking() {
+    return this.utterance !== null;
+  }
+
+  /**
+   * Forget any partial utterance
+   */
+  reset() {
+    this.onset = [];
+    this.utterance = null;
+    this.silentFrames = 0;
+  }
+
+  /**
+   * Feed samples; emits speechStart and speechEnd as utterances begin and finish
+   * @param {Float32Array} samples - Mono samples in [-1, 1]
+   */
+  push(samples) {
+    const buffer = new Float32Array(this.pending.length + samples.length);
+    buffer.set(this.pending);
+    buffer.set(samples, this.pending.length);
+
+    let offset = 0;
+    for (; offset + this.frameSize <= buffer.length; offset += this.frameSize) {
+      this.processFrame(buffer.subarray(offset, offset + this.frameSize));
+    }
+    this.pending = buffer.slice(offset);
+  }
+
+  /**
+   * Signal the end of input, finishing an utterance that is still open
+   */
+  end() {
+    if (this.utterance) {
+      this.finishUtterance(true);
+    }
+    this.pending = new Float32Array(0);
+  }
+
+  /**
+   * Classify one frame and advance the state machine
+   * @param {Float32Array} frame - Frame samples
+   * @private
+   */
+  processFrame(frame) {
+    const level = frameLevel(frame);
+    const isSpeech = level > this.threshold && level > this.noiseFloor + this.margin;
+    const startFrame = this.position;
+    this.position++;
+
+    if (!isSpeech) {
+      // Track the background level slowly so steady noise is not mistaken for speech
+      this.noiseFloor = this.noiseFloor * 0.95 + level * 0.05;
+    }
+
+    if (!this.utterance) {
+      if (!isSpeech) {
+        this.onset = [];
+        return;
+      }
+
+      this.onset.push(frame.slice());
+      if (this.onset.length >= this.minSpeechFrames) {
+        this.utterance = { startFrame: startFrame - this.onset.length + 1, frames: this.onset, lastSpeech: this.onset.length };
+        this.onset = [];
+        this.emit('speechStart', { startMs: this.toMs(this.utterance.startFrame) });
+      }
+      return;
+    }
+
+    this.utterance.frames.push(frame.slice());
+    if (isSpeech) {
+      this.utterance.lastSpeech = this.utterance.frames.length;
+      this.silentFrames = 0;
+    } else if (++this.silentFrames >= this.hangFrames) {
+      this.finishUtterance(false);
+    }
+  }
+
+  /**
+   * Emit the finished utterance, trimmed to its last speech frame plus padding
+   * @param {boolean} truncated - Whether input ended mid-utterance
+   * @private
+   */
+  finishUtterance(truncated) {
+    const { startFrame, frames, lastSpeech } = this.utterance;
+    const kept = frames.slice(0, Math.min(frames.length, lastSpeech + this.paddingFrames));
+    const samples = new Float32Array(kept.length * this.frameSize);
+    kept.forEach((frame, i) => samples.set(frame, i * this.frameSize));
+
+    this.reset();
+    this.emit('speechEnd', {
+      startMs: this.toMs(startFrame),
+      endMs: this.toMs(startFrame + lastSpeech),
+      duration: Math.round(samples.length * 1000 / this.sampleRate),
+      samples,
+      audio: VoiceActivityDetector.toPcm16(samples),
+      truncated
+    });
+  }
+
+  /**
+   * Convert a frame index to milliseconds from the start of input
+   * @param {number} frame - Frame index
+   * @returns {number} Milliseconds
+   * @private
+   */
+  toMs(frame) {
+    return Math.round(frame * this.frameMs);
+  }
+
+  /**
+   * Encode samples as 16-bit little-endian PCM
+   * @param {Float32Array} samples - Samples in [-1, 1]
+   * @returns {Buffer} PCM data
+   */
+  static toPcm16(samples) {
+    const pcm = Buffer.alloc(samples.length * 2);
+    samples.forEach((sample, i) => pcm.writeInt16LE(Math.round(Math.max(-1, Math.min(1, sample)) * 32767), i * 2));
+    return pcm;
+  }
+
+  /**
+   * Decode 16-bit little-endian mono PCM
+   * @param {Buffer} pcm - PCM data (an odd trailing byte is ignored)
+   * @returns {Float32Array} Samples in [-1, 1]
+   */
+  static fromPcm16(pcm) {
+    const samples = new Float32Array(Math.floor(pcm.length / 2));
+    for (let i = 0; i < samples.length; i++) {
+      samples[i] = pcm.readInt16LE(i * 2) / 32768;
+    }
+    return samples;
+  }
+}
+
+/**
+ * RMS level of a frame in dBFS
+ * @param {Float32Array} frame - Frame samples
+ * @returns {number} Level, floored at -100 dB
+ */
+function frameLevel(frame) {
+  let sum = 0;
+  for (let i = 0; i < frame.length; i++) {
+    sum += frame[i] * frame[i];
+  }
+  const rms = Math.sqrt(sum / frame.length);
+  return rms > 0 ? Math.max(-100, 20 * Math.log10(rms)) : -100;
+}
+
+module.exports = VoiceActivityDetector;
@@ -3,21 +3,29 @@
  * Advanced voice cloning and customization capabilities
  */
 
-const axios = require('axios');
 const fs = require('fs-extra');
 const path = require('path');
 const { EventEmitter } = require('events');
+const APIClient = require('../lib/api-client');
+const AudioFormat = require('../lib/audio-format');
 
 class VoiceCloning extends EventEmitter {
   constructor(options = {}) {
     super();
     this.apiKey = options.apiKey || process.env.ELEVENLABS_API_KEY;
     this.baseUrl = options.baseUrl || 'https://api.elevenlabs.io/v1';
+    this.client = options.client || new APIClient({
+      apiKey: this.apiKey,
+      baseURL: this.baseUrl,
+      persistentCache: false
+    });
   }
 
   /**
-   * Clone voice from audio samples
+   * Clone voice from audio samples, uploaded together in one request
    * @param {Object} voiceData - Voice cloning data
+   * @param {Array<string|Object>} voiceData.audioFiles - Sample paths, or `{ file, mime }` (see VoiceSampleSet)
+   * @param {Object} voiceData.labels - e.g. `{ accent, age, gender, use_case }`
    * @returns {Promise<Object>} Cloned voice details
    */
   async cloneVoice(voiceData) {
@@ -28,34 +36,32 @@ class VoiceCloning extends EventEmitter {
       formData.append('name', name);
       formData.append('description', description);
       
-      // Add audio files
-      for (let i = 0; i < audioFiles.length; i++) {
-        const audioBuffer = await fs.readFile(audioFiles[i]);
-        formData.append('files', new Blob([audioBuffer]), `audio_${i}.wav`);
+      // Add audio files under their own names so the API's sample list matches the disk
+      for (const audioFile of audioFiles) {
+        const file = typeof audioFile === 'string' ? audioFile : audioFile.file;
+        const mime = audioFile.mime || AudioFormat.input(file)?.mime || 'application/octet-stream';
+        const audioBuffer = await fs.readFile(file);
+        formData.append('files', new Blob([audioBuffer], { type: mime }), path.basename(file));
       }
       
-      // Add labels
-      Object.entries(labels).forEach(([key, value]) => {
-        formData.append(`labels[${key}]`, value);
-      });
+      // The API takes labels as one serialized JSON field
+      const setLabels = Object.fromEntries(Object.entries(labels).filter(([, value]) => value));
+      if (Object.keys(setLabels).length > 0) {
+        formData.append('labels', JSON.stringify(setLabels));
+      }
 
-      const response = await axios.post(`${this.baseUrl}/voices/add`, formData, {
-        headers: {
-          'xi-api-key': this.apiKey,
-          'Content-Type': 'multipart/form-data'
-        }
-      });
+      const data = await this.client.upload('/voices/add', formData);
 
       this.emit('voiceCloned', { 
         name, 
-        voiceId: response.data.voice_id,
+        voiceId: data.voice_id,
         samples: audioFiles.length
       });
 
-      return response.data;
+      return data;
     } catch (error) {
       this.emit('voiceCloneError', error);
-      throw new Error(`Voice cloning failed: ${error.message}`);
+      throw new Error(`Voice cloning failed: ${error.message}`, { cause: error });
     }
   }
 
@@ -84,19 +90,10 @@ class VoiceCloning extends EventEmitter {
         formData.append('epochs', options.epochs);
       }
 
-      const response = await axios.post(
-        `${this.baseUrl}/voices/${voiceId}/fine-tune`,
-        formData,
-        {
-          headers: {
-            'xi-api-key': this.apiKey,
-            'Content-Type': 'multipart/form-data'
-          }
-        }
-      );
+      const data = await this.client.upload(`/voices/${voiceId}/fine-tune`, formData);
 
       this.emit('voiceFineTuned', { voiceId, samples: additionalSamples.length });
-      return response.data;
+      return data;
     } catch (error) {
       this.emit('voiceFineTuneError', error);
       throw new Error(`Voice fine-tuning failed: ${error.message}`);
@@ -113,32 +110,23 @@ class VoiceCloning extends EventEmitter {
     try {
       const { name, description, stability, similarityBoost, style } = variationSettings;
       
-      const response = await axios.post(
-        `${this.baseUrl}/voices/${voiceId}/variations`,
-        {
-          name,
-          description,
-          voice_settings: {
-            stability: stability || 0.5,
-            similarity_boost: similarityBoost || 0.5,
-            style: style || 0.0
-          }
-        },
-        {
-          headers: {
-            'xi-api-key': this.apiKey,
-            'Content-Type': 'application/json'
-          }
+      const data = await this.client.post(`/voices/${voiceId}/variations`, {
+        name,
+        description,
+        voice_settings: {
+          stability: stability || 0.5,
+          similarity_boost: similarityBoost || 0.5,
+          style: style || 0.0
         }
-      );
+      });
 
       this.emit('voiceVariationCreated', { 
         baseVoiceId: voiceId, 
-        variationId: response.data.voice_id,
+        variationId: data.voice_id,
         settings: variationSettings
       });
 
-      return response.data;
+      return data;
     } catch (error) {
       this.emit('voiceVariationError', error);
       throw new Error(`Voice variation creation failed: ${error.message}`);
@@ -157,15 +145,10 @@ class VoiceCloning extends EventEmitter {
       const formData = new FormData();
       formData.append('file', new Blob([audioBuffer]), 'audio.wav');
 
-      const response = await axios.post(`${this.baseUrl}/voice-analysis`, formData, {
-        headers: {
-          'xi-api-key': this.apiKey,
-          'Content-Type': 'multipart/form-data'
-        }
-      });
+      const data = await this.client.upload('/voice-analysis', formData);
 
-      this.emit('voiceAnalyzed', { audioPath, analysis: response.data });
-      return response.data;
+      this.emit('voiceAnalyzed', { audioPath, analysis: data });
+      return data;
     } catch (error) {
       this.emit('voiceAnalysisError', error);
       throw new Error(`Voice analysis failed: ${error.message}`);
@@ -180,21 +163,12 @@ class VoiceCloning extends EventEmitter {
    */
   async getVoiceSimilarity(voiceId1, voiceId2) {
     try {
-      const response = await axios.post(
-        `${this.baseUrl}/voice-similarity`,
-        {
-          voice_id_1: voiceId1,
-          voice_id_2: voiceId2
-        },
-        {
-          headers: {
-            'xi-api-key': this.apiKey,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
+      const data = await this.client.post('/voice-similarity', {
+        voice_id_1: voiceId1,
+        voice_id_2: voiceId2
+      });
 
-      const similarity = response.data.similarity_score;
+      const similarity = data.similarity_score;
       this.emit('similarityCalculated', { voiceId1, voiceId2, similarity });
       return similarity;
     } catch (error) {
@@ -213,29 +187,20 @@ class VoiceCloning extends EventEmitter {
     try {
       const { name, description, weights } = blendSettings;
       
-      const response = await axios.post(
-        `${this.baseUrl}/voice-blend`,
-        {
-          name,
-          description,
-          voice_ids: voiceIds,
-          weights: weights || voiceIds.map(() => 1 / voiceIds.length)
-        },
-        {
-          headers: {
-            'xi-api-key': this.apiKey,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
+      const data = await this.client.post('/voice-blend', {
+        name,
+        description,
+        voice_ids: voiceIds,
+        weights: weights || voiceIds.map(() => 1 / voiceIds.length)
+      });
 
       this.emit('voiceBlendCreated', { 
         voiceIds, 
-        blendId: response.data.voice_id,
+        blendId: data.voice_id,
         weights
       });
 
-      return response.data;
+      return data;
     } catch (error) {
       this.emit('voiceBlendError', error);
       throw new Error(`Voice blend creation failed: ${error.message}`);
@@ -250,19 +215,16 @@ class VoiceCloning extends EventEmitter {
    */
   async exportVoice(voiceId, format = 'onnx') {
     try {
-      const response = await axios.get(
-        `${this.baseUrl}/voices/${voiceId}/export`,
-        {
-          params: { format },
-          headers: {
-            'xi-api-key': this.apiKey
-          },
-          responseType: 'arraybuffer'
+      const modelBuffer = await this.client.binary('GET', `/voices/${voiceId}/export`, {
+        params: { format },
+        cache: false,
+        headers: {
+          'Accept': 'application/octet-stream'
         }
-      );
+      });
 
-      this.emit('voiceExported', { voiceId, format, size: response.data.length });
-      return Buffer.from(response.data);
+      this.emit('voiceExported', { voiceId, format, size: modelBuffer.length });
+      return modelBuffer;
     } catch (error) {
       this.emit('voiceExportError', error);
       throw new Error(`Voice export failed: ${error.message}`);
@@ -282,19 +244,14 @@ class VoiceCloning extends EventEmitter {
       formData.append('name', voiceInfo.name);
       formData.append('description', voiceInfo.description);
 
-      const response = await axios.post(`${this.baseUrl}/voices/import`, formData, {
-        headers: {
-          'xi-api-key': this.apiKey,
-          'Content-Type': 'multipart/form-data'
-        }
-      });
+      const data = await this.client.upload('/voices/import', formData);
 
       this.emit('voiceImported', { 
         name: voiceInfo.name, 
-        voiceId: response.data.voice_id 
+        voiceId: data.voice_id 
       });
 
-      return response.data;
+      return data;
     } catch (error) {
       this.emit('voiceImportError', error);
       throw new Error(`Voice import failed: ${error.message}`);
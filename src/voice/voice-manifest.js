@@ -0,0 +1,88 @@
+/**
+ * Voice Manifest Module
+ * Local record of the voices cloned from a project: their labels and where every sample came from
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+const MANIFEST_VERSION = 1;
+const DEFAULT_MANIFEST = 'eleven-voices.json';
+
+class VoiceManifest {
+  /**
+   * @param {Object} options - Manifest options
+   * @param {string} options.path - Manifest file (default ./eleven-voices.json)
+   */
+  constructor(options = {}) {
+    this.path = path.resolve(options.path || DEFAULT_MANIFEST);
+  }
+
+  /**
+   * Read the manifest
+   * @returns {Promise<Object>} `{ version, voices }` with voices keyed by voice ID
+   * @throws {Error} INVALID_MANIFEST when the file is not a voice manifest
+   */
+  async read() {
+    if (!(await fs.pathExists(this.path))) {
+      return { version: MANIFEST_VERSION, voices: {} };
+    }
+
+    let data;
+    try {
+      data = await fs.readJson(this.path);
+    } catch (error) {
+      throw Object.assign(new Error(`Cannot read voice manifest ${this.path}: ${error.message}`), { code: 'INVALID_MANIFEST' });
+    }
+    if (!data || typeof data.voices !== 'object' || Array.isArray(data.voices)) {
+      throw Object.assign(new Error(`${this.path} is not a voice manifest`), { code: 'INVALID_MANIFEST' });
+    }
+    return data;
+  }
+
+  /**
+   * Voice entry by ID
+   * @param {string} voiceId - Voice ID
+   * @returns {Promise<Object|null>} Entry
+   */
+  async get(voiceId) {
+    return (await this.read()).voices[voiceId] || null;
+  }
+
+  /**
+   * Record a cloned voice, replacing any earlier entry for the same ID
+   * Sample paths are stored relative to the manifest so the project can move.
+   * @param {Object} voice - `{ voiceId, name, description, labels, quality, samples }`
+   * @returns {Promise<Object>} Stored entry
+   */
+  async record(voice) {
+    const data = await this.read();
+    const dir = path.dirname(this.path);
+
+    const entry = {
+      name: voice.name,
+      description: voice.description || '',
+      labels: voice.labels || {},
+      quality: voice.quality || null,
+      createdAt: new Date().toISOString(),
+      samples: voice.samples.map(sample => ({
+        file: path.relative(dir, sample.file).split(path.sep).join('/'),
+        source: sample.source,
+        sha256: sample.sha256,
+        bytes: sample.bytes,
+        format: sample.format,
+        duration: sample.duration === null ? null : Math.round(sample.duration * 10) / 10,
+        estimated: sample.estimated
+      }))
+    };
+
+    data.version = MANIFEST_VERSION;
+    data.voices[voice.voiceId] = entry;
+    await fs.outputJson(this.path, data, { spaces: 2 });
+    return entry;
+  }
+}
+
+VoiceManifest.DEFAULT_MANIFEST = DEFAULT_MANIFEST;
+
+module.exports = VoiceManifest;
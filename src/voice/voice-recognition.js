@@ -3,34 +3,41 @@
  * Provides speech-to-text capabilities with advanced processing
  */
 
-const axios = require('axios');
 const fs = require('fs-extra');
 const path = require('path');
 const { EventEmitter } = require('events');
+const APIClient = require('../lib/api-client');
+const AudioFormat = require('../lib/audio-format');
+const Transcript = require('./transcript');
+const BatchJob = require('./batch-job');
 
 class VoiceRecognition extends EventEmitter {
   constructor(options = {}) {
     super();
     this.apiKey = options.apiKey || process.env.ELEVENLABS_API_KEY;
     this.baseUrl = options.baseUrl || 'https://api.elevenlabs.io/v1';
-    this.modelId = options.modelId || 'whisper-1';
+    this.modelId = options.modelId || 'scribe_v1';
     this.language = options.language || 'en';
-    this.responseFormat = options.responseFormat || 'json';
+    this.client = options.client || new APIClient({
+      apiKey: this.apiKey,
+      baseURL: this.baseUrl,
+      persistentCache: false
+    });
   }
 
   /**
    * Transcribe audio file to text
    * @param {string} audioPath - Path to audio file
-   * @param {Object} options - Transcription options
-   * @returns {Promise<Object>} Transcription result
+   * @param {Object} options - Transcription options, as for transcribeBuffer()
+   * @returns {Promise<Transcript>} Transcript
    */
   async transcribe(audioPath, options = {}) {
     try {
       const audioBuffer = await fs.readFile(audioPath);
-      return await this.transcribeBuffer(audioBuffer, options);
+      return await this.transcribeBuffer(audioBuffer, { fileName: path.basename(audioPath), ...options });
     } catch (error) {
       this.emit('transcriptionError', error);
-      throw new Error(`Failed to transcribe audio file: ${error.message}`);
+      throw new Error(`Failed to transcribe audio file: ${error.message}`, { cause: error });
     }
   }
 
@@ -38,63 +45,76 @@ class VoiceRecognition extends EventEmitter {
    * Transcribe audio buffer to text
    * @param {Buffer} audioBuffer - Audio buffer
    * @param {Object} options - Transcription options
-   * @returns {Promise<Object>} Transcription result
+   * @param {string} options.fileName - Upload name; guessed from the audio header when omitted
+   * @param {boolean} options.diarize - Label who is speaking
+   * @param {number} options.numSpeakers - Expected number of speakers, a hint for diarization
+   * @param {Array<string>} options.keywords - Terms to boost (names, jargon)
+   * @returns {Promise<Transcript>} Transcript (the API response is kept as `raw`)
    */
   async transcribeBuffer(audioBuffer, options = {}) {
     try {
-      const formData = new FormData();
-      formData.append('file', new Blob([audioBuffer]), 'audio.wav');
-      formData.append('model', options.modelId || this.modelId);
-      formData.append('language', options.language || this.language);
-      formData.append('response_format', options.responseFormat || this.responseFormat);
-
-      const response = await axios.post(`${this.baseUrl}/speech-to-text`, formData, {
-        headers: {
-          'xi-api-key': this.apiKey,
-          'Content-Type': 'multipart/form-data'
-        }
-      });
+      const formData = this.buildFormData(new Blob([audioBuffer]), options.fileName || uploadName(audioBuffer), options);
+      const data = await this.client.upload('/speech-to-text', formData, options.request);
+      const transcript = Transcript.fromResponse(data, options);
 
       this.emit('transcriptionComplete', { 
-        text: response.data.text, 
+        text: transcript.text, 
         duration: audioBuffer.length,
-        language: options.language || this.language
+        language: transcript.language || options.language || this.language,
+        speakers: transcript.speakers.length
       });
 
-      return response.data;
+      return transcript;
     } catch (error) {
       this.emit('transcriptionError', error);
-      throw new Error(`Voice recognition failed: ${error.message}`);
+      throw new Error(`Voice recognition failed: ${error.message}`, { cause: error });
     }
   }
 
   /**
-   * Real-time transcription with streaming
-   * @param {ReadableStream} audioStream - Audio stream
+   * Build the speech-to-text multipart body
+   * @param {Blob} file - Audio
+   * @param {string} fileName - Upload name
    * @param {Object} options - Transcription options
-   * @returns {Promise<Object>} Streaming transcription result
+   * @returns {FormData} Form data
+   * @private
+   */
+  buildFormData(file, fileName, options = {}) {
+    const formData = new FormData();
+    formData.append('file', file, fileName);
+    formData.append('model_id', options.modelId || this.modelId);
+    formData.append('language_code', options.language || this.language);
+
+    if (options.diarize) {
+      formData.append('diarize', 'true');
+      if (options.numSpeakers) formData.append('num_speakers', String(options.numSpeakers));
+    }
+    (options.keywords || []).forEach(keyword => formData.append('keyterms', keyword));
+
+    return formData;
+  }
+
+  /**
+   * Real-time transcription with streaming
+   * @param {Blob} audioStream - Audio data
+   * @param {Object} options - Transcription options, as for transcribeBuffer()
+   * @returns {Promise<Transcript>} Transcript
    */
   async transcribeStream(audioStream, options = {}) {
     try {
-      const formData = new FormData();
-      formData.append('file', audioStream);
-      formData.append('model', options.modelId || this.modelId);
-      formData.append('language', options.language || this.language);
-      formData.append('response_format', 'verbose_json');
-
-      const response = await axios.post(`${this.baseUrl}/speech-to-text`, formData, {
-        headers: {
-          'xi-api-key': this.apiKey,
-          'Content-Type': 'multipart/form-data'
-        },
+      const formData = this.buildFormData(audioStream, options.fileName || 'audio', options);
+
+      const data = await this.client.upload('/speech-to-text', formData, {
+        ...options.request,
         onUploadProgress: (progressEvent) => {
           const percentCompleted = Math.round((progressEvent.loaded * 100) / progressEvent.total);
           this.emit('transcriptionProgress', { percentCompleted });
         }
       });
 
-      this.emit('streamTranscriptionComplete', response.data);
-      return response.data;
+      const transcript = Transcript.fromResponse(data, options);
+      this.emit('streamTranscriptionComplete', transcript);
+      return transcript;
     } catch (error) {
       this.emit('streamTranscriptionError', error);
       throw new Error(`Stream transcription failed: ${error.message}`);
@@ -103,29 +123,35 @@ class VoiceRecognition extends EventEmitter {
 
   /**
    * Batch transcribe multiple audio files
+   * Files run through a BatchJob: `concurrency` uploads at once, each retried up to `retries` times.
    * @param {Array} audioPaths - Array of audio file paths
-   * @param {Object} options - Transcription options
-   * @returns {Promise<Array>} Array of transcription results
+   * @param {Object} options - Transcription options plus `concurrency`, `retries` and `retryDelay`
+   * @returns {Promise<Array>} Array of transcription results, in input order
+   * @throws {Error} The first failure, once every other file has been tried
    */
   async batchTranscribe(audioPaths, options = {}) {
-    const results = [];
-    const concurrency = options.concurrency || 3;
+    const { concurrency, retries, retryDelay, ...transcriptionOptions } = options;
+    const job = new BatchJob({ client: this.client, concurrency, retries, retryDelay });
+    const results = new Array(audioPaths.length);
+    const settled = ({ completed, failed, total }) => {
+      this.emit('batchTranscriptionProgress', { completed: completed + failed, failed, total });
+    };
+
+    job.on('itemComplete', settled);
+    job.on('itemFailed', settled);
+
+    const items = audioPaths.map((audio, index) => ({ id: String(index), type: 'transcribe', audio }));
+    const report = await job.run(items, async (item, { request }) => {
+      results[Number(item.id)] = await this.transcribe(item.audio, {
+        ...transcriptionOptions,
+        request: { ...transcriptionOptions.request, ...request }
+      });
+    });
 
-    for (let i = 0; i < audioPaths.length; i += concurrency) {
-      const batch = audioPaths.slice(i, i + concurrency);
-      const batchPromises = batch.map(audioPath => this.transcribe(audioPath, options));
-      
-      try {
-        const batchResults = await Promise.all(batchPromises);
-        results.push(...batchResults);
-        this.emit('batchTranscriptionProgress', { 
-          completed: i + batch.length, 
-          total: audioPaths.length 
-        });
-      } catch (error) {
-        this.emit('batchTranscriptionError', { error, batchIndex: i });
-        throw error;
-      }
+    if (report.failed > 0) {
+      const error = new Error(`Batch transcription failed for ${report.failed}/${report.total} files: ${report.failures[0].error}`);
+      this.emit('batchTranscriptionError', { error, failures: report.failures });
+      throw error;
     }
 
     return results;
@@ -137,12 +163,7 @@ class VoiceRecognition extends EventEmitter {
    */
   async getSupportedLanguages() {
     try {
-      const response = await axios.get(`${this.baseUrl}/languages`, {
-        headers: {
-          'xi-api-key': this.apiKey
-        }
-      });
-      return response.data;
+      return await this.client.get('/languages');
     } catch (error) {
       throw new Error(`Failed to fetch supported languages: ${error.message}`);
     }
@@ -157,9 +178,9 @@ class VoiceRecognition extends EventEmitter {
     try {
       const stats = await fs.stat(audioPath);
       const ext = path.extname(audioPath).toLowerCase();
-      const supportedFormats = ['.wav', '.mp3', '.m4a', '.flac', '.ogg'];
+      const supportedFormats = AudioFormat.INPUT_FORMATS.map(format => format.ext);
       
-      const isValid = supportedFormats.includes(ext) && stats.size > 0;
+      const isValid = AudioFormat.input(ext) !== null && stats.size > 0;
       
       return {
         isValid,
@@ -198,4 +219,14 @@ class VoiceRecognition extends EventEmitter {
   }
 }
 
+/**
+ * Pick an upload name whose extension matches the audio, so the API detects the format
+ * @param {Buffer} buffer - Encoded audio
+ * @returns {string} File name
+ */
+function uploadName(buffer) {
+  const format = AudioFormat.sniff(buffer);
+  return `audio${format ? format.ext : '.wav'}`;
+}
+
 module.exports = VoiceRecognition;
\ No newline at end of file
@@ -0,0 +1,265 @@
+/**
+ * Voice Sample Set Module
+ * Collects cloning samples from files, directories and globs, and checks each one's
+ * format, size and duration before they are uploaded together
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const AudioFormat = require('../lib/audio-format');
+const AudioAnalyzer = require('./audio-analyzer');
+
+// Instant voice cloning limits and guidance
+const MAX_SAMPLES = 25;
+const MAX_SAMPLE_BYTES = 10 * 1024 * 1024;
+const MIN_SAMPLE_SECONDS = 1;
+const SHORT_SAMPLE_SECONDS = 10;
+const LONG_SAMPLE_SECONDS = 300;
+const RECOMMENDED_SECONDS = 60;
+
+// Formats that cannot be measured locally are estimated from their size (1MB ≈ 1 minute)
+const ESTIMATED_SECONDS_PER_BYTE = 60 / (1024 * 1024);
+
+/**
+ * Turn a glob into a regular expression over forward-slash relative paths
+ * Supports *, ? and ** (any number of directories).
+ * @param {string} pattern - Glob relative to its base directory
+ * @returns {RegExp} Matcher
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      source += pattern[i + 2] === '/' ? '(?:.*/)?' : '.*';
+      i += pattern[i + 2] === '/' ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`, process.platform === 'win32' ? 'i' : '');
+}
+
+/**
+ * Every file under a directory, as paths relative to it with forward slashes
+ * @param {string} dir - Directory
+ * @param {boolean} recursive - Descend into subdirectories
+ * @returns {Promise<Array<string>>} Relative paths
+ */
+async function listFiles(dir, recursive) {
+  const files = [];
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    if (entry.isDirectory() && recursive) {
+      const nested = await listFiles(path.join(dir, entry.name), true);
+      files.push(...nested.map(file => `${entry.name}/${file}`));
+    } else if (entry.isFile()) {
+      files.push(entry.name);
+    }
+  }
+  return files;
+}
+
+class VoiceSampleSet {
+  /**
+   * @param {Object} options - Set options
+   * @param {AudioAnalyzer} options.analyzer - Measures WAV and MP3 durations
+   */
+  constructor(options = {}) {
+    this.analyzer = options.analyzer || new AudioAnalyzer();
+    this.samples = [];
+  }
+
+  /**
+   * Expand files, directories (their audio files, not recursive) and globs into sample paths
+   * @param {Array<string|Object>|string} inputs - What the user gave, or `{ file, source }` for files already found
+   * @param {string} cwd - Directory relative inputs start from
+   * @param {Function} accept - Which files a directory contributes (default: uploadable audio)
+   * @returns {Promise<Array<Object>>} `{ file, source }` per sample, sorted and without duplicates
+   * @throws {Error} When an input matches nothing
+   */
+  static async expand(inputs, cwd = process.cwd(), accept = file => AudioFormat.input(file)) {
+    const found = new Map();
+    for (const input of [].concat(inputs || [])) {
+      if (typeof input === 'object') {
+        const file = path.resolve(cwd, input.file);
+        if (!found.has(file)) found.set(file, { file, source: input.source || input.file });
+        continue;
+      }
+
+      const absolute = path.resolve(cwd, input);
+      let files;
+
+      if (/[*?]/.test(input)) {
+        // Everything before the first wildcard segment is a plain directory to start from
+        const segments = absolute.split(path.sep);
+        const first = segments.findIndex(segment => /[*?]/.test(segment));
+        const base = segments.slice(0, first).join(path.sep) || path.sep;
+        const rest = segments.slice(first);
+        const matcher = globToRegExp(rest.join('/'));
+        const candidates = (await fs.pathExists(base)) ? await listFiles(base, rest.length > 1 || rest[0] === '**') : [];
+        files = candidates.filter(file => matcher.test(file)).map(file => path.join(base, file));
+      } else if ((await fs.pathExists(absolute)) && (await fs.stat(absolute)).isDirectory()) {
+        files = (await listFiles(absolute, false))
+          .filter(file => accept(file))
+          .map(file => path.join(absolute, file));
+      } else {
+        files = [absolute];
+      }
+
+      if (files.length === 0) {
+        throw new Error(`No audio samples match ${input}`);
+      }
+      files.forEach(file => {
+        if (!found.has(file)) found.set(file, { file, source: input });
+      });
+    }
+
+    return [...found.values()].sort((a, b) => a.file.localeCompare(b.file));
+  }
+
+  /**
+   * Check one sample
+   * @param {string} file - Sample path
+   * @param {string} source - Input it came from
+   * @returns {Promise<Object>} `{ file, source, format, bytes, sha256, duration, estimated, issues, warnings, usable }`
+   */
+  async inspect(file, source = file) {
+    const sample = {
+      file,
+      source,
+      format: null,
+      mime: null,
+      bytes: 0,
+      sha256: null,
+      duration: null,
+      estimated: false,
+      issues: [],
+      warnings: [],
+      usable: false
+    };
+
+    let buffer;
+    try {
+      buffer = await fs.readFile(file);
+    } catch (error) {
+      sample.issues.push(error.code === 'ENOENT' ? 'File not found' : `Cannot read file: ${error.message}`);
+      return sample;
+    }
+
+    sample.bytes = buffer.length;
+    sample.sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+
+    // The content decides the format; a misleading extension is only worth a warning
+    const named = AudioFormat.input(file);
+    const format = AudioFormat.sniff(buffer) || named;
+    if (!format) {
+      const supported = AudioFormat.INPUT_FORMATS.map(f => f.ext).join(', ');
+      sample.issues.push(`Unsupported format ${path.extname(file) || '(no extension)'}; supported: ${supported}`);
+      return sample;
+    }
+    if (named && named.ext !== format.ext) {
+      sample.warnings.push(`Named ${named.ext} but contains ${format.description}`);
+    }
+    sample.format = format.ext;
+    sample.mime = format.mime;
+
+    if (buffer.length === 0) {
+      sample.issues.push('File is empty');
+    } else if (buffer.length > MAX_SAMPLE_BYTES) {
+      sample.issues.push(`Too large: ${(buffer.length / 1024 / 1024).toFixed(1)}MB (max ${MAX_SAMPLE_BYTES / 1024 / 1024}MB per sample)`);
+    }
+
+    if (format.analyzable && buffer.length > 0) {
+      try {
+        sample.duration = this.analyzer.probe(buffer).duration;
+      } catch (error) {
+        sample.issues.push(`Cannot decode audio: ${error.message}`);
+      }
+    } else if (buffer.length > 0) {
+      sample.duration = buffer.length * ESTIMATED_SECONDS_PER_BYTE;
+      sample.estimated = true;
+    }
+
+    if (sample.duration !== null) {
+      if (sample.duration < MIN_SAMPLE_SECONDS) {
+        sample.issues.push(`Too short: ${sample.duration.toFixed(1)}s (min ${MIN_SAMPLE_SECONDS}s)`);
+      } else if (sample.duration < SHORT_SAMPLE_SECONDS) {
+        sample.warnings.push(`Short sample (${sample.duration.toFixed(1)}s); ${SHORT_SAMPLE_SECONDS}s or more works better`);
+      } else if (sample.duration > LONG_SAMPLE_SECONDS) {
+        sample.warnings.push(`Long sample (${Math.round(sample.duration / 60)} min); split it into several shorter ones`);
+      }
+    }
+
+    sample.usable = sample.issues.length === 0;
+    return sample;
+  }
+
+  /**
+   * Expand and inspect inputs, keeping the result on this set
+   * @param {Array<string|Object>|string} inputs - Files, directories or globs (see expand())
+   * @param {string} cwd - Directory relative inputs start from
+   * @returns {Promise<VoiceSampleSet>} This set
+   */
+  async load(inputs, cwd = process.cwd()) {
+    const expanded = await VoiceSampleSet.expand(inputs, cwd);
+    this.samples = [];
+    const seen = new Map();
+    for (const { file, source } of expanded) {
+      const sample = await this.inspect(file, source);
+      // A copy of a sample already in the set adds nothing to the voice
+      if (sample.usable && seen.has(sample.sha256)) {
+        sample.usable = false;
+        sample.issues.push(`Same audio as ${path.basename(seen.get(sample.sha256))}`);
+      } else if (sample.sha256) {
+        seen.set(sample.sha256, file);
+      }
+      this.samples.push(sample);
+    }
+
+    // Past the upload limit the extra samples are set aside rather than failing the whole request
+    this.getUsable().slice(MAX_SAMPLES).forEach(sample => {
+      sample.usable = false;
+      sample.issues.push(`Over the ${MAX_SAMPLES}-sample limit for one voice`);
+    });
+    return this;
+  }
+
+  /**
+   * Samples that can be uploaded
+   * @returns {Array<Object>} Usable samples
+   */
+  getUsable() {
+    return this.samples.filter(sample => sample.usable);
+  }
+
+  /**
+   * Totals for the set
+   * @returns {Object} `{ samples, usable, rejected, seconds, estimated, bytes, recommendedSeconds, enough }`
+   */
+  getSummary() {
+    const usable = this.getUsable();
+    const seconds = usable.reduce((sum, sample) => sum + sample.duration, 0);
+    return {
+      samples: this.samples.length,
+      usable: usable.length,
+      rejected: this.samples.length - usable.length,
+      seconds,
+      estimated: usable.some(sample => sample.estimated),
+      bytes: usable.reduce((sum, sample) => sum + sample.bytes, 0),
+      recommendedSeconds: RECOMMENDED_SECONDS,
+      enough: seconds >= RECOMMENDED_SECONDS
+    };
+  }
+}
+
+VoiceSampleSet.MAX_SAMPLES = MAX_SAMPLES;
+VoiceSampleSet.MAX_SAMPLE_BYTES = MAX_SAMPLE_BYTES;
+VoiceSampleSet.RECOMMENDED_SECONDS = RECOMMENDED_SECONDS;
+VoiceSampleSet.globToRegExp = globToRegExp;
+
+module.exports = VoiceSampleSet;
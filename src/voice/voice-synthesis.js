@@ -3,10 +3,19 @@
  * Provides comprehensive text-to-speech capabilities with voice customization
  */
 
-const axios = require('axios');
 const fs = require('fs-extra');
 const path = require('path');
 const { EventEmitter } = require('events');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const APIClient = require('../lib/api-client');
+const AudioFormat = require('../lib/audio-format');
+const AudioCache = require('../lib/audio-cache');
+const TextChunker = require('./text-chunker');
+const SSMLProcessor = require('./ssml-processor');
+const PronunciationLexicon = require('./pronunciation-lexicon');
+const SubtitleBuilder = require('./subtitle-builder');
+const BatchJob = require('./batch-job');
 
 class VoiceSynthesis extends EventEmitter {
   constructor(options = {}) {
@@ -15,48 +24,355 @@ class VoiceSynthesis extends EventEmitter {
     this.baseUrl = options.baseUrl || 'https://api.elevenlabs.io/v1';
     this.voiceId = options.voiceId || 'pNInz6obpgDQGcFmaJgB'; // Default voice
     this.modelId = options.modelId || 'eleven_multilingual_v2';
+    this.outputFormat = options.outputFormat || AudioFormat.DEFAULT_OUTPUT_FORMAT;
     this.voiceSettings = {
       stability: options.stability || 0.5,
       similarityBoost: options.similarityBoost || 0.5,
       style: options.style || 0.0,
       useSpeakerBoost: options.useSpeakerBoost || true
     };
+    this.client = options.client || new APIClient({
+      apiKey: this.apiKey,
+      baseURL: this.baseUrl,
+      persistentCache: false
+    });
+    // Optional AudioCache; repeated requests are answered from disk instead of the API
+    this.cache = options.cache || null;
+    this.cacheSavings = { hits: 0, characters: 0 };
+    // Optional UsageTracker; billed characters are recorded and checked against the project's budgets
+    this.usage = options.usage || null;
+    this.ssmlProcessor = new SSMLProcessor({ lexicon: options.lexicon });
+    this.reportedWarnings = new Set();
+  }
+
+  /**
+   * Load a pronunciation lexicon (.json or .pls) applied to every request
+   * @param {string} filePath - Lexicon file path
+   * @returns {Promise<PronunciationLexicon>} Loaded lexicon
+   */
+  async loadLexicon(filePath) {
+    this.ssmlProcessor.lexicon = await PronunciationLexicon.fromFile(filePath);
+    return this.ssmlProcessor.lexicon;
+  }
+
+  /**
+   * Validate SSML and apply the lexicon, emitting each distinct warning once
+   * @param {string} text - Plain text or SSML
+   * @param {Object} options - Synthesis options
+   * @returns {string} API-ready text
+   */
+  prepareText(text, options = {}) {
+    const result = this.ssmlProcessor.process(text, { modelId: options.modelId || this.modelId });
+
+    result.warnings
+      .filter(warning => !this.reportedWarnings.has(warning))
+      .forEach(warning => {
+        this.reportedWarnings.add(warning);
+        this.emit('pronunciationWarning', { message: warning });
+      });
+
+    return result.text;
   }
 
   /**
    * Synthesize text to speech with advanced options
    * @param {string} text - Text to synthesize
-   * @param {Object} options - Synthesis options
+   * @param {Object} options - Synthesis options (`outputFormat` e.g. `pcm_22050`; `request` is passed to APIClient as per-call overrides;
+   *   `cache: false` bypasses the audio cache)
    * @returns {Promise<Buffer>} Audio buffer
    */
   async synthesize(text, options = {}) {
     try {
       const voiceId = options.voiceId || this.voiceId;
-      const modelId = options.modelId || this.modelId;
-      const voiceSettings = { ...this.voiceSettings, ...options.voiceSettings };
-
-      const response = await axios.post(
-        `${this.baseUrl}/text-to-speech/${voiceId}`,
-        {
-          text,
-          model_id: modelId,
-          voice_settings: voiceSettings
-        },
-        {
-          headers: {
-            'Accept': 'audio/mpeg',
-            'Content-Type': 'application/json',
-            'xi-api-key': this.apiKey
-          },
-          responseType: 'arraybuffer'
-        }
-      );
+      const body = this.buildRequestBody(text, options);
+      const cacheKey = this.cache && options.cache !== false ? this.getCacheKey(body, options) : null;
+
+      const cached = cacheKey && await this.readCache(cacheKey, text, voiceId, body);
+      if (cached) {
+        this.emit('synthesisComplete', { text, voiceId, duration: cached.length, cached: true });
+        return cached;
+      }
+
+      const audioBuffer = await this.metered(voiceId, body, () => this.client.postBinary(
+        `/text-to-speech/${voiceId}`,
+        body,
+        this.buildRequestOptions(options)
+      ));
+
+      if (cacheKey) await this.writeCache(cacheKey, audioBuffer, body, options);
+      this.emit('synthesisComplete', { text, voiceId, duration: audioBuffer.length });
+      return audioBuffer;
+    } catch (error) {
+      this.emit('synthesisError', error);
+      throw new Error(`Voice synthesis failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Synthesize text and return its character and word timings alongside the audio
+   * @param {string} text - Text to synthesize
+   * @param {Object} options - Synthesis options, as for synthesize()
+   * @returns {Promise<Object>} `{ audio, characters, words }` with times in ms from the start of the audio
+   */
+  async synthesizeWithTimestamps(text, options = {}) {
+    try {
+      const voiceId = options.voiceId || this.voiceId;
+      const request = this.buildRequestOptions(options);
+      const body = this.buildRequestBody(text, options);
+
+      const response = await this.metered(voiceId, body, () => this.client.post(
+        `/text-to-speech/${voiceId}/with-timestamps`,
+        body,
+        { ...request, headers: { ...request.headers, 'Accept': 'application/json' } }
+      ));
+
+      const audio = Buffer.from(response.audio_base64 || '', 'base64');
+      const characters = SubtitleBuilder.fromAlignment(response.alignment);
+
+      this.emit('synthesisComplete', { text, voiceId, duration: audio.length });
+      return { audio, characters, words: SubtitleBuilder.groupWords(characters) };
+    } catch (error) {
+      this.emit('synthesisError', error);
+      throw new Error(`Voice synthesis failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Send a billed request, holding its characters against the usage budgets until it settles
+   * @param {string} voiceId - Voice ID, recorded with the usage
+   * @param {Object} body - Request body; its text is what the API bills
+   * @param {Function} send - Sends the request
+   * @returns {Promise<*>} Whatever send() resolves to
+   * @throws {Error} BUDGET_EXCEEDED before sending when the request would go over a budget
+   * @private
+   */
+  async metered(voiceId, body, send) {
+    if (!this.usage) return send();
+
+    const characters = body.text.length;
+    await this.usage.reserve(characters);
+
+    let result;
+    try {
+      result = await send();
+    } catch (error) {
+      this.usage.release(characters);
+      throw error;
+    }
+
+    this.usage.record({ characters, voiceId, modelId: body.model_id });
+    return result;
+  }
+
+  /**
+   * Look up cached audio; cache trouble is reported and treated as a miss, never as a failed synthesis
+   * @param {string} cacheKey - Key from getCacheKey()
+   * @param {string} text - Original text, for the event
+   * @param {string} voiceId - Voice ID, recorded with the (free) usage
+   * @param {Object} body - Request body that would have been sent
+   * @returns {Promise<Buffer|null>} Cached audio
+   * @private
+   */
+  async readCache(cacheKey, text, voiceId, body) {
+    try {
+      const audio = await this.cache.get(cacheKey);
+      if (audio) {
+        this.cacheSavings.hits++;
+        this.cacheSavings.characters += body.text.length;
+        this.usage?.record({ characters: body.text.length, voiceId, modelId: body.model_id, cached: true });
+        this.emit('cacheHit', { text, characters: body.text.length, size: audio.length });
+      }
+      return audio;
+    } catch (error) {
+      this.emit('cacheError', error);
+      return null;
+    }
+  }
+
+  /**
+   * Store freshly synthesized audio in the cache
+   * @param {string} cacheKey - Key from getCacheKey()
+   * @param {Buffer} audio - Audio from the API
+   * @param {Object} body - Request body that was sent
+   * @param {Object} options - Synthesis options
+   * @returns {Promise<void>}
+   * @private
+   */
+  async writeCache(cacheKey, audio, body, options = {}) {
+    try {
+      await this.cache.set(cacheKey, audio, {
+        format: options.outputFormat || this.outputFormat,
+        characters: body.text.length
+      });
+    } catch (error) {
+      this.emit('cacheError', error);
+    }
+  }
+
+  /**
+   * Per-call APIClient options: the output_format query parameter and a matching Accept header
+   * @param {Object} options - Synthesis options (`outputFormat`, `request`)
+   * @returns {Object} Request options
+   * @private
+   */
+  buildRequestOptions(options = {}) {
+    const format = AudioFormat.output(options.outputFormat || this.outputFormat);
+    const request = options.request || {};
+
+    return {
+      ...request,
+      params: { ...request.params, output_format: format.name },
+      headers: { 'Accept': format.mime, ...request.headers }
+    };
+  }
+
+  /**
+   * Build the text-to-speech request body
+   * @param {string} text - Text to synthesize
+   * @param {Object} options - Synthesis options
+   * @returns {Object} Request body
+   * @private
+   */
+  buildRequestBody(text, options = {}) {
+    const body = {
+      text: this.prepareText(text, options),
+      model_id: options.modelId || this.modelId,
+      voice_settings: this.buildVoiceSettings(options.voiceSettings)
+    };
+
+    // Neighbouring text keeps prosody continuous across chunk boundaries
+    if (options.previousText) body.previous_text = this.prepareText(options.previousText, options);
+    if (options.nextText) body.next_text = this.prepareText(options.nextText, options);
 
-      this.emit('synthesisComplete', { text, voiceId, duration: response.data.length });
-      return Buffer.from(response.data);
+    return body;
+  }
+
+  /**
+   * Merge per-call overrides (camelCase or snake_case) into the API's voice_settings
+   * @param {Object} overrides - Voice settings overrides
+   * @returns {Object} voice_settings payload
+   * @private
+   */
+  buildVoiceSettings(overrides = {}) {
+    const merged = { ...this.voiceSettings };
+    Object.entries(overrides).forEach(([key, value]) => {
+      const camelKey = key.replace(/_([a-z])/g, (_, letter) => letter.toUpperCase());
+      merged[camelKey] = value;
+    });
+
+    return {
+      stability: merged.stability,
+      similarity_boost: merged.similarityBoost,
+      style: merged.style,
+      use_speaker_boost: merged.useSpeakerBoost
+    };
+  }
+
+  /**
+   * Open a streaming synthesis request; audio arrives while it is generated
+   * @param {string} text - Text to synthesize
+   * @param {Object} options - Synthesis options (`signal` is an AbortSignal that cancels the request)
+   * @returns {Promise<Readable>} Audio stream
+   */
+  async synthesizeStream(text, options = {}) {
+    try {
+      const voiceId = options.voiceId || this.voiceId;
+      const body = this.buildRequestBody(text, options);
+
+      // Billed once the stream opens, even if it is cancelled part way
+      return await this.metered(voiceId, body, () => this.client.stream('POST', `/text-to-speech/${voiceId}/stream`, {
+        ...this.buildRequestOptions(options),
+        data: body,
+        signal: options.signal
+      }));
     } catch (error) {
       this.emit('synthesisError', error);
-      throw new Error(`Voice synthesis failed: ${error.message}`);
+      throw new Error(`Streaming synthesis failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Stream synthesized audio into a writable (file, stdout, socket...)
+   * @param {string} text - Text to synthesize
+   * @param {Writable} destination - Destination stream
+   * @param {Object} options - Synthesis options (`signal` cancels, `end: false` leaves destination open, `cache: false` bypasses the audio cache)
+   * @returns {Promise<Object>} Stream stats: bytes, chunks, timeToFirstByte, duration, aborted, cached
+   */
+  async streamToWritable(text, destination, options = {}) {
+    const startTime = Date.now();
+    const body = this.cache && options.cache !== false ? this.buildRequestBody(text, options) : null;
+    const cacheKey = body && this.getCacheKey(body, options);
+    const cached = cacheKey && await this.readCache(cacheKey, text, options.voiceId || this.voiceId, body);
+    const stats = { bytes: 0, chunks: 0, timeToFirstByte: null, duration: 0, aborted: false, cached: Boolean(cached) };
+    // Chunks are kept only when a complete stream should be added to the cache
+    const received = cacheKey && !cached ? [] : null;
+
+    const meter = new Transform({
+      transform: (chunk, encoding, callback) => {
+        if (stats.timeToFirstByte === null) {
+          stats.timeToFirstByte = Date.now() - startTime;
+          this.emit('streamFirstByte', { text, timeToFirstByte: stats.timeToFirstByte });
+        }
+        stats.bytes += chunk.length;
+        stats.chunks++;
+        if (received) received.push(chunk);
+        this.emit('streamProgress', { bytes: stats.bytes, chunks: stats.chunks });
+        callback(null, chunk);
+      }
+    });
+
+    try {
+      const audioStream = cached ? Readable.from([cached]) : await this.synthesizeStream(text, options);
+      await pipeline(audioStream, meter, destination, { end: options.end !== false });
+      if (received) await this.writeCache(cacheKey, Buffer.concat(received), body, options);
+    } catch (error) {
+      if (!options.signal?.aborted) {
+        if (error.cause) throw error; // Already reported by synthesizeStream
+        this.emit('synthesisError', error);
+        throw new Error(`Streaming synthesis failed: ${error.message}`, { cause: error });
+      }
+      stats.aborted = true;
+    }
+
+    stats.duration = Date.now() - startTime;
+    this.emit(stats.aborted ? 'streamAborted' : 'synthesisComplete', { text, ...stats });
+    return stats;
+  }
+
+  /**
+   * Stream synthesized audio to a file as it arrives
+   * A `.wav` path gets a WAV header around PCM or μ-law output, patched with the real size at the end.
+   * @param {string} text - Text to synthesize
+   * @param {string} outputPath - Output file path
+   * @param {Object} options - Synthesis options (`signal` cancels the stream)
+   * @returns {Promise<Object>} Stream stats including outputPath
+   */
+  async streamToFile(text, outputPath, options = {}) {
+    const format = AudioFormat.output(options.outputFormat || this.outputFormat);
+    // Validates the format/extension pairing before anything is requested
+    const header = AudioFormat.forFile(Buffer.alloc(0), format.name, outputPath);
+    await fs.ensureDir(path.dirname(outputPath));
+
+    try {
+      const output = fs.createWriteStream(outputPath);
+      if (header.length > 0) output.write(header);
+      const stats = await this.streamToWritable(text, output, options);
+
+      // Don't leave a truncated file behind when the stream was cancelled
+      if (stats.aborted) {
+        await fs.remove(outputPath);
+      } else {
+        if (header.length > 0) {
+          await writeAt(outputPath, AudioFormat.wavHeader(format, stats.bytes), 0);
+        }
+        this.emit('fileSaved', { text, outputPath, size: stats.bytes });
+      }
+
+      return { ...stats, outputPath };
+    } catch (error) {
+      await fs.remove(outputPath);
+      this.emit('fileSaveError', error);
+      throw error;
     }
   }
 
@@ -69,7 +385,8 @@ class VoiceSynthesis extends EventEmitter {
    */
   async synthesizeToFile(text, outputPath, options = {}) {
     try {
-      const audioBuffer = await this.synthesize(text, options);
+      const format = options.outputFormat || this.outputFormat;
+      const audioBuffer = AudioFormat.forFile(await this.synthesize(text, options), format, outputPath);
       await fs.ensureDir(path.dirname(outputPath));
       await fs.writeFile(outputPath, audioBuffer);
       
@@ -77,32 +394,142 @@ class VoiceSynthesis extends EventEmitter {
       return outputPath;
     } catch (error) {
       this.emit('fileSaveError', error);
-      throw new Error(`Failed to save audio file: ${error.message}`);
+      throw new Error(`Failed to save audio file: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Synthesize a whole document into one audio file
+   * Text is chunked on paragraph and sentence boundaries and chunks are synthesized concurrently.
+   * MP3 parts are joined frame by frame; PCM and μ-law parts are joined and wrapped in WAV for a `.wav` path.
+   * Finished chunks are kept in `<outputPath>.parts/` until the run completes, so rerunning
+   * the same document resumes instead of starting over.
+   * @param {string} text - Document text
+   * @param {string} outputPath - Output file path
+   * @param {Object} options - Synthesis options plus `maxChars`, `concurrency`, `partsDir` and `keepParts`
+   * @returns {Promise<Object>} Output path, chunk count, resumed chunk count and file size
+   */
+  async synthesizeDocument(text, outputPath, options = {}) {
+    const chunks = new TextChunker({ maxChars: options.maxChars }).chunk(text);
+    if (chunks.length === 0) {
+      throw new Error('Document synthesis failed: no text to synthesize');
     }
+
+    const format = AudioFormat.output(options.outputFormat || this.outputFormat);
+    AudioFormat.forFile(Buffer.alloc(0), format.name, outputPath);
+    const partsDir = options.partsDir || `${outputPath}.parts`;
+    const concurrency = Math.min(Math.max(1, options.concurrency || 3), chunks.length);
+    const parts = new Array(chunks.length);
+    let nextIndex = 0;
+    let completed = 0;
+    let resumed = 0;
+    let failure = null;
+
+    await fs.ensureDir(partsDir);
+
+    const worker = async () => {
+      while (!failure && nextIndex < chunks.length) {
+        const index = nextIndex++;
+        const chunkOptions = {
+          ...options,
+          previousText: chunks[index - 1],
+          nextText: chunks[index + 1]
+        };
+        const partPath = path.join(partsDir, `${String(index).padStart(4, '0')}-${this.getChunkKey(chunks[index], chunkOptions)}.${format.codec}`);
+
+        try {
+          if (await fs.pathExists(partPath)) {
+            resumed++;
+          } else {
+            const audioBuffer = await this.synthesize(chunks[index], chunkOptions);
+            // Rename into place so a killed run never leaves a truncated part that looks finished
+            await fs.writeFile(`${partPath}.tmp`, audioBuffer);
+            await fs.rename(`${partPath}.tmp`, partPath);
+          }
+        } catch (error) {
+          failure = failure || error;
+          return;
+        }
+
+        parts[index] = partPath;
+        completed++;
+        this.emit('documentProgress', { index, completed, resumed, total: chunks.length });
+      }
+    };
+
+    await Promise.all(Array.from({ length: concurrency }, worker));
+    if (failure) {
+      this.emit('documentError', { error: failure, completed, total: chunks.length, partsDir });
+      throw new Error(`Document synthesis failed after ${completed}/${chunks.length} chunks: ${failure.message}`, { cause: failure });
+    }
+
+    await fs.ensureDir(path.dirname(outputPath));
+    await pipeline(Readable.from(readParts(parts, format, outputPath)), fs.createWriteStream(outputPath));
+    if (!options.keepParts) {
+      await fs.remove(partsDir);
+    }
+
+    const { size } = await fs.stat(outputPath);
+    this.emit('fileSaved', { text, outputPath, size });
+    return { outputPath, chunks: chunks.length, resumed, size };
+  }
+
+  /**
+   * Identify a chunk by everything that affects its audio, so stale parts are never reused
+   * @param {string} text - Chunk text
+   * @param {Object} options - Synthesis options for the chunk
+   * @returns {string} Short content hash
+   * @private
+   */
+  getChunkKey(text, options = {}) {
+    return this.getCacheKey(this.buildRequestBody(text, options), options).slice(0, 16);
+  }
+
+  /**
+   * Audio cache key: a hash of the voice, the output format and the exact request body
+   * (text after the lexicon, model, voice settings and neighbouring text)
+   * @param {Object} body - Request body from buildRequestBody()
+   * @param {Object} options - Synthesis options
+   * @returns {string} Cache key
+   * @private
+   */
+  getCacheKey(body, options = {}) {
+    return AudioCache.key({
+      voiceId: options.voiceId || this.voiceId,
+      outputFormat: AudioFormat.output(options.outputFormat || this.outputFormat).name,
+      body
+    });
   }
 
   /**
    * Batch synthesize multiple texts
+   * Texts run through a BatchJob: `concurrency` requests at once, each retried up to `retries` times.
    * @param {Array} texts - Array of texts to synthesize
-   * @param {Object} options - Synthesis options
-   * @returns {Promise<Array>} Array of audio buffers
+   * @param {Object} options - Synthesis options plus `concurrency`, `retries` and `retryDelay`
+   * @returns {Promise<Array>} Array of audio buffers, in input order
+   * @throws {Error} The first failure, once every other text has been tried
    */
   async batchSynthesize(texts, options = {}) {
-    const results = [];
-    const concurrency = options.concurrency || 3;
+    const { concurrency, retries, retryDelay, ...synthesisOptions } = options;
+    const job = new BatchJob({ client: this.client, concurrency, retries, retryDelay });
+    const results = new Array(texts.length);
+    const settled = ({ completed, failed, total }) => this.emit('batchProgress', { completed: completed + failed, failed, total });
 
-    for (let i = 0; i < texts.length; i += concurrency) {
-      const batch = texts.slice(i, i + concurrency);
-      const batchPromises = batch.map(text => this.synthesize(text, options));
-      
-      try {
-        const batchResults = await Promise.all(batchPromises);
-        results.push(...batchResults);
-        this.emit('batchProgress', { completed: i + batch.length, total: texts.length });
-      } catch (error) {
-        this.emit('batchError', { error, batchIndex: i });
-        throw error;
-      }
+    job.on('itemComplete', settled);
+    job.on('itemFailed', settled);
+
+    const items = texts.map((text, index) => ({ id: String(index), type: 'synthesize', text }));
+    const report = await job.run(items, async (item, { request }) => {
+      results[Number(item.id)] = await this.synthesize(item.text, {
+        ...synthesisOptions,
+        request: { ...synthesisOptions.request, ...request }
+      });
+    });
+
+    if (report.failed > 0) {
+      const error = new Error(`Batch synthesis failed for ${report.failed}/${report.total} texts: ${report.failures[0].error}`);
+      this.emit('batchError', { error, failures: report.failures });
+      throw error;
     }
 
     return results;
@@ -114,12 +541,8 @@ class VoiceSynthesis extends EventEmitter {
    */
   async getVoices() {
     try {
-      const response = await axios.get(`${this.baseUrl}/voices`, {
-        headers: {
-          'xi-api-key': this.apiKey
-        }
-      });
-      return response.data.voices;
+      const data = await this.client.get('/voices');
+      return data.voices;
     } catch (error) {
       throw new Error(`Failed to fetch voices: ${error.message}`);
     }
@@ -132,12 +555,7 @@ class VoiceSynthesis extends EventEmitter {
    */
   async getVoiceDetails(voiceId) {
     try {
-      const response = await axios.get(`${this.baseUrl}/voices/${voiceId}`, {
-        headers: {
-          'xi-api-key': this.apiKey
-        }
-      });
-      return response.data;
+      return await this.client.get(`/voices/${voiceId}`);
     } catch (error) {
       throw new Error(`Failed to fetch voice details: ${error.message}`);
     }
@@ -157,15 +575,10 @@ class VoiceSynthesis extends EventEmitter {
       formData.append('description', description);
       formData.append('files', new Blob([audioBuffer]), 'audio.wav');
 
-      const response = await axios.post(`${this.baseUrl}/voices/add`, formData, {
-        headers: {
-          'xi-api-key': this.apiKey,
-          'Content-Type': 'multipart/form-data'
-        }
-      });
+      const data = await this.client.upload('/voices/add', formData);
 
-      this.emit('voiceCloned', { name, voiceId: response.data.voice_id });
-      return response.data;
+      this.emit('voiceCloned', { name, voiceId: data.voice_id });
+      return data;
     } catch (error) {
       this.emit('voiceCloneError', error);
       throw new Error(`Voice cloning failed: ${error.message}`);
@@ -179,11 +592,7 @@ class VoiceSynthesis extends EventEmitter {
    */
   async deleteVoice(voiceId) {
     try {
-      await axios.delete(`${this.baseUrl}/voices/${voiceId}`, {
-        headers: {
-          'xi-api-key': this.apiKey
-        }
-      });
+      await this.client.delete(`/voices/${voiceId}`);
       
       this.emit('voiceDeleted', { voiceId });
       return true;
@@ -201,19 +610,10 @@ class VoiceSynthesis extends EventEmitter {
    */
   async updateVoiceSettings(voiceId, settings) {
     try {
-      const response = await axios.post(
-        `${this.baseUrl}/voices/${voiceId}/edit`,
-        settings,
-        {
-          headers: {
-            'xi-api-key': this.apiKey,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
+      const data = await this.client.post(`/voices/${voiceId}/edit`, settings);
 
       this.emit('voiceSettingsUpdated', { voiceId, settings });
-      return response.data;
+      return data;
     } catch (error) {
       this.emit('voiceSettingsUpdateError', error);
       throw new Error(`Failed to update voice settings: ${error.message}`);
@@ -221,4 +621,64 @@ class VoiceSynthesis extends EventEmitter {
   }
 }
 
+/**
+ * Read document parts in order as one continuous stream
+ * MP3 parts lose their ID3 tags; raw parts headed for a `.wav` file are preceded by a WAV header.
+ * @param {Array<string>} partPaths - Part file paths
+ * @param {Object} format - Output format the parts were synthesized in
+ * @param {string} outputPath - Destination file
+ * @returns {AsyncGenerator<Buffer>} File data
+ */
+async function* readParts(partPaths, format, outputPath) {
+  if (format.codec !== 'mp3' && path.extname(outputPath).toLowerCase() === '.wav') {
+    const sizes = await Promise.all(partPaths.map(async partPath => (await fs.stat(partPath)).size));
+    yield AudioFormat.wavHeader(format, sizes.reduce((total, size) => total + size, 0));
+  }
+
+  for (const partPath of partPaths) {
+    const data = await fs.readFile(partPath);
+    yield format.codec === 'mp3' ? stripId3Tags(data) : data;
+  }
+}
+
+/**
+ * Overwrite bytes at a position in an existing file
+ * @param {string} filePath - File
+ * @param {Buffer} data - Bytes to write
+ * @param {number} position - Byte offset
+ * @returns {Promise<void>}
+ */
+async function writeAt(filePath, data, position) {
+  const fd = await fs.open(filePath, 'r+');
+  try {
+    await fs.write(fd, data, 0, data.length, position);
+  } finally {
+    await fs.close(fd);
+  }
+}
+
+/**
+ * Remove a leading ID3v2 tag and a trailing ID3v1 tag from an MP3 buffer
+ * @param {Buffer} buffer - MP3 data
+ * @returns {Buffer} MP3 frames
+ */
+function stripId3Tags(buffer) {
+  let start = 0;
+  let end = buffer.length;
+
+  // ID3v2: "ID3", version (2 bytes), flags, then a 4-byte syncsafe size
+  if (buffer.length >= 10 && buffer.toString('latin1', 0, 3) === 'ID3') {
+    const size = ((buffer[6] & 0x7f) << 21) | ((buffer[7] & 0x7f) << 14) | ((buffer[8] & 0x7f) << 7) | (buffer[9] & 0x7f);
+    const footer = buffer[5] & 0x10 ? 10 : 0;
+    start = Math.min(end, 10 + size + footer);
+  }
+
+  // ID3v1: fixed 128-byte trailer starting with "TAG"
+  if (end - start >= 128 && buffer.toString('latin1', end - 128, end - 125) === 'TAG') {
+    end -= 128;
+  }
+
+  return buffer.subarray(start, end);
+}
+
 module.exports = VoiceSynthesis;
\ No newline at end of file
@@ -3,9 +3,9 @@
  * Modern voice interface components and utilities
  */
 
-const chalk = require('chalk');
-const ora = require('ora');
-const inquirer = require('inquirer');
+const chalk = require('chalk').default;
+const ora = require('ora').default;
+const inquirer = require('inquirer').default;
 const { EventEmitter } = require('events');
 
 class VoiceUI extends EventEmitter {
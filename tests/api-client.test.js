@@ -0,0 +1,156 @@
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const axios = require('axios');
+
+const APIClient = require('../src/lib/api-client');
+const VoiceSynthesis = require('../src/voice/voice-synthesis');
+const VoiceRecognition = require('../src/voice/voice-recognition');
+
+describe('API Client Transport', () => {
+  let server;
+  let client;
+  let hits;
+
+  beforeAll((done) => {
+    server = http.createServer((req, res) => {
+      // Synthesis requests carry output_format in the query string
+      const url = req.url.split('?')[0];
+      hits[url] = (hits[url] || 0) + 1;
+      const body = [];
+      req.on('data', (chunk) => body.push(chunk));
+      req.on('end', () => {
+        if (url === '/v1/voices') {
+          res.setHeader('Content-Type', 'application/json');
+          res.end(JSON.stringify({ voices: [{ voice_id: 'voice-1' }] }));
+        } else if (url === '/v1/text-to-speech/flaky' && hits[url] === 1) {
+          res.statusCode = 503;
+          res.end();
+        } else if (url === '/v1/text-to-speech/unauthorized') {
+          res.statusCode = 401;
+          res.setHeader('Content-Type', 'application/json');
+          res.end(JSON.stringify({ detail: 'Invalid API key' }));
+        } else if (url.endsWith('/stream')) {
+          res.setHeader('Content-Type', 'audio/mpeg');
+          res.write(Buffer.alloc(100, 1));
+          setTimeout(() => res.end(Buffer.alloc(50, 2)), 20);
+        } else if (url.startsWith('/v1/text-to-speech/')) {
+          res.setHeader('Content-Type', 'audio/mpeg');
+          res.end(Buffer.from([0xff, 0xfb, 0x90, 0x00]));
+        } else if (url === '/v1/speech-to-text') {
+          res.setHeader('Content-Type', 'application/json');
+          res.end(JSON.stringify({
+            text: 'hello',
+            contentType: req.headers['content-type'],
+            apiKey: req.headers['xi-api-key'],
+            size: Buffer.concat(body).length
+          }));
+        } else {
+          res.statusCode = 404;
+          res.end();
+        }
+      });
+    });
+    server.listen(0, '127.0.0.1', done);
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    hits = {};
+    client = new APIClient({
+      baseURL: `http://127.0.0.1:${server.address().port}/v1`,
+      apiKey: 'test_api_key',
+      retryDelay: 1,
+      persistentCache: false
+    });
+  });
+
+  afterEach(async () => {
+    await client.destroy();
+  });
+
+  test('should serve repeated GETs from cache unless disabled per call', async () => {
+    const synthesis = new VoiceSynthesis({ client });
+
+    await synthesis.getVoices();
+    await synthesis.getVoices();
+    expect(hits['/v1/voices']).toBe(1);
+
+    await client.get('/voices', { cache: false });
+    expect(hits['/v1/voices']).toBe(2);
+    expect(client.getMetrics().cacheHits).toBe(1);
+  });
+
+  test('should return audio as a Buffer and retry 5xx responses', async () => {
+    const synthesis = new VoiceSynthesis({ client });
+
+    const audio = await synthesis.synthesize('Hello', { voiceId: 'flaky' });
+
+    expect(Buffer.isBuffer(audio)).toBe(true);
+    expect(audio[0]).toBe(0xff);
+    expect(hits['/v1/text-to-speech/flaky']).toBe(2);
+    expect(client.getMetrics().retries).toBe(1);
+  });
+
+  test('should honour retry: false and decode JSON error bodies', async () => {
+    await expect(
+      client.postBinary('/text-to-speech/unauthorized', { text: 'Hello' }, { retry: false })
+    ).rejects.toMatchObject({
+      response: { status: 401, data: { detail: 'Invalid API key' } }
+    });
+    expect(client.getMetrics().errors).toBe(1);
+  });
+
+  test('should reject an aborted stream at once instead of retrying it', async () => {
+    const patient = new APIClient({ baseURL: client.baseURL, apiKey: 'test_api_key', retryDelay: 1000, persistentCache: false });
+    const controller = new AbortController();
+    let calls = 0;
+    // Holds the response open until the signal fires, as a slow synthesis would
+    const adapter = config => {
+      calls++;
+      return new Promise((resolve, reject) => {
+        config.signal.addEventListener('abort', () => reject(new axios.CanceledError(undefined, config)));
+      });
+    };
+
+    try {
+      const streaming = patient.stream('POST', '/text-to-speech/voice-1/stream', { data: { text: 'Hello' }, signal: controller.signal, adapter });
+      setTimeout(() => controller.abort(), 10);
+      const startedAt = Date.now();
+
+      await expect(streaming).rejects.toMatchObject({ code: 'ERR_CANCELED' });
+      expect(Date.now() - startedAt).toBeLessThan(500);
+      expect(calls).toBe(1);
+      expect(patient.getMetrics().retries).toBe(0);
+    } finally {
+      await patient.destroy();
+    }
+  });
+
+  test('should send multipart uploads with the API key', async () => {
+    const recognition = new VoiceRecognition({ client });
+
+    const { raw } = await recognition.transcribeBuffer(Buffer.alloc(64));
+
+    expect(raw.contentType).toMatch(/^multipart\/form-data; boundary=/);
+    expect(raw.apiKey).toBe('test_api_key');
+    expect(raw.size).toBeGreaterThan(64);
+  });
+
+  test('should stream synthesis to a file and report time to first byte', async () => {
+    const synthesis = new VoiceSynthesis({ client });
+    const outputPath = path.join(os.tmpdir(), `eleven-stream-${process.pid}.mp3`);
+
+    const stats = await synthesis.streamToFile('Hello', outputPath, { voiceId: 'voice-1' });
+
+    expect(stats).toMatchObject({ bytes: 150, aborted: false, outputPath });
+    expect(stats.timeToFirstByte).toBeGreaterThanOrEqual(0);
+    expect((await fs.readFile(outputPath)).length).toBe(150);
+    expect(hits['/v1/text-to-speech/voice-1/stream']).toBe(1);
+    await fs.remove(outputPath);
+  });
+});
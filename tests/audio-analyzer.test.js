@@ -0,0 +1,85 @@
+const AudioAnalyzer = require('../src/voice/audio-analyzer');
+
+/**
+ * Build a 16-bit mono WAV from a sample generator
+ * @param {number} seconds - Duration
+ * @param {Function} sampleAt - Returns a sample in [-1, 1] for time t
+ * @returns {Buffer} WAV data
+ */
+function buildWav(seconds, sampleAt) {
+  const sampleRate = 16000;
+  const pcm = Buffer.alloc(sampleRate * seconds * 2);
+  for (let i = 0; i < sampleRate * seconds; i++) {
+    pcm.writeInt16LE(Math.round(Math.max(-1, Math.min(1, sampleAt(i / sampleRate))) * 32767), i * 2);
+  }
+
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + pcm.length, 4);
+  header.write('WAVEfmt ', 8);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(1, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 2, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36);
+  header.writeUInt32LE(pcm.length, 40);
+  return Buffer.concat([header, pcm]);
+}
+
+describe('Audio Analyzer', () => {
+  const analyzer = new AudioAnalyzer();
+
+  test('should measure loudness, silence and speaking rate from WAV samples', () => {
+    // 1s of silence, 2s of tone, 1s of silence
+    const wav = buildWav(4, t => (t >= 1 && t < 3 ? 0.5 * Math.sin(2 * Math.PI * 440 * t) : 0));
+
+    const result = analyzer.analyze(wav, { text: 'one two three four five' });
+
+    expect(result).toMatchObject({ format: 'wav', sampleRate: 16000, channels: 1, duration: 4, signal: true });
+    expect(result.peak).toBeCloseTo(-6.02, 1);
+    expect(result.silenceRatio).toBeCloseTo(0.5, 2);
+    expect(result.speechDuration).toBeCloseTo(2, 1);
+    expect(result.speakingRate).toBeCloseTo(2.5, 1);
+    expect(result.clippingRatio).toBe(0);
+    expect(result.spectralFlatness).toBeLessThan(0.05);
+    // Headers alone give the same format and duration
+    expect(analyzer.probe(wav)).toEqual({ format: 'wav', sampleRate: 16000, channels: 1, bitsPerSample: 16, duration: 4 });
+  });
+
+  test('should detect clipping and noise-like spectra', () => {
+    let seed = 1;
+    const noise = () => {
+      seed = (seed * 16807) % 2147483647;
+      return seed / 2147483647 * 2 - 1;
+    };
+    const wav = buildWav(1, () => noise() * 1.5);
+
+    const result = analyzer.analyze(wav);
+
+    expect(result.clippingRatio).toBeGreaterThan(0.2);
+    expect(result.spectralFlatness).toBeGreaterThan(0.4);
+    expect(result.speakingRate).toBeNull();
+  });
+
+  test('should read duration and bitrate from MP3 frame headers', () => {
+    // MPEG-1 Layer III, 128 kbps, 44.1 kHz, no padding: 417-byte frames of 1152 samples
+    const frame = Buffer.alloc(417);
+    frame.set([0xff, 0xfb, 0x90, 0x44]);
+    const id3 = Buffer.from([0x49, 0x44, 0x33, 4, 0, 0, 0, 0, 0, 4, 0, 0, 0, 0]);
+    const mp3 = Buffer.concat([id3, ...Array(100).fill(frame)]);
+
+    const result = analyzer.analyze(mp3);
+
+    expect(result).toMatchObject({ format: 'mp3', sampleRate: 44100, channels: 2, frames: 100, vbr: false, signal: false });
+    expect(result.duration).toBeCloseTo(100 * 1152 / 44100, 3);
+    expect(Math.round(result.bitrate / 1000)).toBe(128);
+  });
+
+  test('should reject unknown formats', () => {
+    expect(() => analyzer.analyze(Buffer.from('not audio at all'))).toThrow('Unsupported audio format');
+    expect(() => analyzer.probe(Buffer.from('not audio at all'))).toThrow('Unsupported audio format');
+  });
+});
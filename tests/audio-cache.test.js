@@ -0,0 +1,106 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { PassThrough } = require('stream');
+const MockServer = require('../src/lib/mock-server');
+const APIClient = require('../src/lib/api-client');
+const AudioCache = require('../src/lib/audio-cache');
+const VoiceSynthesis = require('../src/voice/voice-synthesis');
+
+describe('AudioCache', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'audio-cache-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  test('should store audio by key and evict the least recently used', async () => {
+    const cache = new AudioCache({ dir, maxSize: 250 });
+    const [a, b, c] = ['a', 'b', 'c'].map(text => AudioCache.key({ voiceId: 'v', body: { text } }));
+
+    expect(a).toMatch(/^[0-9a-f]{64}$/);
+    expect(await cache.get(a)).toBeNull();
+
+    await cache.set(a, Buffer.alloc(100, 1), { format: 'mp3_44100_128', characters: 10 });
+    await cache.set(b, Buffer.alloc(100, 2), { characters: 20 });
+    cache.index.entries[a].lastUsed -= 2000;
+    cache.index.entries[b].lastUsed -= 1000;
+    expect((await cache.get(a)).equals(Buffer.alloc(100, 1))).toBe(true);
+
+    // b is now the least recently used, so it makes room for c
+    await cache.set(c, Buffer.alloc(100, 3), { characters: 30 });
+    expect(await cache.get(b)).toBeNull();
+    expect(await cache.set('huge', Buffer.alloc(300))).toBe(false);
+
+    // A fresh instance reads the same index back from disk
+    expect(await new AudioCache({ dir, maxSize: 250 }).getStats()).toMatchObject({
+      entries: 2,
+      size: 200,
+      hits: 1,
+      misses: 2,
+      hitRate: 33,
+      charactersSaved: 10,
+      bytesSaved: 100
+    });
+  });
+
+  test('should prune by age and size, sweep stray blobs and clear', async () => {
+    const cache = new AudioCache({ dir });
+    await cache.set('aa11', Buffer.alloc(100));
+    await cache.set('bb22', Buffer.alloc(100));
+    await cache.set('cc33', Buffer.alloc(100));
+    cache.index.entries.aa11.lastUsed -= 10 * 24 * 60 * 60 * 1000;
+    await fs.outputFile(path.join(dir, 'dd', 'dd44.123.tmp'), Buffer.alloc(50));
+
+    expect(await cache.prune({ olderThan: 24 * 60 * 60 * 1000 })).toEqual({ removed: 2, freed: 150 });
+    expect(await cache.prune({ maxSize: 100 })).toEqual({ removed: 1, freed: 100 });
+    expect(await cache.getStats()).toMatchObject({ entries: 1, size: 100 });
+
+    expect(await cache.clear()).toEqual({ removed: 1, freed: 100 });
+    expect(await fs.pathExists(dir)).toBe(false);
+    expect(await cache.getStats()).toMatchObject({ entries: 0, hits: 0 });
+  });
+
+  test('should answer repeated synthesis from the cache', async () => {
+    const server = new MockServer({ port: 0, chunkDelay: 0 });
+    await server.start();
+    const client = new APIClient({ baseURL: server.url, apiKey: 'mock_key', persistentCache: false });
+    const synthesis = new VoiceSynthesis({ client, voiceId: '21m00Tcm4TlvDq8ikWAM', cache: new AudioCache({ dir }) });
+    const hits = [];
+    let requests = 0;
+    client.on('request', () => requests++);
+    synthesis.on('cacheHit', ({ characters }) => hits.push(characters));
+
+    try {
+      const text = 'Welcome back. How can I help?';
+      const first = await synthesis.synthesize(text);
+      expect(requests).toBe(1);
+
+      expect((await synthesis.synthesize(text)).equals(first)).toBe(true);
+      expect(requests).toBe(1);
+
+      // Anything that changes the audio is a different entry
+      await synthesis.synthesize(text, { voiceSettings: { stability: 0.9 } });
+      await synthesis.synthesize(text, { outputFormat: 'pcm_16000' });
+      await synthesis.synthesize(text, { cache: false });
+      expect(requests).toBe(4);
+
+      const streamed = [];
+      const destination = new PassThrough().on('data', chunk => streamed.push(chunk));
+      const stats = await synthesis.streamToWritable(text, destination);
+      expect(stats).toMatchObject({ cached: true, bytes: first.length });
+      expect(Buffer.concat(streamed).equals(first)).toBe(true);
+      expect(requests).toBe(4);
+
+      expect(hits).toEqual([text.length, text.length]);
+      expect(synthesis.cacheSavings).toEqual({ hits: 2, characters: text.length * 2 });
+    } finally {
+      await client.destroy();
+      await server.stop();
+    }
+  });
+});
@@ -0,0 +1,79 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const MockServer = require('../src/lib/mock-server');
+const APIClient = require('../src/lib/api-client');
+const AudioFormat = require('../src/lib/audio-format');
+const VoiceSynthesis = require('../src/voice/voice-synthesis');
+
+describe('AudioFormat', () => {
+  test('should describe output formats and recognize input files', () => {
+    expect(AudioFormat.output('mp3_44100_192')).toMatchObject({ codec: 'mp3', sampleRate: 44100, bitrate: 192, mime: 'audio/mpeg', extension: '.mp3' });
+    expect(AudioFormat.output('ulaw_8000')).toMatchObject({ codec: 'ulaw', sampleRate: 8000, bitsPerSample: 8, extension: '.wav' });
+    expect(AudioFormat.output().name).toBe('mp3_44100_128');
+    expect(() => AudioFormat.output('pcm_8000')).toThrow('Unsupported output format "pcm_8000"');
+
+    expect(AudioFormat.duration(16000, 'mp3_44100_128')).toBe(1000);
+    expect(AudioFormat.duration(32000, 'pcm_16000')).toBe(1000);
+    expect(AudioFormat.duration(8000, 'ulaw_8000')).toBe(1000);
+
+    expect(AudioFormat.input('samples/Voice.M4A')).toMatchObject({ mime: 'audio/mp4', analyzable: false });
+    expect(AudioFormat.input('notes.txt')).toBeNull();
+    expect(AudioFormat.sniff(AudioFormat.writeWav(Buffer.alloc(4))).ext).toBe('.wav');
+    expect(AudioFormat.sniff(Buffer.from('fLaC\0\0\0\0')).ext).toBe('.flac');
+    expect(AudioFormat.sniff(Buffer.from([0xff, 0xfb, 0x90, 0x00])).ext).toBe('.mp3');
+    expect(AudioFormat.sniff(Buffer.from('plain text'))).toBeNull();
+  });
+
+  test('should round-trip PCM and μ-law through WAV', () => {
+    const pcm = Buffer.alloc(200);
+    for (let i = 0; i < 100; i++) pcm.writeInt16LE(Math.round(Math.sin(i / 5) * 20000), i * 2);
+
+    const wav = AudioFormat.readWav(AudioFormat.writeWav(pcm, { sampleRate: 16000 }));
+    expect(wav).toMatchObject({ codec: 'pcm', sampleRate: 16000, channels: 1, bitsPerSample: 16 });
+    expect(wav.data.equals(pcm)).toBe(true);
+
+    const ulaw = AudioFormat.encodeUlaw(pcm);
+    const telephony = AudioFormat.readWav(AudioFormat.writeWav(ulaw, AudioFormat.output('ulaw_8000')));
+    expect(telephony).toMatchObject({ codec: 'ulaw', sampleRate: 8000, bitsPerSample: 8 });
+
+    const decoded = AudioFormat.decodeUlaw(telephony.data);
+    for (let i = 0; i < 100; i++) {
+      const sample = pcm.readInt16LE(i * 2);
+      // μ-law keeps roughly 13 bits of precision, so the error grows with amplitude
+      expect(Math.abs(decoded.readInt16LE(i * 2) - sample)).toBeLessThanOrEqual(Math.abs(sample) / 16 + 8);
+    }
+
+    expect(() => AudioFormat.readWav(Buffer.from('not a wav file'))).toThrow('missing RIFF/WAVE header');
+  });
+
+  test('should request the chosen format and save raw audio as WAV', async () => {
+    const server = new MockServer({ port: 0, chunkDelay: 0 });
+    await server.start();
+    const client = new APIClient({ baseURL: server.url, apiKey: 'mock_key', persistentCache: false });
+    const synthesis = new VoiceSynthesis({ client, voiceId: '21m00Tcm4TlvDq8ikWAM', outputFormat: 'ulaw_8000' });
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'audio-format-'));
+
+    try {
+      const text = 'Thanks for calling. Please hold.';
+      const pcm = await synthesis.synthesize(text, { outputFormat: 'pcm_16000' });
+      const ulaw = await synthesis.synthesize(text);
+      expect(ulaw.length).toBe(pcm.length / 4);
+
+      const streamed = AudioFormat.readWav(await fs.readFile((await synthesis.streamToFile(text, path.join(dir, 'call.wav'))).outputPath));
+      expect(streamed).toMatchObject({ codec: 'ulaw', sampleRate: 8000 });
+      expect(streamed.data.equals(ulaw)).toBe(true);
+
+      const document = await synthesis.synthesizeDocument(text, path.join(dir, 'doc.wav'), { outputFormat: 'pcm_16000', maxChars: 20 });
+      expect(document.chunks).toBe(2);
+      expect(AudioFormat.readWav(await fs.readFile(document.outputPath))).toMatchObject({ codec: 'pcm', sampleRate: 16000 });
+
+      await expect(synthesis.synthesizeToFile(text, path.join(dir, 'bad.wav'), { outputFormat: 'mp3_44100_128' }))
+        .rejects.toThrow('Cannot save mp3_44100_128 audio as WAV');
+    } finally {
+      await fs.remove(dir);
+      await client.destroy();
+      await server.stop();
+    }
+  });
+});
@@ -0,0 +1,70 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+const MockServer = require('../src/lib/mock-server');
+const APIClient = require('../src/lib/api-client');
+const batchCommand = require('../src/commands/batch');
+
+describe('eleven batch against the mock server', () => {
+  const saved = {};
+  const cwd = process.cwd();
+  let server;
+  let dir;
+
+  beforeAll(async () => {
+    server = new MockServer({ port: 0, chunkDelay: 0 });
+    await server.start();
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'batch-command-'));
+    // Usage analytics live in the working directory
+    process.chdir(dir);
+
+    const env = {
+      ELEVEN_CONFIG: path.join(dir, 'eleven-config.json'),
+      ELEVEN_CONFIG_HOME: path.join(dir, 'home'),
+      ELEVEN_PROFILE: undefined,
+      ELEVEN_API_KEY: 'mock_key_0123456789abcdef',
+      ELEVEN_API_BASE_URL: server.url,
+      AUDIO_CACHE_DIR: path.join(dir, 'cache')
+    };
+    Object.entries(env).forEach(([name, value]) => {
+      saved[name] = process.env[name];
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    });
+  });
+
+  afterAll(async () => {
+    await APIClient.shared().destroy();
+    await server.stop();
+    process.chdir(cwd);
+    Object.entries(saved).forEach(([name, value]) => {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    });
+    await fs.remove(dir);
+  });
+
+  test('should leave retries to the job rather than stacking the client\'s on top', async () => {
+    const exit = jest.spyOn(process, 'exit').mockImplementation(code => {
+      throw new Error(`process.exit(${code})`);
+    });
+    let requests = 0;
+    server.server.on('request', () => requests++);
+    server.serverErrors = 1;
+
+    try {
+      const manifest = path.join(dir, 'jobs.csv');
+      await fs.writeFile(manifest, 'id,text\nintro,Hello there.\n');
+      await expect(batchCommand({ manifest, outputDir: path.join(dir, 'out'), retries: '1' })).rejects.toThrow('process.exit(1)');
+
+      // One attempt plus the job's single retry; the shared client would otherwise retry each of them itself
+      expect(requests).toBe(2);
+      const state = await fs.readJson(path.join(dir, 'out', 'batch-job.json'));
+      expect(Object.values(state.items)).toEqual([expect.objectContaining({ status: 'failed', attempts: 2 })]);
+    } finally {
+      server.serverErrors = 0;
+      exit.mockRestore();
+    }
+  });
+});
@@ -0,0 +1,192 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { AxiosError } = require('axios');
+const MockServer = require('../src/lib/mock-server');
+const APIClient = require('../src/lib/api-client');
+const BatchJob = require('../src/voice/batch-job');
+const VoiceSynthesis = require('../src/voice/voice-synthesis');
+
+/**
+ * An error shaped like a wrapped HTTP failure from the voice modules
+ * @param {number} status - HTTP status
+ * @returns {Error} Error with the response on its cause
+ */
+function httpError(status) {
+  const cause = Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, headers: {} } });
+  return new Error(`Voice synthesis failed: ${cause.message}`, { cause });
+}
+
+describe('BatchJob', () => {
+  test('should parse CSV and JSONL manifests into typed items', () => {
+    const csv = [
+      'id,text,audio,voice',
+      'intro,"Hello, ""world""",,Rachel',
+      ',"Two',
+      'lines",,',
+      ',,calls/monday.wav,',
+      ''
+    ].join('\r\n');
+
+    expect(BatchJob.parseManifest(csv, 'jobs.CSV')).toEqual([
+      { id: 'intro', type: 'synthesize', text: 'Hello, "world"', voice: 'Rachel' },
+      { id: 'item-0002', type: 'synthesize', text: 'Two\r\nlines' },
+      { id: 'item-0003', type: 'transcribe', audio: 'calls/monday.wav' }
+    ]);
+
+    const jsonl = '{"text": "One"}\n\n{"id": "b", "type": "transcribe", "audio": "b.mp3", "diarize": true}\n';
+    expect(BatchJob.parseManifest(jsonl, 'jobs.jsonl').map(item => [item.id, item.type])).toEqual([
+      ['item-0001', 'synthesize'],
+      ['b', 'transcribe']
+    ]);
+
+    expect(() => BatchJob.parseManifest('id,text\na,x\na,y\n', 'jobs.csv')).toThrow('Manifest line 3: duplicate id "a"');
+    expect(() => BatchJob.parseManifest('{"voice": "Rachel"}', 'jobs.jsonl')).toThrow('Manifest line 1: set "text"');
+    expect(() => BatchJob.parseManifest('{"text": ', 'jobs.jsonl')).toThrow('Manifest line 1:');
+    expect(() => BatchJob.parseManifest('text\nhi', 'jobs.txt')).toThrow('use a .csv or .jsonl file');
+  });
+
+  test('should bound concurrency and retry only retryable failures', async () => {
+    const job = new BatchJob({ concurrency: 2, retries: 2, retryDelay: 1, client: { maxConcurrent: 10, on() {}, removeListener() {} } });
+    const items = BatchJob.parseManifest('text\na\nb\nc\nd\ne\n', 'jobs.csv');
+    const calls = {};
+    const retries = [];
+    let inFlight = 0;
+    let maxInFlight = 0;
+
+    job.on('itemRetry', ({ item, attempt }) => retries.push(`${item.text}${attempt}`));
+
+    const report = await job.run(items, async (item, { signal, request }) => {
+      expect(request).toEqual({ signal, retry: false });
+      calls[item.text] = (calls[item.text] || 0) + 1;
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      inFlight--;
+
+      if (item.text === 'b' && calls.b < 3) throw httpError(503);
+      if (item.text === 'c') throw httpError(500);
+      if (item.text === 'd') throw httpError(400);
+      return { output: `${item.text}.mp3` };
+    });
+
+    expect(maxInFlight).toBe(2);
+    expect(calls).toEqual({ a: 1, b: 3, c: 3, d: 1, e: 1 });
+    expect(retries).toEqual(['b1', 'c1', 'b2', 'c2']);
+    expect(report).toMatchObject({ total: 5, completed: 3, failed: 2, pending: 0, cancelled: false });
+    expect(report.failures).toEqual([
+      { id: 'item-0003', error: 'Voice synthesis failed: Request failed with status code 500', attempts: 3 },
+      { id: 'item-0004', error: 'Voice synthesis failed: Request failed with status code 400', attempts: 1 }
+    ]);
+    expect(report.items.find(item => item.id === 'item-0001').result).toEqual({ output: 'a.mp3' });
+  });
+
+  test('should retry network errors that the voice modules wrap', async () => {
+    // axios chains the socket error under its AxiosError, and VoiceSynthesis wraps that in turn
+    const refused = () => {
+      const socketError = Object.assign(new Error('connect ECONNREFUSED 127.0.0.1:8787'), { code: 'ECONNREFUSED', syscall: 'connect' });
+      const cause = AxiosError.from(socketError, null, { url: '/text-to-speech/voice' });
+      return new Error(`Voice synthesis failed: ${cause.message}`, { cause });
+    };
+    expect(refused().cause).toMatchObject({ isAxiosError: true, code: 'ECONNREFUSED', cause: { code: 'ECONNREFUSED' } });
+
+    const job = new BatchJob({ retries: 2, retryDelay: 1, client: { maxConcurrent: 10, on() {}, removeListener() {} } });
+    const items = BatchJob.parseManifest('text\na\nb\n', 'jobs.csv');
+    const calls = { a: 0, b: 0 };
+    const report = await job.run(items, async (item) => {
+      calls[item.text]++;
+      if (item.text === 'b' || calls.a < 3) throw refused();
+      return { output: 'a.mp3' };
+    });
+
+    expect(calls).toEqual({ a: 3, b: 3 });
+    expect(report).toMatchObject({ completed: 1, failed: 1 });
+    expect(report.failures).toEqual([{ id: 'item-0002', error: 'Voice synthesis failed: connect ECONNREFUSED 127.0.0.1:8787', attempts: 3 }]);
+  });
+
+  test('should persist progress and resume after cancellation', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'batch-job-'));
+    const statePath = path.join(dir, 'batch-job.json');
+    const items = BatchJob.parseManifest('id,text\none,1\ntwo,2\nthree,3\nfour,4\n', 'jobs.csv');
+    const ran = [];
+
+    try {
+      const first = new BatchJob({ statePath, concurrency: 1 });
+      const report = await first.run(items, async (item, { signal }) => {
+        ran.push(item.id);
+        if (item.id === 'two') {
+          first.cancel();
+          expect(signal.aborted).toBe(true);
+          throw new Error('aborted');
+        }
+        return { n: Number(item.text) };
+      });
+
+      expect(report).toMatchObject({ completed: 1, pending: 3, cancelled: true });
+      const saved = await fs.readJson(statePath);
+      expect(saved.items.one).toMatchObject({ status: 'done', result: { n: 1 } });
+      expect(saved.items.two.status).toBe('pending');
+
+      // An edited row runs again even though it finished before
+      const edited = items.map(item => (item.id === 'one' ? { ...item, text: 'uno' } : item));
+      const second = new BatchJob({ statePath, concurrency: 2 });
+      const resumed = await second.run(edited, async (item) => {
+        ran.push(item.id);
+        return { n: item.text };
+      });
+
+      expect(resumed).toMatchObject({ total: 4, completed: 4, resumed: 0, cancelled: false });
+      expect(ran.slice(2).sort()).toEqual(['four', 'one', 'three', 'two']);
+
+      const third = await new BatchJob({ statePath }).run(edited, async () => {
+        throw new Error('should not run');
+      });
+      expect(third).toMatchObject({ completed: 4, resumed: 4 });
+      expect((await fs.readJson(statePath)).lastRun).toMatchObject({ total: 4, completed: 4, resumed: 4 });
+    } finally {
+      await fs.remove(dir);
+    }
+  });
+
+  test('should synthesize a batch in order through server errors', async () => {
+    const server = new MockServer({ port: 0, chunkDelay: 0, serverErrors: 0.4, seed: 7 });
+    await server.start();
+    const client = new APIClient({ baseURL: server.url, apiKey: 'mock_key', persistentCache: false, maxRetries: 0 });
+    const synthesis = new VoiceSynthesis({ client, voiceId: '21m00Tcm4TlvDq8ikWAM', outputFormat: 'pcm_16000' });
+    const progress = [];
+    synthesis.on('batchProgress', ({ completed }) => progress.push(completed));
+
+    try {
+      const texts = ['One.', 'Two words.', 'Three more words.', 'Four.', 'Five words here now.'];
+      const audio = await synthesis.batchSynthesize(texts, { concurrency: 2, retries: 8, retryDelay: 1 });
+
+      expect(audio).toHaveLength(5);
+      server.serverErrors = 0;
+      for (let i = 0; i < texts.length; i++) {
+        expect(audio[i].equals(await synthesis.synthesize(texts[i]))).toBe(true);
+      }
+      expect(progress).toEqual([1, 2, 3, 4, 5]);
+    } finally {
+      await client.destroy();
+      await server.stop();
+    }
+  });
+
+  test('should be the only retry layer under a client that retries on its own', async () => {
+    const server = new MockServer({ port: 0, chunkDelay: 0, serverErrors: 1 });
+    await server.start();
+    // The client's default of 3 retries would multiply every job attempt by four
+    const client = new APIClient({ baseURL: server.url, apiKey: 'mock_key', persistentCache: false, retryDelay: 1 });
+    const synthesis = new VoiceSynthesis({ client, voiceId: '21m00Tcm4TlvDq8ikWAM', outputFormat: 'pcm_16000' });
+    let requests = 0;
+    server.server.on('request', () => requests++);
+
+    try {
+      await expect(synthesis.batchSynthesize(['One.', 'Two.'], { retries: 1, retryDelay: 1 })).rejects.toThrow('Batch synthesis failed for 2/2 texts');
+      expect(requests).toBe(4);
+    } finally {
+      await client.destroy();
+      await server.stop();
+    }
+  });
+});
@@ -0,0 +1,53 @@
+const BlindComparison = require('../src/voice/blind-comparison');
+
+/**
+ * Deterministic random source cycling through fixed values
+ * @param {Array<number>} values - Values in [0, 1)
+ * @returns {Function} Random function
+ */
+function sequence(values) {
+  let index = 0;
+  return () => values[index++ % values.length];
+}
+
+describe('Blind Comparison', () => {
+  const candidates = [
+    { voiceId: 'v1', preset: 'balanced' },
+    { voiceId: 'v1', preset: 'expressive' },
+    { voiceId: 'v2', preset: 'balanced' }
+  ];
+
+  test('should hide candidates behind shuffled labels', () => {
+    const session = new BlindComparison(candidates, { random: sequence([0, 0]) });
+
+    expect(session.candidates.map(c => c.label)).toEqual(['A', 'B', 'C']);
+    expect(session.candidates.map(c => c.preset)).toEqual(['expressive', 'balanced', 'balanced']);
+    expect(session.playOrder().sort()).toEqual(['A', 'B', 'C']);
+  });
+
+  test('should rank candidates by wins, splitting ties', () => {
+    const session = new BlindComparison(candidates, { random: sequence([0.99]) });
+
+    session.rate(0, 'A', 5);
+    session.rate(0, 'B', 3);
+    session.rate(0, 'C', 5);
+    session.rate(1, 'A', 4);
+    session.rate(1, 'B', 2);
+    session.rate(1, 'C', 3);
+
+    const results = session.results();
+    expect(results.map(r => [r.label, r.wins, r.preference, r.meanRating])).toEqual([
+      ['A', 1.5, 75, 4.5],
+      ['C', 0.5, 25, 4],
+      ['B', 0, 0, 2.5]
+    ]);
+  });
+
+  test('should validate ratings and candidate counts', () => {
+    const session = new BlindComparison(candidates);
+
+    expect(() => session.rate(0, 'Z', 3)).toThrow('Unknown candidate label');
+    expect(() => session.rate(0, 'A', 6)).toThrow('from 1 to 5');
+    expect(() => new BlindComparison(candidates.slice(0, 1))).toThrow('at least two');
+  });
+});
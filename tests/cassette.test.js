@@ -0,0 +1,119 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const MockServer = require('../src/lib/mock-server');
+const APIClient = require('../src/lib/api-client');
+const AudioAnalyzer = require('../src/voice/audio-analyzer');
+const VoiceSynthesis = require('../src/voice/voice-synthesis');
+const VoiceRecognition = require('../src/voice/voice-recognition');
+const RealTimeVoice = require('../src/voice/real-time-voice');
+
+/**
+ * Run one session of API calls through a client
+ * @param {APIClient} client - Client to use
+ * @returns {Promise<Object>} Everything the session observed
+ */
+async function runSession(client) {
+  const voiceId = '21m00Tcm4TlvDq8ikWAM';
+  const synthesis = new VoiceSynthesis({ client, voiceId });
+  const recognition = new VoiceRecognition({ client });
+  const text = 'Replay this sentence exactly.';
+
+  const voices = await client.get('/voices');
+  const pcm = await synthesis.synthesize(text, { outputFormat: 'pcm_16000' });
+  const transcript = await recognition.transcribeBuffer(AudioAnalyzer.toWav(pcm, { sampleRate: 16000 }), { fileName: 'take.wav' });
+
+  const streamed = [];
+  for await (const chunk of await synthesis.synthesizeStream('Streaming works too.')) {
+    streamed.push(chunk);
+  }
+
+  const missing = await synthesis.synthesize('Hello', { voiceId: 'missing' }).catch(error => error.message);
+
+  const realTime = new RealTimeVoice({ client, voiceId });
+  const frames = [];
+  realTime.on('audioChunk', audio => frames.push(audio));
+  realTime.on('generationComplete', () => frames.push('final'));
+  await realTime.connect();
+  const closed = new Promise(resolve => realTime.on('disconnected', resolve));
+  realTime.sendText('Over the socket.');
+  realTime.endInput();
+  await closed;
+
+  return { voices: voices.voices.length, pcm, transcript: transcript.text, streamed: Buffer.concat(streamed), missing, frames };
+}
+
+describe('Cassette record/replay', () => {
+  const apiKey = 'secret_key_that_must_not_leak_1234';
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'eleven-cassette-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  test('should replay a recorded session without the network', async () => {
+    const server = new MockServer({ port: 0, chunkDelay: 0 });
+    await server.start();
+
+    const recorder = new APIClient({ baseURL: server.url, apiKey, retryDelay: 1, persistentCache: false, cassette: { mode: 'record', dir } });
+    let recorded;
+    try {
+      recorded = await runSession(recorder);
+    } finally {
+      await recorder.destroy();
+      await server.stop();
+    }
+
+    const player = new APIClient({ baseURL: server.url, apiKey, retryDelay: 1, persistentCache: false, cassette: { mode: 'replay', dir } });
+    const replayed = await runSession(player);
+    await player.destroy();
+
+    expect(recorded.transcript).toBe('Replay this sentence exactly.');
+    expect(recorded.frames).toHaveLength(2);
+    expect(recorded.frames[1]).toBe('final');
+    expect(replayed.pcm.equals(recorded.pcm)).toBe(true);
+    expect(replayed.streamed.equals(recorded.streamed)).toBe(true);
+    expect(replayed).toMatchObject({
+      voices: recorded.voices,
+      transcript: recorded.transcript,
+      missing: recorded.missing,
+      frames: recorded.frames
+    });
+  });
+
+  test('should redact the API key and keep binary bodies out of the JSON', async () => {
+    const server = new MockServer({ port: 0, chunkDelay: 0 });
+    await server.start();
+
+    const client = new APIClient({ baseURL: server.url, apiKey, persistentCache: false, cassette: { mode: 'record', dir } });
+    try {
+      await client.get('/voices', { params: { key: apiKey } });
+      await client.postBinary('/text-to-speech/21m00Tcm4TlvDq8ikWAM', { text: 'Hi.' });
+    } finally {
+      await client.destroy();
+      await server.stop();
+    }
+
+    const cassette = await fs.readFile(path.join(dir, 'cassette.json'), 'utf8');
+    const interactions = JSON.parse(cassette).interactions;
+
+    expect(cassette).not.toContain(apiKey);
+    expect(interactions[0].request.params).toEqual({ key: '[REDACTED]' });
+    expect(interactions[1].response.bodyFile).toBe('bodies/0001-response.bin');
+    expect((await fs.stat(path.join(dir, interactions[1].response.bodyFile))).size).toBeGreaterThan(0);
+  });
+
+  test('should fail clearly on requests the cassette never saw', async () => {
+    await fs.writeJson(path.join(dir, 'cassette.json'), { version: 1, interactions: [] });
+    const client = new APIClient({ apiKey, persistentCache: false, cassette: { mode: 'replay', dir } });
+
+    await expect(client.get('/models')).rejects.toThrow('No recorded response for GET /models');
+    expect(() => new APIClient({ cassette: { mode: 'replay', dir: path.join(dir, 'missing') } })).toThrow('No cassette found');
+    await client.destroy();
+  });
+});
@@ -0,0 +1,144 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const ConfigManager = require('../src/lib/config-manager');
+
+const PERSONAL_KEY = 'personal_key_0123456789abcdef';
+const PROD_KEY = 'production_key_0123456789abcdef';
+
+describe('ConfigManager profiles', () => {
+  const saved = {};
+  let dir;
+  let projectPath;
+  let globalPath;
+
+  /**
+   * Set environment variables for one test, remembering the originals
+   * @param {Object} values - Variables to set; undefined unsets
+   */
+  const setEnv = (values) => {
+    Object.entries(values).forEach(([name, value]) => {
+      if (!(name in saved)) saved[name] = process.env[name];
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    });
+  };
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'config-manager-'));
+    projectPath = path.join(dir, 'project', 'eleven-config.json');
+    globalPath = path.join(dir, 'home', 'config.json');
+    setEnv({
+      ELEVEN_CONFIG: projectPath,
+      ELEVEN_CONFIG_HOME: path.dirname(globalPath),
+      ELEVEN_PROFILE: undefined,
+      ELEVEN_API_KEY: PERSONAL_KEY,
+      ELEVEN_API_BASE_URL: undefined,
+      ELEVEN_OUTPUT_FORMAT: undefined,
+      ELEVEN_NO_CACHE: undefined,
+      MAX_RETRIES: undefined
+    });
+  });
+
+  afterEach(async () => {
+    Object.entries(saved).forEach(([name, value]) => {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+      delete saved[name];
+    });
+    await fs.remove(dir);
+  });
+
+  test('should resolve layers in order and report where each value came from', async () => {
+    await fs.outputJson(globalPath, {
+      maxRetries: 5,
+      activeProfile: 'staging',
+      profiles: {
+        staging: { elevenApiBaseUrl: 'https://staging.example/v1', requestTimeout: 45000 },
+        prod: { elevenApiKey: PROD_KEY, elevenApiBaseUrl: 'https://prod.example/v1' }
+      }
+    });
+    await fs.outputJson(projectPath, {
+      maxRetries: 2,
+      requestTimeout: 20000,
+      profiles: { prod: { maxRetries: 1 } }
+    });
+    setEnv({ MAX_RETRIES: '4', ELEVEN_OUTPUT_FORMAT: 'pcm_16000' });
+
+    const manager = new ConfigManager();
+    expect(manager.loadConfig()).toMatchObject({
+      elevenApiKey: PERSONAL_KEY,
+      elevenApiBaseUrl: 'https://staging.example/v1',
+      maxRetries: 2,
+      requestTimeout: 45000,
+      outputFormat: 'pcm_16000',
+      logLevel: 'info'
+    });
+    expect(manager.getActiveProfile()).toEqual({ name: 'staging', selectedBy: 'global' });
+    expect(['elevenApiKey', 'elevenApiBaseUrl', 'maxRetries', 'outputFormat', 'logLevel'].map(key => manager.getSource(key)))
+      .toEqual(['env', 'profile:staging', 'project', 'flag', 'default']);
+
+    // --profile beats the user default, and the project file can override the profile
+    setEnv({ ELEVEN_PROFILE: 'prod' });
+    const prod = new ConfigManager();
+    expect(prod.loadConfig()).toMatchObject({ elevenApiKey: PROD_KEY, maxRetries: 1, requestTimeout: 20000 });
+    expect(prod.getSource('maxRetries')).toBe('profile:prod (project)');
+    expect(prod.getLayers().map(layer => layer.name)).toEqual([
+      'default', 'env', 'global', 'project', 'profile:prod', 'profile:prod (project)', 'flag'
+    ]);
+
+    setEnv({ ELEVEN_PROFILE: 'missing' });
+    expect(() => new ConfigManager().loadConfig()).toThrow('Unknown profile "missing"');
+  });
+
+  test('should save only changed settings, into the selected profile when there is one', async () => {
+    setEnv({ ELEVEN_OUTPUT_FORMAT: 'pcm_16000' });
+    const manager = new ConfigManager();
+    manager.loadConfig();
+    manager.set('logLevel', 'debug');
+    await manager.saveConfig();
+
+    // Neither the environment's API key nor the flag's format is written to the project file
+    expect(await fs.readJson(projectPath)).toEqual({ configVersion: expect.any(Number), logLevel: 'debug' });
+    expect(manager.getSource('logLevel')).toBe('project');
+
+    await manager.createProfile('prod', { elevenApiKey: PROD_KEY });
+    setEnv({ ELEVEN_PROFILE: 'prod' });
+    const prod = new ConfigManager();
+    prod.loadConfig();
+    prod.set('maxRetries', 6);
+    await prod.saveConfig();
+    expect((await fs.readJson(globalPath)).profiles.prod).toEqual({ elevenApiKey: PROD_KEY, maxRetries: 6 });
+    expect((await fs.stat(globalPath)).mode & 0o777).toBe(0o600);
+
+    prod.reset();
+    await prod.saveConfig();
+    expect((await fs.readJson(globalPath)).profiles.prod).toEqual({});
+    expect(await fs.readJson(projectPath)).toEqual({ configVersion: expect.any(Number), logLevel: 'debug' });
+  });
+
+  test('should create, list, use and delete profiles', async () => {
+    const manager = new ConfigManager();
+    await manager.createProfile('prod', { elevenApiKey: PROD_KEY, elevenApiBaseUrl: 'https://prod.example/v1' });
+    await manager.createProfile('staging', { elevenApiBaseUrl: 'https://staging.example/v1' }, { from: 'prod' });
+    await fs.outputJson(projectPath, { profiles: { local: { elevenApiBaseUrl: 'http://127.0.0.1:3000/v1' } } });
+
+    await expect(manager.createProfile('prod')).rejects.toThrow('Profile "prod" already exists');
+    await expect(manager.createProfile('bad name')).rejects.toThrow('Invalid profile name');
+    await expect(manager.createProfile('x', { elevenApiKey: 'short' })).rejects.toThrow('Invalid ElevenLabs API key format');
+    await expect(manager.useProfile('missing')).rejects.toThrow('Unknown profile "missing"');
+
+    await manager.useProfile('staging');
+    await manager.useProfile('local', { project: true });
+    expect(manager.listProfiles()).toEqual([
+      { name: 'local', active: true, locations: ['project'], settings: { elevenApiBaseUrl: 'http://127.0.0.1:3000/v1' } },
+      { name: 'prod', active: false, locations: ['global'], settings: { elevenApiKey: PROD_KEY, elevenApiBaseUrl: 'https://prod.example/v1' } },
+      { name: 'staging', active: false, locations: ['global'], settings: { elevenApiKey: PROD_KEY, elevenApiBaseUrl: 'https://staging.example/v1' } }
+    ]);
+
+    await manager.deleteProfile('staging');
+    expect(await fs.readJson(globalPath)).not.toHaveProperty('activeProfile');
+    await expect(manager.deleteProfile('local')).rejects.toThrow('Profile "local" not found');
+    expect(new ConfigManager().loadConfig().elevenApiBaseUrl).toBe('http://127.0.0.1:3000/v1');
+  });
+});
@@ -0,0 +1,116 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const ConfigSchema = require('../src/lib/config-schema');
+const ConfigManager = require('../src/lib/config-manager');
+
+const API_KEY = 'schema_test_key_0123456789abcdef';
+
+describe('ConfigSchema', () => {
+  test('should coerce --set values to their types and reject what does not fit', () => {
+    expect(ConfigSchema.coerce('maxRetries', ' 5 ')).toBe(5);
+    expect(ConfigSchema.coerce('debug', 'YES')).toBe(true);
+    expect(ConfigSchema.coerce('audioCache', 'off')).toBe(false);
+    expect(ConfigSchema.coerce('pronunciationLexicon', '')).toBeNull();
+    expect(ConfigSchema.coerce('budget.daily', '0')).toBeNull();
+    expect(ConfigSchema.coerce('budget.warnAt', '0.5, 0.75')).toEqual([0.5, 0.75]);
+    expect(ConfigSchema.coerce('elevenApiBaseUrl', 'http://127.0.0.1:3000/v1?region=eu')).toBe('http://127.0.0.1:3000/v1?region=eu');
+
+    expect(() => ConfigSchema.coerce('maxRetries', '11')).toThrow('maxRetries must be between 0 and 10');
+    expect(() => ConfigSchema.coerce('requestTimeout', '30s')).toThrow('requestTimeout must be a whole number (ms)');
+    expect(() => ConfigSchema.coerce('debug', 'maybe')).toThrow('debug must be true or false');
+    expect(() => ConfigSchema.coerce('logLevel', 'loud')).toThrow('logLevel must be one of: error, warn, info, verbose, debug');
+    expect(() => ConfigSchema.coerce('budget.warnAt', '1')).toThrow('between 0 and 1');
+    expect(() => ConfigSchema.coerce('defaultOutputDir', '')).toThrow('defaultOutputDir cannot be empty');
+    expect(() => ConfigSchema.coerce('elevenApiKey', API_KEY)).toThrow(expect.objectContaining({ code: 'INVALID_CONFIG', message: expect.stringContaining('eleven auth login') }));
+    expect(() => ConfigSchema.coerce('budget', '{}')).toThrow('Invalid key "budget"');
+    expect(ConfigSchema.settableKeys()).toEqual(expect.arrayContaining(['outputFormat', 'budget.daily', 'budget.monthly']));
+    expect(ConfigSchema.settableKeys()).not.toContain('elevenApiKey');
+  });
+
+  test('should read the environment and report every problem in a configuration', () => {
+    expect(ConfigSchema.fromEnv({
+      DEBUG: 'express:*',
+      AUDIO_CACHE: 'no',
+      MAX_RETRIES: '4',
+      LOG_LEVEL: '',
+      OUTPUT_FORMAT: 'pcm_16000'
+    })).toEqual({ debug: false, audioCache: true, maxRetries: 4, outputFormat: 'pcm_16000' });
+
+    const defaults = ConfigSchema.defaults();
+    expect(defaults).toMatchObject({ maxRetries: 3, outputFormat: 'mp3_44100_128', budget: null });
+    expect(ConfigSchema.errors({ ...defaults, elevenApiKey: API_KEY })).toEqual([]);
+    expect(ConfigSchema.errors({
+      ...defaults,
+      requestTimeout: 500,
+      outputFormat: 'wav',
+      budget: { daily: 1.5 }
+    })).toEqual([
+      'Missing required configuration: elevenApiKey',
+      'requestTimeout must be between 1000 and 300000 ms',
+      expect.stringMatching(/^outputFormat must be one of: mp3_22050_32, /),
+      'budget.daily must be a whole number'
+    ]);
+  });
+
+  describe('migrations', () => {
+    const saved = {};
+    let dir;
+
+    beforeEach(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'config-schema-'));
+      ['ELEVEN_CONFIG', 'ELEVEN_CONFIG_HOME', 'ELEVEN_PROFILE', 'ELEVEN_API_KEY'].forEach(name => {
+        saved[name] = process.env[name];
+      });
+      process.env.ELEVEN_CONFIG = path.join(dir, 'eleven-config.json');
+      process.env.ELEVEN_CONFIG_HOME = path.join(dir, 'home');
+      process.env.ELEVEN_API_KEY = API_KEY;
+      delete process.env.ELEVEN_PROFILE;
+    });
+
+    afterEach(async () => {
+      Object.entries(saved).forEach(([name, value]) => {
+        if (value === undefined) delete process.env[name];
+        else process.env[name] = value;
+      });
+      await fs.remove(dir);
+    });
+
+    test('should upgrade an unversioned config file and keep a backup', async () => {
+      const legacy = {
+        outputDir: './audio',
+        requestTimeout: '45000',
+        debug: 'false',
+        api: { baseUrl: 'http://127.0.0.1:3000/v1', maxRetries: 5, rateLimit: { requests: 100 } },
+        profile: 'staging',
+        profiles: { staging: { maxRetries: '1', logLevel: 'debug' } }
+      };
+      await fs.outputJson(process.env.ELEVEN_CONFIG, legacy);
+
+      const manager = new ConfigManager();
+      expect(manager.loadConfig()).toMatchObject({
+        defaultOutputDir: './audio',
+        requestTimeout: 45000,
+        debug: false,
+        elevenApiBaseUrl: 'http://127.0.0.1:3000/v1',
+        maxRetries: 1,
+        logLevel: 'debug'
+      });
+
+      expect(await fs.readJson(`${process.env.ELEVEN_CONFIG}.v1.bak`)).toEqual(legacy);
+      const upgraded = await fs.readJson(process.env.ELEVEN_CONFIG);
+      expect(Object.keys(upgraded)[0]).toBe('configVersion');
+      expect(upgraded).toMatchObject({ configVersion: ConfigSchema.CURRENT_VERSION, api: { rateLimit: { requests: 100 } } });
+      expect(upgraded).not.toHaveProperty('outputDir');
+      expect(upgraded.profiles.staging).toEqual({ maxRetries: 1, logLevel: 'debug' });
+
+      // Already current: read as is, no second backup
+      await fs.remove(`${process.env.ELEVEN_CONFIG}.v1.bak`);
+      new ConfigManager().loadConfig();
+      expect(await fs.pathExists(`${process.env.ELEVEN_CONFIG}.v1.bak`)).toBe(false);
+
+      await fs.writeJson(process.env.ELEVEN_CONFIG, { configVersion: ConfigSchema.CURRENT_VERSION + 1 });
+      expect(() => new ConfigManager().loadConfig()).toThrow('newer than this eleven-cli understands');
+    });
+  });
+});
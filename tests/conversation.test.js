@@ -0,0 +1,147 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const MockServer = require('../src/lib/mock-server');
+const APIClient = require('../src/lib/api-client');
+const RealTimeVoice = require('../src/voice/real-time-voice');
+const VoiceActivityDetector = require('../src/voice/voice-activity-detector');
+const ConversationResponder = require('../src/voice/conversation-responder');
+
+/**
+ * 16 kHz PCM made of alternating tone (speech) and near-silence segments
+ * @param {Array<number>} segments - Segment lengths in ms, starting with silence
+ * @returns {Buffer} PCM data
+ */
+function speechPattern(segments) {
+  return Buffer.concat(segments.map((ms, i) => {
+    const amplitude = i % 2 === 1 ? 0.3 : 0.001;
+    const samples = new Float32Array(16 * ms).map((_, n) => amplitude * Math.sin(2 * Math.PI * 220 * n / 16000));
+    return VoiceActivityDetector.toPcm16(samples);
+  }));
+}
+
+describe('Conversation loop', () => {
+  const voiceId = '21m00Tcm4TlvDq8ikWAM';
+  let server;
+  let client;
+  let dir;
+
+  beforeAll(async () => {
+    server = new MockServer({ port: 0, chunkDelay: 0 });
+    await server.start();
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'eleven-conversation-'));
+  });
+
+  afterAll(async () => {
+    await server.stop();
+    await fs.remove(dir);
+  });
+
+  beforeEach(() => {
+    client = new APIClient({ baseURL: server.url, apiKey: 'mock_key', persistentCache: false });
+  });
+
+  afterEach(async () => {
+    await client.destroy();
+  });
+
+  test('should split utterances on silence and ignore steady background noise', () => {
+    const vad = new VoiceActivityDetector({ sampleRate: 16000, silenceThreshold: 300 });
+    const utterances = [];
+    vad.on('speechEnd', utterance => utterances.push(utterance));
+
+    vad.push(VoiceActivityDetector.fromPcm16(speechPattern([500, 400, 600, 700, 200])));
+    vad.end();
+
+    expect(utterances.map(({ startMs, endMs, truncated }) => ({ startMs, endMs, truncated }))).toEqual([
+      { startMs: 500, endMs: 900, truncated: false },
+      { startMs: 1500, endMs: 2200, truncated: true }
+    ]);
+    expect(utterances[0].audio.length).toBe(utterances[0].samples.length * 2);
+  });
+
+  test('should take turns, passing history to the responder and reporting latency', async () => {
+    const input = path.join(dir, 'two-turns.pcm');
+    await fs.writeFile(input, speechPattern([200, 300, 1800, 300, 400]));
+
+    const realTime = new RealTimeVoice({ client, voiceId, outputFormat: 'pcm_16000' });
+    const latencies = [];
+    const histories = [];
+    let heard = 0;
+    realTime.on('turnLatency', latency => latencies.push(latency));
+
+    const summary = await realTime.startConversation({
+      input,
+      silenceThreshold: 300,
+      responseDelay: 0,
+      transcribe: async () => `question ${++heard}`,
+      responder: async ({ history }) => {
+        histories.push(history.map(entry => entry.text));
+        return 'Sure.';
+      }
+    });
+    realTime.disconnect();
+
+    expect(summary.turns.map(turn => [turn.transcript, turn.reply, turn.interrupted])).toEqual([
+      ['question 1', 'Sure.', false],
+      ['question 2', 'Sure.', false]
+    ]);
+    expect(histories).toEqual([[], ['question 1', 'Sure.']]);
+    expect(latencies).toHaveLength(2);
+    latencies.forEach(latency => expect(latency.firstAudio).toBeGreaterThanOrEqual(0));
+  });
+
+  test('should interrupt a turn when the user starts speaking again', async () => {
+    const input = path.join(dir, 'barge-in.pcm');
+    await fs.writeFile(input, speechPattern([100, 300, 400, 300, 400]));
+
+    const realTime = new RealTimeVoice({ client, voiceId, outputFormat: 'pcm_16000' });
+    const bargeIns = [];
+    realTime.on('bargeIn', event => bargeIns.push(event));
+
+    const summary = await realTime.startConversation({
+      input,
+      realtime: false,
+      silenceThreshold: 300,
+      responseDelay: 0,
+      transcribe: (wav, { signal }) => new Promise(resolve => {
+        const timer = setTimeout(() => resolve('still there?'), 50);
+        signal.addEventListener('abort', () => clearTimeout(timer) || resolve(''));
+      }),
+      responder: () => 'Yes.'
+    });
+    realTime.disconnect();
+
+    expect(bargeIns).toEqual([{ turn: 1, state: 'transcribing', atMs: 800 }]);
+    expect(summary.interruptions).toBe(1);
+    expect(summary.turns.map(turn => turn.interrupted)).toEqual([true, false]);
+    expect(summary.turns[1].reply).toBe('Yes.');
+  });
+
+  test('should stream replies from a local script and surface script failures', async () => {
+    const script = path.join(dir, 'echo-responder.js');
+    await fs.writeFile(script, [
+      'let input = "";',
+      'process.stdin.on("data", chunk => { input += chunk; });',
+      'process.stdin.on("end", () => {',
+      '  const { text, turn } = JSON.parse(input);',
+      '  if (turn > 1) { console.error("only one turn"); process.exit(2); }',
+      '  process.stdout.write(`Echo: ${text}`);',
+      '});'
+    ].join('\n'));
+
+    const responder = ConversationResponder.from(script);
+    const pieces = [];
+    for await (const piece of responder.respond({ text: 'hello', turn: 1, history: [] })) {
+      pieces.push(piece);
+    }
+
+    expect(responder.kind).toBe('script');
+    expect(pieces.join('')).toBe('Echo: hello');
+    await expect((async () => {
+      for await (const piece of responder.respond({ text: 'again', turn: 2, history: [] })) pieces.push(piece);
+    })()).rejects.toThrow('exited with code 2: only one turn');
+    expect(() => ConversationResponder.from()).toThrow('responder is required');
+  });
+});
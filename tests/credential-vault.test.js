@@ -0,0 +1,125 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const CredentialVault = require('../src/lib/credential-vault');
+const ConfigManager = require('../src/lib/config-manager');
+
+const PERSONAL_KEY = 'personal_key_0123456789abcdef';
+const PROD_KEY = 'production_key_0123456789abcdef';
+const ENV_KEY = 'environment_key_0123456789abcdef';
+
+describe('CredentialVault', () => {
+  const saved = {};
+  let dir;
+
+  /**
+   * Set environment variables for one test, remembering the originals
+   * @param {Object} values - Variables to set; undefined unsets
+   */
+  const setEnv = (values) => {
+    Object.entries(values).forEach(([name, value]) => {
+      if (!(name in saved)) saved[name] = process.env[name];
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    });
+  };
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'credential-vault-'));
+    setEnv({
+      ELEVEN_CONFIG: path.join(dir, 'project', 'eleven-config.json'),
+      ELEVEN_CONFIG_HOME: path.join(dir, 'home'),
+      ELEVEN_PROFILE: undefined,
+      ELEVEN_VAULT_PASSPHRASE: undefined,
+      ELEVEN_API_KEY: ENV_KEY
+    });
+  });
+
+  afterEach(async () => {
+    Object.entries(saved).forEach(([name, value]) => {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+      delete saved[name];
+    });
+    await fs.remove(dir);
+  });
+
+  test('should encrypt keys per profile and reject a wrong passphrase or edited file', async () => {
+    const vault = new CredentialVault();
+    vault.unlock('correct horse');
+    await vault.set(null, PERSONAL_KEY);
+    await vault.set('prod', PROD_KEY);
+
+    const raw = await fs.readFile(vault.path, 'utf8');
+    expect(raw).not.toContain(PERSONAL_KEY);
+    expect(raw).not.toContain(PROD_KEY);
+    expect((await fs.stat(vault.path)).mode & 0o777).toBe(0o600);
+
+    // Profile names are readable without the passphrase, keys are not
+    const reopened = new CredentialVault();
+    expect(reopened.getProfiles()).toEqual(['default', 'prod']);
+    expect(reopened.has('prod')).toBe(true);
+    expect(() => reopened.get('prod')).toThrow(expect.objectContaining({ code: 'VAULT_LOCKED' }));
+    expect(() => reopened.unlock('wrong')).toThrow(expect.objectContaining({ code: 'INVALID_PASSPHRASE' }));
+
+    reopened.unlock('correct horse');
+    expect(reopened.get()).toBe(PERSONAL_KEY);
+    expect(reopened.get('prod')).toBe(PROD_KEY);
+    expect(reopened.getStoredAt('prod')).toMatch(/^\d{4}-\d{2}-\d{2}T/);
+
+    // The readable profile list is authenticated along with the keys
+    const envelope = JSON.parse(raw);
+    await fs.writeJson(vault.path, { ...envelope, profiles: ['default'] });
+    expect(() => new CredentialVault().unlock('correct horse')).toThrow('wrong passphrase or damaged file');
+  });
+
+  test('should rotate the passphrase and remove the file with its last key', async () => {
+    const vault = new CredentialVault();
+    vault.unlock('first passphrase');
+    await vault.set('prod', PROD_KEY);
+    await vault.set('staging', PERSONAL_KEY);
+    const before = await fs.readJson(vault.path);
+
+    await vault.rotate('second passphrase');
+    const after = await fs.readJson(vault.path);
+    expect(after.kdf.salt).not.toBe(before.kdf.salt);
+    expect(() => new CredentialVault().unlock('first passphrase')).toThrow(expect.objectContaining({ code: 'INVALID_PASSPHRASE' }));
+
+    const reopened = new CredentialVault();
+    reopened.unlock('second passphrase');
+    expect(await reopened.remove('prod')).toBe(true);
+    expect(await reopened.remove('prod')).toBe(false);
+    expect(new CredentialVault().getProfiles()).toEqual(['staging']);
+
+    await reopened.remove('staging');
+    expect(reopened.exists()).toBe(false);
+  });
+
+  test('should give ConfigManager the vault key ahead of plaintext keys', async () => {
+    const projectPath = process.env.ELEVEN_CONFIG;
+    await fs.outputJson(projectPath, { elevenApiKey: PERSONAL_KEY, maxRetries: 2, profiles: { prod: { elevenApiKey: PERSONAL_KEY } } });
+    await fs.outputJson(path.join(dir, 'home', 'config.json'), { profiles: { prod: {} } });
+
+    const vault = new CredentialVault();
+    vault.unlock('correct horse');
+    await vault.set('prod', PROD_KEY);
+
+    // Locked: the plaintext key is used; unlocked through the environment: the vault wins
+    setEnv({ ELEVEN_PROFILE: 'prod' });
+    expect(new ConfigManager().loadConfig().elevenApiKey).toBe(PERSONAL_KEY);
+    setEnv({ ELEVEN_VAULT_PASSPHRASE: 'correct horse' });
+    const manager = new ConfigManager();
+    expect(manager.loadConfig().elevenApiKey).toBe(PROD_KEY);
+    expect(manager.getSource('elevenApiKey')).toBe('vault');
+
+    expect(await manager.removePlaintextKeys('prod')).toEqual([projectPath]);
+    expect(await fs.readJson(projectPath)).toEqual({ configVersion: expect.any(Number), elevenApiKey: PERSONAL_KEY, maxRetries: 2, profiles: { prod: {} } });
+
+    // Keys never go into the project file
+    setEnv({ ELEVEN_PROFILE: undefined });
+    const project = new ConfigManager();
+    project.loadConfig();
+    project.set('elevenApiKey', PROD_KEY);
+    await expect(project.saveConfig()).rejects.toMatchObject({ cause: { code: 'PLAINTEXT_API_KEY' } });
+  });
+});
@@ -0,0 +1,111 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const AudioFormat = require('../src/lib/audio-format');
+const VoiceSynthesis = require('../src/voice/voice-synthesis');
+
+/**
+ * Stand-in for the API: records every synthesized text and answers with tagged MP3 bytes,
+ * or raw bytes for PCM, so the stitched file shows which part went where
+ * @returns {Object} Client with `requests` and `failOn`
+ */
+function recordingClient() {
+  const client = {
+    requests: [],
+    failOn: null,
+    async postBinary(url, body, options) {
+      client.requests.push(body.text);
+      if (body.text === client.failOn) {
+        throw Object.assign(new Error('Request failed with status code 500'), { response: { status: 500 } });
+      }
+      const frames = Buffer.from(`[${body.text}]`);
+      if (options.params.output_format.startsWith('pcm')) {
+        return frames;
+      }
+      // ID3v2 header with a 5-byte body in front, a 128-byte ID3v1 trailer behind
+      const id3v2 = Buffer.concat([Buffer.from([0x49, 0x44, 0x33, 4, 0, 0, 0, 0, 0, 5]), Buffer.from('TIT2x')]);
+      const id3v1 = Buffer.concat([Buffer.from('TAG'), Buffer.alloc(125)]);
+      return Buffer.concat([id3v2, frames, id3v1]);
+    }
+  };
+  return client;
+}
+
+describe('Document synthesis', () => {
+  const document = 'First paragraph here.\n\nSecond paragraph here.\n\nThird paragraph here.';
+  let dir;
+  let client;
+  let synthesis;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'document-synthesis-'));
+    client = recordingClient();
+    synthesis = new VoiceSynthesis({ client, voiceId: 'voice-1', outputFormat: 'mp3_44100_128' });
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  test('should resume from the parts directory and request only unfinished chunks', async () => {
+    const outputPath = path.join(dir, 'chapter.mp3');
+    const partsDir = `${outputPath}.parts`;
+    const options = { maxChars: 30, concurrency: 1 };
+
+    client.failOn = 'Second paragraph here.';
+    await expect(synthesis.synthesizeDocument(document, outputPath, options))
+      .rejects.toThrow('Document synthesis failed after 1/3 chunks: Voice synthesis failed: Request failed with status code 500');
+    expect(client.requests).toEqual(['First paragraph here.', 'Second paragraph here.']);
+    expect(await fs.readdir(partsDir)).toEqual([expect.stringMatching(/^0000-[0-9a-f]{16}\.mp3$/)]);
+    expect(await fs.pathExists(outputPath)).toBe(false);
+
+    client.failOn = null;
+    client.requests = [];
+    const progress = [];
+    synthesis.on('documentProgress', ({ index, resumed }) => progress.push([index, resumed]));
+    const result = await synthesis.synthesizeDocument(document, outputPath, options);
+
+    expect(client.requests).toEqual(['Second paragraph here.', 'Third paragraph here.']);
+    expect(progress).toEqual([[0, 1], [1, 1], [2, 1]]);
+    expect(result).toMatchObject({ outputPath, chunks: 3, resumed: 1 });
+    // Parts are joined in document order with their ID3 tags stripped
+    const stitched = '[First paragraph here.][Second paragraph here.][Third paragraph here.]';
+    expect((await fs.readFile(outputPath)).toString('latin1')).toBe(stitched);
+    expect(result.size).toBe(stitched.length);
+    expect(await fs.pathExists(partsDir)).toBe(false);
+  });
+
+  test('should re-request edited chunks and their neighbours when parts are kept', async () => {
+    const outputPath = path.join(dir, 'chapter.mp3');
+    const options = { maxChars: 30, concurrency: 2, keepParts: true };
+
+    await synthesis.synthesizeDocument(document, outputPath, options);
+    expect(client.requests).toHaveLength(3);
+
+    // The second chunk was sent the third as context, so editing the third makes both stale
+    client.requests = [];
+    const edited = document.replace('Third paragraph here.', 'Third paragraph, edited.');
+    const result = await synthesis.synthesizeDocument(edited, outputPath, options);
+
+    expect(client.requests.sort()).toEqual(['Second paragraph here.', 'Third paragraph, edited.']);
+    expect(result).toMatchObject({ chunks: 3, resumed: 1 });
+    expect((await fs.readFile(outputPath)).toString('latin1'))
+      .toBe('[First paragraph here.][Second paragraph here.][Third paragraph, edited.]');
+
+    // A different voice setting changes every request
+    client.requests = [];
+    await synthesis.synthesizeDocument(edited, outputPath, { ...options, voiceSettings: { stability: 0.9 } });
+    expect(client.requests).toHaveLength(3);
+  });
+
+  test('should wrap joined PCM parts in a single WAV header', async () => {
+    const outputPath = path.join(dir, 'chapter.wav');
+
+    const result = await synthesis.synthesizeDocument(document, outputPath, { maxChars: 30, outputFormat: 'pcm_16000' });
+
+    const wav = AudioFormat.readWav(await fs.readFile(outputPath));
+    expect(wav).toMatchObject({ codec: 'pcm', sampleRate: 16000, channels: 1, bitsPerSample: 16 });
+    expect(wav.data.toString('latin1')).toBe('[First paragraph here.][Second paragraph here.][Third paragraph here.]');
+    expect(result.chunks).toBe(3);
+  });
+});
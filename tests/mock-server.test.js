@@ -0,0 +1,106 @@
+const WebSocket = require('ws');
+
+const MockServer = require('../src/lib/mock-server');
+const APIClient = require('../src/lib/api-client');
+const AudioAnalyzer = require('../src/voice/audio-analyzer');
+const VoiceSynthesis = require('../src/voice/voice-synthesis');
+const VoiceRecognition = require('../src/voice/voice-recognition');
+
+describe('Mock ElevenLabs Server', () => {
+  const voiceId = '21m00Tcm4TlvDq8ikWAM';
+  let server;
+  let client;
+
+  beforeAll(async () => {
+    server = new MockServer({ port: 0, chunkDelay: 0 });
+    await server.start();
+  });
+
+  afterAll(async () => {
+    await server.stop();
+  });
+
+  beforeEach(() => {
+    client = new APIClient({ baseURL: server.url, apiKey: 'mock_key', retryDelay: 1, persistentCache: false });
+  });
+
+  afterEach(async () => {
+    await client.destroy();
+  });
+
+  test('should synthesize deterministic audio that transcribes back to the text', async () => {
+    const synthesis = new VoiceSynthesis({ client, voiceId });
+    const recognition = new VoiceRecognition({ client });
+    const text = 'The quick brown fox jumps over the lazy dog.';
+
+    const pcm = await synthesis.synthesize(text, { outputFormat: 'pcm_16000' });
+    const again = await synthesis.synthesize(text, { outputFormat: 'pcm_16000' });
+    const audio = new AudioAnalyzer().analyzePcm(pcm, { sampleRate: 16000, text });
+
+    expect(pcm.equals(again)).toBe(true);
+    expect(audio.speakingRate).toBeGreaterThan(1.5);
+    expect(audio.silenceRatio).toBeGreaterThan(0.1);
+
+    const result = await recognition.transcribeBuffer(AudioAnalyzer.toWav(pcm, { sampleRate: 16000 }), { fileName: 'sample.wav' });
+    expect(result.text).toBe(text);
+    expect(result.words).toHaveLength(9);
+  });
+
+  test('should return MP3 frames by default and reject unknown voices', async () => {
+    const synthesis = new VoiceSynthesis({ client, voiceId });
+
+    const mp3 = await synthesis.synthesize('Hello there.');
+    const info = AudioAnalyzer.parseMp3(mp3);
+
+    expect(info).toMatchObject({ sampleRate: 44100, channels: 1, vbr: false });
+    expect(Math.round(info.bitrate / 1000)).toBe(128);
+    await expect(synthesis.synthesize('Hello', { voiceId: 'missing' })).rejects.toThrow('Voice synthesis failed');
+  });
+
+  test('should inject faults from the seeded schedule or the x-mock-status header', async () => {
+    const flaky = new MockServer({ port: 0, rateLimit: 0.5, serverErrors: 0.5, seed: 3 });
+    await flaky.start();
+    const statuses = [];
+
+    try {
+      for (let i = 0; i < 6; i++) {
+        const response = await fetch(`${flaky.url}/voices`, { headers: { 'xi-api-key': 'k' } });
+        statuses.push(response.status);
+      }
+    } finally {
+      await flaky.stop();
+    }
+
+    expect(statuses.every(status => [429, 500, 503].includes(status))).toBe(true);
+    expect(statuses).toContain(429);
+
+    const forced = await fetch(`${server.url}/voices`, { headers: { 'xi-api-key': 'k', 'x-mock-status': '503' } });
+    expect(forced.status).toBe(503);
+    expect((await fetch(`${server.url}/voices`)).status).toBe(401);
+  });
+
+  test('should speak buffered text over the stream-input WebSocket', async () => {
+    const ws = new WebSocket(`${server.wsUrl}/text-to-speech/${voiceId}/stream-input?output_format=pcm_16000`, {
+      headers: { 'xi-api-key': 'k' }
+    });
+    const messages = [];
+
+    await new Promise((resolve, reject) => {
+      ws.on('open', () => {
+        ['', 'Hello there. ', 'How are', ' you?'].forEach(text => ws.send(JSON.stringify({ text: text || ' ' })));
+        ws.send(JSON.stringify({ text: '' }));
+      });
+      ws.on('message', data => messages.push(JSON.parse(data.toString())));
+      ws.on('close', resolve);
+      ws.on('error', reject);
+    });
+
+    expect(messages.map(message => message.alignment && message.alignment.chars.join(''))).toEqual([
+      'Hello there.',
+      'How are you?',
+      undefined
+    ]);
+    expect(Buffer.from(messages[0].audio, 'base64').length).toBeGreaterThan(0);
+    expect(messages[2].isFinal).toBe(true);
+  });
+});
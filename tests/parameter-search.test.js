@@ -0,0 +1,71 @@
+const ParameterSearch = require('../src/voice/parameter-search');
+
+describe('Parameter Search', () => {
+  const space = {
+    stability: { min: 0, max: 1 },
+    style: { min: 0, max: 1 }
+  };
+
+  test('should evaluate an even grid within the budget', async () => {
+    const search = new ParameterSearch(space, { strategy: 'grid', budget: 9 });
+
+    const result = await search.run(async (point) => ({ score: point.stability - point.style }));
+
+    expect(result.trials).toHaveLength(9);
+    expect(result.trials.map(trial => trial.point.stability)).toEqual([0, 0, 0, 0.5, 0.5, 0.5, 1, 1, 1]);
+    expect(result.best.point).toEqual({ stability: 1, style: 0 });
+  });
+
+  test('should fit the grid to the budget across three dimensions', async () => {
+    const space3 = { ...space, similarity_boost: { min: 0, max: 1 } };
+    const sizes = [1, 4, 12, 26].map(budget => new ParameterSearch(space3, { strategy: 'grid', budget }).plannedTrials());
+    expect(sizes).toEqual([1, 4, 12, 24]);
+
+    // One step holds a dimension at the middle of its range
+    const single = await new ParameterSearch(space3, { strategy: 'grid', budget: 1 }).run(async () => ({ score: 1 }));
+    expect(single.trials.map(trial => trial.point)).toEqual([{ stability: 0.5, style: 0.5, similarity_boost: 0.5 }]);
+
+    const search = new ParameterSearch(space3, { strategy: 'grid', budget: 26 });
+    const totals = new Set();
+    search.on('trial', ({ total }) => totals.add(total));
+    const result = await search.run(async (point) => ({ score: point.stability }));
+    const keys = result.trials.map(trial => JSON.stringify(trial.point));
+    expect(keys).toHaveLength(24);
+    expect(new Set(keys).size).toBe(24);
+    expect([...totals]).toEqual([24]);
+    expect(new Set(result.trials.map(trial => trial.point.stability))).toEqual(new Set([0, 0.35, 0.65, 1]));
+    expect(new ParameterSearch(space3, { strategy: 'random', budget: 26 }).plannedTrials()).toBe(26);
+  });
+
+  test('should close in on the optimum with adaptive sampling', async () => {
+    let seed = 7;
+    const random = () => {
+      seed = (seed * 16807) % 2147483647;
+      return seed / 2147483647;
+    };
+    const search = new ParameterSearch(space, { strategy: 'adaptive', budget: 30, random });
+
+    const result = await search.run(async (point) => ({
+      score: 100 - 100 * ((point.stability - 0.7) ** 2 + (point.style - 0.2) ** 2)
+    }));
+
+    const keys = result.trials.map(trial => JSON.stringify(trial.point));
+    expect(new Set(keys).size).toBe(keys.length);
+    expect(result.best.point.stability).toBeCloseTo(0.7, 0);
+    expect(result.best.point.style).toBeCloseTo(0.2, 0);
+  });
+
+  test('should record failed trials and reject unknown strategies', async () => {
+    const search = new ParameterSearch(space, { strategy: 'random', budget: 3 });
+    let calls = 0;
+
+    const result = await search.run(async () => {
+      if (calls++ === 0) throw new Error('rate limited');
+      return { score: calls };
+    });
+
+    expect(result.trials[0]).toMatchObject({ score: null, error: 'rate limited' });
+    expect(result.best.score).toBe(3);
+    expect(() => new ParameterSearch(space, { strategy: 'bayes' })).toThrow('Unknown search strategy');
+  });
+});
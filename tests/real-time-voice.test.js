@@ -0,0 +1,125 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const MockServer = require('../src/lib/mock-server');
+const APIClient = require('../src/lib/api-client');
+const AudioAnalyzer = require('../src/voice/audio-analyzer');
+const RealTimeVoice = require('../src/voice/real-time-voice');
+
+/**
+ * Resolve with the next emission of an event
+ * @param {EventEmitter} emitter - Emitter
+ * @param {string} event - Event name
+ * @returns {Promise<*>} Event payload
+ */
+function once(emitter, event) {
+  return new Promise(resolve => emitter.once(event, resolve));
+}
+
+describe('Real-time Voice connection', () => {
+  const voiceId = '21m00Tcm4TlvDq8ikWAM';
+  let server;
+  let client;
+  let realTime;
+
+  beforeEach(async () => {
+    server = new MockServer({ port: 0, chunkDelay: 0 });
+    await server.start();
+    client = new APIClient({ baseURL: server.url, apiKey: 'mock_key', persistentCache: false });
+  });
+
+  afterEach(async () => {
+    realTime.disconnect();
+    await client.destroy();
+    await server.stop();
+  });
+
+  test('should reconnect after a dropped socket and resend only unspoken text', async () => {
+    realTime = new RealTimeVoice({ client, voiceId, outputFormat: 'pcm_16000', reconnectDelay: 10 });
+    const spoken = [];
+    realTime.on('audioChunk', () => spoken.push(realTime.pendingText.length));
+
+    await realTime.connect();
+    realTime.sendText('One.');
+    realTime.sendText(' Two three');
+    await once(realTime, 'audioChunk');
+    expect(realTime.pendingText.map(entry => entry.message.text)).toEqual([' Two three']);
+
+    server.wss.clients.forEach(socket => socket.terminate());
+    await once(realTime, 'connectionLost');
+    realTime.sendText(' four.');
+
+    const reconnected = await once(realTime, 'reconnected');
+    const sent = [];
+    realTime.ws.on('message', data => sent.push(JSON.parse(data.toString())));
+    await once(realTime, 'audioChunk');
+
+    expect(reconnected).toEqual({ attempt: 1, replayed: 2 });
+    expect(sent[0].alignment.chars.join('')).toBe('Two three four.');
+    expect(realTime.pendingText).toHaveLength(0);
+    expect(realTime.getQualityMetrics()).toMatchObject({ reconnects: 1, audioChunksProcessed: 2, pendingMessages: 0 });
+  });
+
+  test('should keep real counters and measure heartbeat round trips', async () => {
+    realTime = new RealTimeVoice({ client, voiceId, heartbeatInterval: 20 });
+
+    await realTime.connect();
+    realTime.sendText('Counting works.');
+    await once(realTime, 'audioChunk');
+    await new Promise(resolve => setTimeout(resolve, 60));
+
+    const metrics = realTime.getQualityMetrics();
+    expect(metrics).toMatchObject({ messagesSent: 1, messagesReceived: 1, audioChunksProcessed: 1, errorCount: 0 });
+    expect(metrics.connectionUptime).toBeGreaterThanOrEqual(60);
+    expect(metrics.averageLatency).toBeGreaterThanOrEqual(0);
+    expect(metrics.lastPingRtt).not.toBeNull();
+  });
+
+  test('should decode audio into a stream and a WAV file with a word timeline', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'eleven-realtime-'));
+    const file = path.join(dir, 'reply.wav');
+    realTime = new RealTimeVoice({ client, voiceId, outputFormat: 'pcm_16000' });
+
+    await realTime.connect();
+    const saved = realTime.saveAudio(file);
+    const chunks = [];
+    const streamed = new Promise(resolve => realTime.createAudioStream().on('data', chunk => chunks.push(chunk)).on('end', resolve));
+
+    realTime.sendText('Hello there. ');
+    realTime.sendText('How are you?');
+    realTime.endInput();
+    await streamed;
+    const result = await saved;
+
+    const pcm = Buffer.concat(chunks);
+    const wav = AudioAnalyzer.parseWav(await fs.readFile(file));
+    const words = realTime.getWordTimings();
+    const captions = realTime.getSubtitles('vtt');
+    await fs.remove(dir);
+
+    expect(chunks).toHaveLength(2);
+    expect(result).toMatchObject({ bytes: pcm.length, format: 'pcm_16000' });
+    expect(wav.info.duration).toBeCloseTo(pcm.length / 32000, 2);
+    expect(words.map(word => word.word)).toEqual(['Hello', 'there.', 'How', 'are', 'you?']);
+    expect(words[2].startMs).toBeGreaterThanOrEqual(Math.floor(chunks[0].length / 32));
+    words.forEach(word => expect(word.endMs).toBeGreaterThan(word.startMs));
+    expect(captions).toMatch(/^WEBVTT\n\n00:00:00\.\d{3} --> .*\nHello there\.\n\n.* --> .*\nHow are you\?\n$/);
+  });
+
+  test('should give up after the configured attempts and keep the queued text', async () => {
+    realTime = new RealTimeVoice({ client, voiceId, reconnectDelay: 5, maxReconnectAttempts: 2 });
+    const attempts = [];
+    realTime.on('reconnecting', ({ attempt }) => attempts.push(attempt));
+
+    await realTime.connect();
+    await server.stop();
+    await once(realTime, 'connectionLost');
+    realTime.sendText('Lost in transit.');
+
+    const failed = await once(realTime, 'reconnectFailed');
+    expect(attempts).toEqual([1, 2]);
+    expect(failed.pending).toBe(1);
+    expect(() => realTime.sendText('Too late.')).toThrow('Not connected');
+  });
+});
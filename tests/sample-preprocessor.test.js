@@ -0,0 +1,137 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const AudioFormat = require('../src/lib/audio-format');
+const AudioAnalyzer = require('../src/voice/audio-analyzer');
+const VoiceActivityDetector = require('../src/voice/voice-activity-detector');
+const SamplePreprocessor = require('../src/voice/sample-preprocessor');
+const VoiceSampleSet = require('../src/voice/voice-sample-set');
+
+/**
+ * Build a recording from parts: room noise, with a voice-like tone where amplitude is set
+ * @param {number} sampleRate - Sample rate
+ * @param {Array<Array>} parts - `[seconds, amplitude]`; amplitude 0 is noise only, 'clip' is overloaded
+ * @returns {Float32Array} Mono samples
+ */
+function record(sampleRate, parts) {
+  let seed = 7;
+  const noise = () => ((seed = (seed * 16807) % 2147483647) / 2147483647 - 0.5) * 0.01;
+  const samples = [];
+  parts.forEach(([seconds, amplitude]) => {
+    for (let i = 0; i < seconds * sampleRate; i++) {
+      const t = i / sampleRate;
+      if (amplitude === 'clip') samples.push(Math.max(-1, Math.min(1, 1.6 * Math.sin(2 * Math.PI * 200 * t))));
+      else samples.push(noise() + amplitude * Math.sin(2 * Math.PI * 180 * t) * (0.6 + 0.4 * Math.sin(2 * Math.PI * 3 * t)));
+    }
+  });
+  return Float32Array.from(samples);
+}
+
+/**
+ * Encode samples as a 16-bit mono WAV
+ * @param {Float32Array} samples - Mono samples
+ * @param {number} sampleRate - Sample rate
+ * @returns {Buffer} WAV data
+ */
+function wav(samples, sampleRate) {
+  return AudioFormat.writeWav(VoiceActivityDetector.toPcm16(samples), { sampleRate, channels: 1, bitsPerSample: 16 });
+}
+
+describe('SamplePreprocessor', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'sample-preprocessor-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  test('should trim silence, split a long take on pauses and resample', async () => {
+    // 1s of room noise, five 4s phrases each followed by a 0.8s pause, then 1.2s of noise
+    const parts = [[1, 0]];
+    for (let i = 0; i < 5; i++) parts.push([4, 0.1], [0.8, 0]);
+    parts.push([1.2, 0]);
+    await fs.writeFile(path.join(dir, 'take.wav'), wav(record(16000, parts), 16000));
+
+    const preprocessor = new SamplePreprocessor({ outputDir: path.join(dir, 'out'), sampleRate: 22050, maxSegment: 10 });
+    const [report] = await preprocessor.processAll([path.join(dir, 'take.wav')]);
+
+    expect(report.error).toBeNull();
+    expect(report.before).toMatchObject({ duration: 26.2, sampleRate: 16000, channels: 1 });
+    expect(report.after).toMatchObject({ sampleRate: 22050, segments: 3 });
+    expect(report.segments.map(segment => path.basename(segment.file))).toEqual(['take-01.wav', 'take-02.wav', 'take-03.wav']);
+
+    // Two phrases fit in a 10s segment; cuts fall inside the pauses and the padding stays short
+    const [first, second, third] = report.segments;
+    expect(first.start).toBeGreaterThan(0.7);
+    expect(first.start).toBeLessThan(1);
+    expect(first.duration).toBeGreaterThan(8.8);
+    expect(first.duration).toBeLessThanOrEqual(10);
+    expect(second.start).toBeGreaterThan(first.end);
+    expect(third.duration).toBeGreaterThan(4);
+    expect(third.end).toBeLessThan(25);
+
+    const written = await new AudioAnalyzer().analyzeFile(first.file);
+    expect(written).toMatchObject({ sampleRate: 22050, channels: 1, bitsPerSample: 16 });
+    expect(written.duration).toBeCloseTo(first.duration, 1);
+    expect(await fs.readJson(path.join(dir, 'out', 'report.json'))).toEqual([JSON.parse(JSON.stringify(report))]);
+  });
+
+  test('should normalize loudness under the peak ceiling and reject clipped or short phrases', async () => {
+    // Raw PCM: a quiet phrase, an overloaded one, a loud one and a stray word
+    const pcm = VoiceActivityDetector.toPcm16(record(8000, [[0.5, 0], [4, 0.02], [1, 0], [3, 'clip'], [1, 0], [4, 0.9], [1, 0], [0.6, 0.2], [0.5, 0]]));
+    await fs.writeFile(path.join(dir, 'session.pcm'), pcm);
+    await fs.writeFile(path.join(dir, 'broken.wav'), 'not a wav file');
+
+    const preprocessor = new SamplePreprocessor({ outputDir: path.join(dir, 'out'), pcmRate: 8000, sampleRate: 16000, maxSegment: 5 });
+    const [report, broken] = await preprocessor.processAll([path.join(dir, 'session.pcm'), path.join(dir, 'broken.wav')]);
+
+    expect(report.before.sampleRate).toBe(8000);
+    expect(report.before.peak).toBeCloseTo(0, 2);
+    expect(report.rejected).toEqual([
+      expect.objectContaining({ reason: expect.stringMatching(/^Clipped: \d+\.\d+% of samples at full scale$/) }),
+      expect.objectContaining({ reason: expect.stringContaining('Too short') })
+    ]);
+    expect(report.rejected[0].start).toBeCloseTo(5.5, 0);
+
+    const [quiet, loud] = report.segments;
+    expect(quiet.gain).toBeGreaterThan(15);
+    expect(quiet.peakLimited).toBe(false);
+    expect(loud.gain).toBeLessThan(0);
+    [quiet, loud].forEach(segment => {
+      expect(segment.peak).toBeLessThanOrEqual(-0.9);
+      expect(segment.loudness).toBeGreaterThan(-24);
+      expect(segment.loudness).toBeLessThan(-18);
+    });
+
+    expect(broken).toMatchObject({ before: null, segments: [], error: 'Invalid WAV file: missing RIFF/WAVE header' });
+  });
+
+  test('should resample without aliasing and hand segments to the sample set with their origin', async () => {
+    const tone = (frequency, sampleRate, seconds) => Float32Array.from({ length: sampleRate * seconds }, (_, i) => 0.5 * Math.sin(2 * Math.PI * frequency * i / sampleRate));
+    const rms = samples => Math.sqrt(samples.slice(1000, -1000).reduce((sum, sample) => sum + sample * sample, 0) / (samples.length - 2000));
+
+    const up = SamplePreprocessor.resample(tone(440, 16000, 1), 16000, 44100);
+    expect(up).toHaveLength(44100);
+    expect(rms(up)).toBeCloseTo(0.5 / Math.SQRT2, 2);
+
+    // 10 kHz is above 8 kHz Nyquist at 16 kHz, so it must be filtered out rather than folded down
+    expect(rms(SamplePreprocessor.resample(tone(10000, 44100, 1), 44100, 16000))).toBeLessThan(0.01);
+    expect(rms(SamplePreprocessor.resample(tone(1000, 44100, 1), 44100, 16000))).toBeCloseTo(0.5 / Math.SQRT2, 2);
+
+    expect(SamplePreprocessor.accepts('take.WAV')).toBe(true);
+    expect(SamplePreprocessor.accepts('take.pcm')).toBe(true);
+    expect(SamplePreprocessor.accepts('take.mp3')).toBe(false);
+
+    await fs.writeFile(path.join(dir, 'take-01.wav'), wav(record(16000, [[12, 0.1]]), 16000));
+    await fs.writeFile(path.join(dir, 'raw.pcm'), Buffer.alloc(32000));
+    const set = await new VoiceSampleSet().load([{ file: 'take-01.wav', source: 'take.wav [0.8s-12.8s]' }], dir);
+    expect(set.samples).toEqual([expect.objectContaining({ file: path.join(dir, 'take-01.wav'), source: 'take.wav [0.8s-12.8s]', usable: true })]);
+
+    // Directories only give what the caller accepts
+    expect(await VoiceSampleSet.expand([dir])).toHaveLength(1);
+    expect(await VoiceSampleSet.expand([dir], process.cwd(), SamplePreprocessor.accepts)).toHaveLength(2);
+  });
+});
@@ -0,0 +1,73 @@
+const SSMLProcessor = require('../src/voice/ssml-processor');
+const PronunciationLexicon = require('../src/voice/pronunciation-lexicon');
+
+describe('SSML Processor', () => {
+  const lexicon = PronunciationLexicon.fromJSON({
+    nginx: 'engine x',
+    SQL: { phoneme: 'ˈsiːkwəl' }
+  });
+
+  test('should convert the supported SSML subset', () => {
+    const processor = new SSMLProcessor({ modelId: 'eleven_turbo_v2' });
+
+    const result = processor.process(
+      '<speak>Hello<break time="500ms"/> <sub alias="World Wide Web">WWW</sub> ' +
+      '<phoneme alphabet="ipa" ph="təˈmeɪtoʊ">tomato</phoneme> &amp; goodbye<break time="10s"/></speak>'
+    );
+
+    expect(result.text).toBe(
+      'Hello<break time="0.5s" /> World Wide Web <phoneme alphabet="ipa" ph="təˈmeɪtoʊ">tomato</phoneme> & goodbye<break time="3s" />'
+    );
+    expect(result.warnings).toEqual(['<break> of 10s shortened to the 3s maximum']);
+  });
+
+  test('should reject unsupported or malformed SSML', () => {
+    const processor = new SSMLProcessor();
+
+    expect(() => processor.process('<speak><emphasis>Hi</emphasis></speak>')).toThrow('<emphasis> is not supported');
+    expect(() => processor.process('<speak><sub alias="x">Hi</speak>')).toThrow('unexpected </speak>');
+    expect(() => processor.process('<speak>Hi')).toThrow('<speak> is never closed');
+    expect(() => processor.process('<speak><break time="soon"/></speak>')).toThrow('must look like');
+    expect(() => processor.process('<speak><phoneme ph="a"><sub alias="b">c</sub></phoneme></speak>')).toThrow('may only contain text');
+  });
+
+  test('should send text that is not a <speak> document as written', () => {
+    const processor = new SSMLProcessor({ lexicon, modelId: 'eleven_turbo_v2' });
+
+    expect(processor.process('Compare <b> and <i> tags & <nginx>').text).toBe('Compare <b> and <i> tags & <nginx>');
+    expect(processor.process('Restart nginx.<break time="1s" /> Done.').text).toBe('Restart engine x.<break time="1s" /> Done.');
+    expect(SSMLProcessor.isSsml('  <speak version="1.1">Hi</speak>')).toBe(true);
+    expect(SSMLProcessor.isSsml('Say <speak> aloud')).toBe(false);
+  });
+
+  test('should apply the lexicon and fall back to words on models without phonemes', () => {
+    const turbo = new SSMLProcessor({ lexicon, modelId: 'eleven_turbo_v2' });
+    const multilingual = new SSMLProcessor({ lexicon, modelId: 'eleven_multilingual_v2' });
+
+    expect(turbo.process('Put nginx in front of SQL, not MySQL.').text)
+      .toBe('Put engine x in front of <phoneme alphabet="ipa" ph="ˈsiːkwəl">SQL</phoneme>, not MySQL.');
+
+    const result = multilingual.process('Query SQL.');
+    expect(result.text).toBe('Query SQL.');
+    expect(result.warnings[0]).toMatch(/Pronunciation for "SQL" ignored/);
+  });
+});
+
+describe('Pronunciation Lexicon', () => {
+  test('should load W3C PLS documents', () => {
+    const lexicon = PronunciationLexicon.fromPLS(`<?xml version="1.0" encoding="UTF-8"?>
+      <lexicon version="1.0" xmlns="http://www.w3.org/2005/01/pronunciation-lexicon" alphabet="cmu-arpabet">
+        <lexeme><grapheme>Eleven</grapheme><phoneme>IH0 L EH1 V AH0 N</phoneme></lexeme>
+        <lexeme><grapheme>UN</grapheme><grapheme>U.N.</grapheme><alias>United Nations</alias></lexeme>
+      </lexicon>`);
+
+    expect(lexicon.size).toBe(3);
+    expect(lexicon.lookup('Eleven')).toEqual({ grapheme: 'Eleven', phoneme: 'IH0 L EH1 V AH0 N', alphabet: 'cmu-arpabet' });
+    expect(lexicon.apply('The U.N. and UN', rule => rule.alias)).toBe('The United Nations and United Nations');
+  });
+
+  test('should reject rules without a pronunciation', () => {
+    expect(() => PronunciationLexicon.fromJSON({ lexemes: [{ grapheme: 'x' }] }))
+      .toThrow('needs a phoneme or an alias');
+  });
+});
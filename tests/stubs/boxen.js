@@ -0,0 +1,7 @@
+// boxen is ESM-only; the box is dropped and the text returned as is
+function boxen(text) {
+  return String(text);
+}
+
+module.exports = boxen;
+module.exports.default = boxen;
@@ -0,0 +1,4 @@
+// chalk 5 is ESM-only and jest does not transform it here; every style returns its text unchanged
+const chalk = new Proxy(text => String(text), { get: () => chalk });
+
+module.exports = chalk;
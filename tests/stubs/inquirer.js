@@ -0,0 +1,5 @@
+// inquirer is ESM-only; tests that reach a prompt set its answers with mockResolvedValue
+const inquirer = { prompt: jest.fn() };
+
+module.exports = inquirer;
+module.exports.default = inquirer;
@@ -0,0 +1,11 @@
+// ora is ESM-only; a spinner that accepts every call and draws nothing
+function ora(options = {}) {
+  const spinner = { text: typeof options === 'string' ? options : options.text || '' };
+  ['start', 'stop', 'succeed', 'fail', 'warn', 'info'].forEach(method => {
+    spinner[method] = () => spinner;
+  });
+  return spinner;
+}
+
+module.exports = ora;
+module.exports.default = ora;
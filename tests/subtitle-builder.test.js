@@ -0,0 +1,96 @@
+const MockServer = require('../src/lib/mock-server');
+const APIClient = require('../src/lib/api-client');
+const VoiceSynthesis = require('../src/voice/voice-synthesis');
+const SubtitleBuilder = require('../src/voice/subtitle-builder');
+
+/**
+ * Evenly spaced word timings
+ * @param {string} text - Words separated by spaces
+ * @param {number} wordMs - Duration of each word
+ * @param {number} gapMs - Silence between words
+ * @returns {Array<Object>} `{ word, startMs, endMs }`
+ */
+function timedWords(text, wordMs = 300, gapMs = 100) {
+  return text.split(' ').map((word, i) => ({
+    word,
+    startMs: i * (wordMs + gapMs),
+    endMs: i * (wordMs + gapMs) + wordMs
+  }));
+}
+
+describe('Subtitle export', () => {
+  test('should group characters into words from either alignment shape', () => {
+    const fromHttp = SubtitleBuilder.fromAlignment({
+      characters: ['H', 'i', ' ', 'y', 'o', 'u'],
+      character_start_times_seconds: [0, 0.1, 0.2, 0.3, 0.4, 0.5],
+      character_end_times_seconds: [0.1, 0.2, 0.3, 0.4, 0.5, 0.6]
+    });
+    const fromSocket = SubtitleBuilder.fromAlignment({
+      chars: ['H', 'i', ' ', 'y', 'o', 'u'],
+      charStartTimesMs: [0, 100, 200, 300, 400, 500],
+      charDurationsMs: [100, 100, 100, 100, 100, 100]
+    });
+
+    expect(fromSocket).toEqual(fromHttp);
+    expect(SubtitleBuilder.groupWords(fromHttp)).toEqual([
+      { word: 'Hi', startMs: 0, endMs: 200 },
+      { word: 'you', startMs: 300, endMs: 600 }
+    ]);
+    expect(SubtitleBuilder.groupWords(fromHttp, new Set([1])).map(w => w.word)).toEqual(['H', 'i', 'you']);
+  });
+
+  test('should break cues at sentences, line limits and pauses', () => {
+    const builder = new SubtitleBuilder({ maxChars: 16, maxLines: 2, maxGap: 500 });
+    const words = timedWords('Hello there. This sentence is long enough to need two cues');
+    words.push({ word: 'later', startMs: words[words.length - 1].endMs + 900, endMs: words[words.length - 1].endMs + 1200 });
+
+    const cues = builder.buildCues(words);
+
+    expect(cues.map(cue => cue.lines)).toEqual([
+      ['Hello there.'],
+      ['This sentence is', 'long enough to'],
+      ['need two cues'],
+      ['later']
+    ]);
+    cues.forEach(cue => cue.lines.forEach(line => expect(line.length).toBeLessThanOrEqual(16)));
+    expect(cues[3].startMs - cues[2].endMs).toBeGreaterThan(500);
+  });
+
+  test('should render SRT and WebVTT timestamps', () => {
+    const builder = new SubtitleBuilder({ minDuration: 0 });
+    const words = [
+      { word: 'One.', startMs: 0, endMs: 450 },
+      { word: 'Two.', startMs: 3723004, endMs: 3723500 }
+    ];
+
+    expect(builder.format(words, 'srt')).toBe(
+      '1\n00:00:00,000 --> 00:00:00,450\nOne.\n\n2\n01:02:03,004 --> 01:02:03,500\nTwo.\n'
+    );
+    expect(builder.format(words, 'vtt')).toBe(
+      'WEBVTT\n\n00:00:00.000 --> 00:00:00.450\nOne.\n\n01:02:03.004 --> 01:02:03.500\nTwo.\n'
+    );
+    expect(() => builder.format(words, 'ass')).toThrow('Unknown subtitle format "ass"');
+  });
+
+  test('should return audio with word timings from timestamped synthesis', async () => {
+    const server = new MockServer({ port: 0, chunkDelay: 0 });
+    await server.start();
+    const client = new APIClient({ baseURL: server.url, apiKey: 'mock_key', persistentCache: false });
+    const synthesis = new VoiceSynthesis({ client, voiceId: '21m00Tcm4TlvDq8ikWAM' });
+
+    try {
+      const text = 'Captions line up with speech.';
+      const timed = await synthesis.synthesizeWithTimestamps(text, { outputFormat: 'pcm_16000' });
+      const plain = await synthesis.synthesize(text, { outputFormat: 'pcm_16000' });
+
+      expect(timed.audio.equals(plain)).toBe(true);
+      expect(timed.characters.map(c => c.char).join('')).toBe(text);
+      expect(timed.words.map(w => w.word)).toEqual(['Captions', 'line', 'up', 'with', 'speech.']);
+      timed.words.slice(1).forEach((word, i) => expect(word.startMs).toBeGreaterThanOrEqual(timed.words[i].endMs));
+      expect(timed.words[timed.words.length - 1].endMs).toBeLessThanOrEqual(plain.length / 32);
+    } finally {
+      await client.destroy();
+      await server.stop();
+    }
+  });
+});
@@ -0,0 +1,57 @@
+const TextChunker = require('../src/voice/text-chunker');
+const SSMLProcessor = require('../src/voice/ssml-processor');
+
+describe('Text Chunker', () => {
+  test('should keep paragraphs together when they fit the budget', () => {
+    const chunker = new TextChunker({ maxChars: 60 });
+
+    const chunks = chunker.chunk('First paragraph.\n\nSecond paragraph.\n\nA third one that will not fit.');
+
+    expect(chunks).toEqual([
+      'First paragraph.\n\nSecond paragraph.',
+      'A third one that will not fit.'
+    ]);
+  });
+
+  test('should split long paragraphs on sentence boundaries', () => {
+    const chunker = new TextChunker({ maxChars: 40 });
+
+    const chunks = chunker.chunk('One short sentence. Another short one! Is this the third? "Yes," it is.');
+
+    expect(chunks).toEqual([
+      'One short sentence. Another short one!',
+      'Is this the third? "Yes," it is.'
+    ]);
+  });
+
+  test('should never exceed the budget, even for overlong sentences', () => {
+    const chunker = new TextChunker({ maxChars: 20 });
+    const text = 'averyveryverylongwordthatcannotfit and then some more words without any punctuation';
+
+    const chunks = chunker.chunk(text);
+
+    chunks.forEach(chunk => expect(chunk.length).toBeLessThanOrEqual(20));
+    expect(chunks.join(' ').replace(/\s+/g, '')).toBe(text.replace(/\s+/g, ''));
+  });
+
+  test('should split SSML between elements and wrap every chunk in <speak>', () => {
+    const chunker = new TextChunker({ maxChars: 60 });
+    const text = '<speak version="1.1">Deploy <sub alias="engine x">the nginx reverse proxy</sub> first. Then wait.<break time="1s" />\n\n' +
+      'Check the <phoneme alphabet="ipa" ph="ˈsiːkwəl">SQL database</phoneme> logs for errors. Compare <sub alias="B">b</sub> too.</speak>';
+
+    const chunks = chunker.chunk(text);
+
+    // Words are split only outside elements, even where an element alone fills the budget
+    expect(chunks).toEqual([
+      '<speak version="1.1">Deploy <sub alias="engine x">the nginx reverse proxy</sub></speak>',
+      '<speak version="1.1">first. Then wait.<break time="1s" />\n\nCheck the</speak>',
+      '<speak version="1.1"><phoneme alphabet="ipa" ph="ˈsiːkwəl">SQL database</phoneme></speak>',
+      '<speak version="1.1">logs for errors. Compare <sub alias="B">b</sub> too.</speak>'
+    ]);
+    // Each chunk is valid SSML on its own
+    const processor = new SSMLProcessor({ modelId: 'eleven_turbo_v2' });
+    expect(chunks.map(chunk => processor.process(chunk).text).join(' ')).toBe(
+      'Deploy engine x first. Then wait.<break time="1s" />\n\nCheck the <phoneme alphabet="ipa" ph="ˈsiːkwəl">SQL database</phoneme> logs for errors. Compare B too.'
+    );
+  });
+});
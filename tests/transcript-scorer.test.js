@@ -0,0 +1,36 @@
+const TranscriptScorer = require('../src/voice/transcript-scorer');
+
+describe('Transcript Scorer', () => {
+  const scorer = new TranscriptScorer();
+
+  test('should ignore case, punctuation and markup', () => {
+    const result = scorer.score('<speak>Hello, World! Don\'t stop.</speak>', 'hello world don’t stop');
+
+    expect(result.wer).toBe(0);
+    expect(result.cer).toBe(0);
+    expect(result.alignment.every(step => step.type === 'equal')).toBe(true);
+  });
+
+  test('should align substitutions, deletions and insertions', () => {
+    const result = scorer.score('the quick brown fox jumps', 'the quack fox jumps high');
+
+    expect(result).toMatchObject({ substitutions: 1, deletions: 1, insertions: 1, referenceWords: 5 });
+    expect(result.wer).toBe(0.6);
+    expect(result.alignment).toEqual([
+      { type: 'equal', reference: 'the', hypothesis: 'the' },
+      { type: 'substitute', reference: 'quick', hypothesis: 'quack' },
+      { type: 'delete', reference: 'brown', hypothesis: null },
+      { type: 'equal', reference: 'fox', hypothesis: 'fox' },
+      { type: 'equal', reference: 'jumps', hypothesis: 'jumps' },
+      { type: 'insert', reference: null, hypothesis: 'high' }
+    ]);
+  });
+
+  test('should compute character error rate on normalized text', () => {
+    const result = scorer.score('kitten', 'sitting');
+
+    expect(scorer.editDistance([...'kitten'], [...'sitting'])).toBe(3);
+    expect(result.cer).toBe(0.5);
+    expect(result.wer).toBe(1);
+  });
+});
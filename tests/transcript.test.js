@@ -0,0 +1,92 @@
+const MockServer = require('../src/lib/mock-server');
+const APIClient = require('../src/lib/api-client');
+const AudioAnalyzer = require('../src/voice/audio-analyzer');
+const VoiceSynthesis = require('../src/voice/voice-synthesis');
+const VoiceRecognition = require('../src/voice/voice-recognition');
+const Transcript = require('../src/voice/transcript');
+
+/**
+ * A two-speaker API response with spacing entries between words
+ * @returns {Object} Speech-to-text response
+ */
+function meetingResponse() {
+  const said = [
+    ['Morning', 0.2, 0.6, 'speaker_0', -0.1],
+    ['all.', 0.7, 1.0, 'speaker_0', -0.3],
+    ['Hi,', 1.4, 1.6, 'speaker_1', 0],
+    ['thanks.', 1.7, 2.1, 'speaker_1', -0.05],
+    ['Agenda', 4.5, 5.0, 'speaker_1', -0.2]
+  ];
+  const words = [];
+  said.forEach(([text, start, end, speaker_id, logprob], i) => {
+    if (i > 0) words.push({ text: ' ', start: said[i - 1][2], end: start, type: 'spacing', speaker_id });
+    words.push({ text, start, end, type: 'word', speaker_id, logprob });
+  });
+  return { language_code: 'en', language_probability: 0.98, text: 'Morning all. Hi, thanks. Agenda', words };
+}
+
+describe('Transcript', () => {
+  test('should normalize words, speakers, confidences and segments', () => {
+    const transcript = Transcript.fromResponse(meetingResponse());
+
+    expect(transcript.words).toHaveLength(5);
+    expect(transcript.words[0]).toEqual({ text: 'Morning', start: 0.2, end: 0.6, type: 'word', speaker: 'speaker_0', confidence: 0.905 });
+    expect(transcript.segments.map(({ speaker, text, start, end }) => ({ speaker, text, start, end }))).toEqual([
+      { speaker: 'speaker_0', text: 'Morning all.', start: 0.2, end: 1.0 },
+      { speaker: 'speaker_1', text: 'Hi, thanks.', start: 1.4, end: 2.1 },
+      { speaker: 'speaker_1', text: 'Agenda', start: 4.5, end: 5.0 }
+    ]);
+    expect(transcript.speakers).toEqual([
+      { id: 'speaker_0', label: 'Speaker 1', segments: 1, words: 2, duration: 0.8 },
+      { id: 'speaker_1', label: 'Speaker 2', segments: 2, words: 3, duration: 1.2 }
+    ]);
+    expect(transcript).toMatchObject({ language: 'en', duration: 5.0 });
+    expect(transcript.confidence).toBeCloseTo(0.883, 3);
+  });
+
+  test('should export text, subtitles, JSON and meeting notes', () => {
+    const transcript = Transcript.fromResponse(meetingResponse());
+
+    expect(transcript.format('txt')).toBe('Speaker 1: Morning all.\n\nSpeaker 2: Hi, thanks.\n\nSpeaker 2: Agenda\n');
+    expect(transcript.format('srt')).toContain('1\n00:00:00,200 --> 00:00:01,200\n[Speaker 1] Morning all.\n');
+    expect(transcript.format('vtt')).toContain('00:00:01.400 --> 00:00:02.400\n<v Speaker 2>Hi, thanks.\n');
+
+    const json = JSON.parse(transcript.format('json'));
+    expect(json.segments[0]).toMatchObject({ id: 0, text: 'Morning all.', wordCount: 2 });
+    expect(json).not.toHaveProperty('raw');
+
+    const notes = transcript.format('markdown', { title: 'Standup' });
+    expect(notes).toMatch(/^# Standup\n\n- \*\*Duration:\*\* 0:05\n- \*\*Language:\*\* en\n- \*\*Confidence:\*\* 88%\n/);
+    expect(notes).toContain('| Speaker 2 | 0:01 | 60% | 3 |');
+    expect(notes).toContain('**[0:04] Speaker 2:** Agenda\n');
+    expect(() => transcript.format('docx')).toThrow('Unknown transcript format "docx"');
+  });
+
+  test('should request diarization and keyword boosting from the API', async () => {
+    const server = new MockServer({ port: 0, chunkDelay: 0 });
+    await server.start();
+    const client = new APIClient({ baseURL: server.url, apiKey: 'mock_key', persistentCache: false });
+
+    try {
+      const text = 'Welcome to Zylo. Glad to be here. Let us begin.';
+      const pcm = await new VoiceSynthesis({ client, voiceId: '21m00Tcm4TlvDq8ikWAM' }).synthesize(text, { outputFormat: 'pcm_16000' });
+      const recognition = new VoiceRecognition({ client });
+
+      const plain = await recognition.transcribeBuffer(AudioAnalyzer.toWav(pcm, { sampleRate: 16000 }));
+      const diarized = await recognition.transcribeBuffer(AudioAnalyzer.toWav(pcm, { sampleRate: 16000 }), {
+        diarize: true,
+        numSpeakers: 2,
+        keywords: ['Zylo']
+      });
+
+      expect(plain.text).toBe(text);
+      expect(plain.speakers).toEqual([]);
+      expect(diarized.segments.map(segment => segment.speaker)).toEqual(['speaker_0', 'speaker_1', 'speaker_0']);
+      expect(diarized.words.find(word => word.text === 'Zylo.').confidence).toBe(1);
+      expect(plain.words.find(word => word.text === 'Zylo.').confidence).toBeLessThan(1);
+    } finally {
+      await client.destroy();
+      await server.stop();
+    }
+  });
+});
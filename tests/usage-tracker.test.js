@@ -0,0 +1,107 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const MockServer = require('../src/lib/mock-server');
+const APIClient = require('../src/lib/api-client');
+const Analytics = require('../src/lib/analytics');
+const UsageTracker = require('../src/lib/usage-tracker');
+const VoiceSynthesis = require('../src/voice/voice-synthesis');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('UsageTracker', () => {
+  let dir;
+  let stores;
+
+  /**
+   * Analytics store in the test directory
+   * @returns {Analytics} Store
+   */
+  const store = () => {
+    const analytics = new Analytics({ dataDir: dir });
+    stores.push(analytics);
+    return analytics;
+  };
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'usage-tracker-'));
+    stores = [];
+  });
+
+  afterEach(async () => {
+    await Promise.all(stores.map(analytics => analytics.destroy()));
+    await fs.remove(dir);
+  });
+
+  test('should warn at thresholds and stop before a request would exceed the budget', async () => {
+    const tracker = new UsageTracker({ analytics: store(), budget: { daily: 100, warnAt: [0.5, 0.9] }, command: 'test' });
+    const warnings = [];
+    tracker.on('budgetWarning', ({ period, threshold }) => warnings.push(`${period}:${threshold}`));
+
+    await tracker.reserve(40);
+    tracker.record({ characters: 40, voiceId: 'v1' });
+    expect(warnings).toEqual([]);
+
+    // In-flight reservations count, so two concurrent 30s cannot both pass a 100 budget at 40
+    await tracker.reserve(30);
+    await expect(tracker.reserve(31)).rejects.toMatchObject({ code: 'BUDGET_EXCEEDED', context: { period: 'daily', limit: 100 } });
+    tracker.release(30);
+
+    await tracker.reserve(55);
+    tracker.record({ characters: 55, voiceId: 'v1' });
+    tracker.record({ characters: 500, voiceId: 'v1', cached: true });
+    expect(warnings).toEqual(['daily:0.9']);
+    expect(await tracker.getBudgetStatus()).toEqual({ daily: { used: 95, limit: 100 }, monthly: { used: 95, limit: null } });
+    await expect(tracker.reserve(6)).rejects.toThrow('Daily character budget reached: 95/100 used, this request needs 6');
+  });
+
+  test('should load earlier usage from the store and break it down', async () => {
+    const first = store();
+    const tracker = new UsageTracker({ analytics: first, command: 'batch' });
+    tracker.record({ characters: 120, voiceId: 'rachel', modelId: 'm' });
+    tracker.record({ characters: 80, voiceId: 'adam', modelId: 'm' });
+    tracker.record({ characters: 80, voiceId: 'adam', modelId: 'm', cached: true });
+    await first.flush();
+
+    // Older than both the report window and the month
+    await fs.writeJson(path.join(dir, 'events_1_1_0.json'), [
+      { type: 'usage', feature: 'synthesis', data: { characters: 999, billed: 999, voiceId: 'old', command: 'test' }, timestamp: Date.now() - 40 * DAY_MS }
+    ]);
+
+    const later = new UsageTracker({ analytics: store(), budget: { monthly: 1000 }, command: 'test' });
+    later.record({ characters: 10, voiceId: 'rachel', modelId: 'm' });
+
+    expect(await later.getBudgetStatus()).toEqual({ daily: { used: 210, limit: null }, monthly: { used: 210, limit: 1000 } });
+
+    const report = await later.getReport({ days: 7 });
+    expect(report.total).toEqual({ characters: 290, billed: 210, requests: 4, cached: 1 });
+    expect(report.byVoice).toEqual({
+      rachel: { characters: 130, billed: 130, requests: 2, cached: 0 },
+      adam: { characters: 160, billed: 80, requests: 2, cached: 1 }
+    });
+    expect(Object.keys(report.byCommand)).toEqual(['batch', 'test']);
+    expect(Object.values(report.byDay)).toHaveLength(1);
+  });
+
+  test('should meter synthesis and stop a batch at the budget', async () => {
+    const server = new MockServer({ port: 0, chunkDelay: 0 });
+    await server.start();
+    const client = new APIClient({ baseURL: server.url, apiKey: 'mock_key', persistentCache: false });
+    const usage = new UsageTracker({ analytics: store(), budget: { daily: 25 } });
+    const synthesis = new VoiceSynthesis({ client, voiceId: '21m00Tcm4TlvDq8ikWAM', usage });
+
+    try {
+      await synthesis.synthesize('Ten chars.');
+      await expect(synthesis.synthesize('Sixteen letters.')).rejects.toMatchObject({ cause: { code: 'BUDGET_EXCEEDED' } });
+
+      // Nothing was sent for the refused request, and the batch stops once the budget is spent
+      await expect(synthesis.batchSynthesize(['Five.', 'Five.', 'Five.', 'Five.'], { concurrency: 1, retries: 0 }))
+        .rejects.toThrow('Batch synthesis failed for 1/4 texts');
+      expect(await UsageTracker.fetchSubscription(client)).toMatchObject({ tier: 'mock', used: 25, limit: 100000 });
+      expect((await usage.getReport()).byVoice['21m00Tcm4TlvDq8ikWAM']).toMatchObject({ billed: 25, requests: 4 });
+    } finally {
+      await client.destroy();
+      await server.stop();
+    }
+  });
+});
@@ -0,0 +1,64 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+const MockServer = require('../src/lib/mock-server');
+const APIClient = require('../src/lib/api-client');
+const VoiceCommand = require('../src/commands/voice');
+
+describe('eleven voice against the mock server', () => {
+  const saved = {};
+  let server;
+  let dir;
+
+  beforeAll(async () => {
+    server = new MockServer({ port: 0, chunkDelay: 0 });
+    await server.start();
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'voice-command-'));
+
+    // Only the configuration points the commands at the mock; nothing is passed to VoiceProject
+    const env = {
+      ELEVEN_CONFIG: path.join(dir, 'eleven-config.json'),
+      ELEVEN_CONFIG_HOME: path.join(dir, 'home'),
+      ELEVEN_PROFILE: undefined,
+      ELEVEN_API_KEY: 'mock_key_0123456789abcdef',
+      ELEVEN_API_BASE_URL: server.url
+    };
+    Object.entries(env).forEach(([name, value]) => {
+      saved[name] = process.env[name];
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    });
+  });
+
+  afterAll(async () => {
+    await APIClient.shared().destroy();
+    await server.stop();
+    Object.entries(saved).forEach(([name, value]) => {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    });
+    await fs.remove(dir);
+  });
+
+  test('should synthesize and transcribe through the configured base URL', async () => {
+    const exit = jest.spyOn(process, 'exit').mockImplementation(code => {
+      throw new Error(`process.exit(${code})`);
+    });
+
+    try {
+      const audio = path.join(dir, 'hello.wav');
+      const text = path.join(dir, 'hello.txt');
+      const command = new VoiceCommand();
+      await command.program.parseAsync(['node', 'voice', 'synthesize', '-t', 'Hello from the mock server', '-o', audio, '--output-format', 'pcm_16000']);
+      await command.program.parseAsync(['node', 'voice', 'transcribe', '-i', audio, '-o', text]);
+
+      expect((await fs.stat(audio)).size).toBeGreaterThan(0);
+      expect((await fs.readFile(text, 'utf8')).trim()).toBe('Hello from the mock server');
+      expect(APIClient.shared().baseURL).toBe(server.url);
+      expect(exit).not.toHaveBeenCalled();
+    } finally {
+      exit.mockRestore();
+    }
+  });
+});
@@ -0,0 +1,129 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const AudioAnalyzer = require('../src/voice/audio-analyzer');
+const VoiceSampleSet = require('../src/voice/voice-sample-set');
+const VoiceManifest = require('../src/voice/voice-manifest');
+const VoiceCloning = require('../src/voice/voice-cloning');
+const MockServer = require('../src/lib/mock-server');
+const APIClient = require('../src/lib/api-client');
+
+/**
+ * Build a 16 kHz mono WAV tone
+ * @param {number} seconds - Duration
+ * @param {number} frequency - Tone frequency in Hz
+ * @returns {Buffer} WAV data
+ */
+function tone(seconds, frequency = 220) {
+  const sampleRate = 16000;
+  const pcm = Buffer.alloc(Math.round(sampleRate * seconds) * 2);
+  for (let i = 0; i < pcm.length / 2; i++) {
+    pcm.writeInt16LE(Math.round(Math.sin(2 * Math.PI * frequency * i / sampleRate) * 8000), i * 2);
+  }
+  return AudioAnalyzer.toWav(pcm, { sampleRate, channels: 1, bitsPerSample: 16 });
+}
+
+describe('VoiceSampleSet', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'voice-samples-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  test('should expand directories and globs and check every sample', async () => {
+    await fs.outputFile(path.join(dir, 'takes', 'one.wav'), tone(12));
+    await fs.outputFile(path.join(dir, 'takes', 'two.wav'), tone(4, 330));
+    await fs.outputFile(path.join(dir, 'takes', 'notes.txt'), 'not audio');
+    await fs.outputFile(path.join(dir, 'takes', 'blip.wav'), tone(0.5));
+    await fs.outputFile(path.join(dir, 'takes', 'mislabelled.mp3'), tone(15, 440));
+    await fs.outputFile(path.join(dir, 'extra', 'deep', 'three.wav'), tone(20, 550));
+
+    // Directories give their audio files only; ** reaches into subdirectories
+    const expanded = await VoiceSampleSet.expand(['takes', 'extra/**/*.wav', 'takes/one.wav'], dir);
+    expect(expanded.map(sample => path.relative(dir, sample.file))).toEqual([
+      path.join('extra', 'deep', 'three.wav'),
+      path.join('takes', 'blip.wav'),
+      path.join('takes', 'mislabelled.mp3'),
+      path.join('takes', 'one.wav'),
+      path.join('takes', 'two.wav')
+    ]);
+    expect(expanded[0].source).toBe('extra/**/*.wav');
+    await expect(VoiceSampleSet.expand(['takes/*.flac'], dir)).rejects.toThrow('No audio samples match takes/*.flac');
+
+    const set = new VoiceSampleSet();
+    const byName = name => set.samples.find(sample => path.basename(sample.file) === name);
+    await set.load(['takes', 'takes/notes.txt', 'missing.wav'], dir);
+
+    expect(byName('one.wav')).toMatchObject({ format: '.wav', usable: true, issues: [], warnings: [] });
+    expect(byName('one.wav').duration).toBeCloseTo(12, 1);
+    expect(byName('two.wav')).toMatchObject({ usable: true, warnings: [expect.stringContaining('Short sample')] });
+    expect(byName('blip.wav')).toMatchObject({ usable: false, issues: [expect.stringContaining('Too short')] });
+    expect(byName('mislabelled.mp3')).toMatchObject({ format: '.wav', usable: true, warnings: [expect.stringContaining('Named .mp3')] });
+    expect(byName('notes.txt')).toMatchObject({ usable: false, issues: [expect.stringContaining('Unsupported format .txt')] });
+    expect(byName('missing.wav')).toMatchObject({ usable: false, issues: ['File not found'] });
+  });
+
+  test('should drop duplicate audio and samples past the limit, and total what is left', async () => {
+    await fs.outputFile(path.join(dir, 'a.wav'), tone(30));
+    await fs.copy(path.join(dir, 'a.wav'), path.join(dir, 'b.wav'));
+    await fs.outputFile(path.join(dir, 'c.wav'), tone(20, 330));
+    // Formats that cannot be decoded locally are estimated from their size
+    await fs.outputFile(path.join(dir, 'd.ogg'), Buffer.concat([Buffer.from('OggS'), Buffer.alloc(512 * 1024 - 4)]));
+
+    const set = await new VoiceSampleSet().load([dir]);
+    expect(set.samples.find(sample => sample.file.endsWith('b.wav')).issues).toEqual(['Same audio as a.wav']);
+    expect(set.samples.find(sample => sample.file.endsWith('d.ogg'))).toMatchObject({ estimated: true, duration: 30 });
+
+    const summary = set.getSummary();
+    expect(summary).toMatchObject({ samples: 4, usable: 3, rejected: 1, estimated: true, recommendedSeconds: 60, enough: true });
+    expect(summary.seconds).toBeCloseTo(80, 0);
+
+    const many = Array.from({ length: VoiceSampleSet.MAX_SAMPLES + 2 }, (_, i) => path.join(dir, 'many', `${String(i).padStart(2, '0')}.wav`));
+    await Promise.all(many.map((file, i) => fs.outputFile(file, tone(1.5, 200 + i * 10))));
+    const capped = await new VoiceSampleSet().load(['many'], dir);
+    expect(capped.getUsable()).toHaveLength(VoiceSampleSet.MAX_SAMPLES);
+    expect(capped.samples.slice(-2).map(sample => sample.issues)).toEqual([
+      [`Over the ${VoiceSampleSet.MAX_SAMPLES}-sample limit for one voice`],
+      [`Over the ${VoiceSampleSet.MAX_SAMPLES}-sample limit for one voice`]
+    ]);
+  });
+
+  test('should upload every sample with labels in one request and record it in the manifest', async () => {
+    const server = new MockServer({ port: 0, chunkDelay: 0 });
+    await server.start();
+    const client = new APIClient({ baseURL: server.url, apiKey: 'mock_key', retryDelay: 1, persistentCache: false });
+
+    try {
+      await fs.outputFile(path.join(dir, 'samples', 'intro.wav'), tone(15));
+      await fs.outputFile(path.join(dir, 'samples', 'outro.wav'), tone(25, 330));
+      const set = await new VoiceSampleSet().load(['samples/*.wav'], dir);
+
+      const cloning = new VoiceCloning({ client });
+      const labels = { accent: 'british', age: 'old', gender: '', use_case: 'narration' };
+      const voice = await cloning.cloneVoice({ name: 'Narrator', description: 'Audiobook voice', audioFiles: set.getUsable(), labels });
+
+      const stored = await client.get(`/voices/${voice.voice_id}`, { cache: false });
+      expect(stored.labels).toEqual({ accent: 'british', age: 'old', use_case: 'narration' });
+      expect(stored.samples.map(sample => sample.file_name)).toEqual(['intro.wav', 'outro.wav']);
+
+      const manifest = new VoiceManifest({ path: path.join(dir, 'eleven-voices.json') });
+      await manifest.record({ voiceId: voice.voice_id, name: 'Narrator', labels, quality: 'high', samples: set.getUsable() });
+      const entry = await manifest.get(voice.voice_id);
+      expect(entry.samples).toEqual([
+        expect.objectContaining({ file: 'samples/intro.wav', source: 'samples/*.wav', duration: 15, sha256: set.samples[0].sha256 }),
+        expect.objectContaining({ file: 'samples/outro.wav', duration: 25 })
+      ]);
+      expect(entry.quality).toBe('high');
+
+      await fs.writeJson(manifest.path, { voices: [] });
+      await expect(manifest.read()).rejects.toMatchObject({ code: 'INVALID_MANIFEST' });
+    } finally {
+      await client.destroy();
+      await server.stop();
+    }
+  });
+});